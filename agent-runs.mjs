@@ -0,0 +1,335 @@
+// agent-runs.mjs
+//
+// agent_runs state machine for the self-repair pipeline (Wedges 2–3).
+// Tables come from migrations/001_self_repair_pipeline.sql.
+//
+// Writers: the implementer / reviewer GitHub Actions workflows, via the
+// /api/agent-runs/callback/* endpoints in server.js (docs/drafts/agent-runner.mjs
+// reports at each step). Readers: list_agent_runs / get_agent_run.
+//
+// A run is addressed by (tenant, crm_task_id, attempt) — the three values
+// every workflow step already has from `agent-runner.mjs parse` — so the
+// two workflows never have to hand a run id to each other.
+//
+// Legal transitions (anything else is rejected with "Illegal transition"):
+//
+//   queued       → running | canceled
+//   running      → in_review | retry_queued | blocked | canceled
+//   retry_queued → running | blocked | canceled
+//   in_review    → done | rework | blocked | canceled
+//   rework       → running | blocked | canceled
+//   blocked      → queued | canceled          (human re-label)
+//   done, canceled: terminal
+//
+// A "transition" to the current state is allowed and just records verdicts,
+// token counts or a message without moving the run.
+//
+// Every transition appends a `state_change` row to agent_run_events and
+// mirrors the state onto mcp_feedback_tasks.state (except 'queued', which
+// the work item has no equivalent for).
+
+import { insertLlmUsage } from './llm-usage.mjs';
+
+export const AGENT_RUN_STATES = ['queued', 'running', 'retry_queued', 'blocked', 'in_review', 'rework', 'done', 'canceled'];
+
+export const LEGAL_TRANSITIONS = {
+  queued: ['running', 'canceled'],
+  running: ['in_review', 'retry_queued', 'blocked', 'canceled'],
+  retry_queued: ['running', 'blocked', 'canceled'],
+  in_review: ['done', 'rework', 'blocked', 'canceled'],
+  rework: ['running', 'blocked', 'canceled'],
+  blocked: ['queued', 'canceled'],
+  done: [],
+  canceled: [],
+};
+
+const IMPLEMENTER_VERDICTS = ['success', 'failed', 'blocked', 'timed_out'];
+const REVIEWER_VERDICTS = ['pass', 'fail'];
+const SCOPES = ['fe', 'be', 'both'];
+const EVENT_LEVELS = ['debug', 'info', 'warn', 'error'];
+const PR_REPOS = ['CRMBackend', 'CRMFrontEnd'];
+const PR_STATES = ['open', 'merged', 'closed', 'draft'];
+
+export function createAgentRuns({ pool, logger = console }) {
+
+  // ---- Lookup -------------------------------------------------------------
+
+  async function findFeedbackTask(client, tenant, crmTaskId) {
+    const { rows } = await client.query(
+      'SELECT id, scope FROM mcp_feedback_tasks WHERE tenant = $1 AND crm_task_id = $2',
+      [tenant, crmTaskId],
+    );
+    if (!rows[0]) throw new Error(`Feedback task not found: ${tenant}/${crmTaskId}`);
+    return rows[0];
+  }
+
+  async function resolveRunId({ tenant, crm_task_id, attempt }) {
+    requireRef({ tenant, crm_task_id, attempt });
+    const { rows } = await pool.query(
+      `SELECT ar.id
+         FROM agent_runs ar
+         JOIN mcp_feedback_tasks t ON t.id = ar.feedback_task_id
+        WHERE t.tenant = $1 AND t.crm_task_id = $2 AND ar.attempt = $3`,
+      [tenant, crm_task_id, attempt],
+    );
+    if (!rows[0]) throw new Error(`Agent run not found: ${tenant}/${crm_task_id} attempt ${attempt}`);
+    return rows[0].id;
+  }
+
+  // ---- Transition ---------------------------------------------------------
+
+  /**
+   * Move a run to `to_state`, creating it (as 'queued') first if this is the
+   * first callback for the attempt. Verdicts, token deltas and GH Actions
+   * linkage ride along on the same call.
+   *
+   * @returns {Promise<{ run: object, from: string|null, to: string, created: boolean }>}
+   */
+  async function transition(input) {
+    const { tenant, crm_task_id, attempt, to_state } = input;
+    requireRef({ tenant, crm_task_id, attempt });
+    if (!AGENT_RUN_STATES.includes(to_state)) {
+      throw new Error(`Invalid to_state: ${to_state}. Valid: ${AGENT_RUN_STATES.join(', ')}`);
+    }
+    validateOptional('implementer_verdict', input.implementer_verdict, IMPLEMENTER_VERDICTS);
+    validateOptional('reviewer_verdict', input.reviewer_verdict, REVIEWER_VERDICTS);
+    validateOptional('scope', input.scope, SCOPES);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const task = await findFeedbackTask(client, tenant, crm_task_id);
+
+      let created = false;
+      let { rows } = await client.query(
+        'SELECT * FROM agent_runs WHERE feedback_task_id = $1 AND attempt = $2 FOR UPDATE',
+        [task.id, attempt],
+      );
+      if (!rows[0]) {
+        const scope = input.scope || task.scope;
+        if (!scope) throw new Error('scope is required to create an agent run');
+        ({ rows } = await client.query(
+          `INSERT INTO agent_runs (feedback_task_id, attempt, tenant, scope, state)
+           VALUES ($1, $2, $3, $4, 'queued')
+           ON CONFLICT (feedback_task_id, attempt) DO UPDATE SET attempt = EXCLUDED.attempt
+           RETURNING *`,
+          [task.id, attempt, tenant, scope],
+        ));
+        created = true;
+      }
+      const run = rows[0];
+      const from = run.state;
+
+      if (from !== to_state && !LEGAL_TRANSITIONS[from].includes(to_state)) {
+        throw new Error(
+          `Illegal transition ${from} → ${to_state} for run ${run.id}. ` +
+          `Allowed from ${from}: ${LEGAL_TRANSITIONS[from].join(', ') || '(terminal)'}`,
+        );
+      }
+
+      const sets = ['state = $2', 'last_event = $3', 'last_event_at = NOW()'];
+      const params = [run.id, to_state, input.message || `state → ${to_state}`];
+      const set = (sql, value) => { params.push(value); sets.push(sql.replace('?', `$${params.length}`)); };
+
+      if (to_state === 'running' && from !== 'running') {
+        sets.push('implementer_started_at = NOW()', 'implementer_ended_at = NULL', 'implementer_verdict = NULL');
+      }
+      if (to_state === 'in_review' && from !== 'in_review') {
+        sets.push('reviewer_started_at = NOW()', 'reviewer_ended_at = NULL', 'reviewer_verdict = NULL');
+      }
+      if (input.implementer_verdict) {
+        set('implementer_verdict = ?', input.implementer_verdict);
+        sets.push('implementer_ended_at = NOW()');
+      }
+      if (input.reviewer_verdict) {
+        set('reviewer_verdict = ?', input.reviewer_verdict);
+        sets.push('reviewer_ended_at = NOW()');
+      }
+      if (input.github_run_id) set('github_run_id = ?', input.github_run_id);
+      if (input.github_workflow) set('github_workflow = ?', input.github_workflow);
+      if (input.artifact_root) set('artifact_root = ?', input.artifact_root);
+      if (input.terminal_reason) set('terminal_reason = ?', input.terminal_reason);
+      if (input.failure_summary) set('failure_summary = ?', String(input.failure_summary).slice(0, 4000));
+      if (input.token_input) set('token_input = token_input + ?', input.token_input);
+      if (input.token_output) set('token_output = token_output + ?', input.token_output);
+      if (input.token_cached_read) set('token_cached_read = token_cached_read + ?', input.token_cached_read);
+      if (input.cost_estimate_usd) set('cost_estimate_usd = cost_estimate_usd + ?', input.cost_estimate_usd);
+
+      const updated = await client.query(
+        `UPDATE agent_runs SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+        params,
+      );
+
+      await client.query(
+        `INSERT INTO agent_run_events (run_id, event_type, level, message, payload)
+         VALUES ($1, 'state_change', $2, $3, $4)`,
+        [
+          run.id,
+          ['blocked', 'canceled'].includes(to_state) ? 'warn' : 'info',
+          input.message || `${from} → ${to_state}`,
+          JSON.stringify({
+            from,
+            to: to_state,
+            implementer_verdict: input.implementer_verdict || undefined,
+            reviewer_verdict: input.reviewer_verdict || undefined,
+            github_run_id: input.github_run_id || undefined,
+          }),
+        ],
+      );
+
+      if (to_state !== 'queued' && from !== to_state) {
+        await client.query(
+          'UPDATE mcp_feedback_tasks SET state = $2 WHERE id = $1',
+          [task.id, to_state],
+        );
+      }
+
+      // Mirror reported token deltas into the shared LLM ledger so workflow
+      // spend shows up in get_llm_spend alongside the server's own calls.
+      // Same transaction as the agent_runs counters: a failed callback is
+      // retried by the workflow, and must leave neither one counted.
+      if (input.token_input || input.token_output || input.token_cached_read || input.cost_estimate_usd) {
+        await insertLlmUsage(client, {
+          model: input.model || 'claude-code',
+          feature: 'agent_run',
+          tenant,
+          entity_type: 'agent_run',
+          entity_id: run.id,
+          usage: {
+            input_tokens: input.token_input,
+            output_tokens: input.token_output,
+            cache_read_input_tokens: input.token_cached_read,
+          },
+          cost_usd: input.cost_estimate_usd,
+        });
+      }
+
+      await client.query('COMMIT');
+      logger.log(`[agent-runs] ${tenant}/${crm_task_id}#${attempt}: ${from} → ${to_state}`);
+      return { run: updated.rows[0], from: created ? null : from, to: to_state, created };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---- Events + PRs -------------------------------------------------------
+
+  async function appendEvent(input) {
+    const runId = await resolveRunId(input);
+    if (!input.event_type) throw new Error('event_type is required');
+    if (!input.message) throw new Error('message is required');
+    const level = input.level || 'info';
+    validateOptional('level', level, EVENT_LEVELS);
+
+    const { rows } = await pool.query(
+      `INSERT INTO agent_run_events (run_id, event_type, level, message, payload)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [runId, input.event_type, level, input.message, input.payload ? JSON.stringify(input.payload) : null],
+    );
+    await pool.query(
+      'UPDATE agent_runs SET last_event = $2, last_event_at = NOW() WHERE id = $1',
+      [runId, `${input.event_type}: ${input.message}`.slice(0, 500)],
+    );
+    return rows[0];
+  }
+
+  async function upsertPr(input) {
+    const runId = await resolveRunId(input);
+    if (!PR_REPOS.includes(input.repo)) throw new Error(`Invalid repo: ${input.repo}. Valid: ${PR_REPOS.join(', ')}`);
+    if (!input.branch) throw new Error('branch is required');
+    validateOptional('pr_state', input.pr_state, PR_STATES);
+
+    const { rows } = await pool.query(
+      `INSERT INTO agent_run_prs (run_id, repo, branch, pr_number, pr_url, pr_state, opened_at, merged_at, closed_at)
+       VALUES ($1, $2, $3, $4, $5, $6,
+               CASE WHEN $6 IN ('open', 'draft') THEN NOW() END,
+               CASE WHEN $6 = 'merged' THEN NOW() END,
+               CASE WHEN $6 = 'closed' THEN NOW() END)
+       ON CONFLICT (run_id, repo) DO UPDATE SET
+         branch    = EXCLUDED.branch,
+         pr_number = COALESCE(EXCLUDED.pr_number, agent_run_prs.pr_number),
+         pr_url    = COALESCE(EXCLUDED.pr_url, agent_run_prs.pr_url),
+         pr_state  = COALESCE(EXCLUDED.pr_state, agent_run_prs.pr_state),
+         opened_at = COALESCE(agent_run_prs.opened_at, EXCLUDED.opened_at),
+         merged_at = COALESCE(agent_run_prs.merged_at, EXCLUDED.merged_at),
+         closed_at = COALESCE(agent_run_prs.closed_at, EXCLUDED.closed_at)
+       RETURNING *`,
+      [runId, input.repo, input.branch, input.pr_number || null, input.pr_url || null, input.pr_state || null],
+    );
+    await pool.query(
+      `INSERT INTO agent_run_events (run_id, event_type, level, message, payload)
+       VALUES ($1, 'pr_upsert', 'info', $2, $3)`,
+      [runId, `${input.repo} PR ${input.pr_number ? `#${input.pr_number}` : ''} ${input.pr_state || ''}`.trim(), JSON.stringify(rows[0])],
+    );
+    return rows[0];
+  }
+
+  // ---- Reads --------------------------------------------------------------
+
+  async function listRuns({ state, tenant, crm_task_id, limit } = {}) {
+    const max = Math.min(limit || 50, 200);
+    let sql = `SELECT ar.*, t.crm_task_id, t.title AS task_title
+                 FROM agent_runs ar
+                 JOIN mcp_feedback_tasks t ON t.id = ar.feedback_task_id
+                WHERE 1=1`;
+    const params = [];
+    let idx = 1;
+    if (state) { sql += ` AND ar.state = $${idx++}`; params.push(state); }
+    if (tenant) { sql += ` AND ar.tenant = $${idx++}`; params.push(tenant); }
+    if (crm_task_id) { sql += ` AND t.crm_task_id = $${idx++}`; params.push(crm_task_id); }
+    sql += ` ORDER BY ar.created_at DESC LIMIT $${idx}`;
+    params.push(max);
+    const { rows } = await pool.query(sql, params);
+    return rows;
+  }
+
+  async function getRun({ id, events_limit }) {
+    const { rows } = await pool.query(
+      `SELECT ar.*, t.crm_task_id, t.title AS task_title
+         FROM agent_runs ar
+         JOIN mcp_feedback_tasks t ON t.id = ar.feedback_task_id
+        WHERE ar.id = $1`,
+      [id],
+    );
+    if (!rows[0]) throw new Error(`Agent run not found: ${id}`);
+    const [events, prs] = await Promise.all([
+      pool.query(
+        `SELECT * FROM (
+           SELECT * FROM agent_run_events WHERE run_id = $1 ORDER BY created_at DESC, id DESC LIMIT $2
+         ) e ORDER BY created_at, id`,
+        [id, Math.min(events_limit || 200, 1000)],
+      ),
+      pool.query('SELECT * FROM agent_run_prs WHERE run_id = $1 ORDER BY repo', [id]),
+    ]);
+    return { ...rows[0], events: events.rows, prs: prs.rows };
+  }
+
+  return {
+    transition,
+    appendEvent,
+    upsertPr,
+    listRuns,
+    getRun,
+  };
+}
+
+// ============================================================
+// Validation helpers
+// ============================================================
+
+function requireRef({ tenant, crm_task_id, attempt }) {
+  if (!tenant) throw new Error('tenant is required');
+  if (!crm_task_id) throw new Error('crm_task_id is required');
+  if (!Number.isInteger(Number(attempt)) || Number(attempt) < 1) {
+    throw new Error('attempt is required (positive integer)');
+  }
+}
+
+function validateOptional(field, value, allowed) {
+  if (value !== undefined && value !== null && !allowed.includes(value)) {
+    throw new Error(`Invalid ${field}: ${value}. Valid: ${allowed.join(', ')}`);
+  }
+}
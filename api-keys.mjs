@@ -0,0 +1,155 @@
+// api-keys.mjs
+//
+// Named, scoped, revocable API keys for server-to-server callers — the
+// per-caller replacement for the shared MCP_SERVICE_KEY.
+//
+// Key format: abk_<prefix>_<secret>. Only the prefix (for lookup) and a
+// sha256 of the whole key are stored; the plaintext is returned by mint()
+// once and never again.
+//
+// A key authenticates as identity { kind: 'api_key', keyId, name, owner,
+// role, tenants, tools } which authz.mjs checks like a dashboard user:
+//   role    — agent (read-only) | manager | admin, same ladder as users
+//   tenants — optional slug allow-list (applies even to admin keys)
+//   tools   — optional tool-name allow-list on top of the role
+// A key is never wider than whoever mints it: its role, tenants and tools
+// must fall within the creator's (authz.mjs scopeOf).
+// Expired or revoked keys fail verification exactly like unknown ones.
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { ROLES, atLeast, scopeOf } from './authz.mjs';
+
+const KEY_PREFIX = 'abk_';
+const LAST_USED_RESOLUTION = '1 minute';
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest();
+}
+
+export function looksLikeApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+export function createApiKeys({ pool, knownTools, logger = console }) {
+
+  /**
+   * Mint a key. Returns the row (without hash) plus `key`, the only time
+   * the plaintext is available.
+   *
+   * @param {object} fields
+   * @param {string} createdBy - label for created_by
+   * @param {object} creator - the caller's req.mcpIdentity; the key's scope
+   *   must fit inside it
+   */
+  async function mint({ name, owner, role = 'agent', tenants = null, tools = null, expires_in_days }, createdBy, creator) {
+    if (!name || !String(name).trim()) throw new Error('name is required');
+    if (!owner || !String(owner).trim()) throw new Error('owner is required');
+    if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}. Valid: ${ROLES.join(', ')}`);
+    validateList('tenants', tenants);
+    validateList('tools', tools);
+    const unknown = (tools || []).filter((t) => !knownTools.has(t));
+    if (unknown.length) throw new Error(`Invalid tools: ${unknown.join(', ')}`);
+    if (expires_in_days !== undefined && !(Number(expires_in_days) > 0)) {
+      throw new Error('Invalid expires_in_days: must be a positive number');
+    }
+    assertWithinScope(creator, { role, tenants, tools });
+
+    const prefix = randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}${prefix}_${randomBytes(24).toString('base64url')}`;
+    const expiresAt = expires_in_days ? new Date(Date.now() + Number(expires_in_days) * 86_400_000) : null;
+
+    const { rows } = await pool.query(
+      `INSERT INTO api_keys (name, owner, key_prefix, key_hash, role, allowed_tenants, allowed_tools, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [String(name).trim(), String(owner).trim(), prefix, hashKey(key), role, tenants, tools, expiresAt, createdBy || null],
+    );
+    logger.log(`[api-keys] minted ${rows[0].id} (${rows[0].name}, ${role}) by ${createdBy || 'unknown'}`);
+    return { ...rows[0], key };
+  }
+
+  async function list({ include_revoked = false } = {}) {
+    const { rows } = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM api_keys
+        ${include_revoked ? '' : 'WHERE revoked_at IS NULL'}
+        ORDER BY created_at DESC`,
+    );
+    return rows;
+  }
+
+  async function revoke(id, revokedBy) {
+    if (!id) throw new Error('id is required');
+    const { rows } = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING ${PUBLIC_COLUMNS}`,
+      [id, revokedBy || null],
+    );
+    if (!rows[0]) throw new Error(`API key not found or already revoked: ${id}`);
+    logger.log(`[api-keys] revoked ${id} (${rows[0].name}) by ${revokedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  /**
+   * Identity for a presented key, or null if it's unknown, expired or
+   * revoked. Bumps last_used_at at most once per LAST_USED_RESOLUTION.
+   */
+  async function verify(token) {
+    const match = /^abk_([0-9a-f]{8})_[A-Za-z0-9_-]+$/.exec(token || '');
+    if (!match) return null;
+    const { rows } = await pool.query(
+      `SELECT * FROM api_keys
+        WHERE key_prefix = $1
+          AND revoked_at IS NULL
+          AND (expires_at IS NULL OR expires_at > NOW())`,
+      [match[1]],
+    );
+    const row = rows[0];
+    if (!row) return null;
+    const presented = hashKey(token);
+    if (!timingSafeEqual(presented, row.key_hash)) return null;
+
+    pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+        WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_RESOLUTION}')`,
+      [row.id],
+    ).catch((err) => logger.error(`[api-keys] last_used_at update failed: ${err.message}`));
+
+    return {
+      kind: 'api_key',
+      keyId: row.id,
+      name: row.name,
+      owner: row.owner,
+      role: row.role,
+      tenants: row.allowed_tenants,
+      tools: row.allowed_tools,
+    };
+  }
+
+  return { mint, list, revoke, verify };
+}
+
+const PUBLIC_COLUMNS = `id, name, owner, key_prefix, role, allowed_tenants, allowed_tools,
+  expires_at, last_used_at, revoked_at, revoked_by, created_by, created_at`;
+
+// Throws "Forbidden: …" unless every part of the new key's scope is one the
+// creator has: a role no higher, and tenants / tools lists inside theirs
+// (an unrestricted list only from an unrestricted creator).
+function assertWithinScope(creator, { role, tenants, tools }) {
+  const scope = scopeOf(creator);
+  if (!scope) throw new Error('Forbidden: minting an API key needs an authenticated caller');
+  if (!atLeast(scope.role, role)) throw new Error(`Forbidden: cannot mint a key with role ${role} (you are ${scope.role})`);
+  for (const [field, wanted, allowed] of [['tenants', tenants, scope.tenants], ['tools', tools, scope.tools]]) {
+    if (!allowed) continue;
+    if (!wanted) throw new Error(`Forbidden: the key needs a ${field} list within yours (${allowed.join(', ')})`);
+    const outside = wanted.filter((v) => !allowed.includes(v));
+    if (outside.length) throw new Error(`Forbidden: ${field} outside your scope: ${outside.join(', ')}`);
+  }
+}
+
+function validateList(field, value) {
+  if (value === null || value === undefined) return;
+  if (!Array.isArray(value) || value.length === 0 || !value.every((v) => typeof v === 'string' && v)) {
+    throw new Error(`Invalid ${field}: must be a non-empty array of strings, or omitted for no restriction`);
+  }
+}
@@ -0,0 +1,108 @@
+// audit-log.mjs
+//
+// Who ran which tool, from where, with what, and how it went.
+//
+// server.js routes every tool invocation from /mcp tools/call,
+// POST /tools/:name and the /chat tool loop through invokeTool(), which
+// calls recordToolInvocation() once the handler settles. Rows carry the
+// req.mcpIdentity established by mcpAuthGate (service key, API key,
+// Firebase user, or anonymous in monitor mode). API keys are recorded with
+// their key id as actor_uid and their owner as actor_email.
+//
+// Arguments are stored redacted: secret-looking keys are masked and large
+// or base64 payloads (upload_document's content_base64) are replaced with
+// their length. Writes never throw — a failed audit insert is logged, not
+// surfaced to the caller.
+
+import { tenantFromArgs } from './authz.mjs';
+
+const SECRET_KEY_PATTERN = /passw(or)?d|secret|(^|_)token$|api_?key|authorization|credential|private_?key/i;
+const BASE64_KEY_PATTERN = /base64/i;
+const MAX_STRING_CHARS = 2000;
+const MAX_DEPTH = 6;
+
+export const AUDIT_ENTRYPOINTS = ['mcp', 'rest', 'chat'];
+
+/**
+ * Copy of `value` that is safe to persist: secrets masked, big blobs
+ * summarised, nesting capped.
+ */
+export function redactArgs(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_CHARS
+      ? `${value.slice(0, 200)}…[${value.length} chars]`
+      : value;
+  }
+  if (typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (Array.isArray(value)) return value.map((v) => redactArgs(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (SECRET_KEY_PATTERN.test(key)) out[key] = '[REDACTED]';
+    else if (BASE64_KEY_PATTERN.test(key) && typeof v === 'string') out[key] = `[base64 ${v.length} chars]`;
+    else out[key] = redactArgs(v, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * @param {import('pg').Pool} pool
+ * @param {object} entry
+ * @param {object} [entry.identity] - req.mcpIdentity
+ * @param {'mcp'|'rest'|'chat'} entry.entrypoint
+ * @param {string} entry.tool
+ * @param {object} [entry.args] - raw arguments; redacted here
+ * @param {'ok'|'error'} entry.status
+ * @param {string} [entry.error]
+ * @param {number} entry.latency_ms
+ */
+export async function recordToolInvocation(pool, entry) {
+  try {
+    const identity = entry.identity;
+    await pool.query(
+      `INSERT INTO audit_log
+         (actor_kind, actor_uid, actor_email, entrypoint, tool, tenant, args, status, error, latency_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        identity?.kind || 'anonymous',
+        identity?.uid || identity?.keyId || null,
+        identity?.email || identity?.owner || null,
+        entry.entrypoint,
+        entry.tool,
+        tenantFromArgs(entry.args),
+        JSON.stringify(redactArgs(entry.args ?? {})),
+        entry.status,
+        entry.error ? String(entry.error).slice(0, 2000) : null,
+        entry.latency_ms,
+      ],
+    );
+  } catch (err) {
+    console.error(`[audit-log] failed to record ${entry.tool}:`, err.message);
+  }
+}
+
+/**
+ * Query the audit log. `user` matches actor email or uid; `from` / `to`
+ * bound created_at (ISO timestamps, `to` exclusive).
+ */
+export async function listAuditLog(pool, { user, tool, tenant, entrypoint, status, from, to, limit } = {}) {
+  if (entrypoint && !AUDIT_ENTRYPOINTS.includes(entrypoint)) {
+    throw new Error(`Invalid entrypoint: ${entrypoint}. Valid: ${AUDIT_ENTRYPOINTS.join(', ')}`);
+  }
+  let sql = 'SELECT * FROM audit_log WHERE 1=1';
+  const params = [];
+  let idx = 1;
+  if (user) { sql += ` AND (actor_email = $${idx} OR actor_uid = $${idx})`; idx++; params.push(user); }
+  if (tool) { sql += ` AND tool = $${idx++}`; params.push(tool); }
+  if (tenant) { sql += ` AND tenant = $${idx++}`; params.push(tenant); }
+  if (entrypoint) { sql += ` AND entrypoint = $${idx++}`; params.push(entrypoint); }
+  if (status) { sql += ` AND status = $${idx++}`; params.push(status); }
+  if (from) { sql += ` AND created_at >= $${idx++}`; params.push(from); }
+  if (to) { sql += ` AND created_at < $${idx++}`; params.push(to); }
+  sql += ` ORDER BY created_at DESC LIMIT $${idx}`;
+  params.push(Math.min(limit || 100, 500));
+  const { rows } = await pool.query(sql, params);
+  return rows;
+}
@@ -0,0 +1,229 @@
+// authz.mjs
+//
+// Role-based authorization on top of mcpAuthGate's authentication.
+//
+// Roles, lowest to highest:
+//   agent   — read-only tools; GET routes
+//   manager — + write tools; mutating routes that aren't admin-only
+//   admin   — + destructive and sensitive tools (env vars, deploy
+//             commands, audit/approval/spend logs), user management
+// The service key acts as admin. Firebase users get their role from the
+// `role` custom claim (missing/unknown → agent) and, optionally, a
+// `tenants` claim (array of slugs) limiting which tenants their tool calls
+// and tenant-scoped routes may touch; admin users are never tenant-limited.
+// API keys (api-keys.mjs) carry role, tenants and an optional tool
+// allow-list of their own, and their tenant list binds even at admin.
+//
+// Tools: required role comes from the tool's `access` tag in server.js
+// (read → agent, write → manager, destructive → admin), raised to admin for
+// ADMIN_ONLY_TOOLS. Routes: first matching ROUTE_RULES entry, else GET →
+// agent and anything else → manager.
+//
+// Tenant limits: a tenant named in a tool's arguments, a route's path
+// (tenantParam) or its query string (?tenant= / ?company= / ?slug=) must be
+// one of the caller's. A tenant-limited caller must name a tenant when a
+// tool takes one; tools and routes that answer for every tenant at once
+// narrow their results with tenantsOf().
+//
+// Like the auth gate, this starts in monitor mode: unless
+// MCP_AUTHZ_ENFORCE=true a denial is logged and the request proceeds, and
+// tool listings are not filtered. Anonymous callers only get this far in
+// the gate's own monitor mode and are not checked here.
+
+export const ROLES = ['agent', 'manager', 'admin'];
+
+const ACCESS_ROLE = { read: 'agent', write: 'manager', destructive: 'admin' };
+
+const ADMIN_ONLY_TOOLS = new Set([
+  'get_service_env_vars',
+  'get_deploy_command',
+  'get_firebase_users',
+  'list_audit_log',
+  'list_tool_approvals',
+  'get_llm_spend',
+  'create_api_key',
+  'list_api_keys',
+  'create_tenant',
+  'update_tenant',
+  'onboard_tenant',
+]);
+
+// Tools, chat and MCP are open to every role at the route level — each
+// tool call is checked on its own.
+const ROUTE_RULES = [
+  { path: /^\/api\/dashboard-users\/by-email\//, methods: ['GET'], role: 'agent' },
+  { path: /^\/api\/dashboard-users(\/|$)/, methods: ['GET'], role: 'manager' },
+  { path: /^\/api\/dashboard-users(\/|$)/, role: 'admin' },
+  { path: /^\/api\/instances\/([^/]+)\/users/, methods: ['GET'], role: 'manager', tenantParam: 1 },
+  { path: /^\/api\/instances\/([^/]+)\/users/, role: 'admin', tenantParam: 1 },
+  { path: /^\/api\/infra\/tenants\/([^/]+)\/[^/]+\/(env|deploy-command)$/, role: 'admin', tenantParam: 1 },
+  { path: /^\/api\/infra\/tenants\/([^/]+)/, tenantParam: 1 },
+  { path: /^\/api\/feedback\/([^/]+)\/[^/]+$/, tenantParam: 1 },
+  { path: /^\/api\/company-snapshot\/([^/]+)$/, tenantParam: 1 },
+  { path: /^\/api\/companies\/([^/]+)(\/[^/]+)?$/, tenantParam: 1 },
+  { path: /^\/api\/(audit|tool-approvals|llm-spend|rate-limits)$/, role: 'admin' },
+  { path: /^\/api\/(api-keys|mcp-sessions)(\/|$)/, role: 'admin' },
+  { path: /^\/api\/tenants\/([^/]+)(\/onboarding|\/offboarding)?$/, methods: ['GET'], tenantParam: 1 },
+  { path: /^\/api\/tenants(\/|$)/, methods: ['POST', 'PATCH', 'DELETE'], role: 'admin' },
+  { path: /^\/(chat|chat\/stream|mcp|tools(\/[^/]+)?)$/, role: 'agent' },
+  { path: /^\/api\/chat\/conversations(\/|$)/, role: 'agent' },
+];
+
+// Tools name the tenant differently: `tenant` (infra registry, feedback),
+// `company` (CRM instances) or `slug` (portfolio companies).
+export function tenantFromArgs(args) {
+  const t = args?.tenant || args?.company || args?.slug;
+  return typeof t === 'string' ? t : null;
+}
+
+const TENANT_ARGS = ['tenant', 'company', 'slug'];
+
+export function roleOf(identity) {
+  if (!identity) return null;
+  if (identity.kind === 'service') return 'admin';
+  return ROLES.includes(identity.role) ? identity.role : 'agent';
+}
+
+export function atLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * What a caller may do, in API key terms: { role, tenants, tools }, where
+ * null tenants / tools mean unrestricted. Null for anonymous callers.
+ */
+export function scopeOf(identity) {
+  const role = roleOf(identity);
+  if (!role) return null;
+  const allTenants = identity.kind === 'service' || (identity.kind === 'user' && role === 'admin');
+  return {
+    role,
+    tenants: !allTenants && Array.isArray(identity.tenants) ? identity.tenants : null,
+    tools: Array.isArray(identity.tools) ? identity.tools : null,
+  };
+}
+
+function tenantAllowed(identity, tenant) {
+  if (!tenant || identity.kind === 'service') return true;
+  if (identity.kind === 'user' && roleOf(identity) === 'admin') return true;
+  if (!Array.isArray(identity.tenants)) return true;
+  return identity.tenants.includes(tenant);
+}
+
+/**
+ * @param {object} opts
+ * @param {boolean} opts.enforce - MCP_AUTHZ_ENFORCE
+ * @param {Array<{ name: string, access: string, inputSchema?: object }>} opts.tools
+ */
+export function createAuthz({ enforce, tools, logger = console }) {
+  const toolAccess = Object.fromEntries(tools.map((t) => [t.name, t.access]));
+  // Tools that name a tenant in their arguments.
+  const tenantTools = new Set(tools
+    .filter((t) => TENANT_ARGS.some((arg) => arg in (t.inputSchema?.properties || {})))
+    .map((t) => t.name));
+
+  function toolRequiredRole(name) {
+    if (ADMIN_ONLY_TOOLS.has(name)) return 'admin';
+    return ACCESS_ROLE[toolAccess[name]] || 'admin';
+  }
+
+  /**
+   * Why `identity` may not call `name` with `args`, or null if it may.
+   * Ignores enforce — callers decide what to do with the answer.
+   */
+  function toolDenial(identity, name, args) {
+    const role = roleOf(identity);
+    if (!role) return null;
+    const required = toolRequiredRole(name);
+    if (!atLeast(role, required)) return `${name} requires role ${required} (you are ${role})`;
+    if (Array.isArray(identity.tools) && !identity.tools.includes(name)) return `${name} is not in this API key's tool scope`;
+    const tenant = tenantFromArgs(args);
+    if (!tenantAllowed(identity, tenant)) return `${name} on tenant ${tenant} is outside your tenants`;
+    // A listing (args === null) isn't a call; the call itself must name one.
+    const limit = scopeOf(identity).tenants;
+    if (args && !tenant && limit && tenantTools.has(name)) {
+      return `${name} without a tenant covers every tenant; pass one of yours (${limit.join(', ')})`;
+    }
+    return null;
+  }
+
+  /** Throws "Forbidden: …" when enforcing; logs and allows otherwise. */
+  function assertTool(identity, name, args) {
+    const denial = toolDenial(identity, name, args);
+    if (!denial) return;
+    if (!enforce) {
+      logger.warn(`[authz] WOULD DENY ${identityLabel(identity)}: ${denial}`);
+      return;
+    }
+    throw new Error(`Forbidden: ${denial}`);
+  }
+
+  function canUseTool(identity, name, args) {
+    return !enforce || !toolDenial(identity, name, args);
+  }
+
+  /** Whether events about `tenant` may be pushed to this caller. */
+  function canAccessTenant(identity, tenant) {
+    return !enforce || !identity || tenantAllowed(identity, tenant);
+  }
+
+  /**
+   * The tenants a tenant-limited caller may see, for results that would
+   * otherwise cover every tenant; null when there's no limit (or when not
+   * enforcing).
+   */
+  function tenantsOf(identity) {
+    return enforce && identity ? scopeOf(identity).tenants : null;
+  }
+
+  /** The tools this caller may see, for tools/list, GET /tools and /chat. */
+  function visibleTools(identity, tools) {
+    if (!enforce) return tools;
+    return tools.filter((t) => !toolDenial(identity, t.name, null));
+  }
+
+  function routeDenial(identity, method, path, query = {}) {
+    const role = roleOf(identity);
+    if (!role) return null;
+    const rule = ROUTE_RULES.find((r) => r.path.test(path) && (!r.methods || r.methods.includes(method)));
+    const required = rule?.role || (method === 'GET' || method === 'HEAD' ? 'agent' : 'manager');
+    if (!atLeast(role, required)) return `${method} ${path} requires role ${required} (you are ${role})`;
+    if (rule?.tenantParam) {
+      const tenant = decodeURIComponent(path.match(rule.path)[rule.tenantParam]);
+      if (!tenantAllowed(identity, tenant)) return `${method} ${path}: tenant ${tenant} is outside your tenants`;
+    }
+    // Every value: ?tenant=a&tenant=b parses to an array.
+    for (const tenant of TENANT_ARGS.flatMap((arg) => [].concat(query[arg] ?? []))) {
+      if (!tenantAllowed(identity, String(tenant))) return `${method} ${path}: tenant ${tenant} is outside your tenants`;
+    }
+    return null;
+  }
+
+  // Express middleware; mount right after mcpAuthGate.
+  function routeGate(req, res, next) {
+    const denial = routeDenial(req.mcpIdentity, req.method, req.path, req.query);
+    if (!denial) return next();
+    if (!enforce) {
+      logger.warn(`[authz] WOULD DENY ${identityLabel(req.mcpIdentity)}: ${denial}`);
+      return next();
+    }
+    return res.status(403).json({ error: `Forbidden: ${denial}` });
+  }
+
+  return {
+    roleOf,
+    toolRequiredRole,
+    assertTool,
+    canUseTool,
+    canAccessTenant,
+    tenantsOf,
+    visibleTools,
+    routeGate,
+  };
+}
+
+function identityLabel(identity) {
+  if (identity?.kind === 'user') return `user ${identity.email || identity.uid}`;
+  if (identity?.kind === 'api_key') return `api key ${identity.name} (${identity.keyId})`;
+  return identity?.kind || 'anonymous';
+}
@@ -0,0 +1,439 @@
+// autofix-runner.mjs
+//
+// Executor for autofix_runs (Layer 3 auto-fix loop).
+//
+// State machine (every edge is written to autofix_run_events with a reason):
+//
+//   pending ──claim──▶ running ──agent made changes──▶ testing ──pass──▶ success (PR opened)
+//                         │                               │
+//                         └──no changes / agent error──▶ failed ◀──tests fail / timeout
+//
+//   cancel_autofix can move pending|running|testing → cancelled at any point;
+//   it kills agent_pid (the agent CLI or the test process, whichever is
+//   live) when this instance spawned it, and the owning instance's
+//   killOnCancel poll does it otherwise. Every transition below is a
+//   compare-and-set on the expected current status, so a cancel that lands
+//   mid-step always wins.
+//
+// Steps:
+//   1. Claim the oldest pending run (FOR UPDATE SKIP LOCKED)
+//   2. Clone `repo` at the base branch, create autofix/<short> branch
+//   3. Run the Claude Code CLI with the linked error + triage (root_cause,
+//      suggested_fix) as its brief; commit whatever it changed
+//   4. → testing: run the repo's test command, store test_output + tests_passed.
+//      Only allow-listed commands run (the default testCommand plus
+//      testCommands); a run's metadata.test_command must be one of them.
+//      They run without a shell: "a && b" is steps run in order, each
+//      split on whitespace into argv, and anything else a shell would
+//      interpret is refused (parseTestCommand)
+//   5. Tests pass → push branch, open PR → pr_url, success
+//      Tests fail → failed, no PR
+//
+// Liveness: the executing instance bumps autofix_runs.heartbeat_at while
+// the run is running/testing; recoverOrphanedRuns (any instance, at boot
+// and on every tick) fails only runs whose heartbeat is older than
+// RUN_LEASE_MS.
+//
+// Entry point: createAutofixRunner({ pool, callGitHub, ... }).runNext()
+
+import { mkdirSync, rmSync } from 'node:fs';
+import path from 'node:path';
+import {
+  runGit,
+  authedRemoteUrl,
+  remoteUrl,
+  commitAll,
+  spawnAgent,
+  spawnCommand,
+  killAgentProcess,
+  killOnCancel,
+  startHeartbeat,
+  INSTANCE_ID,
+  RUN_LEASE_MS,
+} from './tools/workspace.mjs';
+
+const DEFAULT_BASE_BRANCH = 'dev';
+const DEFAULT_TEST_COMMAND = 'npm ci --no-audit --no-fund && npm test';
+const DEFAULT_TEST_TIMEOUT_MS = 15 * 60 * 1000;
+const TEST_OUTPUT_MAX_CHARS = 100_000;
+const AGENT_SUMMARY_MAX_CHARS = 4000;
+
+const AGENT_SYSTEM_APPEND = `You are fixing one production error in this repository. Make the smallest change that fixes the root cause described below. Do not refactor unrelated code, do not change public API shapes, do not add migrations. Add or update a unit test that would have caught the error when the repo has a test suite. Do not run git commit, git push or open PRs — the orchestrator does that. Finish with a short plain-text summary of what you changed and why.`;
+
+// Characters a test command would need a shell for. `&&` is allowed as the
+// step separator and split off before this is checked.
+const SHELL_CHARS = /[|;&$`<>(){}[\]\\'"*?~!#]/;
+
+class AutofixCancelled extends Error {}
+
+/** "npm ci && npm test" → [['npm', 'ci'], ['npm', 'test']]; throws "Invalid test command" otherwise. */
+export function parseTestCommand(command) {
+  const steps = String(command).split('&&').map((step) => step.trim().split(/\s+/).filter(Boolean));
+  if (steps.some((argv) => !argv.length || argv.some((arg) => SHELL_CHARS.test(arg)))) {
+    throw new Error(`Invalid test command: ${command}. Use plain words, with steps joined by &&`);
+  }
+  return steps;
+}
+
+export function createAutofixRunner({
+  pool,
+  callGitHub,
+  getGitHubToken,
+  githubOrg,
+  workRoot,
+  baseBranch = DEFAULT_BASE_BRANCH,
+  testCommand = DEFAULT_TEST_COMMAND,
+  testCommands = [],
+  testTimeoutMs = DEFAULT_TEST_TIMEOUT_MS,
+  leaseMs = RUN_LEASE_MS,
+  logger = console,
+}) {
+  if (!pool) throw new Error('pool is required');
+  if (!workRoot) throw new Error('workRoot is required');
+  const allowedTests = new Map([testCommand, ...testCommands].map((c) => [c, parseTestCommand(c)]));
+
+  let active = false;
+
+  // ---- Transitions --------------------------------------------------------
+
+  async function logEvent(runId, fromStatus, toStatus, message, detail = {}) {
+    await pool.query(
+      `INSERT INTO autofix_run_events (autofix_run_id, from_status, to_status, message, detail)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [runId, fromStatus, toStatus, message, JSON.stringify(detail)],
+    );
+    logger.log(`[autofix-runner] ${runId}: ${fromStatus || '-'} → ${toStatus}: ${message}`);
+  }
+
+  /**
+   * Compare-and-set the status and any extra columns. Throws
+   * AutofixCancelled when the row is no longer in `from` — the only
+   * other writer is cancel_autofix.
+   */
+  async function transition(runId, from, to, message, fields = {}, detail = {}) {
+    const cols = Object.keys(fields);
+    const sets = cols.map((c, i) => `${c} = $${i + 4}`);
+    const { rowCount } = await pool.query(
+      `UPDATE autofix_runs
+          SET status = $3, ${sets.length ? `${sets.join(', ')}, ` : ''}updated_at = NOW()
+        WHERE id = $1 AND status = $2`,
+      [runId, from, to, ...cols.map((c) => fields[c])],
+    );
+    if (rowCount === 0) throw new AutofixCancelled();
+    await logEvent(runId, from, to, message, detail);
+  }
+
+  /** Update columns without changing status; same cancel check. */
+  async function updateWhile(runId, status, fields) {
+    const cols = Object.keys(fields);
+    const { rowCount } = await pool.query(
+      `UPDATE autofix_runs
+          SET ${cols.map((c, i) => `${c} = $${i + 3}`).join(', ')}, updated_at = NOW()
+        WHERE id = $1 AND status = $2`,
+      [runId, status, ...cols.map((c) => fields[c])],
+    );
+    if (rowCount === 0) throw new AutofixCancelled();
+  }
+
+  async function isCancelled(runId) {
+    const { rows } = await pool.query('SELECT status FROM autofix_runs WHERE id = $1', [runId]);
+    return !rows[0] || rows[0].status === 'cancelled';
+  }
+
+  async function claimNextRun() {
+    const { rows } = await pool.query(
+      `UPDATE autofix_runs
+          SET status = 'running', heartbeat_at = NOW(), updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM autofix_runs
+           WHERE status = 'pending'
+           ORDER BY created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+    );
+    return rows[0] || null;
+  }
+
+  async function loadContext(run) {
+    if (!run.error_triage_id) return null;
+    const { rows } = await pool.query(
+      `SELECT et.category, et.root_cause, et.suggested_fix, et.confidence, et.github_issue_url,
+              ee.service, ee.severity, ee.message, ee.stack_trace, ee.occurrence_count, ee.log_url
+         FROM error_triage et
+         JOIN error_events ee ON et.error_event_id = ee.id
+        WHERE et.id = $1`,
+      [run.error_triage_id],
+    );
+    return rows[0] || null;
+  }
+
+  // ---- Steps --------------------------------------------------------------
+
+  function renderFixPrompt(ctx) {
+    return [
+      '# Production error to fix',
+      '',
+      `- service: ${ctx.service}`,
+      `- severity: ${ctx.severity}`,
+      `- occurrences: ${ctx.occurrence_count}`,
+      '',
+      '## Message',
+      ctx.message || '(empty)',
+      '',
+      '## Stack trace',
+      ctx.stack_trace || '(none captured)',
+      '',
+      '## Triage',
+      `- category: ${ctx.category} (confidence ${ctx.confidence})`,
+      '',
+      '### Root cause',
+      ctx.root_cause || '(not determined)',
+      '',
+      '### Suggested fix',
+      ctx.suggested_fix || '(none)',
+    ].join('\n');
+  }
+
+  async function runAgent(run, checkoutDir, ctx) {
+    let output = '';
+    const agent = spawnAgent({
+      cwd: checkoutDir,
+      prompt: renderFixPrompt(ctx),
+      systemPrompt: AGENT_SYSTEM_APPEND,
+      onOutput: (chunk) => { output = (output + chunk).slice(-TEST_OUTPUT_MAX_CHARS); },
+    });
+    try {
+      await updateWhile(run.id, 'running', { agent_pid: agent.pid ?? null, agent_instance: INSTANCE_ID });
+    } catch (err) {
+      killAgentProcess(agent.pid);
+      throw err;
+    }
+    killOnCancel(agent, () => isCancelled(run.id));
+    const exit = await agent.done;
+    return { exit, output };
+  }
+
+  /** Run the command's steps in order, stopping at the first that fails; testTimeoutMs covers them all. */
+  async function runTests(run, checkoutDir, command) {
+    let output = '';
+    let exit = { code: 0, signal: null };
+    const deadline = Date.now() + testTimeoutMs;
+    for (const argv of allowedTests.get(command)) {
+      output = `${output}$ ${argv.join(' ')}\n`.slice(-TEST_OUTPUT_MAX_CHARS);
+      const proc = spawnCommand(argv, {
+        cwd: checkoutDir,
+        timeoutMs: Math.max(deadline - Date.now(), 1),
+        onOutput: (chunk) => { output = (output + chunk).slice(-TEST_OUTPUT_MAX_CHARS); },
+      });
+      try {
+        await updateWhile(run.id, 'testing', { agent_pid: proc.pid ?? null, agent_instance: INSTANCE_ID });
+      } catch (err) {
+        killAgentProcess(proc.pid);
+        throw err;
+      }
+      killOnCancel(proc, () => isCancelled(run.id));
+      exit = await proc.done;
+      if (exit.code !== 0) break;
+    }
+    return { exit, output };
+  }
+
+  async function openPr(run, ctx, branch, base, { fixDescription, files, testOutput }) {
+    const body = [
+      `Automated fix for a production error in \`${ctx.service}\` (autofix run \`${run.id}\`).`,
+      ctx.github_issue_url ? `\nTriage issue: ${ctx.github_issue_url}` : '',
+      '',
+      '## Error',
+      '```',
+      (ctx.message || '').slice(0, 2000),
+      '```',
+      '',
+      '## Root cause (from triage)',
+      ctx.root_cause || '(not determined)',
+      '',
+      '## What changed',
+      fixDescription || '(no summary)',
+      '',
+      '## Files',
+      ...files.map((f) => `- \`${f}\``),
+      '',
+      '## Tests',
+      'Passed. Tail of output:',
+      '```',
+      testOutput.slice(-3000),
+      '```',
+      '',
+      `<!-- agentbox-autofix: run_id=${run.id} triage_id=${run.error_triage_id || ''} -->`,
+    ].join('\n');
+
+    const pr = await callGitHub(
+      `/repos/${githubOrg}/${run.repo}/pulls`,
+      {},
+      {
+        method: 'POST',
+        body: {
+          title: `[autofix][${ctx.service}] ${(ctx.message || '').split('\n')[0]}`.slice(0, 250),
+          head: branch,
+          base,
+          body,
+        },
+      },
+    );
+    return pr.html_url;
+  }
+
+  // ---- Orchestration ------------------------------------------------------
+
+  async function executeRun(run) {
+    const runDir = path.join(workRoot, run.id);
+    const meta = run.metadata || {};
+    const base = meta.base_branch || baseBranch;
+    const command = meta.test_command || testCommand;
+    const branch = run.branch || `autofix/${run.id.slice(0, 8)}`;
+    let state = 'running';
+    const stopHeartbeat = startHeartbeat(() => pool.query(
+      `UPDATE autofix_runs SET heartbeat_at = NOW() WHERE id = $1 AND status IN ('running', 'testing')`,
+      [run.id],
+    ));
+
+    try {
+      await logEvent(run.id, 'pending', 'running', 'Claimed by autofix runner');
+
+      if (!allowedTests.has(command)) {
+        await transition(run.id, state, 'failed', 'Test command is not allow-listed', {
+          error_message: `Test command not allowed: ${command}. Add it to AUTOFIX_TEST_COMMANDS`.slice(0, 2000),
+        });
+        return;
+      }
+
+      const ctx = await loadContext(run);
+      if (!ctx) {
+        await transition(run.id, state, 'failed', 'No linked error triage to fix', {
+          error_message: 'autofix run has no error_triage with a root cause',
+        });
+        return;
+      }
+
+      mkdirSync(workRoot, { recursive: true });
+      const token = await getGitHubToken();
+      await runGit(['clone', '--no-tags', '--branch', base, remoteUrl(githubOrg, run.repo), runDir], { token });
+      await runGit(['checkout', '-b', branch], { cwd: runDir });
+      await updateWhile(run.id, state, { branch });
+      await logEvent(run.id, state, state, `Checked out ${run.repo}@${base} on ${branch}`);
+
+      // Agent
+      const agent = await runAgent(run, runDir, ctx);
+      const fixDescription = agent.output.trim().slice(-AGENT_SUMMARY_MAX_CHARS);
+      if (agent.exit.code !== 0) {
+        await transition(run.id, state, 'failed', 'Fix agent did not complete', {
+          agent_pid: null,
+          fix_description: fixDescription || null,
+          error_message: agent.exit.error || `Agent exited with code ${agent.exit.code}${agent.exit.signal ? ` (${agent.exit.signal})` : ''}`,
+        });
+        return;
+      }
+
+      const { files } = await commitAll(runDir, `fix(${ctx.service}): autofix ${run.id.slice(0, 8)}`, `origin/${base}`);
+      if (files.length === 0) {
+        await transition(run.id, state, 'failed', 'Fix agent made no changes', {
+          agent_pid: null,
+          fix_description: fixDescription || null,
+          error_message: 'Agent exited cleanly but changed no files',
+        });
+        return;
+      }
+
+      await transition(run.id, state, 'testing', `Agent changed ${files.length} file(s); running \`${command}\``, {
+        agent_pid: null,
+        fix_description: fixDescription,
+        files_changed: JSON.stringify(files),
+      }, { files });
+      state = 'testing';
+
+      // Tests
+      const tests = await runTests(run, runDir, command);
+      const passed = tests.exit.code === 0;
+      await updateWhile(run.id, state, {
+        agent_pid: null,
+        test_output: tests.output,
+        tests_passed: passed,
+      });
+
+      if (!passed) {
+        const reason = tests.exit.timedOut
+          ? `Tests timed out after ${Math.round(testTimeoutMs / 1000)}s`
+          : `Tests failed (exit ${tests.exit.code})`;
+        await transition(run.id, state, 'failed', `${reason}; no PR opened`, { error_message: reason });
+        return;
+      }
+
+      // PR
+      const pushToken = await getGitHubToken();
+      await runGit(['push', authedRemoteUrl(githubOrg, run.repo, pushToken), `${branch}:${branch}`], { cwd: runDir });
+      const prUrl = await openPr(run, ctx, branch, base, { fixDescription, files, testOutput: tests.output });
+      await transition(run.id, state, 'success', `Tests passed; opened ${prUrl}`, { pr_url: prUrl });
+    } catch (err) {
+      if (err instanceof AutofixCancelled) {
+        await logEvent(run.id, 'cancelled', 'cancelled', `Runner stopped during ${state}`);
+        return;
+      }
+      logger.error(`[autofix-runner] ${run.id} failed: ${err.message}`);
+      await transition(run.id, state, 'failed', `Runner error: ${err.message}`.slice(0, 1000), {
+        agent_pid: null,
+        error_message: String(err.message || err).slice(0, 2000),
+      }).catch(() => {});
+    } finally {
+      stopHeartbeat();
+      rmSync(runDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Claim and execute the oldest pending autofix run. One at a time per
+   * instance — overlapping ticks return immediately.
+   */
+  async function runNext() {
+    if (active) return { skipped: true, reason: 'already_running' };
+    active = true;
+    try {
+      const run = await claimNextRun();
+      if (!run) return { skipped: true, reason: 'nothing_pending' };
+      await executeRun(run);
+      return { ran: run.id };
+    } finally {
+      active = false;
+    }
+  }
+
+  /**
+   * Agent/test processes die with their instance, so a running/testing run
+   * whose heartbeat is older than the lease is orphaned. Fail it with a
+   * logged reason. Runs another instance is still executing keep
+   * heartbeating and are never touched.
+   */
+  async function recoverOrphanedRuns() {
+    const { rows } = await pool.query(
+      `UPDATE autofix_runs ar
+          SET status = 'failed', error_message = 'Runner stopped mid-run',
+              agent_pid = NULL, updated_at = NOW()
+         FROM (SELECT id, status FROM autofix_runs
+                WHERE status IN ('running', 'testing')
+                  AND COALESCE(heartbeat_at, updated_at) < NOW() - $1 * INTERVAL '1 millisecond'
+                  FOR UPDATE) prev
+        WHERE ar.id = prev.id
+        RETURNING ar.id, prev.status AS from_status`,
+      [leaseMs],
+    );
+    for (const r of rows) {
+      await logEvent(r.id, r.from_status, 'failed', 'Runner stopped mid-run (no heartbeat)');
+    }
+    return rows.length;
+  }
+
+  return {
+    runNext,
+    recoverOrphanedRuns,
+  };
+}
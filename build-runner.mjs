@@ -0,0 +1,462 @@
+// build-runner.mjs
+//
+// Executor for build_runs (Layer 1 build agents).
+//
+// Flow (one run at a time per instance):
+//   1. Claim — UPDATE build_runs SET status='running' on the oldest pending
+//      row (FOR UPDATE SKIP LOCKED, so two instances never share a run)
+//   2. Decompose — Claude splits spec_body into 1..MAX_TASKS independent
+//      tasks via a forced record_build_tasks tool call → build_tasks rows
+//   3. Clone repo@branch once, then one git worktree + branch per task
+//   4. Run the Claude Code CLI in each worktree through a bounded pool
+//      (BUILD_CONCURRENCY). stdout/stderr stream into build_tasks.output_log;
+//      completed_tasks / failed_tasks are bumped as each task finishes
+//   5. Merge every successful task branch into one integration branch, push,
+//      open a single PR → build_runs.pr_url
+//
+// Cancellation: cancel_build_run flips the run + tasks to 'cancelled' and
+// kills each task's agent_pid if this instance spawned it; agents on other
+// instances are stopped by their own instance's killOnCancel poll. The pool
+// checks the run status before starting each task and on every task exit,
+// so nothing new launches and the killed tasks aren't mis-recorded as
+// failures.
+//
+// Liveness: the executing instance bumps build_runs.heartbeat_at while the
+// run is in flight. recoverOrphanedRuns (at boot and on every tick, on
+// every instance) fails only runs whose heartbeat is older than
+// RUN_LEASE_MS, i.e. whose instance died; runs live elsewhere are left
+// alone.
+//
+// Entry point: createBuildRunner({ pool, anthropic, callGitHub, ... }).runNext()
+
+import { mkdirSync, rmSync } from 'node:fs';
+import path from 'node:path';
+import {
+  runGit,
+  authedRemoteUrl,
+  remoteUrl,
+  commitAll,
+  spawnAgent,
+  killAgentProcess,
+  killOnCancel,
+  createOutputBuffer,
+  startHeartbeat,
+  INSTANCE_ID,
+  RUN_LEASE_MS,
+} from './tools/workspace.mjs';
+import { recordLlmUsage } from './llm-usage.mjs';
+
+const PLANNER_MODEL = process.env.BUILD_PLANNER_MODEL || 'claude-sonnet-4-6';
+const MAX_TASKS = 8;
+const OUTPUT_LOG_MAX_CHARS = 200_000;
+
+const PLANNER_SYSTEM = `You split a software build spec into independent tasks for parallel coding agents.
+
+Each task runs in its own git worktree off the same base commit, with no visibility into the other tasks. Their branches are merged together afterwards, so:
+
+- Tasks must not edit the same files. If two pieces of work need the same file, make them one task.
+- Each task must be completable on its own and leave the code compiling.
+- Prefer fewer, larger tasks over many tiny ones. Never more than ${MAX_TASKS}.
+- The description is the agent's entire brief: include the relevant requirements from the spec verbatim, the files or areas to touch, and how to verify the work.
+
+You MUST respond by calling the record_build_tasks tool.`;
+
+const RECORD_TASKS_TOOL = {
+  name: 'record_build_tasks',
+  description: 'Record the task breakdown for this build spec.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      tasks: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_TASKS,
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string', description: 'Short imperative title' },
+            description: { type: 'string', description: 'Full brief for the coding agent' },
+          },
+          required: ['title', 'description'],
+        },
+      },
+    },
+    required: ['tasks'],
+  },
+};
+
+const AGENT_SYSTEM_APPEND = `You are one of several agents building parts of a spec in parallel. Work only on the task you are given, only inside the current directory. Do not run git commit, git push or open PRs — the orchestrator commits and merges your changes. If the repo has a test or build command, run it before you finish.`;
+
+export function createBuildRunner({
+  pool,
+  anthropic,
+  callGitHub,
+  getGitHubToken,
+  githubOrg,
+  workRoot,
+  concurrency = 3,
+  leaseMs = RUN_LEASE_MS,
+  logger = console,
+}) {
+  if (!pool) throw new Error('pool is required');
+  if (!workRoot) throw new Error('workRoot is required');
+
+  let active = false;
+
+  // ---- Claim + status helpers ---------------------------------------------
+
+  async function claimNextRun() {
+    const { rows } = await pool.query(
+      `UPDATE build_runs
+          SET status = 'running', started_at = NOW(), heartbeat_at = NOW(), updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM build_runs
+           WHERE status = 'pending'
+           ORDER BY created_at ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+    );
+    return rows[0] || null;
+  }
+
+  async function isCancelled(runId) {
+    const { rows } = await pool.query('SELECT status FROM build_runs WHERE id = $1', [runId]);
+    return !rows[0] || rows[0].status === 'cancelled';
+  }
+
+  async function finishRun(runId, { status, prUrl = null, errorMessage = null }) {
+    // WHERE status='running' so a cancel that landed mid-flight wins.
+    await pool.query(
+      `UPDATE build_runs
+          SET status = $2,
+              pr_url = COALESCE($3, pr_url),
+              error_message = $4,
+              completed_at = NOW(),
+              updated_at = NOW()
+        WHERE id = $1 AND status = 'running'`,
+      [runId, status, prUrl, errorMessage ? String(errorMessage).slice(0, 2000) : null],
+    );
+  }
+
+  // ---- Decompose ----------------------------------------------------------
+
+  async function decomposeSpec(run) {
+    const resp = await anthropic.messages.create({
+      model: PLANNER_MODEL,
+      max_tokens: 8000,
+      system: PLANNER_SYSTEM,
+      tools: [RECORD_TASKS_TOOL],
+      tool_choice: { type: 'tool', name: 'record_build_tasks' },
+      messages: [{
+        role: 'user',
+        content: [
+          `Repo: ${run.repo} (base branch: ${run.branch})`,
+          `Title: ${run.spec_title}`,
+          '',
+          'Spec:',
+          run.spec_body,
+        ].join('\n'),
+      }],
+    });
+    await recordLlmUsage(pool, {
+      response: resp,
+      feature: 'build_planner',
+      entity_type: 'build_run',
+      entity_id: run.id,
+    });
+
+    const toolUse = resp.content.find((b) => b.type === 'tool_use');
+    const tasks = (toolUse?.input?.tasks || [])
+      .filter((t) => t && typeof t.title === 'string' && t.title.trim())
+      .slice(0, MAX_TASKS);
+    if (tasks.length === 0) throw new Error('Planner returned no tasks');
+
+    const inserted = [];
+    for (const t of tasks) {
+      const { rows } = await pool.query(
+        `INSERT INTO build_tasks (build_run_id, title, description)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [run.id, t.title.trim().slice(0, 250), t.description || ''],
+      );
+      inserted.push(rows[0]);
+    }
+    await pool.query(
+      'UPDATE build_runs SET total_tasks = $2, updated_at = NOW() WHERE id = $1',
+      [run.id, inserted.length],
+    );
+    return inserted;
+  }
+
+  // ---- Per-task execution -------------------------------------------------
+
+  async function appendTaskLog(taskId, text) {
+    await pool.query(
+      `UPDATE build_tasks
+          SET output_log = RIGHT(COALESCE(output_log, '') || $2, ${OUTPUT_LOG_MAX_CHARS}),
+              updated_at = NOW()
+        WHERE id = $1`,
+      [taskId, text],
+    );
+  }
+
+  async function runTask({ run, task, baseDir, taskBranch }) {
+    const worktreePath = path.join(path.dirname(baseDir), `task-${task.id}`);
+    await runGit(['worktree', 'add', '-b', taskBranch, worktreePath, `origin/${run.branch}`], { cwd: baseDir });
+
+    const output = createOutputBuffer((text) => appendTaskLog(task.id, text));
+    const agent = spawnAgent({
+      cwd: worktreePath,
+      prompt: [
+        `# Build: ${run.spec_title}`,
+        '',
+        `## Your task: ${task.title}`,
+        '',
+        task.description || '',
+      ].join('\n'),
+      systemPrompt: AGENT_SYSTEM_APPEND,
+      onOutput: (chunk) => output.write(chunk),
+    });
+
+    const started = await pool.query(
+      `UPDATE build_tasks
+          SET status = 'running', worktree_path = $2, agent_pid = $3, agent_instance = $4,
+              started_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'pending'`,
+      [task.id, worktreePath, agent.pid ?? null, INSTANCE_ID],
+    );
+    // Cancelled between the pool's check and the spawn — the cancel
+    // handler never saw this pid, so stop it here.
+    if (started.rowCount === 0) killAgentProcess(agent.pid);
+    else killOnCancel(agent, () => isCancelled(run.id));
+
+    const exit = await agent.done;
+    await output.close();
+
+    if (await isCancelled(run.id)) return { cancelled: true };
+
+    let status = 'failed';
+    let errorMessage = null;
+    let files = [];
+    if (exit.code === 0) {
+      const commit = await commitAll(worktreePath, `build(${run.id.slice(0, 8)}): ${task.title}`, `origin/${run.branch}`);
+      files = commit.files;
+      if (files.length > 0) status = 'success';
+      else errorMessage = 'Agent exited cleanly but changed no files';
+    } else {
+      errorMessage = exit.error || `Agent exited with code ${exit.code}${exit.signal ? ` (${exit.signal})` : ''}`;
+    }
+
+    await pool.query(
+      `UPDATE build_tasks
+          SET status = $2, files_changed = $3, error_message = $4,
+              agent_pid = NULL, completed_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status = 'running'`,
+      [task.id, status, JSON.stringify(files), errorMessage],
+    );
+    await pool.query(
+      `UPDATE build_runs
+          SET ${status === 'success' ? 'completed_tasks = completed_tasks + 1' : 'failed_tasks = failed_tasks + 1'},
+              updated_at = NOW()
+        WHERE id = $1`,
+      [run.id],
+    );
+    return { status, taskBranch, files };
+  }
+
+  async function runPool(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const i = next++;
+        results[i] = await fn(items[i], i);
+      }
+    });
+    await Promise.all(workers);
+    return results;
+  }
+
+  // ---- Integrate + PR -----------------------------------------------------
+
+  async function mergeAndOpenPr({ run, baseDir, integrationBranch, succeeded, tasks }) {
+    await runGit(['checkout', '-b', integrationBranch, `origin/${run.branch}`], { cwd: baseDir });
+
+    const merged = [];
+    for (const r of succeeded) {
+      try {
+        await runGit([
+          '-c', 'user.name=agentbox-bot',
+          '-c', 'user.email=agentbox-bot@users.noreply.github.com',
+          'merge', '--no-ff', '-m', `Merge ${r.taskBranch}`, r.taskBranch,
+        ], { cwd: baseDir });
+        merged.push(r);
+      } catch (err) {
+        await runGit(['merge', '--abort'], { cwd: baseDir }).catch(() => {});
+        logger.error(`[build-runner] ${run.id}: merge of ${r.taskBranch} failed: ${err.message}`);
+        await pool.query(
+          `UPDATE build_tasks SET status = 'failed', error_message = $2, updated_at = NOW() WHERE id = $1`,
+          [r.task.id, 'Merge conflict with another task branch'],
+        );
+        await pool.query(
+          `UPDATE build_runs
+              SET completed_tasks = completed_tasks - 1, failed_tasks = failed_tasks + 1, updated_at = NOW()
+            WHERE id = $1`,
+          [run.id],
+        );
+      }
+    }
+    if (merged.length === 0) return { prUrl: null, merged };
+
+    const token = await getGitHubToken();
+    await runGit(['push', authedRemoteUrl(githubOrg, run.repo, token), `${integrationBranch}:${integrationBranch}`], { cwd: baseDir });
+
+    const failed = tasks.length - merged.length;
+    const body = [
+      `Automated build for **${run.spec_title}** (build run \`${run.id}\`).`,
+      '',
+      '## Tasks',
+      ...merged.map((r) => `- [x] ${r.task.title} — ${r.files.length} file(s)`),
+      ...tasks
+        .filter((t) => !merged.some((r) => r.task.id === t.id))
+        .map((t) => `- [ ] ${t.title} — not included`),
+      '',
+      failed > 0 ? `⚠️ ${failed} task(s) failed or conflicted; see \`get_build_run\` for logs.` : 'All tasks completed.',
+      '',
+      `<!-- agentbox-build: run_id=${run.id} -->`,
+    ].join('\n');
+
+    const pr = await callGitHub(
+      `/repos/${githubOrg}/${run.repo}/pulls`,
+      {},
+      {
+        method: 'POST',
+        body: {
+          title: `[build] ${run.spec_title}`.slice(0, 250),
+          head: integrationBranch,
+          base: run.branch,
+          body,
+        },
+      },
+    );
+    return { prUrl: pr.html_url, merged };
+  }
+
+  // ---- Orchestration ------------------------------------------------------
+
+  async function executeRun(run) {
+    const runDir = path.join(workRoot, run.id);
+    const baseDir = path.join(runDir, 'base');
+    const short = run.id.slice(0, 8);
+    const integrationBranch = `build/${short}`;
+    const stopHeartbeat = startHeartbeat(() => pool.query(
+      `UPDATE build_runs SET heartbeat_at = NOW() WHERE id = $1 AND status = 'running'`,
+      [run.id],
+    ));
+
+    try {
+      const tasks = await decomposeSpec(run);
+      logger.log(`[build-runner] ${run.id}: ${tasks.length} task(s) planned`);
+      if (await isCancelled(run.id)) return;
+
+      mkdirSync(runDir, { recursive: true });
+      const token = await getGitHubToken();
+      await runGit(['clone', '--no-tags', '--branch', run.branch, remoteUrl(githubOrg, run.repo), baseDir], { token });
+
+      const results = await runPool(tasks, concurrency, async (task, i) => {
+        if (await isCancelled(run.id)) return { cancelled: true };
+        try {
+          const r = await runTask({ run, task, baseDir, taskBranch: `build-task/${short}/${i + 1}` });
+          return { ...r, task };
+        } catch (err) {
+          await pool.query(
+            `UPDATE build_tasks
+                SET status = 'failed', error_message = $2, agent_pid = NULL,
+                    completed_at = NOW(), updated_at = NOW()
+              WHERE id = $1 AND status IN ('pending', 'running')`,
+            [task.id, String(err.message || err).slice(0, 2000)],
+          );
+          await pool.query('UPDATE build_runs SET failed_tasks = failed_tasks + 1, updated_at = NOW() WHERE id = $1', [run.id]);
+          return { status: 'failed', task };
+        }
+      });
+
+      if (await isCancelled(run.id)) return;
+
+      const succeeded = results.filter((r) => r.status === 'success');
+      if (succeeded.length === 0) {
+        await finishRun(run.id, { status: 'failed', errorMessage: 'No task produced changes' });
+        return;
+      }
+
+      const { prUrl, merged } = await mergeAndOpenPr({ run, baseDir, integrationBranch, succeeded, tasks });
+      const allGood = merged.length === tasks.length;
+      await finishRun(run.id, {
+        status: allGood ? 'success' : 'failed',
+        prUrl,
+        errorMessage: allGood ? null : `${tasks.length - merged.length} of ${tasks.length} task(s) not included in the PR`,
+      });
+      logger.log(`[build-runner] ${run.id}: ${merged.length}/${tasks.length} merged → ${prUrl || '(no PR)'}`);
+    } catch (err) {
+      logger.error(`[build-runner] ${run.id} failed: ${err.message}`);
+      await finishRun(run.id, { status: 'failed', errorMessage: err.message });
+    } finally {
+      stopHeartbeat();
+      rmSync(runDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Claim and execute the oldest pending build run. Returns immediately if
+   * this instance is already executing one — runs are long, and the pool
+   * inside a run is where the parallelism lives.
+   */
+  async function runNext() {
+    if (active) return { skipped: true, reason: 'already_running' };
+    active = true;
+    try {
+      const run = await claimNextRun();
+      if (!run) return { skipped: true, reason: 'nothing_pending' };
+      logger.log(`[build-runner] claimed ${run.id} (${run.repo}@${run.branch}): ${run.spec_title}`);
+      await executeRun(run);
+      return { ran: run.id };
+    } finally {
+      active = false;
+    }
+  }
+
+  /**
+   * Agent processes die with their instance, so a 'running' run whose
+   * heartbeat is older than the lease is orphaned. Mark it and its
+   * unfinished tasks failed. Runs other instances are still executing keep
+   * heartbeating and are never touched.
+   */
+  async function recoverOrphanedRuns() {
+    const { rows } = await pool.query(
+      `UPDATE build_runs
+          SET status = 'failed', error_message = 'Executor stopped mid-run',
+              completed_at = NOW(), updated_at = NOW()
+        WHERE status = 'running'
+          AND COALESCE(heartbeat_at, updated_at) < NOW() - $1 * INTERVAL '1 millisecond'
+        RETURNING id`,
+      [leaseMs],
+    );
+    if (rows.length > 0) {
+      await pool.query(
+        `UPDATE build_tasks
+            SET status = 'failed', error_message = 'Executor stopped mid-run',
+                agent_pid = NULL, updated_at = NOW()
+          WHERE build_run_id = ANY($1) AND status IN ('pending', 'running')`,
+        [rows.map((r) => r.id)],
+      );
+      logger.log(`[build-runner] marked ${rows.length} orphaned run(s) failed`);
+    }
+    return rows.length;
+  }
+
+  return {
+    runNext,
+    recoverOrphanedRuns,
+  };
+}
@@ -0,0 +1,364 @@
+// chat-store.mjs
+//
+// Server-side persistence for /chat and /chat/stream conversations.
+//
+// A conversation belongs to the authenticated caller (req.mcpIdentity):
+// Firebase users own theirs by uid, API keys by key id. Callers on the shared
+// service key and anonymous monitor-mode callers are told apart by session
+// (identity.session, set by server.js), so they own 'service:<session>' and
+// 'anonymous:<session>'. Every lookup is scoped by owner, so someone else's
+// conversation id is simply "not found".
+//
+// chat_messages stores the Anthropic message content (tool_use /
+// tool_result blocks included), one row per message, ordered by seq. Tool
+// inputs and results are redacted on the way in, the way audit_log stores
+// arguments (redactArgs): secret-looking keys masked, base64 and oversized
+// strings summarised. What goes *back to the model* is compacted by
+// buildContext():
+//
+//   1. tool_result payloads older than the last KEEP_FULL_TOOL_TURNS tool
+//      turns are cut to a TOOL_RESULT_PREVIEW_CHARS preview
+//   2. if the thread is still over CONTEXT_BUDGET_TOKENS (chars / 4), the
+//      oldest whole exchanges are summarised by SUMMARY_MODEL into
+//      chat_conversations.summary (summarised_through_seq marks where) and
+//      dropped; the summary rides along in the system prompt
+//
+// The stored rows are never rewritten, so export always returns the full
+// thread.
+
+import { recordLlmUsage } from './llm-usage.mjs';
+import { redactArgs } from './audit-log.mjs';
+
+const SUMMARY_MODEL = process.env.CHAT_SUMMARY_MODEL || 'claude-haiku-4-5-20251001';
+const CONTEXT_BUDGET_TOKENS = parseInt(process.env.CHAT_CONTEXT_BUDGET_TOKENS || '120000', 10);
+const KEEP_FULL_TOOL_TURNS = 2;
+const TOOL_RESULT_PREVIEW_CHARS = 2000;
+const SUMMARY_INPUT_MAX_CHARS = 200_000;
+const TITLE_MAX_CHARS = 80;
+
+export function ownerKey(identity) {
+  if (identity?.kind === 'user' && identity.uid) return `user:${identity.uid}`;
+  if (identity?.kind === 'api_key' && identity.keyId) return `api_key:${identity.keyId}`;
+  const kind = identity?.kind === 'service' ? 'service' : 'anonymous';
+  return identity?.session ? `${kind}:${identity.session}` : kind;
+}
+
+/**
+ * ownerKey for things a caller keeps to themselves (conversations, tool
+ * approvals): a bare 'service' or 'anonymous' would share them between
+ * every such caller, so those need a session.
+ */
+export function privateOwnerKey(identity) {
+  const owner = ownerKey(identity);
+  if (owner === 'service' || owner === 'anonymous') {
+    throw new Error(`Invalid caller: ${owner} callers need a session id (X-Session-Id)`);
+  }
+  return owner;
+}
+
+export function createChatStore({ pool, anthropic, logger = console }) {
+
+  // ---- Conversations ------------------------------------------------------
+
+  async function createConversation(identity, { title } = {}) {
+    const { rows } = await pool.query(
+      `INSERT INTO chat_conversations (owner, owner_email, title)
+       VALUES ($1, $2, $3) RETURNING *`,
+      [privateOwnerKey(identity), identity?.email || null, title ? String(title).slice(0, TITLE_MAX_CHARS) : null],
+    );
+    return rows[0];
+  }
+
+  async function getConversation(identity, id) {
+    const { rows } = await pool.query(
+      'SELECT * FROM chat_conversations WHERE id = $1 AND owner = $2',
+      [id, privateOwnerKey(identity)],
+    );
+    if (!rows[0]) throw new Error(`Conversation not found: ${id}`);
+    return rows[0];
+  }
+
+  async function listConversations(identity, { limit } = {}) {
+    const { rows } = await pool.query(
+      `SELECT id, title, message_count, created_at, updated_at
+         FROM chat_conversations
+        WHERE owner = $1
+        ORDER BY updated_at DESC
+        LIMIT $2`,
+      [privateOwnerKey(identity), Math.min(limit || 50, 200)],
+    );
+    return rows;
+  }
+
+  async function renameConversation(identity, id, title) {
+    if (!title || !String(title).trim()) throw new Error('title is required');
+    const { rows } = await pool.query(
+      `UPDATE chat_conversations SET title = $3, updated_at = NOW()
+        WHERE id = $1 AND owner = $2 RETURNING id, title, updated_at`,
+      [id, privateOwnerKey(identity), String(title).trim().slice(0, TITLE_MAX_CHARS)],
+    );
+    if (!rows[0]) throw new Error(`Conversation not found: ${id}`);
+    return rows[0];
+  }
+
+  async function deleteConversation(identity, id) {
+    const { rowCount } = await pool.query(
+      'DELETE FROM chat_conversations WHERE id = $1 AND owner = $2',
+      [id, privateOwnerKey(identity)],
+    );
+    if (rowCount === 0) throw new Error(`Conversation not found: ${id}`);
+    return { success: true, deleted: id };
+  }
+
+  async function getMessages(conversationId) {
+    const { rows } = await pool.query(
+      'SELECT seq, role, content, created_at FROM chat_messages WHERE conversation_id = $1 ORDER BY seq',
+      [conversationId],
+    );
+    return rows;
+  }
+
+  /**
+   * Full thread for download. `format` = 'json' (conversation + raw
+   * messages) or 'markdown' (text turns, tool calls as one-line notes).
+   */
+  async function exportConversation(identity, id, format = 'json') {
+    const conversation = await getConversation(identity, id);
+    const messages = await getMessages(id);
+    if (format !== 'markdown') return { conversation, messages };
+
+    const lines = [`# ${conversation.title || 'Untitled conversation'}`, '', `_Exported ${new Date().toISOString()}_`, ''];
+    for (const m of messages) {
+      const blocks = typeof m.content === 'string' ? [{ type: 'text', text: m.content }] : m.content;
+      for (const b of blocks) {
+        if (b.type === 'text' && b.text) lines.push(`**${m.role}:** ${b.text}`, '');
+        else if (b.type === 'tool_use') lines.push(`> tool call \`${b.name}\` ${JSON.stringify(b.input)}`, '');
+        else if (b.type === 'tool_result') lines.push(`> tool result${b.is_error ? ' (error)' : ''}: ${contentLength(b.content)} chars`, '');
+      }
+    }
+    return { conversation, markdown: lines.join('\n') };
+  }
+
+  // ---- Messages -----------------------------------------------------------
+
+  /**
+   * Append messages in order, tool blocks redacted. Sets the title from the
+   * first user message when the conversation doesn't have one yet.
+   */
+  async function appendMessages(conversationId, messages) {
+    if (messages.length === 0) return;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        'SELECT message_count, title FROM chat_conversations WHERE id = $1 FOR UPDATE',
+        [conversationId],
+      );
+      if (!rows[0]) throw new Error(`Conversation not found: ${conversationId}`);
+      let seq = rows[0].message_count;
+      for (const m of messages) {
+        await client.query(
+          `INSERT INTO chat_messages (conversation_id, seq, role, content)
+           VALUES ($1, $2, $3, $4)`,
+          [conversationId, seq++, m.role, JSON.stringify(redactContent(m.content))],
+        );
+      }
+      const firstText = messages.find((m) => m.role === 'user' && typeof m.content === 'string')?.content;
+      await client.query(
+        `UPDATE chat_conversations
+            SET message_count = $2,
+                title = COALESCE(title, $3),
+                updated_at = NOW()
+          WHERE id = $1`,
+        [conversationId, seq, firstText ? firstText.replace(/\s+/g, ' ').trim().slice(0, TITLE_MAX_CHARS) : null],
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ---- Model context ------------------------------------------------------
+
+  /**
+   * Messages to send to the model for this conversation (compacted as
+   * described in the header) plus a system-prompt suffix carrying the
+   * running summary, if there is one.
+   *
+   * @returns {Promise<{ messages: Array, systemSuffix: string }>}
+   */
+  async function buildContext(conversation) {
+    const rows = (await getMessages(conversation.id))
+      .filter((m) => m.seq > (conversation.summarised_through_seq ?? -1));
+    let summary = conversation.summary || '';
+    let messages = truncateOldToolResults(rows);
+
+    while (estimateTokens(messages) + estimateTokens(summary) > CONTEXT_BUDGET_TOKENS) {
+      const cut = findSummaryCut(messages);
+      if (cut <= 0) break;
+      const dropped = messages.slice(0, cut);
+      summary = await summarise(conversation, summary, dropped);
+      const throughSeq = dropped[dropped.length - 1].seq;
+      await pool.query(
+        `UPDATE chat_conversations SET summary = $2, summarised_through_seq = $3 WHERE id = $1`,
+        [conversation.id, summary, throughSeq],
+      );
+      conversation.summary = summary;
+      conversation.summarised_through_seq = throughSeq;
+      messages = messages.slice(cut);
+      logger.log(`[chat-store] ${conversation.id}: summarised through seq ${throughSeq}`);
+    }
+
+    return {
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      systemSuffix: summary ? `\n\n## Earlier in this conversation (summary)\n${summary}` : '',
+    };
+  }
+
+  async function summarise(conversation, previousSummary, dropped) {
+    const transcript = dropped.map((m) => `${m.role.toUpperCase()}: ${renderForSummary(m.content)}`).join('\n\n');
+    const resp = await anthropic.messages.create({
+      model: SUMMARY_MODEL,
+      max_tokens: 1500,
+      system: 'You maintain a running summary of an operator\'s chat with an infrastructure assistant. Keep every fact, id, decision and open question the assistant may need later. Plain prose or terse bullets, no preamble.',
+      messages: [{
+        role: 'user',
+        content: [
+          previousSummary ? `Summary so far:\n${previousSummary}\n` : '',
+          'Fold these older turns into the summary:',
+          transcript.slice(0, SUMMARY_INPUT_MAX_CHARS),
+        ].join('\n'),
+      }],
+    });
+    await recordLlmUsage(pool, {
+      response: resp,
+      feature: 'chat_summary',
+      entity_type: 'chat_conversation',
+      entity_id: conversation.id,
+    });
+    return resp.content.filter((b) => b.type === 'text').map((b) => b.text).join('\n').trim() || previousSummary;
+  }
+
+  return {
+    createConversation,
+    getConversation,
+    listConversations,
+    renameConversation,
+    deleteConversation,
+    exportConversation,
+    getMessages,
+    appendMessages,
+    buildContext,
+  };
+}
+
+// ---- Helpers (pure) -------------------------------------------------------
+
+/** Message content with tool_use inputs and tool_result payloads passed through redactArgs. */
+export function redactContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map((b) => {
+    if (b.type === 'tool_use') return { ...b, input: redactArgs(b.input ?? {}) };
+    if (b.type === 'tool_result') return { ...b, content: redactToolResult(b.content) };
+    return b;
+  });
+}
+
+// Tool results are usually JSON.stringify'd handler output: redact the
+// parsed value so secret keys inside it are caught too.
+function redactToolResult(content) {
+  if (typeof content !== 'string') return redactArgs(content);
+  try {
+    return JSON.stringify(redactArgs(JSON.parse(content)));
+  } catch {
+    return redactArgs(content);
+  }
+}
+
+/**
+ * The tool_use blocks a thread is still waiting on: those of its last
+ * message, when that is an assistant turn (a turn paused for approval ends
+ * there).
+ */
+export function openToolUses(messages) {
+  const last = messages[messages.length - 1];
+  if (last?.role !== 'assistant' || !Array.isArray(last.content)) return [];
+  return last.content.filter((b) => b.type === 'tool_use');
+}
+
+function contentLength(content) {
+  return typeof content === 'string' ? content.length : JSON.stringify(content ?? '').length;
+}
+
+function estimateTokens(value) {
+  if (!value) return 0;
+  return Math.ceil((typeof value === 'string' ? value.length : JSON.stringify(value).length) / 4);
+}
+
+function isToolResultMessage(m) {
+  return m.role === 'user' && Array.isArray(m.content) && m.content.some((b) => b.type === 'tool_result');
+}
+
+function truncateOldToolResults(rows) {
+  let toolTurnsSeen = 0;
+  const out = [];
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const m = rows[i];
+    if (isToolResultMessage(m) && ++toolTurnsSeen > KEEP_FULL_TOOL_TURNS) {
+      out.unshift({
+        ...m,
+        content: m.content.map((b) => {
+          if (b.type !== 'tool_result') return b;
+          const text = typeof b.content === 'string' ? b.content : JSON.stringify(b.content);
+          if (text.length <= TOOL_RESULT_PREVIEW_CHARS) return b;
+          return {
+            ...b,
+            content: `${text.slice(0, TOOL_RESULT_PREVIEW_CHARS)}\n…[truncated ${text.length - TOOL_RESULT_PREVIEW_CHARS} chars of an older tool result]`,
+          };
+        }),
+      });
+    } else {
+      out.unshift(m);
+    }
+  }
+  return out;
+}
+
+// Cut at a plain user turn so tool_use / tool_result pairs are never split
+// and the remaining thread still starts with a user message. Prefer the
+// last such turn in the older half, else the first one after it; 0 means
+// there's nowhere safe to cut.
+function findSummaryCut(messages) {
+  const target = Math.floor(messages.length / 2);
+  let best = 0;
+  for (let i = 1; i < messages.length - 1; i++) {
+    const m = messages[i];
+    if (m.role !== 'user' || isToolResultMessage(m)) continue;
+    if (i <= target) best = i;
+    else return best || i;
+  }
+  return best;
+}
+
+function renderForSummary(content) {
+  if (typeof content === 'string') return content;
+  return content.map((b) => {
+    if (b.type === 'text') return b.text;
+    if (b.type === 'tool_use') return `[called ${b.name} ${JSON.stringify(b.input)}]`;
+    if (b.type === 'tool_result') {
+      const text = typeof b.content === 'string' ? b.content : JSON.stringify(b.content);
+      return `[tool result${b.is_error ? ' (error)' : ''}: ${text.slice(0, 1500)}]`;
+    }
+    return '';
+  }).join(' ');
+}
+
+// Export helpers for tests.
+export const _internals = {
+  truncateOldToolResults,
+  findSummaryCut,
+  estimateTokens,
+};
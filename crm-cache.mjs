@@ -0,0 +1,169 @@
+// crm-cache.mjs
+//
+// Stale-while-revalidate cache for the CRM reads behind the dashboard BFFs
+// (/api/portfolio-summary, /api/company-snapshot/:slug, /api/feedback/stats),
+// so a page load costs at most one slow CRM — usually none.
+//
+// Entries are per (tenant, path). get() answers
+//   fresh   younger than the endpoint's TTL          — from cache
+//   stale   up to CRM_CACHE_MAX_STALE_MS past it     — from cache, and one
+//                                                      background re-fetch
+//   cold    nothing cached, too old, or invalidated  — fetched, but waited
+//                                                      on for at most
+//                                                      CRM_CACHE_MAX_WAIT_MS
+// and never throws: the result is { data, fetched_at, stale } plus `error`
+// when the last fetch failed. A failed or slow cold fetch falls back to
+// whatever is cached, however old, or data: null. Concurrent gets share
+// one fetch.
+//
+// TTLs are per endpoint (the path without its query string), DEFAULT_TTLS
+// overridden by CRM_CACHE_TTLS, e.g. "/rag/stats=900,default=30" (seconds).
+//
+// refreshHot() re-fetches entries read in the last CRM_CACHE_HOT_MS that are
+// near expiry, so tenants someone is looking at stay warm; server.js runs it
+// every CRM_CACHE_REFRESH_MS. Cold entries are dropped once they're too old
+// to serve. State is in memory, per instance.
+
+const DEFAULT_TTLS = {
+  '/health': 30,
+  '/metrics/data-summary': 60,
+  '/metrics': 120,
+  '/satisfaction/stats': 300,
+  '/insights/summary': 300,
+  '/rag/stats': 600,
+  '/tester-feedback/stats': 60,
+  default: 60,
+};
+
+const DEFAULTS = {
+  maxStaleMs: parseInt(process.env.CRM_CACHE_MAX_STALE_MS || '3600000', 10),
+  maxWaitMs: parseInt(process.env.CRM_CACHE_MAX_WAIT_MS || '3000', 10),
+  hotMs: parseInt(process.env.CRM_CACHE_HOT_MS || '600000', 10),
+};
+
+// refreshHot() re-fetches an entry once this fraction of its TTL has passed.
+const REFRESH_AT = 0.8;
+
+/** "path=seconds,…" → { path: seconds }; malformed entries are ignored. */
+export function parseTtls(spec) {
+  const ttls = {};
+  for (const part of String(spec || '').split(',')) {
+    const [path, seconds] = part.split('=').map((s) => s.trim());
+    if (path && Number(seconds) >= 0) ttls[path] = Number(seconds);
+  }
+  return ttls;
+}
+
+/** fetched_at (the oldest) and stale (any) across several get() results. */
+export function combineFreshness(results) {
+  const times = results.map((r) => r.fetched_at);
+  return {
+    fetched_at: times.includes(null) ? null : times.sort()[0] || null,
+    stale: results.some((r) => r.stale),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {(tenant: string, path: string) => Promise<any>} opts.fetch - the default loader (a CRM GET)
+ * @param {Record<string, number>} [opts.ttls] - seconds per endpoint, over DEFAULT_TTLS
+ */
+export function createCrmCache({ fetch: fetchPath, ttls = parseTtls(process.env.CRM_CACHE_TTLS), logger = console, ...overrides }) {
+  const cfg = { ...DEFAULTS, ...overrides };
+  const ttlSeconds = { ...DEFAULT_TTLS, ...ttls };
+  const entries = new Map(); // `${tenant} ${path}` → entry
+
+  function ttlMs(path) {
+    const endpoint = path.split('?')[0];
+    return (ttlSeconds[endpoint] ?? ttlSeconds.default) * 1000;
+  }
+
+  function age(e) {
+    return e.fetchedAt && !e.expired ? Date.now() - e.fetchedAt : Infinity;
+  }
+
+  function result(e, stale) {
+    return {
+      data: e.fetchedAt ? e.value : null,
+      fetched_at: e.fetchedAt ? new Date(e.fetchedAt).toISOString() : null,
+      stale,
+      ...(e.error && { error: e.error }),
+    };
+  }
+
+  /** The entry's one in-flight fetch, started if needed. Callers must handle its rejection. */
+  function revalidate(e) {
+    e.inflight ||= e.load()
+      .then((value) => {
+        Object.assign(e, { value, fetchedAt: Date.now(), expired: false, error: null });
+      }, (err) => {
+        e.error = err.message;
+        throw err;
+      })
+      .finally(() => { e.inflight = null; });
+    return e.inflight;
+  }
+
+  /**
+   * The cached value of `path` for `tenant`. `load` replaces the CRM GET
+   * (e.g. a health probe cached under '/health').
+   */
+  async function get(tenant, path, { load } = {}) {
+    const key = `${tenant} ${path}`;
+    let e = entries.get(key);
+    if (!e) {
+      e = { tenant, path, value: null, fetchedAt: null, expired: false, error: null, inflight: null };
+      entries.set(key, e);
+    }
+    e.load = load || (() => fetchPath(tenant, path));
+    e.lastUsed = Date.now();
+
+    const ttl = ttlMs(path);
+    if (age(e) < ttl) return result(e, false);
+    if (age(e) < ttl + cfg.maxStaleMs) {
+      revalidate(e).catch(() => {});
+      return result(e, true);
+    }
+
+    let timer;
+    const outcome = await Promise.race([
+      revalidate(e).then(() => 'done', () => 'failed'),
+      new Promise((resolve) => { timer = setTimeout(resolve, cfg.maxWaitMs, 'timeout'); }),
+    ]);
+    clearTimeout(timer);
+    if (outcome === 'timeout') logger.warn(`[crm-cache] ${tenant} ${path} still loading after ${cfg.maxWaitMs}ms`);
+    return result(e, outcome !== 'done');
+  }
+
+  /** Make the next get() of these entries wait for a fresh fetch (e.g. after a write). */
+  function invalidate(tenant, path) {
+    for (const e of entries.values()) {
+      if (e.tenant === tenant && (!path || e.path === path)) e.expired = true;
+    }
+  }
+
+  /** Re-fetch hot entries near expiry; drop entries too old to serve. Returns how many it started. */
+  function refreshHot() {
+    const now = Date.now();
+    let started = 0;
+    for (const [key, e] of entries) {
+      if (e.inflight) continue;
+      const ttl = ttlMs(e.path);
+      if (now - e.lastUsed < cfg.hotMs) {
+        if (age(e) >= ttl * REFRESH_AT) {
+          revalidate(e).catch((err) => logger.warn(`[crm-cache] refresh ${e.tenant} ${e.path} failed: ${err.message}`));
+          started++;
+        }
+      } else if (age(e) >= ttl + cfg.maxStaleMs) {
+        entries.delete(key);
+      }
+    }
+    return started;
+  }
+
+  return {
+    get,
+    invalidate,
+    refreshHot,
+  };
+}
@@ -0,0 +1,211 @@
+// crm-client.mjs
+//
+// The one way this server talks to a tenant's CRMBackend. callCRM (the
+// tenant's CRM key) and taskMcpCallCrm (its feedback-task key) both go
+// through request(); they differ only in which credential is sent.
+//
+// Each attempt times out after CRM_TIMEOUT_MS. Idempotent methods (GET,
+// HEAD, OPTIONS, PUT, DELETE) are retried up to CRM_RETRIES times on a
+// timeout, network error, 408, 429 or 5xx, after an exponential backoff
+// with full jitter. POST and PATCH are never retried — the CRM may have
+// applied them.
+//
+// A per-tenant circuit breaker sits in front: after CRM_BREAKER_THRESHOLD
+// calls in a row fail (transport errors and 5xx, after retries; 4xx are
+// the caller's problem, not the CRM's), calls fail fast for
+// CRM_BREAKER_COOLDOWN_MS. Then one call is let through as a probe; it
+// closes the breaker on success and reopens it on failure. State is in
+// memory, so each Cloud Run instance keeps its own.
+//
+// probe() is the /api/health check for the health endpoints. It bypasses
+// the breaker — a health page should show a down CRM as down, not as
+// "circuit open" — and doesn't count towards it.
+
+const DEFAULTS = {
+  timeoutMs: parseInt(process.env.CRM_TIMEOUT_MS || '15000', 10),
+  retries: parseInt(process.env.CRM_RETRIES || '2', 10),
+  retryBaseMs: parseInt(process.env.CRM_RETRY_BASE_MS || '200', 10),
+  retryMaxMs: parseInt(process.env.CRM_RETRY_MAX_MS || '2000', 10),
+  breakerThreshold: parseInt(process.env.CRM_BREAKER_THRESHOLD || '5', 10),
+  breakerCooldownMs: parseInt(process.env.CRM_BREAKER_COOLDOWN_MS || '30000', 10),
+};
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// request() credential → the registry property naming its env var.
+const CREDENTIALS = { crm: 'crmKeyRef', task: 'taskCrmKeyRef' };
+
+/** A failed call; `crmStatus` is the HTTP status, unset for transport errors. */
+function crmError(message, crmStatus) {
+  const err = new Error(message);
+  if (crmStatus) err.crmStatus = crmStatus;
+  return err;
+}
+
+/**
+ * @param {object} opts
+ * @param {ReturnType<import('./tenants.mjs').createTenantRegistry>} opts.tenantRegistry
+ * @param {typeof fetch} [opts.fetch]
+ */
+export function createCrmClient({ tenantRegistry, fetch: fetchImpl = globalThis.fetch, logger = console, ...overrides }) {
+  const cfg = { ...DEFAULTS, ...overrides };
+  const breakers = new Map(); // tenant → { state, failures, openedAt, lastError, probing }
+
+  function breakerFor(tenant) {
+    let b = breakers.get(tenant);
+    if (!b) {
+      b = { state: 'closed', failures: 0, openedAt: null, lastError: null, probing: false };
+      breakers.set(tenant, b);
+    }
+    return b;
+  }
+
+  /** Throws while the breaker is open; claims the probe once the cooldown is up. */
+  function admit(tenant) {
+    const b = breakerFor(tenant);
+    if (b.state === 'closed') return;
+    const retryIn = b.openedAt + cfg.breakerCooldownMs - Date.now();
+    if (b.state === 'open' && retryIn <= 0) b.state = 'half_open';
+    if (b.state === 'half_open' && !b.probing) {
+      b.probing = true;
+      return;
+    }
+    const when = b.state === 'half_open' ? 'a probe call is in flight' : `retrying in ${Math.ceil(retryIn / 1000)}s`;
+    const err = new Error(`CRM ${tenant} is unavailable: ${b.failures} failed calls in a row, ${when} (last error: ${b.lastError})`);
+    err.statusCode = 503;
+    throw err;
+  }
+
+  function recordSuccess(tenant) {
+    const b = breakerFor(tenant);
+    if (b.state !== 'closed') logger.log(`[crm-client] ${tenant} circuit closed`);
+    Object.assign(b, { state: 'closed', failures: 0, openedAt: null, lastError: null, probing: false });
+  }
+
+  function recordFailure(tenant, err) {
+    const b = breakerFor(tenant);
+    b.failures++;
+    b.lastError = err.message;
+    b.probing = false;
+    if (b.state === 'half_open' || b.failures >= cfg.breakerThreshold) {
+      if (b.state !== 'open') logger.warn(`[crm-client] ${tenant} circuit open after ${b.failures} failures: ${err.message}`);
+      b.state = 'open';
+      b.openedAt = Date.now();
+    }
+  }
+
+  /** Whether a failure says something about the CRM's health. */
+  function countsAgainstCrm(err) {
+    return !err.crmStatus || err.crmStatus >= 500;
+  }
+
+  async function attempt(tenant, url, init) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), cfg.timeoutMs);
+    try {
+      const resp = await fetchImpl(url, { ...init, signal: controller.signal });
+      if (!resp.ok) {
+        const errBody = await resp.json().catch(() => ({}));
+        throw crmError(errBody.message || `CRM ${tenant} returned HTTP ${resp.status}`, resp.status);
+      }
+      if (resp.status === 204) return null;
+      return await resp.json();
+    } catch (err) {
+      if (err.name === 'AbortError') throw crmError(`CRM ${tenant} request timed out`);
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  function backoff(retry) {
+    const cap = Math.min(cfg.retryMaxMs, cfg.retryBaseMs * 2 ** retry);
+    return new Promise((resolve) => setTimeout(resolve, Math.random() * cap));
+  }
+
+  /**
+   * Call `path` (under /api) on the tenant's CRM. Returns the parsed JSON
+   * body, or null for 204. `credential` is 'crm' (the CRM API key) or
+   * 'task' (the feedback-task key).
+   */
+  async function request(tenant, method, path, body, { credential = 'crm', headers = {} } = {}) {
+    const t = await tenantRegistry.find(tenant);
+    if (!t?.crmUrl) throw new Error(`No CRM URL configured for ${tenant}`);
+    const ref = t[CREDENTIALS[credential]];
+    const apiKey = tenantRegistry.secret(ref);
+    if (!apiKey) throw new Error(`No CRM API key configured for ${tenant} (set ${ref})`);
+
+    const hasBody = body !== undefined && body !== null;
+    const init = {
+      method,
+      headers: {
+        'X-Tenant-ID': t.slug,
+        'X-API-Key': apiKey,
+        ...(hasBody && { 'Content-Type': 'application/json' }),
+        ...headers,
+      },
+      body: hasBody ? JSON.stringify(body) : undefined,
+    };
+    const url = `${t.crmUrl.replace(/\/+$/, '')}/api${path}`;
+    const retries = IDEMPOTENT_METHODS.has(method.toUpperCase()) ? cfg.retries : 0;
+
+    admit(t.slug);
+    for (let n = 0; ; n++) {
+      try {
+        const result = await attempt(t.slug, url, init);
+        recordSuccess(t.slug);
+        return result;
+      } catch (err) {
+        const retryable = !err.crmStatus || RETRYABLE_STATUS.has(err.crmStatus);
+        if (retryable && n < retries) {
+          await backoff(n);
+          continue;
+        }
+        if (countsAgainstCrm(err)) recordFailure(t.slug, err);
+        else recordSuccess(t.slug);
+        throw err;
+      }
+    }
+  }
+
+  /** GET /api/health once, outside the breaker. */
+  async function probe(tenant, { timeoutMs = 10000 } = {}) {
+    const t = await tenantRegistry.find(tenant);
+    if (!t?.crmUrl) return { status: 'not_configured' };
+    const apiKey = tenantRegistry.secret(t.crmKeyRef);
+    const start = Date.now();
+    try {
+      const resp = await fetchImpl(`${t.crmUrl.replace(/\/+$/, '')}/api/health`, {
+        headers: { 'X-Tenant-ID': t.slug, ...(apiKey && { 'X-API-Key': apiKey }) },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      const latency = Date.now() - start;
+      if (!resp.ok) return { status: 'unhealthy', latency_ms: latency, http_status: resp.status };
+      return { status: latency > 5000 ? 'degraded' : 'healthy', latency_ms: latency };
+    } catch (err) {
+      return { status: 'down', error: err.message, latency_ms: Date.now() - start };
+    }
+  }
+
+  /** The tenant's breaker as reported by the health endpoints. */
+  function breaker(tenant) {
+    const b = breakers.get(tenant);
+    if (!b) return { state: 'closed', failures: 0 };
+    return {
+      state: b.state,
+      failures: b.failures,
+      ...(b.openedAt && {
+        opened_at: new Date(b.openedAt).toISOString(),
+        retry_at: new Date(b.openedAt + cfg.breakerCooldownMs).toISOString(),
+      }),
+      ...(b.lastError && { last_error: b.lastError }),
+    };
+  }
+
+  return {
+    request,
+    probe,
+    breaker,
+  };
+}
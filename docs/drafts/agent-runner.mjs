@@ -18,6 +18,11 @@
 // Inputs come from env vars (set by the workflow) and stdin where applicable.
 // Outputs go to $GITHUB_OUTPUT and stdout.
 //
+// State reporting: run-implementer, run-reviewer, open-pr and mark-blocked
+// POST to AgentBoxDev's /api/agent-runs/callback/* (AGENTBOX_CALLBACK_URL +
+// AGENT_CALLBACK_SECRET) so agent_runs tracks the attempt. Reporting is
+// best-effort — an AgentBoxDev outage never fails the workflow.
+//
 // !!! BEFORE SHIPPING:
 //   - Verify the `claude-code` CLI flags below against the installed
 //     version. The CLI interface is evolving; flags like
@@ -84,6 +89,55 @@ function gh(args, body = null) {
   return result.stdout;
 }
 
+// ---------------------------------------------------------------------
+// AgentBoxDev callbacks
+// ---------------------------------------------------------------------
+
+function runRef() {
+  return {
+    tenant: env.TENANT,
+    crm_task_id: env.CRM_TASK_ID,
+    attempt: parseInt(env.ATTEMPT, 10),
+  };
+}
+
+function actionsRunUrl() {
+  return env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+    ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+    : null;
+}
+
+/**
+ * POST one callback (kind = transition | events | prs). Logs and swallows
+ * every failure — including 409 illegal-transition — so reporting can
+ * never change the workflow's outcome.
+ */
+async function reportToAgentBox(kind, body) {
+  const base = env.AGENTBOX_CALLBACK_URL;
+  const secret = env.AGENT_CALLBACK_SECRET;
+  if (!base || !secret) {
+    console.log(`(no AGENTBOX_CALLBACK_URL/AGENT_CALLBACK_SECRET) skip ${kind} report`);
+    return null;
+  }
+  try {
+    const resp = await fetch(`${base.replace(/\/$/, '')}/api/agent-runs/callback/${kind}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-agent-callback-secret': secret },
+      body: JSON.stringify({ ...runRef(), ...body }),
+      signal: AbortSignal.timeout(15000),
+    });
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      console.warn(`agentbox ${kind} report rejected (HTTP ${resp.status}): ${json.error || ''}`);
+      return null;
+    }
+    return json;
+  } catch (err) {
+    console.warn(`agentbox ${kind} report failed: ${err.message}`);
+    return null;
+  }
+}
+
 // =====================================================================
 // Issue body parsing
 // =====================================================================
@@ -264,10 +318,19 @@ function cmdCommitTest() {
 // version. The CLI is evolving; these are the v0 placeholders.
 // ---------------------------------------------------------------------
 
-function cmdRunImplementer() {
+async function cmdRunImplementer() {
   const { CRM_TASK_ID, TENANT, SCOPE, ATTEMPT, AGENT_BRANCH, ISSUE_URL } = env;
   if (!CRM_TASK_ID) throw new Error('CRM_TASK_ID required');
 
+  await reportToAgentBox('transition', {
+    to_state: 'running',
+    scope: SCOPE,
+    github_run_id: env.GITHUB_RUN_ID ? Number(env.GITHUB_RUN_ID) : undefined,
+    github_workflow: 'agent-implement.yml',
+    artifact_root: actionsRunUrl() || undefined,
+    message: `Implementer started on ${AGENT_BRANCH}`,
+  });
+
   const promptPath = '.claude/agent-prompts/implementer.system.md';
   if (!existsSync(promptPath)) {
     throw new Error(`Implementer prompt not vendored at ${promptPath}. Run scripts/sync-agent-prompts.mjs.`);
@@ -308,15 +371,28 @@ function cmdRunImplementer() {
     { stdio: 'inherit', env },
   );
 
+  await reportToAgentBox('transition', {
+    to_state: 'running',
+    implementer_verdict: result.status === 0 ? 'success' : 'failed',
+    message: `Implementer exited with code ${result.status}`,
+  });
+
   if (result.status !== 0) {
     throw new Error(`Implementer agent exited with code ${result.status}`);
   }
 }
 
-function cmdRunReviewer() {
+async function cmdRunReviewer() {
   const { CRM_TASK_ID, TENANT, SCOPE, ATTEMPT, AGENT_BRANCH, ISSUE_URL } = env;
   if (!CRM_TASK_ID) throw new Error('CRM_TASK_ID required');
 
+  await reportToAgentBox('transition', {
+    to_state: 'in_review',
+    github_run_id: env.GITHUB_RUN_ID ? Number(env.GITHUB_RUN_ID) : undefined,
+    github_workflow: 'agent-review.yml',
+    message: `Reviewer started on ${AGENT_BRANCH}`,
+  });
+
   const promptPath = '.claude/agent-prompts/reviewer.system.md';
   if (!existsSync(promptPath)) {
     throw new Error(`Reviewer prompt not vendored at ${promptPath}. Run scripts/sync-agent-prompts.mjs.`);
@@ -375,12 +451,18 @@ function cmdRunReviewer() {
   }
   const verdict = verdictLine.split('=')[1].trim();
 
+  await reportToAgentBox('transition', {
+    to_state: 'in_review',
+    reviewer_verdict: verdict,
+    message: `Reviewer verdict: ${verdict}`,
+  });
+
   exportEnv('REVIEWER_VERDICT', verdict);
   exportEnv('REVIEWER_REPORT_FILE', 'artifacts/reviewer-report.md');
   console.log(`reviewer verdict: ${verdict}`);
 }
 
-function cmdOpenPr() {
+async function cmdOpenPr() {
   const reportPath = 'artifacts/reviewer-report.md';
   if (!existsSync(reportPath)) {
     throw new Error(`Reviewer report not found at ${reportPath}`);
@@ -390,18 +472,27 @@ function cmdOpenPr() {
   const { CRM_TASK_ID, TENANT, ATTEMPT, AGENT_BRANCH } = env;
   const title = `[agent][${TENANT}][${CRM_TASK_ID}] (attempt ${ATTEMPT}) → dev`;
 
-  gh([
+  const prUrl = gh([
     'pr', 'create',
     '--base', 'dev',
     '--head', AGENT_BRANCH,
     '--title', title,
     '--body-file', reportPath,
-  ]);
+  ]).trim();
+
+  const prNumber = parseInt((prUrl.match(/\/pull\/(\d+)/) || [])[1], 10) || undefined;
+  await reportToAgentBox('prs', {
+    repo: (env.GITHUB_REPOSITORY || '').split('/')[1],
+    branch: AGENT_BRANCH,
+    pr_number: prNumber,
+    pr_url: prUrl,
+    pr_state: 'open',
+  });
 
   console.log(`open-pr: created PR for ${AGENT_BRANCH} against dev`);
 }
 
-function cmdMarkBlocked() {
+async function cmdMarkBlocked() {
   const { CRM_TASK_ID, ATTEMPT } = env;
   // Find the source issue from the branch name
   const branch = env.AGENT_BRANCH || env.GITHUB_REF_NAME || '';
@@ -409,6 +500,13 @@ function cmdMarkBlocked() {
   const crmTaskId = (m && m[1]) || CRM_TASK_ID;
   if (!crmTaskId) throw new Error('Cannot determine crm_task_id to mark blocked');
 
+  await reportToAgentBox('transition', {
+    to_state: 'blocked',
+    terminal_reason: env.REVIEWER_VERDICT === 'fail' ? 'reviewer-fail' : 'implementer-failed',
+    failure_summary: `Blocked in ${env.GITHUB_WORKFLOW || 'workflow'}; see ${actionsRunUrl() || '(run url unavailable)'}`,
+    message: `Blocked on ${branch}`,
+  });
+
   const issueListJson = gh([
     'issue', 'list',
     '--repo', env.GITHUB_REPOSITORY,
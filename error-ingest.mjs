@@ -0,0 +1,351 @@
+// error-ingest.mjs
+//
+// Cloud Logging → error_events ingestion worker (Layer 2 monitoring).
+//
+// Flow (per service, once per poll tick):
+//   1. Read the service's cursor from error_ingest_cursors (last timestamp
+//      seen + the insertIds already consumed at that exact timestamp)
+//   2. Pull ERROR/CRITICAL entries newer than the cursor from the log source
+//   3. Fingerprint each entry from its stack trace (falls back to a
+//      normalised message when there is no trace)
+//   4. In ONE transaction: upsert error_events grouped by fingerprint
+//      (occurrence_count += n, last_seen_at = newest) and advance the cursor
+//
+// Because the counts and the cursor commit together, a restart mid-batch
+// either replays nothing or replays the whole batch against the old cursor —
+// never double-counts.
+//
+// The log source is pluggable so the worker can run against a fixture file
+// without GCP credentials:
+//   createCloudLoggingSource({ auth, projectId }) — google.logging v2 client
+//   createFixtureLogSource(filePath)              — JSON file of LogEntry objects
+//
+// Entry point: createErrorIngestWorker({ pool, logSource, services }).ingestAll()
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { google } from 'googleapis';
+
+const DEFAULT_LOOKBACK_MS = 60 * 60 * 1000;
+const DEFAULT_BATCH_LIMIT = 1000;
+const MAX_STACK_FRAMES = 5;
+
+// error_events.severity only allows WARNING / ERROR / CRITICAL. Cloud Logging's
+// ALERT and EMERGENCY are folded into CRITICAL.
+const SEVERITY_MAP = {
+  ERROR: 'ERROR',
+  CRITICAL: 'CRITICAL',
+  ALERT: 'CRITICAL',
+  EMERGENCY: 'CRITICAL',
+};
+
+// ============================================================
+// Log sources
+// ============================================================
+
+/**
+ * Log source backed by the same google.logging client get_deployment_logs
+ * uses. Pages through entries.list in ascending timestamp order until
+ * `limit` entries are collected or the result set is exhausted.
+ *
+ * @param {{ auth: object, projectId: string, pageSize?: number }} opts
+ */
+export function createCloudLoggingSource({ auth, projectId, pageSize = 500 }) {
+  if (!auth) throw new Error('auth is required');
+  if (!projectId) throw new Error('projectId is required');
+  const logging = google.logging({ version: 'v2', auth });
+
+  return {
+    name: 'cloud-logging',
+    async listEntries({ service, since, limit }) {
+      const filter = [
+        'resource.type="cloud_run_revision"',
+        `resource.labels.service_name="${service}"`,
+        'severity>="ERROR"',
+        `timestamp>="${since.toISOString()}"`,
+      ].join(' AND ');
+
+      const entries = [];
+      let pageToken;
+      do {
+        const { data } = await logging.entries.list({
+          requestBody: {
+            resourceNames: [`projects/${projectId}`],
+            filter,
+            orderBy: 'timestamp asc',
+            pageSize: Math.min(pageSize, limit - entries.length),
+            pageToken,
+          },
+        });
+        entries.push(...(data.entries || []));
+        pageToken = data.nextPageToken;
+      } while (pageToken && entries.length < limit);
+      return entries;
+    },
+  };
+}
+
+/**
+ * Log source that reads LogEntry objects from a JSON file — either a bare
+ * array or `{ entries: [...] }`, the shape `gcloud logging read --format=json`
+ * and entries.list produce. The file is re-read on every call so a fixture
+ * can be appended to while the worker runs.
+ *
+ * @param {string} filePath
+ */
+export function createFixtureLogSource(filePath) {
+  return {
+    name: `fixture:${filePath}`,
+    async listEntries({ service, since, limit }) {
+      const raw = JSON.parse(readFileSync(filePath, 'utf-8'));
+      const all = Array.isArray(raw) ? raw : raw.entries || [];
+      return all
+        .filter((e) => e.resource?.labels?.service_name === service)
+        .filter((e) => SEVERITY_MAP[e.severity])
+        .filter((e) => new Date(e.timestamp) >= since)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(0, limit);
+    },
+  };
+}
+
+// ============================================================
+// Worker
+// ============================================================
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {{ name: string, listEntries: Function }} deps.logSource
+ * @param {string[] | () => Promise<string[]>} deps.services - Cloud Run service
+ *   names to poll, or a function returning them (read again each tick)
+ * @param {(entry: object) => string} [deps.extractMessage] - LogEntry → display message
+ * @param {string} [deps.projectId] - used to build Logs Explorer links
+ * @param {number} [deps.lookbackMs] - how far back a service with no cursor starts
+ * @param {number} [deps.batchLimit] - max entries pulled per service per tick
+ * @param {(eventId: string) => void} [deps.onNewEvent] - called after commit for
+ *   each fingerprint seen for the first time (server.js hands these to triage)
+ */
+export function createErrorIngestWorker({
+  pool,
+  logSource,
+  services,
+  extractMessage = defaultExtractMessage,
+  projectId,
+  lookbackMs = DEFAULT_LOOKBACK_MS,
+  batchLimit = DEFAULT_BATCH_LIMIT,
+  onNewEvent,
+  logger = console,
+}) {
+  if (!pool) throw new Error('pool is required');
+  if (!logSource) throw new Error('logSource is required');
+
+  let running = false;
+
+  async function readCursor(service) {
+    const { rows } = await pool.query(
+      `SELECT last_timestamp, last_insert_ids
+         FROM error_ingest_cursors
+        WHERE service = $1`,
+      [service],
+    );
+    if (!rows[0]) {
+      return { since: new Date(Date.now() - lookbackMs), seenIds: new Set() };
+    }
+    return {
+      since: new Date(rows[0].last_timestamp),
+      seenIds: new Set(rows[0].last_insert_ids || []),
+    };
+  }
+
+  function buildLogUrl(entry) {
+    if (!projectId || !entry.insertId) return null;
+    const q = encodeURIComponent(`insertId="${entry.insertId}"`);
+    return `https://console.cloud.google.com/logs/query;query=${q}?project=${projectId}`;
+  }
+
+  async function ingestService(service) {
+    const cursor = await readCursor(service);
+    const entries = await logSource.listEntries({ service, since: cursor.since, limit: batchLimit });
+
+    // The source filter is timestamp >= cursor, so entries sharing the cursor
+    // timestamp come back again — drop the ones already counted.
+    const fresh = entries.filter((e) => {
+      const ts = new Date(e.timestamp).getTime();
+      if (ts < cursor.since.getTime()) return false;
+      return !(ts === cursor.since.getTime() && cursor.seenIds.has(e.insertId));
+    });
+    if (fresh.length === 0) return { service, entries: 0, fingerprints: 0 };
+
+    const groups = new Map();
+    for (const entry of fresh) {
+      const stackTrace = extractStackTrace(entry);
+      const message = extractMessage(entry);
+      const fingerprint = computeFingerprint(service, stackTrace, message);
+      const seenAt = new Date(entry.timestamp);
+      const group = groups.get(fingerprint);
+      if (group) {
+        group.count++;
+        if (seenAt < group.firstSeen) group.firstSeen = seenAt;
+        if (seenAt > group.lastSeen) group.lastSeen = seenAt;
+        if (SEVERITY_MAP[entry.severity] === 'CRITICAL') group.severity = 'CRITICAL';
+      } else {
+        groups.set(fingerprint, {
+          fingerprint,
+          severity: SEVERITY_MAP[entry.severity] || 'ERROR',
+          message: message.slice(0, 4000),
+          stackTrace,
+          logUrl: buildLogUrl(entry),
+          count: 1,
+          firstSeen: seenAt,
+          lastSeen: seenAt,
+        });
+      }
+    }
+
+    // New cursor = newest timestamp in this batch, plus every insertId at
+    // exactly that timestamp (carrying over the old set if it didn't move).
+    const last = fresh[fresh.length - 1];
+    const lastTs = new Date(last.timestamp);
+    const boundaryIds = fresh
+      .filter((e) => new Date(e.timestamp).getTime() === lastTs.getTime())
+      .map((e) => e.insertId)
+      .filter(Boolean);
+    if (lastTs.getTime() === cursor.since.getTime()) boundaryIds.push(...cursor.seenIds);
+
+    const newEventIds = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const g of groups.values()) {
+        const { rows } = await client.query(
+          `INSERT INTO error_events (
+             service, severity, message, stack_trace, log_url, fingerprint,
+             occurrence_count, first_seen_at, last_seen_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (fingerprint) DO UPDATE SET
+             occurrence_count = error_events.occurrence_count + EXCLUDED.occurrence_count,
+             last_seen_at = GREATEST(error_events.last_seen_at, EXCLUDED.last_seen_at),
+             severity = CASE WHEN EXCLUDED.severity = 'CRITICAL' THEN 'CRITICAL' ELSE error_events.severity END,
+             log_url = COALESCE(EXCLUDED.log_url, error_events.log_url)
+           RETURNING id, (xmax = 0) AS inserted`,
+          [service, g.severity, g.message, g.stackTrace, g.logUrl, g.fingerprint, g.count, g.firstSeen, g.lastSeen],
+        );
+        if (rows[0]?.inserted) newEventIds.push(rows[0].id);
+      }
+      await client.query(
+        `INSERT INTO error_ingest_cursors (service, last_timestamp, last_insert_ids, updated_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (service) DO UPDATE SET
+           last_timestamp = EXCLUDED.last_timestamp,
+           last_insert_ids = EXCLUDED.last_insert_ids,
+           updated_at = NOW()`,
+        [service, lastTs, [...new Set(boundaryIds)]],
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (onNewEvent) {
+      for (const id of newEventIds) onNewEvent(id);
+    }
+
+    return { service, entries: fresh.length, fingerprints: groups.size, new_events: newEventIds.length };
+  }
+
+  /**
+   * Poll every configured service once. Overlapping calls (a slow tick
+   * still running when the next interval fires) return immediately.
+   * Per-service failures are logged and don't stop the other services.
+   */
+  async function ingestAll() {
+    if (running) return { skipped: true, reason: 'already_running' };
+    running = true;
+    try {
+      const results = [];
+      const serviceNames = typeof services === 'function' ? await services() : services;
+      for (const service of serviceNames) {
+        try {
+          const r = await ingestService(service);
+          if (r.entries > 0) {
+            logger.log(`[error-ingest] ${service}: ${r.entries} entries → ${r.fingerprints} fingerprints`);
+          }
+          results.push(r);
+        } catch (err) {
+          logger.error(`[error-ingest] ${service} failed: ${err.message}`);
+          results.push({ service, error: err.message });
+        }
+      }
+      return { source: logSource.name, results };
+    } finally {
+      running = false;
+    }
+  }
+
+  return { ingestAll, ingestService };
+}
+
+// ============================================================
+// Fingerprinting
+// ============================================================
+
+function extractStackTrace(entry) {
+  const p = entry.jsonPayload || {};
+  const candidate = p.stack_trace || p.stack || p.error?.stack || p.err?.stack || p.exception;
+  if (typeof candidate === 'string' && candidate.trim()) return candidate;
+  // Cloud Run often logs uncaught errors as a plain textPayload with the
+  // trace inline.
+  if (typeof entry.textPayload === 'string' && /\n\s+at\s/.test(entry.textPayload)) {
+    return entry.textPayload;
+  }
+  return null;
+}
+
+/**
+ * Same error thrown from the same place → same fingerprint, regardless of
+ * the ids, timestamps or line/column offsets baked into one occurrence.
+ * With a stack trace we hash the error type plus the top frames' function
+ * and file; without one we hash the message with volatile tokens masked.
+ */
+function computeFingerprint(service, stackTrace, message) {
+  let basis;
+  if (stackTrace) {
+    const lines = stackTrace.split('\n').map((l) => l.trim()).filter(Boolean);
+    const errorType = (lines[0] || '').split(':')[0];
+    const frames = lines
+      .filter((l) => l.startsWith('at '))
+      .slice(0, MAX_STACK_FRAMES)
+      .map((l) => l.replace(/:\d+(:\d+)?\)?$/, '').replace(/\(/, ' '));
+    basis = [errorType, ...frames].join('\n');
+  } else {
+    basis = normalizeMessage(message);
+  }
+  return createHash('sha256').update(`${service}\n${basis}`).digest('hex').slice(0, 40);
+}
+
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+    .replace(/\b[0-9a-f]{16,}\b/gi, '<hex>')
+    .replace(/\d{4}-\d{2}-\d{2}T[\d:.]+Z?/g, '<ts>')
+    .replace(/\d+/g, '<n>')
+    .slice(0, 500);
+}
+
+function defaultExtractMessage(entry) {
+  return entry.textPayload
+    || entry.jsonPayload?.message
+    || entry.jsonPayload?.msg
+    || (entry.jsonPayload ? JSON.stringify(entry.jsonPayload) : '(no message)');
+}
+
+// Export helpers for tests.
+export const _internals = {
+  extractStackTrace,
+  computeFingerprint,
+  normalizeMessage,
+};
@@ -0,0 +1,370 @@
+// error-triage.mjs
+//
+// Triage worker for production errors (Layer 2 monitoring).
+//
+// Flow:
+//   1. Atomic claim — UPDATE error_events WHERE triage_status='pending'
+//   2. WARNING-only short-circuit (mark skipped; only ERROR+ is triaged)
+//   3. Agentic loop: Sonnet 4.6 with TRIAGE_TOOLS (gh_search_code, gh_get_file).
+//      Released back to 'pending' while the service's tenant (the tenant
+//      registry's cloud_run_service, tenants.mjs) is over its monthly LLM
+//      budget.
+//   4. Parse JSON output (category, root_cause, suggested_fix, auto_fixable, ...)
+//   5. Insert the error_triage row
+//   6. Optionally (ERROR_TRIAGE_OPEN_ISSUES=true) open a GitHub issue for
+//      category='bug' and record it in error_triage.github_issue_url
+//
+// Entry points:
+//   triageErrorEvent(errorEventId, pool, { tenants }) — called via
+//     setImmediate from the ingest worker when a new fingerprint lands
+//   safetyPollErrorTriage(pool, { onFinished, tenants }) — setInterval
+//     backstop, same semantics as safetyPollTriage in triage.mjs
+// `tenants` is the tenant registry; services it doesn't know (agentbox
+// itself, shared infra) have no tenant and so no budget.
+
+import Anthropic from '@anthropic-ai/sdk';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  TRIAGE_TOOLS,
+  runTool,
+  createGitHubIssue,
+} from './tools/github.mjs';
+import { _internals as feedbackTriage } from './triage.mjs';
+import { recordLlmUsage, isBudgetExhausted, getExhaustedTenants } from './llm-usage.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ERROR_TRIAGE_SYSTEM_PROMPT = readFileSync(
+  path.join(__dirname, 'prompts', 'error-triage.system.md'),
+  'utf-8',
+);
+
+const TRIAGE_MODEL = process.env.TRIAGE_MODEL || 'claude-sonnet-4-6';
+const MAX_TURNS = 20;
+const MAX_TOKENS = 4000;
+
+const VALID_CATEGORIES = new Set(['bug', 'config', 'transient', 'dependency', 'infra', 'unknown']);
+const ISSUE_REPOS = new Set(['CRMBackend', 'CRMFrontEnd']);
+
+const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+/**
+ * Triage one error event. Idempotent at the claim boundary —
+ * concurrent callers race on the UPDATE WHERE triage_status='pending'
+ * and only one wins.
+ *
+ * @param {string} errorEventId - error_events.id (uuid)
+ * @param {import('pg').Pool} pool - the AgentBoxDev pg pool
+ * @param {{ tenants?: { forService: Function } }} [opts] - tenant registry
+ * @returns {Promise<{ ok?: boolean, skipped?: boolean, reason?: string, triage_id?: string, category?: string, issue?: object }>}
+ */
+export async function triageErrorEvent(errorEventId, pool, { tenants } = {}) {
+  // 1. Atomic claim.
+  const claimed = await pool.query(
+    `UPDATE error_events
+        SET triage_status = 'running',
+            triage_started_at = NOW(),
+            triage_error = NULL
+      WHERE id = $1 AND triage_status = 'pending'
+      RETURNING *`,
+    [errorEventId],
+  );
+  if (claimed.rowCount === 0) {
+    return { skipped: true, reason: 'not_pending' };
+  }
+  const event = claimed.rows[0];
+
+  try {
+    // 2. WARNING short-circuit — not worth a model call.
+    if (event.severity === 'WARNING') {
+      await pool.query(
+        `UPDATE error_events
+            SET triage_status = 'skipped',
+                triage_finished_at = NOW()
+          WHERE id = $1`,
+        [errorEventId],
+      );
+      return { skipped: true, reason: 'warning-severity' };
+    }
+
+    // 3. Agentic loop with Claude (budget permitting).
+    const tenant = (await tenants?.forService(event.service))?.slug || null;
+    if (await isBudgetExhausted(pool, tenant)) {
+      await pool.query(
+        `UPDATE error_events
+            SET triage_status = 'pending', triage_started_at = NULL
+          WHERE id = $1`,
+        [errorEventId],
+      );
+      return { skipped: true, reason: 'llm_budget_exhausted', tenant };
+    }
+
+    let messages = [{ role: 'user', content: renderErrorPrompt(event) }];
+    let response;
+
+    for (let turn = 0; turn < MAX_TURNS; turn++) {
+      response = await anthropic.messages.create({
+        model: TRIAGE_MODEL,
+        max_tokens: MAX_TOKENS,
+        system: ERROR_TRIAGE_SYSTEM_PROMPT,
+        tools: TRIAGE_TOOLS,
+        messages,
+      });
+      await recordLlmUsage(pool, {
+        response,
+        feature: 'error_triage',
+        tenant,
+        entity_type: 'error_event',
+        entity_id: errorEventId,
+      });
+      messages.push({ role: 'assistant', content: response.content });
+
+      if (response.stop_reason !== 'tool_use') break;
+
+      const toolUses = response.content.filter((b) => b.type === 'tool_use');
+      const toolResults = await Promise.all(
+        toolUses.map(async (b) => ({
+          type: 'tool_result',
+          tool_use_id: b.id,
+          content: await runTool(b.name, b.input),
+        })),
+      );
+      messages.push({ role: 'user', content: toolResults });
+    }
+
+    if (response.stop_reason === 'tool_use') {
+      throw new Error(`Error triage exceeded MAX_TURNS=${MAX_TURNS} without completing`);
+    }
+
+    // 4. Parse + normalise.
+    const result = normalizeResult(feedbackTriage.extractJsonOutput(response));
+
+    // 5. Persist the triage row and close out the claim together.
+    const client = await pool.connect();
+    let triageId;
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        `INSERT INTO error_triage
+           (error_event_id, category, root_cause, suggested_fix, auto_fixable, confidence)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [
+          errorEventId,
+          result.category,
+          result.root_cause,
+          result.suggested_fix,
+          result.auto_fixable,
+          result.confidence,
+        ],
+      );
+      triageId = inserted.rows[0].id;
+      await client.query(
+        `UPDATE error_events
+            SET triage_status = 'done',
+                triage_finished_at = NOW()
+          WHERE id = $1`,
+        [errorEventId],
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // 6. Optional GitHub issue. A failure here doesn't undo the triage —
+    // the row is already useful without the issue link.
+    let issue = null;
+    if (shouldOpenIssue(result)) {
+      try {
+        issue = await createGitHubIssue(result.repo, {
+          title: formatIssueTitle(event, result),
+          body: formatIssueBody(event, result),
+          labels: ['error-triage', `category:${result.category}`, ...(result.auto_fixable ? ['auto-fixable'] : [])],
+        });
+        await pool.query(
+          'UPDATE error_triage SET github_issue_url = $2 WHERE id = $1',
+          [triageId, issue.url],
+        );
+      } catch (err) {
+        console.error(`[error-triage] issue creation failed for ${errorEventId}:`, err.message);
+      }
+    }
+
+    return { ok: true, triage_id: triageId, category: result.category, issue };
+  } catch (err) {
+    await pool.query(
+      `UPDATE error_events
+          SET triage_status = 'failed',
+              triage_finished_at = NOW(),
+              triage_error = $2
+        WHERE id = $1`,
+      [errorEventId, String(err.message || err).slice(0, 2000)],
+    );
+    throw err;
+  }
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function renderErrorPrompt(event) {
+  return [
+    'Triage this production error. Output the JSON object only.',
+    '',
+    '## Error event',
+    `- service: ${event.service}`,
+    `- severity: ${event.severity}`,
+    `- occurrence_count: ${event.occurrence_count}`,
+    `- first_seen_at: ${new Date(event.first_seen_at).toISOString()}`,
+    `- last_seen_at: ${new Date(event.last_seen_at).toISOString()}`,
+    `- log_url: ${event.log_url || '(none)'}`,
+    '',
+    '## Message',
+    event.message || '(empty)',
+    '',
+    '## Stack trace',
+    event.stack_trace || '(none captured)',
+  ].join('\n');
+}
+
+/**
+ * Coerce the model's output onto the error_triage CHECK constraints.
+ * auto_fixable is forced false unless the category is 'bug' — the
+ * autofix loop only ever attempts code fixes.
+ */
+function normalizeResult(raw) {
+  const category = VALID_CATEGORIES.has(raw.category) ? raw.category : 'unknown';
+  const confidence = Number.isFinite(Number(raw.confidence))
+    ? Math.min(Math.max(Number(raw.confidence), 0), 1)
+    : 0;
+  return {
+    category,
+    confidence,
+    repo: ISSUE_REPOS.has(raw.repo) ? raw.repo : null,
+    root_cause: raw.root_cause ? String(raw.root_cause).slice(0, 4000) : null,
+    suggested_fix: raw.suggested_fix ? String(raw.suggested_fix).slice(0, 4000) : null,
+    auto_fixable: category === 'bug' && raw.auto_fixable === true,
+    files: Array.isArray(raw.files) ? raw.files : [],
+    issue_title: raw.issue_title || null,
+  };
+}
+
+function shouldOpenIssue(result) {
+  return process.env.ERROR_TRIAGE_OPEN_ISSUES === 'true'
+    && result.category === 'bug'
+    && result.repo !== null;
+}
+
+function formatIssueTitle(event, result) {
+  const summary = result.issue_title || (event.message || '').split('\n')[0];
+  return `[${event.service}] ${summary}`.slice(0, 250);
+}
+
+function formatIssueBody(event, result) {
+  const sections = [];
+
+  sections.push(`## Production error
+- Service: \`${event.service}\`
+- Severity: \`${event.severity}\`
+- Occurrences: ${event.occurrence_count} (first ${new Date(event.first_seen_at).toISOString()}, last ${new Date(event.last_seen_at).toISOString()})
+${event.log_url ? `- Logs: ${event.log_url}` : ''}`);
+
+  sections.push(`## Message
+\`\`\`
+${(event.message || '').slice(0, 2000)}
+\`\`\``);
+
+  if (event.stack_trace) {
+    sections.push(`## Stack trace
+\`\`\`
+${event.stack_trace.slice(0, 4000)}
+\`\`\``);
+  }
+
+  if (result.root_cause) {
+    sections.push(`## Root cause
+${result.root_cause}`);
+  }
+
+  if (result.suggested_fix) {
+    sections.push(`## Suggested fix (guidance, not mandate)
+${result.suggested_fix}`);
+  }
+
+  if (result.files.length > 0) {
+    sections.push(`## Likely files
+${result.files.map((f) => `- \`${f.path}\` — ${f.reason || ''}`).join('\n')}`);
+  }
+
+  sections.push(`## Triage metadata
+- Category: \`${result.category}\`
+- Confidence: \`${result.confidence}\`
+- Auto-fixable: \`${result.auto_fixable}\``);
+
+  sections.push(`<!-- agentbox-error: event_id=${event.id} fingerprint=${event.fingerprint} -->`);
+
+  return sections.join('\n\n');
+}
+
+// Export helpers for tests + the safety poller.
+export const _internals = {
+  renderErrorPrompt,
+  normalizeResult,
+  formatIssueTitle,
+  formatIssueBody,
+};
+
+/**
+ * Safety poller — runs on a setInterval from server.js. Two jobs:
+ *
+ *   1. Reset stuck rows: triage_status='running' for more than 5 minutes
+ *      (worker crashed before finishing). Flip back to 'pending'.
+ *
+ *   2. Backfill rows: triage_status='pending' and first seen more than
+ *      1 minute ago — the ingest worker's setImmediate crashed or never
+ *      fired (e.g. ENABLE_ERROR_TRIAGE was off when it was ingested).
+ *      Events on the services of tenants over their LLM budget stay
+ *      pending without taking a slot in the batch.
+ *
+ * Idempotent: if multiple poller ticks overlap, the atomic claim in
+ * triageErrorEvent handles the race.
+ */
+export async function safetyPollErrorTriage(pool, { onFinished, tenants } = {}) {
+  if (!pool) throw new Error('pool is required');
+
+  await pool.query(
+    `UPDATE error_events
+        SET triage_status = 'pending'
+      WHERE triage_status = 'running'
+        AND triage_started_at < NOW() - INTERVAL '5 minutes'`,
+  );
+
+  const exhausted = new Set(await getExhaustedTenants(pool));
+  const skipServices = exhausted.size && tenants
+    ? (await tenants.all()).filter((t) => exhausted.has(t.slug)).map((t) => t.service)
+    : [];
+  const stuck = await pool.query(
+    `SELECT id FROM error_events
+      WHERE triage_status = 'pending'
+        AND first_seen_at < NOW() - INTERVAL '1 minute'
+        AND service <> ALL($1::text[])
+      ORDER BY last_seen_at DESC
+      LIMIT 10`,
+    [skipServices],
+  );
+
+  for (const row of stuck.rows) {
+    try {
+      const result = await triageErrorEvent(row.id, pool, { tenants });
+      await onFinished?.(row.id, result);
+    } catch (_err) {
+      // Per-row failures already write to triage_error in the DB.
+    }
+  }
+}
@@ -10,9 +10,15 @@
 // Idempotency: claim-pattern UPDATE. Only one concurrent invocation can move
 // a row from `github_issue_number IS NULL` to a real number.
 //
+// Budget: while the tenant's monthly LLM budget is exhausted (llm-usage.mjs)
+// the row is left at github_sync_status='pending' without calling the
+// classifier; backfillTenant picks it up once there's headroom.
+//
 // Status sync: when a card moves to 'done' AND an issue exists, post a comment
 // + apply `status:done` label. Issue is left OPEN (the agent may still work it).
 
+import { recordLlmUsage, isBudgetExhausted } from './llm-usage.mjs';
+
 const TRIAGE_MODEL = 'claude-haiku-4-5-20251001';
 const REPO_OPTIONS = ['CRMBackend', 'CRMFrontEnd'];
 const DEFAULT_REPO = 'CRMBackend';
@@ -47,7 +53,7 @@ export function createKanbanGithubSync({ pool, anthropic, handlers, callGitHub,
 
   // ---- Classifier ----------------------------------------------------------
 
-  async function classifyRepo({ tenant, type, priority, channelName, channelFeedbackType, title, description }) {
+  async function classifyRepo({ taskId, tenant, type, priority, channelName, channelFeedbackType, title, description }) {
     const userMsg = [
       `Tenant: ${tenant}`,
       `Type: ${type}`,
@@ -70,6 +76,13 @@ export function createKanbanGithubSync({ pool, anthropic, handlers, callGitHub,
         tool_choice: { type: 'tool', name: 'classify_repo' },
         messages: [{ role: 'user', content: userMsg }],
       });
+      await recordLlmUsage(pool, {
+        response: resp,
+        feature: 'kanban_classifier',
+        tenant,
+        entity_type: taskId ? 'mcp_feedback_task' : null,
+        entity_id: taskId,
+      });
 
       const toolUse = resp.content.find(b => b.type === 'tool_use');
       if (!toolUse?.input?.repo || !REPO_OPTIONS.includes(toolUse.input.repo)) {
@@ -175,6 +188,11 @@ export function createKanbanGithubSync({ pool, anthropic, handlers, callGitHub,
 
     const row = claimed.rows[0];
 
+    if (await isBudgetExhausted(pool, tenant)) {
+      logger.log(`[kanban-gh-sync] ${tenant}/${crmTaskId} deferred — LLM budget exhausted`);
+      return { skipped: true, reason: 'llm_budget_exhausted' };
+    }
+
     try {
       const attResult = await pool.query(
         `SELECT file_name, file_size, mime_type
@@ -185,6 +203,7 @@ export function createKanbanGithubSync({ pool, anthropic, handlers, callGitHub,
       );
 
       const classified = await classifyRepo({
+        taskId: row.id,
         tenant,
         type: row.type,
         priority: row.priority,
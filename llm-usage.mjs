@@ -0,0 +1,230 @@
+// llm-usage.mjs
+//
+// Shared ledger for every Anthropic call the server makes.
+//
+// Each messages.create() response's `usage` block is written to llm_usage
+// with the model, the feature that made the call (chat, feedback_triage,
+// kanban_classifier, error_triage, build_planner, agent_run), the tenant it
+// was on behalf of (when there is one) and the entity it was about. Cost is
+// computed at write time from MODEL_PRICES so later price changes don't
+// rewrite history.
+//
+// Budgets: LLM_MONTHLY_BUDGET_USD_<TENANT> (e.g. LLM_MONTHLY_BUDGET_USD_DTIQ=50)
+// caps a tenant's spend for the current calendar month (UTC). Background
+// workers call isBudgetExhausted() before spending and back off when it's
+// true, and their safety pollers skip getExhaustedTenants()' rows so an
+// over-budget tenant can't fill every batch; interactive /chat is not gated. No env var = no budget.
+//
+// recordLlmUsage never throws — losing a usage row must not fail the call
+// that produced it. insertLlmUsage does, for callers writing the row inside
+// their own transaction (agent-runs.mjs).
+
+const OPUS_4_5 = { input: 5, output: 25, cache_read: 0.5, cache_write: 6.25 };
+const OPUS_4 = { input: 15, output: 75, cache_read: 1.5, cache_write: 18.75 };
+const SONNET = { input: 3, output: 15, cache_read: 0.3, cache_write: 3.75 };
+const HAIKU_4_5 = { input: 1, output: 5, cache_read: 0.1, cache_write: 1.25 };
+const HAIKU_3_5 = { input: 0.8, output: 4, cache_read: 0.08, cache_write: 1 };
+
+// USD per million tokens, by exact model id — aliases and dated snapshots
+// are listed separately. A model that isn't here has no price rather than
+// borrowing a lookalike's.
+export const MODEL_PRICES = {
+  'claude-opus-4-5': OPUS_4_5,
+  'claude-opus-4-5-20251101': OPUS_4_5,
+  'claude-opus-4-1': OPUS_4,
+  'claude-opus-4-1-20250805': OPUS_4,
+  'claude-opus-4-0': OPUS_4,
+  'claude-opus-4-20250514': OPUS_4,
+  'claude-sonnet-4-6': SONNET,
+  'claude-sonnet-4-5': SONNET,
+  'claude-sonnet-4-5-20250929': SONNET,
+  'claude-sonnet-4-0': SONNET,
+  'claude-sonnet-4-20250514': SONNET,
+  'claude-3-7-sonnet-latest': SONNET,
+  'claude-3-7-sonnet-20250219': SONNET,
+  'claude-haiku-4-5': HAIKU_4_5,
+  'claude-haiku-4-5-20251001': HAIKU_4_5,
+  'claude-3-5-haiku-latest': HAIKU_3_5,
+  'claude-3-5-haiku-20241022': HAIKU_3_5,
+};
+
+export function priceFor(model) {
+  return Object.hasOwn(MODEL_PRICES, model) ? MODEL_PRICES[model] : null;
+}
+
+/**
+ * Cost in USD for one response's usage block. Unknown models cost null
+ * (recorded, but excluded from spend totals until priced).
+ */
+export function computeCost(model, usage = {}) {
+  const price = priceFor(model);
+  if (!price) return null;
+  const cost = (
+    (usage.input_tokens || 0) * price.input +
+    (usage.output_tokens || 0) * price.output +
+    (usage.cache_read_input_tokens || 0) * price.cache_read +
+    (usage.cache_creation_input_tokens || 0) * price.cache_write
+  ) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Write one model call to the ledger through `db` (a pool or a client in
+ * a transaction); throws on failure. Pass the raw `response` from
+ * messages.create (model + usage are read off it), or `model` + `usage`
+ * explicitly.
+ *
+ * @param {import('pg').Pool | import('pg').PoolClient} db
+ * @param {object} entry
+ * @param {string} entry.feature - which code path made the call
+ * @param {object} [entry.response] - Anthropic Message
+ * @param {string} [entry.model]
+ * @param {object} [entry.usage]
+ * @param {number} [entry.cost_usd] - pre-computed cost (e.g. reported by a workflow)
+ * @param {string} [entry.tenant]
+ * @param {string} [entry.entity_type] - e.g. 'mcp_feedback_task', 'error_event'
+ * @param {string} [entry.entity_id]
+ */
+export async function insertLlmUsage(db, entry) {
+  const model = entry.model || entry.response?.model || 'unknown';
+  const usage = entry.usage || entry.response?.usage || {};
+  const cost = entry.cost_usd ?? computeCost(model, usage);
+  await db.query(
+    `INSERT INTO llm_usage
+       (model, feature, tenant, entity_type, entity_id,
+        input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      model,
+      entry.feature,
+      entry.tenant || null,
+      entry.entity_type || null,
+      entry.entity_id != null ? String(entry.entity_id) : null,
+      usage.input_tokens || 0,
+      usage.output_tokens || 0,
+      usage.cache_read_input_tokens || 0,
+      usage.cache_creation_input_tokens || 0,
+      cost,
+    ],
+  );
+}
+
+/** insertLlmUsage on the pool, logging instead of throwing. */
+export async function recordLlmUsage(pool, entry) {
+  try {
+    await insertLlmUsage(pool, entry);
+  } catch (err) {
+    console.error(`[llm-usage] failed to record ${entry.feature} usage:`, err.message);
+  }
+}
+
+export function getMonthlyBudget(tenant) {
+  if (!tenant) return null;
+  const raw = process.env[`LLM_MONTHLY_BUDGET_USD_${tenant.toUpperCase()}`];
+  const n = parseFloat(raw);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export async function getMonthToDateSpend(pool, tenant) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(SUM(cost_usd), 0)::float AS spent
+       FROM llm_usage
+      WHERE tenant = $1
+        AND created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    [tenant],
+  );
+  return rows[0].spent;
+}
+
+/**
+ * True when the tenant has a budget configured and this month's spend has
+ * reached it. Fails open: a ledger read error never blocks work.
+ */
+export async function isBudgetExhausted(pool, tenant) {
+  const budget = getMonthlyBudget(tenant);
+  if (budget === null) return false;
+  try {
+    return (await getMonthToDateSpend(pool, tenant)) >= budget;
+  } catch (err) {
+    console.error(`[llm-usage] budget check failed for ${tenant}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Every budgeted tenant whose month-to-date spend has reached its budget —
+ * the safety pollers leave their rows out of each batch. Fails open like
+ * isBudgetExhausted.
+ */
+export async function getExhaustedTenants(pool) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT tenant, COALESCE(SUM(cost_usd), 0)::float AS spent
+         FROM llm_usage
+        WHERE tenant IS NOT NULL
+          AND created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+        GROUP BY tenant`,
+    );
+    return rows
+      .filter((r) => {
+        const budget = getMonthlyBudget(r.tenant);
+        return budget !== null && r.spent >= budget;
+      })
+      .map((r) => r.tenant);
+  } catch (err) {
+    console.error('[llm-usage] exhausted-tenant check failed:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Spend report for get_llm_spend / GET /api/llm-spend. Totals plus
+ * breakdowns by day, tenant, feature and model over [from, to), and each
+ * budgeted tenant's month-to-date position.
+ */
+export async function getLlmSpend(pool, { from, to, tenant, feature } = {}) {
+  const conds = [];
+  const params = [];
+  let idx = 1;
+  conds.push(`created_at >= $${idx++}`);
+  params.push(from || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString());
+  if (to) { conds.push(`created_at < $${idx++}`); params.push(to); }
+  if (tenant) { conds.push(`tenant = $${idx++}`); params.push(tenant); }
+  if (feature) { conds.push(`feature = $${idx++}`); params.push(feature); }
+  const where = `WHERE ${conds.join(' AND ')}`;
+
+  const agg = `COUNT(*)::int AS calls,
+               SUM(input_tokens)::bigint AS input_tokens,
+               SUM(output_tokens)::bigint AS output_tokens,
+               SUM(cache_read_tokens)::bigint AS cache_read_tokens,
+               SUM(cache_write_tokens)::bigint AS cache_write_tokens,
+               ROUND(COALESCE(SUM(cost_usd), 0), 4)::float AS cost_usd`;
+
+  const [total, byDay, byTenant, byFeature, byModel] = await Promise.all([
+    pool.query(`SELECT ${agg} FROM llm_usage ${where}`, params),
+    pool.query(`SELECT (created_at AT TIME ZONE 'UTC')::date AS day, ${agg} FROM llm_usage ${where} GROUP BY 1 ORDER BY 1`, params),
+    pool.query(`SELECT COALESCE(tenant, '(none)') AS tenant, ${agg} FROM llm_usage ${where} GROUP BY 1 ORDER BY cost_usd DESC`, params),
+    pool.query(`SELECT feature, ${agg} FROM llm_usage ${where} GROUP BY 1 ORDER BY cost_usd DESC`, params),
+    pool.query(`SELECT model, ${agg} FROM llm_usage ${where} GROUP BY 1 ORDER BY cost_usd DESC`, params),
+  ]);
+
+  const budgets = [];
+  const tenants = tenant ? [tenant] : byTenant.rows.map((r) => r.tenant).filter((t) => t !== '(none)');
+  for (const t of tenants) {
+    const budget = getMonthlyBudget(t);
+    if (budget === null) continue;
+    const spent = await getMonthToDateSpend(pool, t);
+    budgets.push({ tenant: t, monthly_budget_usd: budget, month_to_date_usd: spent, exhausted: spent >= budget });
+  }
+
+  return {
+    from: params[0],
+    to: to || null,
+    total: total.rows[0],
+    by_day: byDay.rows,
+    by_tenant: byTenant.rows,
+    by_feature: byFeature.rows,
+    by_model: byModel.rows,
+    budgets,
+  };
+}
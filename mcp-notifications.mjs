@@ -0,0 +1,183 @@
+// mcp-notifications.mjs
+//
+// Server-initiated JSON-RPC notifications for MCP sessions, delivered over
+// the GET /mcp SSE stream.
+//
+// Each session (Mcp-Session-Id) keeps a bounded buffer of the notifications
+// addressed to it, numbered 1, 2, 3… as SSE event ids. A client that
+// reconnects with Last-Event-ID gets everything after that id replayed
+// before live events resume; if the buffer has already dropped some of
+// them, a notifications/agentbox/events_dropped notice goes first so the
+// client knows to re-read state.
+//
+// What a session receives:
+//   notifications/resources/updated      — only for URIs it resources/subscribe'd to
+//   notifications/resources/list_changed,
+//   notifications/prompts/list_changed   — everyone
+//   notifications/tools/list_changed     — the sessions of the identity whose role changed
+//   notifications/agentbox/*             — feedback_task, triage_finished, health_changed;
+//                                          tenant-tagged ones only reach sessions allowed
+//                                          that tenant (tenant: null — shared infra —
+//                                          only unlimited ones)
+// Buffers live in memory: replay survives reconnects, not restarts, and
+// although sessions themselves are shared (mcp-sessions.mjs) a stream only
+// carries events raised on the instance serving it. Most clients never end
+// their session, they just stop using it, so a session with no open stream
+// that hasn't been used here for MCP_SESSION_TTL_MS — by then it has
+// expired in the store too — is evicted with its buffer.
+
+import { MCP_SESSION_TTL_MS } from './mcp-sessions.mjs';
+
+const DEFAULT_BUFFER_SIZE = parseInt(process.env.MCP_NOTIFICATION_BUFFER || '200', 10);
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @param {object} opts
+ * @param {(identity: object, tenant: string) => boolean} opts.canSeeTenant
+ */
+export function createMcpNotifier({ canSeeTenant, bufferSize = DEFAULT_BUFFER_SIZE, idleMs = MCP_SESSION_TTL_MS, logger = console }) {
+  // sessionId → { identity, streams: Set<res>, subscriptions: Set<uri>, buffer: [{ id, message }], seq, usedAt }
+  const sessions = new Map();
+
+  function session(sessionId, identity) {
+    let s = sessions.get(sessionId);
+    if (!s) {
+      s = { identity: identity || null, streams: new Set(), subscriptions: new Set(), buffer: [], seq: 0 };
+      sessions.set(sessionId, s);
+    }
+    if (identity) s.identity = identity;
+    s.usedAt = Date.now();
+    return s;
+  }
+
+  function write(res, id, message) {
+    res.write(`id: ${id}\ndata: ${JSON.stringify(message)}\n\n`);
+  }
+
+  function deliver(s, method, params) {
+    const message = { jsonrpc: '2.0', method, params };
+    const id = ++s.seq;
+    s.buffer.push({ id, message });
+    if (s.buffer.length > bufferSize) s.buffer.splice(0, s.buffer.length - bufferSize);
+    for (const res of s.streams) write(res, id, message);
+  }
+
+  // ---- Streams ----
+
+  /** Start buffering for a session at initialize, before any stream opens. */
+  function open(sessionId, identity) {
+    session(sessionId, identity);
+  }
+
+  /**
+   * Register an open SSE response for the session, replaying anything after
+   * `lastEventId` first. Returns a detach function for req 'close'.
+   */
+  function attach(sessionId, identity, res, lastEventId) {
+    const s = session(sessionId, identity);
+    const after = parseInt(lastEventId, 10);
+    if (Number.isFinite(after)) {
+      const oldest = s.buffer[0]?.id ?? s.seq + 1;
+      if (after + 1 < oldest && after < s.seq) {
+        res.write(`data: ${JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'notifications/agentbox/events_dropped',
+          params: { last_event_id: after, oldest_available: oldest },
+        })}\n\n`);
+      }
+      for (const { id, message } of s.buffer) if (id > after) write(res, id, message);
+    }
+    s.streams.add(res);
+    return () => {
+      s.streams.delete(res);
+      s.usedAt = Date.now();
+    };
+  }
+
+  /** The session was used (any request on it); keeps it from being evicted. */
+  function touch(sessionId) {
+    const s = sessions.get(sessionId);
+    if (s) s.usedAt = Date.now();
+  }
+
+  function dropSession(sessionId) {
+    const s = sessions.get(sessionId);
+    if (!s) return;
+    for (const res of s.streams) res.end();
+    sessions.delete(sessionId);
+  }
+
+  /** Evict sessions with no open stream that went unused for idleMs. */
+  function sweep(now = Date.now()) {
+    let evicted = 0;
+    for (const [sessionId, s] of sessions) {
+      if (s.streams.size || now - s.usedAt < idleMs) continue;
+      sessions.delete(sessionId);
+      evicted++;
+    }
+    if (evicted) logger.log(`[mcp-notify] evicted ${evicted} idle session(s)`);
+    return evicted;
+  }
+
+  const sweeper = setInterval(sweep, Math.min(idleMs, SWEEP_INTERVAL_MS));
+  sweeper.unref();
+
+  // ---- Subscriptions ----
+
+  function subscribe(sessionId, identity, uri) {
+    session(sessionId, identity).subscriptions.add(uri);
+  }
+
+  function unsubscribe(sessionId, uri) {
+    sessions.get(sessionId)?.subscriptions.delete(uri);
+  }
+
+  // ---- Publishing ----
+
+  function resourceUpdated(uri) {
+    for (const s of sessions.values()) {
+      if (s.subscriptions.has(uri)) deliver(s, 'notifications/resources/updated', { uri });
+    }
+  }
+
+  /** `kind`: 'resources' | 'prompts' — list_changed to every session. */
+  function listChanged(kind) {
+    for (const s of sessions.values()) deliver(s, `notifications/${kind}/list_changed`, {});
+  }
+
+  /** tools/list_changed for every session of one identity (matched by `match`). */
+  function toolsChangedFor(match) {
+    for (const s of sessions.values()) {
+      if (s.identity && match(s.identity)) deliver(s, 'notifications/tools/list_changed', {});
+    }
+  }
+
+  /**
+   * Custom event → notifications/agentbox/<event>. A `params.tenant` key
+   * limits delivery to sessions canSeeTenant allows — null included, for
+   * events that belong to no tenant.
+   */
+  function publish(event, params) {
+    let delivered = 0;
+    for (const s of sessions.values()) {
+      if (params && 'tenant' in params && !canSeeTenant(s.identity, params.tenant)) continue;
+      deliver(s, `notifications/agentbox/${event}`, params);
+      delivered++;
+    }
+    if (delivered) logger.log(`[mcp-notify] ${event} → ${delivered} session(s)`);
+  }
+
+  return {
+    open,
+    attach,
+    touch,
+    dropSession,
+    sweep,
+    subscribe,
+    unsubscribe,
+    resourceUpdated,
+    listChanged,
+    toolsChangedFor,
+    publish,
+  };
+}
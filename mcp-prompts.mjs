@@ -0,0 +1,345 @@
+// mcp-prompts.mjs
+//
+// MCP prompts (prompts/list, prompts/get): the team's recurring multi-step
+// asks — weekly portfolio update, tenant incident review, onboarding
+// checklist — as named, parameterised prompts rendered server-side with live
+// data.
+//
+// A prompt is a row in mcp_prompts:
+//   arguments    — [{ name, description, type: string|number|enum, enum?,
+//                    required?, default? }]
+//   data_sources — [{ as, tool, args }]: read-access tools run at render time
+//                  as the caller; `args` values may use {{argument}}
+//   template     — text with {{argument}} and {{data.<as>}} placeholders;
+//                  data is inserted as pretty JSON
+// BUILTIN_PROMPTS are inserted on first use (never overwritten), so edits
+// made through the /api/prompts endpoints stick. Deleting archives the row.
+//
+// Data sources go through `callTool` (server.js's invokeTool), so the
+// caller's role, tenants, rate limits and the audit log all apply. A source
+// that fails renders as { error } instead of failing the whole prompt.
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]{1,63}$/;
+const ARG_TYPES = ['string', 'number', 'enum'];
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_.]+)\s*\}\}/g;
+const MAX_DATA_CHARS = 20000;
+
+export const BUILTIN_PROMPTS = [
+  {
+    name: 'weekly_portfolio_update',
+    title: 'Weekly portfolio update',
+    description: 'Draft the portfolio status update: progress per company, engineering activity, open work and risks',
+    arguments: [
+      { name: 'days', description: 'Look-back window in days', type: 'number', default: 7 },
+    ],
+    data_sources: [
+      { as: 'portfolio', tool: 'get_portfolio_summary', args: {} },
+      { as: 'activity', tool: 'get_recent_activity', args: { limit: 30 } },
+      { as: 'github', tool: 'github_org_activity', args: { days: '{{days}}' } },
+      { as: 'in_progress', tool: 'list_dev_tasks', args: { status: 'in_progress' } },
+      { as: 'blocked', tool: 'list_dev_tasks', args: { status: 'blocked' } },
+    ],
+    template: `Write the portfolio update for the last {{days}} days for the Digital Alpha team.
+
+Structure it as: a three-line headline summary; one short section per company (progress %, what moved, what is next); engineering activity; blocked work and risks with an owner for each. Be concrete and cite milestones and tasks by name. Leave out companies with nothing to report.
+
+Portfolio summary:
+{{data.portfolio}}
+
+Recent activity and notes:
+{{data.activity}}
+
+GitHub activity:
+{{data.github}}
+
+Dev tasks in progress:
+{{data.in_progress}}
+
+Blocked dev tasks:
+{{data.blocked}}`,
+  },
+  {
+    name: 'tenant_incident_review',
+    title: 'Tenant incident review',
+    description: "Review a tenant's recent errors and logs and write an incident summary with likely causes and next steps",
+    arguments: [
+      { name: 'tenant', description: 'Tenant slug', type: 'string', required: true },
+      { name: 'hours_back', description: 'How many hours to review', type: 'number', default: 24 },
+    ],
+    data_sources: [
+      { as: 'logs', tool: 'get_deployment_log_summary', args: { tenant: '{{tenant}}', hours_back: '{{hours_back}}' } },
+      { as: 'errors', tool: 'list_error_events', args: { tenant: '{{tenant}}', limit: 25 } },
+      { as: 'config', tool: 'get_tenant_config', args: { tenant: '{{tenant}}' } },
+    ],
+    template: `Run an incident review for tenant {{tenant}} covering the last {{hours_back}} hours.
+
+Produce: impact (what users would have seen, since when); a timeline from the log and error data; the most likely root causes ranked, each tied to specific error fingerprints or messages; what to check next; and whether anything needs a fix, a config change or just monitoring. Say plainly when the data is not enough to conclude.
+
+Log summary by severity:
+{{data.logs}}
+
+Recent error events on {{tenant}}'s backend service:
+{{data.errors}}
+
+Tenant infrastructure config:
+{{data.config}}`,
+  },
+  {
+    name: 'tenant_onboarding_checklist',
+    title: 'New tenant onboarding checklist',
+    description: 'Checklist for bringing a new tenant live, pre-filled with what the infra registry already knows about it',
+    arguments: [
+      { name: 'tenant', description: 'Tenant slug', type: 'string', required: true },
+    ],
+    data_sources: [
+      { as: 'config', tool: 'get_tenant_config', args: { tenant: '{{tenant}}' } },
+      { as: 'platform', tool: 'list_tenant_configs', args: {} },
+    ],
+    template: `Build the onboarding checklist for new tenant {{tenant}}.
+
+Cover: Cloud Run services (backend, frontend, RAG, phone agent) and their deploy commands; env vars and secrets; Firebase project and first admin user; CRM instance registration; DNS and URLs; monitoring and error ingest; a smoke test. Mark each item done, missing or unknown based on the data below, and compare against how existing tenants are set up. End with the three most important next actions.
+
+What the infra registry has for {{tenant}}:
+{{data.config}}
+
+Existing tenants for reference:
+{{data.platform}}`,
+  },
+];
+
+/**
+ * @param {object} opts
+ * @param {import('pg').Pool} opts.pool
+ * @param {(identity: object, name: string, args: object) => Promise<any>} opts.callTool
+ * @param {Record<string, string>} opts.toolAccess - tool name → access tag; data sources must be 'read'
+ */
+export function createMcpPrompts({ pool, callTool, toolAccess, logger = console }) {
+  let builtinsSeeded = null;
+
+  // ---- Registry ----
+
+  function ensureBuiltins() {
+    builtinsSeeded ||= (async () => {
+      for (const p of BUILTIN_PROMPTS) {
+        await pool.query(
+          `INSERT INTO mcp_prompts (name, title, description, arguments, data_sources, template, builtin, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $6, true, 'system')
+           ON CONFLICT (name) DO NOTHING`,
+          [p.name, p.title, p.description, JSON.stringify(p.arguments), JSON.stringify(p.data_sources), p.template],
+        );
+      }
+    })().catch((err) => {
+      builtinsSeeded = null;
+      throw err;
+    });
+    return builtinsSeeded;
+  }
+
+  async function list({ include_archived = false } = {}) {
+    await ensureBuiltins();
+    const { rows } = await pool.query(
+      `SELECT * FROM mcp_prompts ${include_archived ? '' : 'WHERE archived_at IS NULL'} ORDER BY name`,
+    );
+    return rows;
+  }
+
+  async function get(name) {
+    await ensureBuiltins();
+    const { rows } = await pool.query('SELECT * FROM mcp_prompts WHERE name = $1 AND archived_at IS NULL', [name]);
+    if (!rows[0]) throw new Error(`Prompt not found: ${name}`);
+    return rows[0];
+  }
+
+  async function create(def, updatedBy) {
+    validateDefinition(def);
+    await ensureBuiltins();
+    const { rows } = await pool.query(
+      `INSERT INTO mcp_prompts (name, title, description, arguments, data_sources, template, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (name) DO UPDATE SET
+         title = EXCLUDED.title, description = EXCLUDED.description, arguments = EXCLUDED.arguments,
+         data_sources = EXCLUDED.data_sources, template = EXCLUDED.template,
+         updated_by = EXCLUDED.updated_by, archived_at = NULL, updated_at = NOW()
+       WHERE mcp_prompts.archived_at IS NOT NULL
+       RETURNING *`,
+      [def.name, def.title || null, def.description || null, JSON.stringify(def.arguments || []),
+        JSON.stringify(def.data_sources || []), def.template, updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Prompt already exists: ${def.name}`);
+    logger.log(`[mcp-prompts] ${def.name} created by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  /** Partial update; the merged definition is validated as a whole. */
+  async function update(name, patch, updatedBy) {
+    const current = await get(name);
+    const next = { ...current, ...pick(patch, ['title', 'description', 'arguments', 'data_sources', 'template']), name };
+    validateDefinition(next);
+    const { rows } = await pool.query(
+      `UPDATE mcp_prompts
+          SET title = $2, description = $3, arguments = $4, data_sources = $5, template = $6,
+              updated_by = $7, updated_at = NOW()
+        WHERE name = $1 AND archived_at IS NULL
+        RETURNING *`,
+      [name, next.title || null, next.description || null, JSON.stringify(next.arguments),
+        JSON.stringify(next.data_sources), next.template, updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Prompt not found: ${name}`);
+    logger.log(`[mcp-prompts] ${name} updated by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  async function archive(name, updatedBy) {
+    const { rows } = await pool.query(
+      `UPDATE mcp_prompts SET archived_at = NOW(), updated_by = $2, updated_at = NOW()
+        WHERE name = $1 AND archived_at IS NULL
+        RETURNING *`,
+      [name, updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Prompt not found: ${name}`);
+    logger.log(`[mcp-prompts] ${name} archived by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  // ---- MCP ----
+
+  /** prompts/list entries. MCP arguments carry no type, so it goes in the description. */
+  async function mcpListing() {
+    const rows = await list();
+    return rows.map((p) => ({
+      name: p.name,
+      title: p.title || undefined,
+      description: p.description || undefined,
+      arguments: p.arguments.map((a) => ({
+        name: a.name,
+        description: argumentHint(a),
+        required: !!a.required,
+      })),
+    }));
+  }
+
+  /** prompts/get: the rendered prompt as a single user message. */
+  async function render(identity, name, rawArgs = {}) {
+    const prompt = await get(name);
+    const args = coerceArguments(prompt.arguments, rawArgs);
+
+    const data = {};
+    await Promise.all(prompt.data_sources.map(async (src) => {
+      try {
+        const result = await callTool(identity, src.tool, fillArgs(src.args || {}, args));
+        data[src.as] = result;
+      } catch (err) {
+        data[src.as] = { error: err.message };
+      }
+    }));
+
+    const text = prompt.template.replace(PLACEHOLDER, (_, key) => {
+      if (key.startsWith('data.')) return formatData(data[key.slice(5)]);
+      return args[key] === undefined ? '' : String(args[key]);
+    });
+    return {
+      description: prompt.description || prompt.title || prompt.name,
+      messages: [{ role: 'user', content: { type: 'text', text } }],
+    };
+  }
+
+  // ---- Validation ----
+
+  function validateDefinition(def) {
+    if (!def || typeof def !== 'object') throw new Error('Invalid prompt: body must be an object');
+    if (!NAME_PATTERN.test(def.name || '')) throw new Error('Invalid name: use lowercase letters, digits and underscores');
+    if (!def.template || typeof def.template !== 'string') throw new Error('template is required');
+
+    const argList = def.arguments || [];
+    if (!Array.isArray(argList)) throw new Error('Invalid arguments: must be an array');
+    for (const a of argList) {
+      if (!a?.name || !/^[a-z][a-z0-9_]*$/.test(a.name)) throw new Error(`Invalid arguments: bad name ${JSON.stringify(a?.name)}`);
+      const type = a.type || 'string';
+      if (!ARG_TYPES.includes(type)) throw new Error(`Invalid arguments: ${a.name} type must be one of ${ARG_TYPES.join(', ')}`);
+      if (type === 'enum' && !(Array.isArray(a.enum) && a.enum.length)) throw new Error(`Invalid arguments: ${a.name} needs an enum list`);
+    }
+
+    const sources = def.data_sources || [];
+    if (!Array.isArray(sources)) throw new Error('Invalid data_sources: must be an array');
+    for (const s of sources) {
+      if (!s?.as || !/^[a-z][a-z0-9_]*$/.test(s.as)) throw new Error(`Invalid data_sources: bad 'as' ${JSON.stringify(s?.as)}`);
+      if (toolAccess[s.tool] !== 'read') throw new Error(`Invalid data_sources: ${s.tool} is not a read-only tool`);
+      if (s.args !== undefined && (typeof s.args !== 'object' || Array.isArray(s.args))) throw new Error(`Invalid data_sources: ${s.as}.args must be an object`);
+    }
+
+    const argNames = new Set(argList.map((a) => a.name));
+    const dataNames = new Set(sources.map((s) => s.as));
+    const texts = [def.template, ...sources.map((s) => JSON.stringify(s.args || {}))];
+    for (const text of texts) {
+      for (const [, key] of text.matchAll(PLACEHOLDER)) {
+        const known = key.startsWith('data.') ? dataNames.has(key.slice(5)) : argNames.has(key);
+        if (!known) throw new Error(`Invalid template: unknown placeholder {{${key}}}`);
+      }
+    }
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    archive,
+    mcpListing,
+    render,
+  };
+}
+
+/** Apply defaults, check required/enum, and turn number arguments into numbers. */
+function coerceArguments(defs, raw) {
+  const out = {};
+  for (const a of defs) {
+    let v = raw?.[a.name];
+    if (v === undefined || v === null || v === '') v = a.default;
+    if (v === undefined) {
+      if (a.required) throw new Error(`Invalid arguments: ${a.name} is required`);
+      continue;
+    }
+    if (a.type === 'number') {
+      const n = Number(v);
+      if (!Number.isFinite(n)) throw new Error(`Invalid arguments: ${a.name} must be a number`);
+      v = n;
+    } else if (a.type === 'enum' && !a.enum.includes(v)) {
+      throw new Error(`Invalid arguments: ${a.name} must be one of ${a.enum.join(', ')}`);
+    } else {
+      v = String(v);
+    }
+    out[a.name] = v;
+  }
+  return out;
+}
+
+// A value that is exactly one placeholder keeps the argument's type
+// ("{{days}}" → 7); anything else is string interpolation.
+function fillArgs(template, args) {
+  const out = {};
+  for (const [key, value] of Object.entries(template)) {
+    if (typeof value !== 'string') { out[key] = value; continue; }
+    const whole = /^\{\{\s*([a-zA-Z0-9_]+)\s*\}\}$/.exec(value);
+    if (whole) {
+      if (args[whole[1]] !== undefined) out[key] = args[whole[1]];
+      continue;
+    }
+    out[key] = value.replace(PLACEHOLDER, (_, k) => (args[k] === undefined ? '' : String(args[k])));
+  }
+  return out;
+}
+
+function formatData(value) {
+  const json = JSON.stringify(value ?? null, null, 2);
+  return json.length > MAX_DATA_CHARS ? `${json.slice(0, MAX_DATA_CHARS)}\n… [truncated]` : json;
+}
+
+function argumentHint(a) {
+  const type = a.type === 'enum' ? `one of ${a.enum.join(', ')}` : a.type || 'string';
+  const dflt = a.default !== undefined ? `, default ${a.default}` : '';
+  return `${a.description || a.name} (${type}${dflt})`;
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter((k) => obj?.[k] !== undefined).map((k) => [k, obj[k]]));
+}
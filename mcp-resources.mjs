@@ -0,0 +1,219 @@
+// mcp-resources.mjs
+//
+// MCP resources (resources/list, resources/read, resources/templates/list)
+// so clients can attach portfolio context instead of calling tools for it:
+//
+//   agentbox://company/{slug}           get_company, as JSON
+//   agentbox://document/{id}            get_document_content — the file's own
+//                                       text for DOCUMENT_TEXT_MIME_TYPES,
+//                                       metadata JSON for anything else
+//   agentbox://context/{repo}/{area}    get_project_context for one area
+//
+// Reads go through the same tool path as tools/call (`callTool` is
+// server.js's invokeTool), so authorization, rate limits and the audit log
+// apply unchanged.
+
+import { MAX_PAGE_SIZE } from './pagination.mjs';
+
+export const RESOURCE_SCHEME = 'agentbox://';
+
+// File extensions whose content get_document_content returns as text.
+export const DOCUMENT_TEXT_MIME_TYPES = {
+  md: 'text/markdown',
+  txt: 'text/plain',
+  json: 'application/json',
+  csv: 'text/csv',
+  html: 'text/html',
+  xml: 'application/xml',
+  js: 'text/javascript',
+  ts: 'application/typescript',
+  py: 'text/x-python',
+  sql: 'application/sql',
+};
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${RESOURCE_SCHEME}company/{slug}`,
+    name: 'Portfolio company',
+    description: 'Company record with contacts, milestones, documents, requirements and activity',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}document/{id}`,
+    name: 'Document',
+    description: 'Document content (text formats) or metadata with its download URL',
+  },
+  {
+    uriTemplate: `${RESOURCE_SCHEME}context/{repo}/{area}`,
+    name: 'Project context',
+    description: 'Status entries for one area of a repo (what is done, in progress, blocked)',
+    mimeType: 'application/json',
+  },
+];
+
+/**
+ * "agentbox://document/abc" → { kind: 'document', parts: ['abc'] }, or null
+ * for URIs this server doesn't serve.
+ */
+export function parseResourceUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) return null;
+  const [kind, ...rest] = uri.slice(RESOURCE_SCHEME.length).split('/');
+  let parts;
+  try {
+    parts = rest.map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  const arity = { company: 1, document: 1, context: 2 }[kind];
+  if (!arity || parts.length !== arity || parts.some((p) => !p)) return null;
+  return { kind, parts };
+}
+
+function resourceUri(kind, ...parts) {
+  return `${RESOURCE_SCHEME}${kind}/${parts.map(encodeURIComponent).join('/')}`;
+}
+
+// Company-scoped write tools (all take `slug`) and the document tools that
+// add or remove entries from resources/list.
+const COMPANY_WRITE_TOOLS = new Set([
+  'update_company_status', 'update_company_description', 'add_milestone', 'add_note',
+  'update_requirement', 'add_requirement', 'add_document', 'add_contact', 'upload_document',
+]);
+const DOCUMENT_LIST_TOOLS = new Set(['add_document', 'upload_document', 'delete_document']);
+
+/**
+ * Which resources a successful tool call changed, for
+ * notifications/resources/updated and list_changed.
+ */
+export function resourceChangesForTool(name, args) {
+  const updated = [];
+  if (COMPANY_WRITE_TOOLS.has(name) && args?.slug) updated.push(resourceUri('company', args.slug));
+  if (name === 'delete_document' && args?.document_id) updated.push(resourceUri('document', args.document_id));
+  if (name === 'update_project_context' && args?.repo && args?.area) updated.push(resourceUri('context', args.repo, args.area));
+  // onboard_tenant may add a company; an offboarding purge removes one.
+  const tenantChange = name === 'onboard_tenant' || (name === 'offboard_tenant' && args?.purge === true && !args?.dry_run);
+  return { updated, listChanged: DOCUMENT_LIST_TOOLS.has(name) || name === 'update_project_context' || tenantChange };
+}
+
+function jsonContents(uri, value) {
+  return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }] };
+}
+
+/**
+ * @param {object} opts
+ * @param {(identity: object, name: string, args: object) => Promise<any>} opts.callTool
+ * @param {{ canUseTool: Function, tenantsOf: Function }} opts.authz - hides other tenants' companies from listings
+ */
+export function createMcpResources({ callTool, authz }) {
+
+  function templates() {
+    return RESOURCE_TEMPLATES;
+  }
+
+  async function list(identity) {
+    const [companies, documents, context] = await Promise.all([
+      everyPage(identity, 'list_companies'),
+      listDocuments(identity),
+      callTool(identity, 'list_project_context', {}),
+    ]);
+    const visible = (slug) => !slug || authz.canUseTool(identity, 'get_company', { slug });
+
+    const resources = [];
+    for (const c of companies.filter((c) => visible(c.slug))) {
+      resources.push({
+        uri: resourceUri('company', c.slug),
+        name: c.name,
+        description: c.description || undefined,
+        mimeType: 'application/json',
+      });
+    }
+    for (const d of documents.filter((d) => visible(d.companies?.slug))) {
+      const ext = d.file_type?.toLowerCase();
+      resources.push({
+        uri: resourceUri('document', d.id),
+        name: d.name,
+        description: [d.companies?.name, d.category].filter(Boolean).join(' · ') || undefined,
+        mimeType: DOCUMENT_TEXT_MIME_TYPES[ext] || 'application/json',
+      });
+    }
+    for (const { repo, entries } of context.repos) {
+      for (const area of [...new Set(entries.map((e) => e.area))]) {
+        resources.push({
+          uri: resourceUri('context', repo, area),
+          name: `${repo} · ${area}`,
+          mimeType: 'application/json',
+        });
+      }
+    }
+    return { resources };
+  }
+
+  /** Throws "Resource not found: …" for URIs that don't parse or don't exist. */
+  async function read(identity, uri) {
+    const parsed = parseResourceUri(uri);
+    if (!parsed) throw new Error(`Resource not found: ${uri}`);
+    const { kind, parts } = parsed;
+
+    try {
+      if (kind === 'company') {
+        return jsonContents(uri, await callTool(identity, 'get_company', { slug: parts[0] }));
+      }
+      if (kind === 'context') {
+        const [repo, area] = parts;
+        const result = await callTool(identity, 'get_project_context', { repo, area });
+        if (!result.areas) throw new Error(`Resource not found: ${uri}`);
+        return jsonContents(uri, result);
+      }
+      const { document, content, truncated, error, message } = await callTool(identity, 'get_document_content', { document_id: parts[0] });
+      if (!visibleDocument(identity, document)) throw new Error(`Resource not found: ${uri}`);
+      const mimeType = DOCUMENT_TEXT_MIME_TYPES[document.file_type?.toLowerCase()];
+      if (mimeType && content !== null) {
+        return { contents: [{ uri, mimeType, text: content, ...(truncated && { _meta: { truncated: true } }) }] };
+      }
+      return jsonContents(uri, { document, ...(error && { error }), ...(message && { message }) });
+    } catch (err) {
+      // Handlers say "not found" in their own words, and an id that isn't a
+      // UUID fails argument validation; MCP clients get one shape for both.
+      if (/not found|^Invalid arguments for /i.test(err.message) && !err.message.startsWith('Resource not found')) {
+        throw new Error(`Resource not found: ${uri}`);
+      }
+      throw err;
+    }
+  }
+
+  // Walk a paginated list tool (pagination.mjs) to the end.
+  async function everyPage(identity, tool, args = {}) {
+    const items = [];
+    let cursor;
+    do {
+      const page = await callTool(identity, tool, { ...args, limit: MAX_PAGE_SIZE, ...(cursor && { cursor }) });
+      items.push(...page.items);
+      cursor = page.next_cursor;
+    } while (cursor);
+    return items;
+  }
+
+  // authz makes a tenant-limited caller name a tenant for
+  // list_all_documents, so theirs are listed one tenant at a time. A tenant
+  // with no portfolio company simply has no documents.
+  async function listDocuments(identity) {
+    const tenants = authz.tenantsOf(identity);
+    if (!tenants) return everyPage(identity, 'list_all_documents');
+    const perTenant = await Promise.all(tenants.map((slug) => everyPage(identity, 'list_all_documents', { slug }).catch((err) => {
+      if (/not found/i.test(err.message)) return [];
+      throw err;
+    })));
+    return perTenant.flat();
+  }
+
+  function visibleDocument(identity, document) {
+    const slug = document?.companies?.slug;
+    return !slug || authz.canUseTool(identity, 'get_company', { slug });
+  }
+
+  return {
+    templates,
+    list,
+    read,
+  };
+}
@@ -0,0 +1,184 @@
+// mcp-sessions.mjs
+//
+// MCP Streamable HTTP sessions (Mcp-Session-Id) kept in a shared store, so a
+// session opened on one Cloud Run instance keeps working after a restart or
+// when the load balancer sends the next request to another instance.
+//
+// A session records who opened it (ownerKey of req.mcpIdentity), the
+// client's clientInfo and capabilities from `initialize`, and the protocol
+// version we negotiated. Expiry is sliding: every request that uses the
+// session pushes expires_at out by MCP_SESSION_TTL_MS. A session only
+// resumes for the identity that opened it; expired, revoked or foreign ids
+// look the same — unknown — and the client has to initialize again.
+//
+// Stores: createPgSessionStore (mcp_sessions table; the default) and
+// createMemorySessionStore (MCP_SESSION_STORE=memory — single instance,
+// local dev). Both expose insert / touch / list / revoke / purge.
+
+import { randomUUID } from 'crypto';
+import { ownerKey } from './chat-store.mjs';
+
+export const MCP_SESSION_TTL_MS = parseInt(process.env.MCP_SESSION_TTL_MS || String(24 * 60 * 60 * 1000), 10);
+
+// Newest first; we answer with the client's version when we speak it.
+export const MCP_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05'];
+
+// What the spec says to assume for a request that carries neither a
+// session nor an MCP-Protocol-Version header.
+export const DEFAULT_PROTOCOL_VERSION = '2025-03-26';
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PURGE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+export function negotiateProtocolVersion(requested) {
+  return MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0];
+}
+
+export function createMcpSessions({ store, ttlMs = MCP_SESSION_TTL_MS, logger = console }) {
+  let lastPurge = 0;
+
+  /** New session for an `initialize` request. */
+  async function create({ identity, clientInfo, capabilities, protocolVersion }) {
+    maybePurge();
+    const now = Date.now();
+    return await store.insert({
+      id: `mcp_${randomUUID()}`,
+      owner: ownerKey(identity),
+      actor_kind: identity?.kind || 'anonymous',
+      actor_email: identity?.email || identity?.owner || null,
+      client_info: clientInfo || null,
+      client_capabilities: capabilities || null,
+      protocol_version: protocolVersion,
+      expires_at: new Date(now + ttlMs),
+    });
+  }
+
+  /** The live session `id` for this caller, with its expiry extended, or null. */
+  async function resume(id, identity) {
+    if (!id) return null;
+    return await store.touch(id, ownerKey(identity), new Date(Date.now() + ttlMs));
+  }
+
+  async function list({ include_inactive = false } = {}) {
+    return await store.list({ include_inactive });
+  }
+
+  /** Admin revoke, or the client ending its own session (DELETE /mcp). */
+  async function revoke(id, revokedBy) {
+    const row = await store.revoke(id, revokedBy || null);
+    if (!row) throw new Error(`MCP session not found or already ended: ${id}`);
+    logger.log(`[mcp-sessions] ${id} ended by ${revokedBy || 'unknown'}`);
+    return row;
+  }
+
+  function maybePurge() {
+    if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+    lastPurge = Date.now();
+    store.purge(new Date(Date.now() - PURGE_AFTER_MS))
+      .catch((err) => logger.error(`[mcp-sessions] purge failed: ${err.message}`));
+  }
+
+  return {
+    create,
+    resume,
+    list,
+    revoke,
+  };
+}
+
+// ---- Postgres store ----
+
+export function createPgSessionStore(pool) {
+  return {
+    async insert(s) {
+      const { rows } = await pool.query(
+        `INSERT INTO mcp_sessions (id, owner, actor_kind, actor_email, client_info, client_capabilities, protocol_version, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [s.id, s.owner, s.actor_kind, s.actor_email, JSON.stringify(s.client_info), JSON.stringify(s.client_capabilities), s.protocol_version, s.expires_at],
+      );
+      return rows[0];
+    },
+
+    async touch(id, owner, expiresAt) {
+      const { rows } = await pool.query(
+        `UPDATE mcp_sessions SET last_used_at = NOW(), expires_at = $3
+          WHERE id = $1 AND owner = $2 AND revoked_at IS NULL AND expires_at > NOW()
+          RETURNING *`,
+        [id, owner, expiresAt],
+      );
+      return rows[0] || null;
+    },
+
+    async list({ include_inactive }) {
+      const { rows } = await pool.query(
+        `SELECT * FROM mcp_sessions
+          ${include_inactive ? '' : 'WHERE revoked_at IS NULL AND expires_at > NOW()'}
+          ORDER BY last_used_at DESC
+          LIMIT 500`,
+      );
+      return rows;
+    },
+
+    async revoke(id, revokedBy) {
+      const { rows } = await pool.query(
+        `UPDATE mcp_sessions SET revoked_at = NOW(), revoked_by = $2
+          WHERE id = $1 AND revoked_at IS NULL
+          RETURNING *`,
+        [id, revokedBy],
+      );
+      return rows[0] || null;
+    },
+
+    async purge(before) {
+      await pool.query(
+        'DELETE FROM mcp_sessions WHERE expires_at < $1 OR revoked_at < $1',
+        [before],
+      );
+    },
+  };
+}
+
+// ---- In-memory store ----
+
+export function createMemorySessionStore() {
+  const sessions = new Map();
+  const active = (s) => !s.revoked_at && s.expires_at > new Date();
+
+  return {
+    async insert(s) {
+      const row = { ...s, created_at: new Date(), last_used_at: new Date(), revoked_at: null, revoked_by: null };
+      sessions.set(s.id, row);
+      return { ...row };
+    },
+
+    async touch(id, owner, expiresAt) {
+      const s = sessions.get(id);
+      if (!s || s.owner !== owner || !active(s)) return null;
+      s.last_used_at = new Date();
+      s.expires_at = expiresAt;
+      return { ...s };
+    },
+
+    async list({ include_inactive }) {
+      return [...sessions.values()]
+        .filter((s) => include_inactive || active(s))
+        .sort((a, b) => b.last_used_at - a.last_used_at)
+        .map((s) => ({ ...s }));
+    },
+
+    async revoke(id, revokedBy) {
+      const s = sessions.get(id);
+      if (!s || s.revoked_at) return null;
+      s.revoked_at = new Date();
+      s.revoked_by = revokedBy;
+      return { ...s };
+    },
+
+    async purge(before) {
+      for (const [id, s] of sessions) {
+        if (s.expires_at < before || (s.revoked_at && s.revoked_at < before)) sessions.delete(id);
+      }
+    },
+  };
+}
@@ -0,0 +1,196 @@
+// pagination.mjs
+//
+// The paging contract shared by the list tools and their REST routes:
+//
+//   arguments  limit   page size (per-listing default, max MAX_PAGE_SIZE)
+//              cursor  next_cursor from the previous page, passed back as is
+//              sort    one of the listing's sort keys, "-key" for descending
+//              fields  return only these fields of each item
+//   result     { items, next_cursor }  — next_cursor is null on the last page
+//
+// Over REST the same arguments are query parameters, with `fields`
+// comma-separated (pageArgsFromQuery).
+//
+// Cursors are opaque to callers. They carry the sort values and key of the
+// last row returned (keyset paging: the next page starts strictly after
+// that row, so rows added or removed in between don't shift or repeat it)
+// plus a fingerprint of the sort and filters they were issued for, so a
+// cursor replayed against a different query is rejected instead of quietly
+// returning the wrong page. A cursor that doesn't decode, or whose values
+// the sort columns can't take, is "Invalid cursor" (isInvalidCursor).
+
+import { createHash } from 'crypto';
+
+export const MAX_PAGE_SIZE = 100;
+
+// Arguments that may change between pages of the same query.
+const PAGING_ARGS = new Set(['limit', 'cursor', 'fields']);
+
+/**
+ * @param {object} def
+ * @param {string[]} def.fields - what `fields` may select (the row's columns)
+ * @param {Record<string, string|string[]>} def.sort - sort key → SQL
+ *   expression(s) over the columns the listing's SELECT returns
+ * @param {string} def.defaultSort - a sort key, "-key" for descending
+ * @param {string} def.key - unique column; the final tiebreak so pages never overlap
+ * @param {number} [def.defaultLimit]
+ */
+export function defineListing({ fields, sort, defaultSort, key, defaultLimit = 25 }) {
+  const sortKeys = Object.keys(sort);
+  return {
+    fields,
+    sort,
+    defaultSort,
+    key,
+    defaultLimit,
+    // Spread into the tool's inputSchema.properties.
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, description: `Page size (default ${defaultLimit}, max ${MAX_PAGE_SIZE})` },
+      cursor: { type: 'string', description: 'next_cursor from the previous page' },
+      sort: { type: 'string', enum: sortKeys.flatMap((k) => [k, `-${k}`]), description: `Sort key, prefix - for descending (default ${defaultSort})` },
+      fields: { type: 'array', items: { type: 'string', enum: fields }, description: 'Only return these fields of each item (default all)' },
+    },
+  };
+}
+
+/**
+ * Run one page of `sql` (a SELECT without ORDER BY / LIMIT, using $1…$n
+ * for `params`). Throws "Invalid …" for a bad limit, sort, fields or cursor.
+ */
+export async function listPage(runQuery, listing, { sql, params = [] }, args = {}) {
+  const limit = pageSize(listing, args.limit);
+  const sort = args.sort || listing.defaultSort;
+  const desc = sort.startsWith('-');
+  const sortExprs = listing.sort[desc ? sort.slice(1) : sort];
+  if (!sortExprs) {
+    throw new Error(`Invalid sort: ${sort}. Valid: ${Object.keys(listing.sort).join(', ')} (prefix - for descending)`);
+  }
+  const fields = projection(listing, args.fields);
+  const fingerprint = queryFingerprint({ ...args, sort });
+  const exprs = [...[].concat(sortExprs), listing.key];
+  const after = args.cursor ? decodeCursor(args.cursor, fingerprint, exprs.length) : null;
+
+  // `sql` becomes a subquery so the sort expressions can be compared and
+  // also returned as text (_sort0…n, full precision) for the next cursor.
+  const values = [...params];
+  const where = after ? ` WHERE ${keysetCondition(exprs, after, desc, values)}` : '';
+  values.push(limit + 1);
+  const text = `SELECT page.*, ${exprs.map((e, i) => `(${e})::text AS _sort${i}`).join(', ')} FROM (${sql}) AS page`
+    + `${where} ORDER BY ${exprs.map((e) => `${e} ${desc ? 'DESC' : 'ASC'}`).join(', ')} LIMIT $${values.length}`;
+
+  let rows;
+  try {
+    rows = await runQuery(text, values);
+  } catch (err) {
+    // Class 22 (data exception): a cursor value its column can't take.
+    if (after && String(err.code).startsWith('22')) throw new Error('Invalid cursor');
+    throw err;
+  }
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const next = rows.length > limit ? encodeCursor(exprs.map((_, i) => last[`_sort${i}`]), fingerprint) : null;
+  const items = page.map((row) => {
+    const item = withoutSortColumns(row, exprs.length);
+    return fields ? pick(item, fields) : item;
+  });
+  return { items, next_cursor: next };
+}
+
+/** Whether `err` is listPage's rejection of a cursor. */
+export function isInvalidCursor(err) {
+  return typeof err?.message === 'string' && err.message.startsWith('Invalid cursor');
+}
+
+/**
+ * A page embedded in a larger result (get_company's sub-collections), with
+ * the tool call and REST URL that fetch the rest.
+ */
+export function withMore(page, { tool, args, href }) {
+  if (!page.next_cursor) return page;
+  return {
+    ...page,
+    more: {
+      tool,
+      arguments: { ...args, cursor: page.next_cursor },
+      href: `${href}?cursor=${encodeURIComponent(page.next_cursor)}`,
+    },
+  };
+}
+
+/** limit / cursor / sort / fields from a REST query string. */
+export function pageArgsFromQuery(query) {
+  return {
+    limit: query.limit !== undefined ? Number(query.limit) : undefined,
+    cursor: query.cursor || undefined,
+    sort: query.sort || undefined,
+    fields: query.fields ? String(query.fields).split(',').map((f) => f.trim()).filter(Boolean) : undefined,
+  };
+}
+
+function pageSize(listing, limit) {
+  if (limit === undefined || limit === null) return listing.defaultLimit;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`Invalid limit: ${limit}. Use 1–${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+function projection(listing, fields) {
+  if (!fields?.length) return null;
+  const unknown = fields.filter((f) => !listing.fields.includes(f));
+  if (unknown.length) throw new Error(`Invalid fields: ${unknown.join(', ')}. Valid: ${listing.fields.join(', ')}`);
+  return fields;
+}
+
+// Rows strictly after `after` in ORDER BY `exprs`. Postgres sorts NULL
+// above every value (last ascending, first descending), and NULL never
+// compares equal, so each expression's "same" and "later" spell that out.
+function keysetCondition(exprs, after, desc, values) {
+  const param = (v) => { values.push(v); return `$${values.length}`; };
+  const expr = (i) => `(${exprs[i]})`;
+  const same = (i) => (after[i] === null ? `${expr(i)} IS NULL` : `${expr(i)} = ${param(after[i])}`);
+  const later = (i) => {
+    if (after[i] === null) return desc ? `${expr(i)} IS NOT NULL` : 'FALSE';
+    return desc ? `${expr(i)} < ${param(after[i])}` : `(${expr(i)} > ${param(after[i])} OR ${expr(i)} IS NULL)`;
+  };
+  const terms = exprs.map((_, i) => `(${[...exprs.slice(0, i).map((_, j) => same(j)), later(i)].join(' AND ')})`);
+  return `(${terms.join(' OR ')})`;
+}
+
+function withoutSortColumns(row, count) {
+  const item = { ...row };
+  for (let i = 0; i < count; i++) delete item[`_sort${i}`];
+  return item;
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.filter((f) => f in row).map((f) => [f, row[f]]));
+}
+
+function queryFingerprint(args) {
+  const filters = Object.entries(args)
+    .filter(([k, v]) => !PAGING_ARGS.has(k) && v !== undefined && v !== null && v !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+  return createHash('sha256').update(JSON.stringify(filters)).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(keys, fingerprint) {
+  return Buffer.from(JSON.stringify({ k: keys, q: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint, count) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  const keys = parsed?.k;
+  if (!Array.isArray(keys) || !keys.every((v) => v === null || typeof v === 'string')) {
+    throw new Error('Invalid cursor');
+  }
+  if (parsed.q !== fingerprint) throw new Error('Invalid cursor: it belongs to a different query (filters or sort changed)');
+  if (keys.length !== count) throw new Error('Invalid cursor');
+  return keys;
+}
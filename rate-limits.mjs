@@ -0,0 +1,213 @@
+// rate-limits.mjs
+//
+// Per-identity token buckets and concurrency caps, so one runaway MCP
+// client or looping /chat session can't hammer the CRMs, GitHub or Cloud
+// Monitoring on everyone else's behalf.
+//
+// Callers are keyed by ownerKey(req.mcpIdentity) — user:<uid>,
+// api_key:<id>, service, anonymous. Every tool falls into a class:
+//   llm      — model calls (/chat turns, each loop iteration) and tools that
+//              start planner / agent work
+//   external — tools that call a CRM instance, GitHub, Google or GCP APIs
+//   default  — everything else (local Postgres reads/writes)
+// Each (caller, class) pair has its own bucket of `capacity` tokens refilled
+// at `perMinute`, plus a cap on calls in flight at once. Fan-out tools cost
+// more than one token (see TOOL_COSTS).
+//
+// Limits are configured per class as RATE_LIMIT_<CLASS>=capacity/perMinute/concurrency,
+// e.g. RATE_LIMIT_EXTERNAL=60/60/6. State is in memory, so limits apply per
+// Cloud Run instance.
+
+import { ownerKey } from './chat-store.mjs';
+
+export const RATE_CLASSES = {
+  default: { capacity: 120, perMinute: 120, concurrency: 16 },
+  external: { capacity: 60, perMinute: 60, concurrency: 6 },
+  llm: { capacity: 20, perMinute: 20, concurrency: 2 },
+};
+
+const LLM_TOOLS = new Set([
+  'create_build_run',
+  'trigger_autofix',
+]);
+
+const EXTERNAL_TOOLS = new Set([
+  'send_email',
+  'send_project_update',
+  'check_deployment_health',
+  'list_emails',
+  'get_email',
+  'list_calendar_events',
+  'create_calendar_event',
+  'get_crm_instance_status',
+  'check_crm_instance_health',
+  'list_crm_users',
+  'create_crm_user',
+  'update_crm_user_role',
+  'delete_crm_user',
+  'reset_crm_user_password',
+  'submit_admin_request',
+  'github_list_repos',
+  'github_list_commits',
+  'github_list_prs',
+  'github_org_activity',
+  'create_github_issue',
+  'get_cloudrun_service_info',
+  'get_cloudrun_metrics',
+  'get_cloudrun_metrics_timeseries',
+  'get_all_deployments_metrics',
+  'get_cloudrun_revisions',
+  'get_deployment_logs',
+  'get_deployment_log_summary',
+  'get_firebase_users',
+  'onboard_tenant',
+  'offboard_tenant',
+]);
+
+// Tokens per call for tools that fan out to many upstream requests.
+const TOOL_COSTS = {
+  github_list_commits: (args) => (args?.repo ? 1 : 10),
+  github_list_prs: (args) => (args?.repo ? 1 : 10),
+  github_org_activity: () => 20,
+  get_all_deployments_metrics: () => 5,
+};
+
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+export function toolRateClass(name) {
+  if (LLM_TOOLS.has(name)) return 'llm';
+  if (EXTERNAL_TOOLS.has(name)) return 'external';
+  return 'default';
+}
+
+/** "capacity/perMinute/concurrency" → limits, falling back field by field. */
+export function parseLimitSpec(spec, fallback) {
+  if (!spec) return { ...fallback };
+  const [capacity, perMinute, concurrency] = String(spec).split('/').map((v) => parseInt(v, 10));
+  return {
+    capacity: capacity > 0 ? capacity : fallback.capacity,
+    perMinute: perMinute > 0 ? perMinute : fallback.perMinute,
+    concurrency: concurrency > 0 ? concurrency : fallback.concurrency,
+  };
+}
+
+export function limitsFromEnv(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(RATE_CLASSES).map(([cls, fallback]) => [cls, parseLimitSpec(env[`RATE_LIMIT_${cls.toUpperCase()}`], fallback)]),
+  );
+}
+
+export function isRateLimited(err) {
+  return typeof err?.message === 'string' && err.message.startsWith('Rate limited');
+}
+
+function rateLimitedError(message, retryAfter) {
+  const err = new Error(`Rate limited: ${message}`);
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+export function createRateLimiter({ limits = limitsFromEnv(), logger = console, now = Date.now } = {}) {
+  // ownerKey → class → { tokens, updated, inFlight }
+  const callers = new Map();
+  let lastPrune = now();
+
+  function bucket(identity, cls) {
+    const key = ownerKey(identity);
+    let byClass = callers.get(key);
+    if (!byClass) callers.set(key, (byClass = {}));
+    if (!byClass[cls]) byClass[cls] = { tokens: limits[cls].capacity, updated: now(), inFlight: 0 };
+    return refill(byClass[cls], limits[cls]);
+  }
+
+  function refill(b, limit) {
+    const t = now();
+    b.tokens = Math.min(limit.capacity, b.tokens + ((t - b.updated) / 60_000) * limit.perMinute);
+    b.updated = t;
+    return b;
+  }
+
+  // Forget callers whose buckets are full and idle.
+  function prune() {
+    lastPrune = now();
+    for (const [key, byClass] of callers) {
+      const idle = Object.entries(byClass).every(([cls, b]) => {
+        refill(b, limits[cls]);
+        return b.inFlight === 0 && b.tokens >= limits[cls].capacity;
+      });
+      if (idle) callers.delete(key);
+    }
+  }
+
+  /** Spend `cost` tokens from the caller's `cls` bucket or throw "Rate limited: …". */
+  function take(identity, cls, cost = 1, label = cls) {
+    if (now() - lastPrune > PRUNE_INTERVAL_MS) prune();
+    const limit = limits[cls];
+    const b = bucket(identity, cls);
+    const needed = Math.min(cost, limit.capacity);
+    if (b.tokens < needed) {
+      const retryAfter = Math.ceil(((needed - b.tokens) / limit.perMinute) * 60);
+      logger.warn(`[rate-limits] ${ownerKey(identity)} over ${cls} limit (${label}), retry in ${retryAfter}s`);
+      throw rateLimitedError(`${label} (${cls}: burst ${limit.capacity}, ${limit.perMinute}/min) — retry in ${retryAfter}s`, retryAfter);
+    }
+    b.tokens -= needed;
+  }
+
+  /**
+   * Claim one of the caller's `cls` concurrency slots or throw. Returns a
+   * release function; call it exactly once when the work settles.
+   */
+  function acquire(identity, cls, label = cls) {
+    const limit = limits[cls];
+    const b = bucket(identity, cls);
+    if (b.inFlight >= limit.concurrency) {
+      throw rateLimitedError(`${label} — ${b.inFlight} ${cls} calls already in flight (max ${limit.concurrency})`, 1);
+    }
+    b.inFlight++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      b.inFlight--;
+    };
+  }
+
+  /** Run a tool invocation under its class's bucket and concurrency cap. */
+  async function runTool(identity, name, args, fn) {
+    const cls = toolRateClass(name);
+    take(identity, cls, TOOL_COSTS[name]?.(args) ?? 1, name);
+    const release = acquire(identity, cls, name);
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  /** Current per-caller usage, for GET /api/rate-limits. */
+  function snapshot() {
+    prune();
+    const out = [];
+    for (const [caller, byClass] of callers) {
+      const buckets = {};
+      for (const [cls, b] of Object.entries(byClass)) {
+        refill(b, limits[cls]);
+        buckets[cls] = {
+          tokens: Math.floor(b.tokens),
+          capacity: limits[cls].capacity,
+          in_flight: b.inFlight,
+          concurrency: limits[cls].concurrency,
+        };
+      }
+      out.push({ caller, buckets });
+    }
+    return { limits, callers: out };
+  }
+
+  return {
+    take,
+    acquire,
+    runTool,
+    snapshot,
+  };
+}
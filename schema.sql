@@ -154,6 +154,7 @@ CREATE TABLE IF NOT EXISTS build_runs (
   metadata JSONB DEFAULT '{}',
   started_at TIMESTAMPTZ,
   completed_at TIMESTAMPTZ,
+  heartbeat_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -166,6 +167,7 @@ CREATE TABLE IF NOT EXISTS build_tasks (
   description TEXT,
   worktree_path TEXT,
   agent_pid INT,
+  agent_instance TEXT,
   status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'success', 'failed', 'cancelled')),
   output_log TEXT,
   files_changed JSONB DEFAULT '[]',
@@ -191,6 +193,11 @@ CREATE TABLE IF NOT EXISTS error_events (
   fingerprint TEXT UNIQUE NOT NULL,
   occurrence_count INT DEFAULT 1,
   acknowledged BOOLEAN DEFAULT FALSE,
+  triage_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (triage_status IN ('pending', 'running', 'done', 'skipped', 'failed')),
+  triage_started_at TIMESTAMPTZ,
+  triage_finished_at TIMESTAMPTZ,
+  triage_error TEXT,
   first_seen_at TIMESTAMPTZ DEFAULT NOW(),
   last_seen_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -210,6 +217,16 @@ CREATE TABLE IF NOT EXISTS error_triage (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Error Ingest Cursors — per-service high-water mark for the Cloud Logging
+-- ingestion worker. last_insert_ids holds the entries already counted at
+-- exactly last_timestamp so the >= re-fetch doesn't double-count them.
+CREATE TABLE IF NOT EXISTS error_ingest_cursors (
+  service TEXT PRIMARY KEY,
+  last_timestamp TIMESTAMPTZ NOT NULL,
+  last_insert_ids TEXT[] DEFAULT '{}',
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================
 -- Auto-Fix Loop (Layer 3)
 -- ============================================
@@ -228,12 +245,26 @@ CREATE TABLE IF NOT EXISTS autofix_runs (
   tests_passed BOOLEAN,
   pr_url TEXT,
   agent_pid INT,
+  agent_instance TEXT,
   error_message TEXT,
   metadata JSONB DEFAULT '{}',
+  heartbeat_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Autofix Run Events — every status transition of an autofix run, with the
+-- reason, so a reviewer can see why a fix was or wasn't proposed
+CREATE TABLE IF NOT EXISTS autofix_run_events (
+  id BIGSERIAL PRIMARY KEY,
+  autofix_run_id UUID NOT NULL REFERENCES autofix_runs(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  message TEXT,
+  detail JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Add FK from error_triage to autofix_runs (circular ref, added after both tables exist)
 -- ALTER TABLE error_triage ADD CONSTRAINT fk_autofix_run FOREIGN KEY (autofix_run_id) REFERENCES autofix_runs(id) ON DELETE SET NULL;
 -- Run manually if needed; CREATE TABLE IF NOT EXISTS won't re-add constraints.
@@ -362,11 +393,33 @@ CREATE INDEX IF NOT EXISTS idx_error_triage_auto_fixable ON error_triage(auto_fi
 CREATE INDEX IF NOT EXISTS idx_autofix_runs_status ON autofix_runs(status);
 CREATE INDEX IF NOT EXISTS idx_autofix_runs_triage ON autofix_runs(error_triage_id);
 CREATE INDEX IF NOT EXISTS idx_autofix_runs_created ON autofix_runs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_autofix_run_events_run ON autofix_run_events(autofix_run_id, created_at);
 
 -- ============================================
 -- Infrastructure Registry (Tenant Configs)
 -- ============================================
 
+-- Tenants (tenants.mjs) — one row per CRM tenant; the source for CRM URLs,
+-- Cloud Run service names and which env vars hold each tenant's secrets
+-- (*_ref are env var names, never values). NULL columns fall back to the
+-- legacy per-tenant env var names. tenant_configs rows for a tenant share
+-- its slug; platform services (dashboard, mcp-server) have no tenants row,
+-- so that link isn't a foreign key. Deleting sets archived_at.
+CREATE TABLE IF NOT EXISTS tenants (
+  slug               TEXT PRIMARY KEY CHECK (slug ~ '^[a-z0-9][a-z0-9-]*$'),
+  name               TEXT NOT NULL,
+  company_id         UUID REFERENCES companies(id) ON DELETE SET NULL,
+  crm_url            TEXT,
+  cloud_run_service  TEXT,
+  crm_key_ref        TEXT,
+  task_crm_key_ref   TEXT,
+  webhook_secret_ref TEXT,
+  archived_at        TIMESTAMPTZ,
+  updated_by         TEXT,
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- One row per service (not per company). E.g. PacketFabric has backend + frontend rows.
 CREATE TABLE IF NOT EXISTS tenant_configs (
   id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -411,6 +464,73 @@ CREATE INDEX IF NOT EXISTS idx_tc_tenant ON tenant_configs(tenant);
 CREATE INDEX IF NOT EXISTS idx_tc_service ON tenant_configs(service_type);
 CREATE INDEX IF NOT EXISTS idx_tc_status ON tenant_configs(status);
 
+-- Tenant onboarding checklist (tenant-onboarding.mjs). One row per tenant
+-- being onboarded, params merged across runs (no secrets in them); one row
+-- per step with its latest attempt. Not a foreign key to tenants — the
+-- register_tenant step creates that row.
+CREATE TABLE IF NOT EXISTS tenant_onboardings (
+  tenant         TEXT PRIMARY KEY,
+  params         JSONB NOT NULL DEFAULT '{}',
+  status         TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'incomplete', 'failed', 'done')),
+  started_by     TEXT,
+  run_started_at TIMESTAMPTZ,
+  finished_at    TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tenant_onboarding_steps (
+  tenant      TEXT NOT NULL REFERENCES tenant_onboardings(tenant) ON DELETE CASCADE,
+  step        TEXT NOT NULL,
+  position    INT NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'done', 'skipped', 'failed')),
+  attempts    INT NOT NULL DEFAULT 0,
+  result      JSONB,
+  error       TEXT,
+  started_at  TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  PRIMARY KEY (tenant, step)
+);
+
+-- Tenant offboarding checklist (tenant-offboarding.mjs), laid out like
+-- onboarding's. archive_uri is the latest export; purge_after is
+-- completed_at + retention_days, and 'purged' is final. Kept after the
+-- purge as the record that the tenant's data was removed.
+CREATE TABLE IF NOT EXISTS tenant_offboardings (
+  tenant         TEXT PRIMARY KEY,
+  params         JSONB NOT NULL DEFAULT '{}',
+  status         TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'failed', 'done', 'purged')),
+  started_by     TEXT,
+  run_started_at TIMESTAMPTZ,
+  finished_at    TIMESTAMPTZ,
+  completed_at   TIMESTAMPTZ,
+  archive_uri    TEXT,
+  purge_after    TIMESTAMPTZ,
+  purged_at      TIMESTAMPTZ,
+  purge_result   JSONB,
+  created_at     TIMESTAMPTZ DEFAULT NOW(),
+  updated_at     TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tenant_offboarding_steps (
+  tenant      TEXT NOT NULL REFERENCES tenant_offboardings(tenant) ON DELETE CASCADE,
+  step        TEXT NOT NULL,
+  position    INT NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'running', 'done', 'skipped', 'failed')),
+  attempts    INT NOT NULL DEFAULT 0,
+  result      JSONB,
+  error       TEXT,
+  started_at  TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  PRIMARY KEY (tenant, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_offboardings_purge ON tenant_offboardings(purge_after) WHERE status = 'done';
+
 -- ============================================
 -- Project Context (Shared Team Knowledge)
 -- ============================================
@@ -439,6 +559,192 @@ CREATE INDEX IF NOT EXISTS idx_pc_repo ON project_context(repo);
 CREATE INDEX IF NOT EXISTS idx_pc_area ON project_context(repo, area);
 CREATE INDEX IF NOT EXISTS idx_pc_status ON project_context(status);
 
+-- ============================================
+-- LLM Usage Ledger (llm-usage.mjs)
+-- ============================================
+
+-- One row per Anthropic messages.create() response (or per token delta a
+-- GitHub Actions agent run reports). cost_usd is priced at write time;
+-- NULL means the model wasn't in MODEL_PRICES.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id                 BIGSERIAL PRIMARY KEY,
+  model              TEXT NOT NULL,
+  feature            TEXT NOT NULL,
+  tenant             TEXT,
+  entity_type        TEXT,
+  entity_id          TEXT,
+  input_tokens       INT NOT NULL DEFAULT 0,
+  output_tokens      INT NOT NULL DEFAULT 0,
+  cache_read_tokens  INT NOT NULL DEFAULT 0,
+  cache_write_tokens INT NOT NULL DEFAULT 0,
+  cost_usd           NUMERIC(12, 6),
+  created_at         TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_tenant_created ON llm_usage(tenant, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_feature_created ON llm_usage(feature, created_at);
+
+-- ============================================
+-- Chat Conversations (chat-store.mjs)
+-- ============================================
+
+-- owner is 'user:<firebase uid>', 'api_key:<key id>', or 'service:<session>' /
+-- 'anonymous:<session>' for the shared service key and monitor mode.
+-- summary / summarised_through_seq hold the rolling summary of messages
+-- that no longer fit in the model's context; the messages themselves stay.
+CREATE TABLE IF NOT EXISTS chat_conversations (
+  id                     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner                  TEXT NOT NULL,
+  owner_email            TEXT,
+  title                  TEXT,
+  message_count          INT NOT NULL DEFAULT 0,
+  summary                TEXT,
+  summarised_through_seq INT,
+  created_at             TIMESTAMPTZ DEFAULT NOW(),
+  updated_at             TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per Anthropic message, content exactly as sent/received.
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id              BIGSERIAL PRIMARY KEY,
+  conversation_id UUID NOT NULL REFERENCES chat_conversations(id) ON DELETE CASCADE,
+  seq             INT NOT NULL,
+  role            TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content         JSONB NOT NULL,
+  created_at      TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (conversation_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_conversations_owner_updated ON chat_conversations(owner, updated_at DESC);
+
+-- ============================================
+-- Tool Approvals (tool-approvals.mjs)
+-- ============================================
+
+-- Destructive tool calls parked for a human decision, from /chat or MCP
+-- tools/call. Never deleted — this is the approval audit trail. calls and
+-- partial_results are redacted; call_inputs holds the raw inputs only while
+-- the row is pending.
+CREATE TABLE IF NOT EXISTS tool_approvals (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source             TEXT NOT NULL CHECK (source IN ('chat', 'mcp')),
+  requested_by       TEXT NOT NULL,
+  requested_by_email TEXT,
+  conversation_id    UUID REFERENCES chat_conversations(id) ON DELETE SET NULL,
+  calls              JSONB NOT NULL,
+  call_inputs        JSONB,
+  partial_results    JSONB NOT NULL DEFAULT '[]',
+  status             TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+  decided_by         TEXT,
+  decided_at         TIMESTAMPTZ,
+  decision_reason    TEXT,
+  outcome            JSONB,
+  expires_at         TIMESTAMPTZ NOT NULL,
+  created_at         TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tool_approvals_status_created ON tool_approvals(status, created_at DESC);
+
+-- ============================================
+-- Audit Log (audit-log.mjs)
+-- ============================================
+
+-- One row per tool invocation via /mcp, /tools/:name or /chat. args are
+-- redacted before insert (secrets masked, base64 payloads summarised).
+CREATE TABLE IF NOT EXISTS audit_log (
+  id          BIGSERIAL PRIMARY KEY,
+  actor_kind  TEXT NOT NULL CHECK (actor_kind IN ('service', 'user', 'api_key', 'anonymous')),
+  actor_uid   TEXT,
+  actor_email TEXT,
+  entrypoint  TEXT NOT NULL CHECK (entrypoint IN ('mcp', 'rest', 'chat')),
+  tool        TEXT NOT NULL,
+  tenant      TEXT,
+  args        JSONB NOT NULL DEFAULT '{}',
+  status      TEXT NOT NULL CHECK (status IN ('ok', 'error')),
+  error       TEXT,
+  latency_ms  INT NOT NULL,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_tool_created ON audit_log(tool, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_email_created ON audit_log(actor_email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant_created ON audit_log(tenant, created_at DESC);
+
+-- ============================================
+-- API Keys (api-keys.mjs)
+-- ============================================
+
+-- Per-caller bearer keys accepted by mcpAuthGate. Only key_prefix (lookup)
+-- and a sha256 of the full key are stored. NULL allowed_tenants /
+-- allowed_tools means unrestricted. Revoked rows are kept for the audit trail.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name            TEXT NOT NULL,
+  owner           TEXT NOT NULL,
+  key_prefix      TEXT NOT NULL UNIQUE,
+  key_hash        BYTEA NOT NULL,
+  role            TEXT NOT NULL DEFAULT 'agent'
+    CHECK (role IN ('agent', 'manager', 'admin')),
+  allowed_tenants TEXT[],
+  allowed_tools   TEXT[],
+  expires_at      TIMESTAMPTZ,
+  last_used_at    TIMESTAMPTZ,
+  revoked_at      TIMESTAMPTZ,
+  revoked_by      TEXT,
+  created_by      TEXT,
+  created_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(created_at DESC) WHERE revoked_at IS NULL;
+
+-- ============================================
+-- MCP Prompts (mcp-prompts.mjs)
+-- ============================================
+
+-- Prompt registry behind MCP prompts/list and prompts/get. Built-in prompts
+-- are inserted on first use (builtin = true) and can be edited like any
+-- other. Deleting sets archived_at.
+CREATE TABLE IF NOT EXISTS mcp_prompts (
+  name         TEXT PRIMARY KEY,
+  title        TEXT,
+  description  TEXT,
+  arguments    JSONB NOT NULL DEFAULT '[]',
+  data_sources JSONB NOT NULL DEFAULT '[]',
+  template     TEXT NOT NULL,
+  builtin      BOOLEAN NOT NULL DEFAULT false,
+  archived_at  TIMESTAMPTZ,
+  updated_by   TEXT,
+  created_at   TIMESTAMPTZ DEFAULT NOW(),
+  updated_at   TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- MCP Sessions (mcp-sessions.mjs)
+-- ============================================
+
+-- Mcp-Session-Id state shared by every instance. owner is ownerKey() of the
+-- identity that sent initialize; expires_at slides forward on each use.
+CREATE TABLE IF NOT EXISTS mcp_sessions (
+  id                  TEXT PRIMARY KEY,
+  owner               TEXT NOT NULL,
+  actor_kind          TEXT NOT NULL,
+  actor_email         TEXT,
+  client_info         JSONB,
+  client_capabilities JSONB,
+  protocol_version    TEXT NOT NULL,
+  created_at          TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at        TIMESTAMPTZ DEFAULT NOW(),
+  expires_at          TIMESTAMPTZ NOT NULL,
+  revoked_at          TIMESTAMPTZ,
+  revoked_by          TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_mcp_sessions_active ON mcp_sessions(last_used_at DESC) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_mcp_sessions_expires ON mcp_sessions(expires_at);
+
 -- MCP Feedback-Task Mirror indexes
 CREATE INDEX IF NOT EXISTS idx_mcp_feedback_tasks_tenant ON mcp_feedback_tasks(tenant);
 CREATE INDEX IF NOT EXISTS idx_mcp_feedback_tasks_tenant_status_position ON mcp_feedback_tasks(tenant, status, position);
@@ -474,3 +780,64 @@ ALTER TABLE mcp_feedback_tasks ADD CONSTRAINT mcp_feedback_tasks_github_sync_sta
 CREATE INDEX IF NOT EXISTS idx_feedback_tasks_gh_pending
   ON mcp_feedback_tasks(tenant, github_sync_status)
   WHERE github_issue_number IS NULL AND status <> 'done';
+
+-- 2026-10-19 — error_events triage claim columns (error-triage.mjs)
+ALTER TABLE error_events ADD COLUMN IF NOT EXISTS triage_status      TEXT NOT NULL DEFAULT 'pending';
+ALTER TABLE error_events ADD COLUMN IF NOT EXISTS triage_started_at  TIMESTAMPTZ;
+ALTER TABLE error_events ADD COLUMN IF NOT EXISTS triage_finished_at TIMESTAMPTZ;
+ALTER TABLE error_events ADD COLUMN IF NOT EXISTS triage_error       TEXT;
+ALTER TABLE error_events DROP CONSTRAINT IF EXISTS error_events_triage_status_check;
+ALTER TABLE error_events ADD CONSTRAINT error_events_triage_status_check
+  CHECK (triage_status IN ('pending', 'running', 'done', 'skipped', 'failed'));
+
+-- Claim/poll lookups for the error triage worker.
+CREATE INDEX IF NOT EXISTS idx_error_events_triage_pending
+  ON error_events(triage_status)
+  WHERE triage_status IN ('pending', 'running');
+
+-- 2026-10-19 — audit_log actors can be API keys (api-keys.mjs)
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_kind_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_actor_kind_check
+  CHECK (actor_kind IN ('service', 'user', 'api_key', 'anonymous'));
+
+-- 2026-10-19 — tenants registry (tenants.mjs), seeded with the tenants that
+-- were hard-coded in server.js. Everything but the name is left NULL so the
+-- legacy env vars keep resolving; ON CONFLICT keeps edits and archives.
+INSERT INTO tenants (slug, name, company_id, updated_by)
+SELECT t.slug, t.name, c.id, 'system'
+  FROM (VALUES
+    ('dtiq', 'DTIQ'),
+    ('packetfabric', 'PacketFabric'),
+    ('element8', 'Element 8 / ATLINK'),
+    ('qwilt', 'QWILT'),
+    ('welink', 'Welink'),
+    ('dev', 'Dev')
+  ) AS t(slug, name)
+  LEFT JOIN companies c ON c.slug = t.slug
+ON CONFLICT (slug) DO NOTHING;
+
+-- 2026-10-19 — which server instance spawned agent_pid (tools/workspace.mjs
+-- INSTANCE_ID); a cancel only signals pids its own instance recorded.
+ALTER TABLE build_tasks ADD COLUMN IF NOT EXISTS agent_instance TEXT;
+ALTER TABLE autofix_runs ADD COLUMN IF NOT EXISTS agent_instance TEXT;
+
+-- 2026-10-19 — tool_approvals keeps raw call inputs apart from the redacted
+-- calls, and only until the approval is decided (tool-approvals.mjs).
+ALTER TABLE tool_approvals ADD COLUMN IF NOT EXISTS call_inputs JSONB;
+
+-- 2026-10-19 — the executing instance keeps heartbeat_at fresh; recovery
+-- only fails runs whose heartbeat is older than RUN_LEASE_MS
+-- (tools/workspace.mjs).
+ALTER TABLE build_runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+ALTER TABLE autofix_runs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+
+-- 2026-10-19 — the built-in tenant_incident_review prompt filters errors by
+-- tenant (resolved to its registered Cloud Run service) instead of guessing
+-- crm-backend-<tenant>. Rows edited since keep their own data sources.
+UPDATE mcp_prompts
+   SET data_sources = jsonb_set(data_sources, '{1,args}', '{"tenant": "{{tenant}}", "limit": 25}'),
+       template = replace(template, 'Recent error events for crm-backend-{{tenant}}:', 'Recent error events on {{tenant}}''s backend service:'),
+       updated_at = NOW()
+ WHERE name = 'tenant_incident_review'
+   AND builtin
+   AND data_sources -> 1 -> 'args' = '{"service": "crm-backend-{{tenant}}", "limit": 25}';
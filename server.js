@@ -7,10 +7,37 @@ import nodemailer from 'nodemailer';
 import Anthropic from '@anthropic-ai/sdk';
 import { google } from 'googleapis';
 import admin from 'firebase-admin';
-import { timingSafeEqual } from 'crypto';
+import { timingSafeEqual, randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
+import os from 'os';
+import path from 'path';
 import { createKanbanGithubSync } from './kanban-github-sync.mjs';
 import { triageFeedbackTask, safetyPollTriage } from './triage.mjs';
+import { createErrorIngestWorker, createCloudLoggingSource, createFixtureLogSource } from './error-ingest.mjs';
+import { triageErrorEvent, safetyPollErrorTriage } from './error-triage.mjs';
+import { createBuildRunner } from './build-runner.mjs';
+import { createAutofixRunner } from './autofix-runner.mjs';
+import { createAgentRuns, AGENT_RUN_STATES } from './agent-runs.mjs';
+import { recordLlmUsage, getLlmSpend } from './llm-usage.mjs';
+import { createChatStore, ownerKey } from './chat-store.mjs';
+import { createToolApprovals, pendingConfirmationPayload, approvalErrorStatus } from './tool-approvals.mjs';
+import { recordToolInvocation, listAuditLog, AUDIT_ENTRYPOINTS } from './audit-log.mjs';
+import { createAuthz } from './authz.mjs';
+import { createApiKeys, looksLikeApiKey } from './api-keys.mjs';
+import { createTenantRegistry, REF_PATTERNS } from './tenants.mjs';
+import { createCrmClient } from './crm-client.mjs';
+import { createCrmCache, combineFreshness } from './crm-cache.mjs';
+import { createTenantOnboarding, ONBOARDING_STEPS } from './tenant-onboarding.mjs';
+import { createTenantOffboarding, OFFBOARDING_STEPS, CRM_USER_ACTIONS } from './tenant-offboarding.mjs';
+import { createRateLimiter, isRateLimited } from './rate-limits.mjs';
+import { createToolArgsValidator, isInvalidArguments } from './tool-schema.mjs';
+import { defineListing, listPage, withMore, pageArgsFromQuery, isInvalidCursor } from './pagination.mjs';
+import { createToolOutputs, hasStructuredOutput } from './tool-output.mjs';
+import { createMcpResources, resourceChangesForTool, DOCUMENT_TEXT_MIME_TYPES } from './mcp-resources.mjs';
+import { createMcpPrompts } from './mcp-prompts.mjs';
+import { createMcpNotifier } from './mcp-notifications.mjs';
+import { createMcpSessions, createPgSessionStore, createMemorySessionStore, negotiateProtocolVersion, DEFAULT_PROTOCOL_VERSION } from './mcp-sessions.mjs';
+import { killAgentProcess, INSTANCE_ID } from './tools/workspace.mjs';
 import { getGitHubToken } from './tools/githubAuth.mjs';
 
 // Firebase Admin SDK for AgentBox Dashboard user management
@@ -31,20 +58,23 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
 // ============ AUTH GATE ============
-// Closes the unauthenticated-MCP exposure. Accepts EITHER a valid Firebase ID
-// token (browser/dashboard, per-user) OR the shared service secret (genuine
-// server-to-server callers). When MCP_AUTH_ENFORCE !== 'true' we run in monitor
+// Closes the unauthenticated-MCP exposure. Accepts a valid Firebase ID token
+// (browser/dashboard, per-user), a scoped API key (abk_…, server-to-server
+// callers — see api-keys.mjs) or the legacy shared service secret. When MCP_AUTH_ENFORCE !== 'true' we run in monitor
 // mode: log every anonymous request but allow it through, so callers can be
 // migrated without an outage before enforcement is flipped on.
 const MCP_AUTH_ENFORCE = process.env.MCP_AUTH_ENFORCE === 'true';
+// Legacy: one shared admin secret. Kept until every caller has its own API
+// key; unset it to turn it off.
 const MCP_SERVICE_KEY = process.env.MCP_SERVICE_KEY || '';
 // Reachable without auth: /health only (liveness probe / public uptime ping).
 // '/' (the endpoint map) is intentionally NOT open — unauth endpoint enumeration
 // is needless info disclosure; authenticated callers still get the map.
 const MCP_OPEN_PATHS = new Set(['/health']);
-// Routes that carry their own auth (per-tenant x-webhook-secret) — let them
-// run their existing check instead of the bearer gate.
-const MCP_SELF_AUTHED_PREFIXES = ['/api/feedback-tasks/webhook'];
+// Routes that carry their own auth (per-tenant x-webhook-secret, the agent
+// workflows' x-agent-callback-secret) — let them run their existing check
+// instead of the bearer gate.
+const MCP_SELF_AUTHED_PREFIXES = ['/api/feedback-tasks/webhook', '/api/agent-runs/callback'];
 
 async function mcpAuthGate(req, res, next) {
   if (MCP_OPEN_PATHS.has(req.path)) return next();
@@ -57,10 +87,24 @@ async function mcpAuthGate(req, res, next) {
   if (token && MCP_SERVICE_KEY && constantTimeEquals(token, MCP_SERVICE_KEY)) {
     identity = { kind: 'service' };
   }
-  if (!identity && token) {
+  if (!identity && looksLikeApiKey(token)) {
+    try {
+      identity = await apiKeys.verify(token);
+    } catch (err) {
+      console.error(`[mcp-auth] API key lookup failed: ${err.message}`);
+    }
+  }
+  if (!identity && token && !looksLikeApiKey(token)) {
     try {
       const decoded = await admin.auth().verifyIdToken(token);
-      identity = { kind: 'user', uid: decoded.uid, email: decoded.email || null };
+      // role / tenants are dashboard custom claims — see authz.mjs.
+      identity = {
+        kind: 'user',
+        uid: decoded.uid,
+        email: decoded.email || null,
+        role: decoded.role || 'agent',
+        tenants: Array.isArray(decoded.tenants) ? decoded.tenants : null,
+      };
     } catch {
       /* invalid/expired token — fall through to unauth handling */
     }
@@ -119,16 +163,6 @@ function getGoogleAuth() {
 const GCP_PROJECT_ID = 'agentbox-485618';
 const GCP_REGION = 'us-central1';
 
-// Cloud Run service name mapping
-const TENANT_SERVICE_MAP = {
-  dtiq: 'crm-backend-dtiq',
-  packetfabric: 'crm-backend-packetfabric',
-  element8: 'crm-backend-element8',
-  qwilt: 'crm-backend-qwilt',
-  welink: 'crm-backend-welink',
-  dev: 'crm-backend-dev',
-};
-
 let gcpAuth = null;
 
 function getGcpAuth() {
@@ -157,10 +191,29 @@ function requireGcpAuth() {
   return auth;
 }
 
-function getServiceName(tenant) {
-  const service = TENANT_SERVICE_MAP[tenant];
-  if (!service) throw new Error(`Unknown tenant: ${tenant}. Valid: ${Object.keys(TENANT_SERVICE_MAP).join(', ')}`);
-  return service;
+// Create a Secret Manager secret holding `value`. A secret that already has
+// an enabled version is left alone, so retries never rotate it.
+async function storeGcpSecret(secretId, value) {
+  const secretmanager = google.secretmanager({ version: 'v1', auth: requireGcpAuth() });
+  const parent = `projects/${GCP_PROJECT_ID}`;
+  const name = `${parent}/secrets/${secretId}`;
+  try {
+    await secretmanager.projects.secrets.create({ parent, secretId, requestBody: { replication: { automatic: {} } } });
+  } catch (err) {
+    if (err.code !== 409) throw err;
+  }
+  const versions = await secretmanager.projects.secrets.versions.list({ parent: name, filter: 'state:ENABLED', pageSize: 1 });
+  if (versions.data.versions?.length) return { created: false };
+  await secretmanager.projects.secrets.versions.add({
+    parent: name,
+    requestBody: { payload: { data: Buffer.from(value).toString('base64') } },
+  });
+  return { created: true };
+}
+
+// Cloud Run service name from the tenant registry.
+async function getServiceName(tenant) {
+  return (await tenantRegistry.get(tenant)).service;
 }
 
 function extractLogMessage(entry) {
@@ -182,48 +235,54 @@ function extractLogMessage(entry) {
 }
 
 // ============ CRM INSTANCE CONFIG ============
-const CRM_COMPANIES = (process.env.CRM_INSTANCES || 'dtiq,packetfabric,element8,qwilt,welink,dev').split(',');
+// Tenants, their CRM URLs, Cloud Run services and secret references come
+// from the `tenants` table (tenants.mjs), cached; CRM_INSTANCES and the
+// per-tenant env vars are only the fallback before it's readable.
+const tenantRegistry = createTenantRegistry({ pool });
+
+// onboard_tenant's checklist (tenant-onboarding.mjs). Its CRM and deploy
+// check steps go through the tool handlers directly; the onboard_tenant
+// call itself is what's authorized and audited.
+const tenantOnboarding = createTenantOnboarding({
+  pool,
+  tenantRegistry,
+  runHandler: (name, args) => handlers[name](args),
+  storeSecret: storeGcpSecret,
+});
 
-function getCRMConfig(company) {
-  const key = company.toUpperCase().replace(/-/g, '_');
-  return {
-    url: process.env[`CRM_URL_${key}`],
-    apiKey: process.env[`CRM_KEY_${key}`],
-    tenantId: company
-  };
+// offboard_tenant's checklist and retention purge (tenant-offboarding.mjs).
+// Archives go to TENANT_ARCHIVE_BUCKET, which should not be public.
+const tenantOffboarding = createTenantOffboarding({
+  pool,
+  tenantRegistry,
+  runHandler: (name, args) => handlers[name](args),
+  storage: gcs,
+  documentsBucket: GCS_BUCKET,
+  archiveBucket: process.env.TENANT_ARCHIVE_BUCKET || GCS_BUCKET,
+});
+
+async function crmTenants() {
+  return tenantRegistry.slugs();
 }
 
-async function callCRM(company, method, path, body) {
-  const config = getCRMConfig(company);
-  if (!config.url) throw new Error(`No CRM URL configured for ${company}`);
-  if (!config.apiKey) throw new Error(`No CRM API key configured for ${company}`);
+async function getCRMConfig(company) {
+  return tenantRegistry.crmConfig(company);
+}
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+// Every CRMBackend call goes through crmClient (crm-client.mjs): retries for
+// idempotent methods and a per-tenant circuit breaker.
+const crmClient = createCrmClient({ tenantRegistry });
 
-  try {
-    const resp = await fetch(`${config.url}/api${path}`, {
-      method,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Tenant-ID': config.tenantId,
-        'X-API-Key': config.apiKey,
-      },
-      body: body ? JSON.stringify(body) : undefined,
-      signal: controller.signal,
-    });
-    clearTimeout(timeout);
+async function callCRM(company, method, path, body) {
+  return crmClient.request(company, method, path, body);
+}
 
-    if (!resp.ok) {
-      const err = await resp.json().catch(() => ({}));
-      throw new Error(err.message || `CRM ${company} returned HTTP ${resp.status}`);
-    }
-    return resp.json();
-  } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === 'AbortError') throw new Error(`CRM ${company} request timed out`);
-    throw err;
-  }
+// Cached CRM reads for the dashboard BFFs (crm-cache.mjs): per-endpoint
+// TTLs, served stale while a background fetch refreshes them.
+const crmCache = createCrmCache({ fetch: (company, path) => callCRM(company, 'GET', path) });
+
+function cachedCrmHealth(company, timeoutMs) {
+  return crmCache.get(company, '/health', { load: () => crmClient.probe(company, { timeoutMs }) });
 }
 
 // ============ GITHUB API HELPER ============
@@ -333,7 +392,7 @@ CRM INSTANCE MANAGEMENT:
 - Use update_crm_user_role to change a user's role (admin, manager, agent, customer)
 - Use delete_crm_user to remove a user from an instance
 - Use reset_crm_user_password to reset a user's password
-- Available companies: dtiq, packetfabric, element8, qwilt, welink, dev
+- Available companies: the tenants from list_tenants
 - For bulk operations across all instances, call the tool once per company
 
 GITHUB MONITORING:
@@ -342,20 +401,124 @@ GITHUB MONITORING:
 - Use github_list_prs to see pull requests (open, closed, or all)
 - Use github_org_activity for an org-wide activity summary (commits, PRs, top contributors)
 
+LISTS:
+- List tools return one page: { items, next_cursor }. Only pass next_cursor back as cursor when you actually need more
+- Use fields to fetch just the columns you need, and sort to get the most relevant rows first
+- get_company returns the first few of each sub-collection; follow its "more" entry for the rest
+
 Be concise and direct. Use tools to get real data - don't guess.
 When you complete an action, confirm what you did.
-For sending emails, confirm the recipient and content first.`;
+For sending emails, confirm the recipient and content first.
+Destructive tools (deletes, password resets, emails) pause for the user's approval before they run. If a tool result says the user rejected an action, acknowledge it and don't retry.`;
+
+// ============ LIST PAGING ============
+// Sort keys and selectable fields of the paginated list tools
+// (pagination.mjs). Sort expressions name the columns each list query
+// returns, unqualified — the query runs as a subquery. Declared ahead of `tools` so each schema can spread its
+// listing's limit / cursor / sort / fields properties.
+const LISTINGS = {
+  companies: defineListing({
+    fields: ['id', 'slug', 'name', 'description', 'status', 'tools', 'created_at'],
+    sort: { name: 'name', slug: 'slug', status: 'status', created_at: 'created_at' },
+    defaultSort: 'name',
+    key: 'id',
+    defaultLimit: 50,
+  }),
+  contacts: defineListing({
+    fields: ['id', 'company_id', 'name', 'role', 'email', 'phone', 'is_primary', 'notes', 'created_at'],
+    sort: { name: 'name', created_at: 'created_at' },
+    defaultSort: 'name',
+    key: 'id',
+  }),
+  milestones: defineListing({
+    fields: ['id', 'company_id', 'title', 'status', 'order_index', 'due_date', 'completed_at', 'notes', 'created_at', 'updated_at'],
+    sort: { order: 'order_index', due_date: 'due_date', status: 'status', updated_at: 'updated_at' },
+    defaultSort: 'order',
+    key: 'id',
+  }),
+  requirements: defineListing({
+    fields: ['id', 'company_id', 'item', 'status', 'notes', 'updated_at'],
+    sort: { item: 'item', status: 'status', updated_at: 'updated_at' },
+    defaultSort: 'item',
+    key: 'id',
+  }),
+  activity: defineListing({
+    fields: ['id', 'company_id', 'type', 'content', 'author', 'created_at', 'companies'],
+    sort: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    key: 'id',
+    defaultLimit: 20,
+  }),
+  documents: defineListing({
+    fields: ['id', 'company_id', 'name', 'type', 'url', 'file_url', 'bucket_path', 'file_type', 'category', 'uploaded_at', 'notes', 'companies'],
+    sort: { uploaded_at: 'uploaded_at', name: 'name', category: 'category' },
+    defaultSort: '-uploaded_at',
+    key: 'id',
+  }),
+  dev_tasks: defineListing({
+    fields: ['id', 'title', 'description', 'assigned_to', 'priority', 'status', 'company_id', 'steps', 'acceptance_criteria', 'due_date', 'completed_at', 'created_at', 'updated_at', 'companies'],
+    sort: {
+      priority: ["CASE priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END", 'due_date'],
+      due_date: 'due_date',
+      status: 'status',
+      created_at: 'created_at',
+    },
+    defaultSort: 'priority',
+    key: 'id',
+    defaultLimit: 50,
+  }),
+  deployments: defineListing({
+    fields: ['id', 'name', 'slug', 'description', 'status', 'created_at', 'updated_at'],
+    sort: { created_at: 'created_at', name: 'name', status: 'status' },
+    defaultSort: '-created_at',
+    key: 'id',
+  }),
+};
+
+// The list tool behind each listing, for outputSchema (tool-output.mjs).
+const PAGED_TOOLS = {
+  list_companies: LISTINGS.companies,
+  list_contacts: LISTINGS.contacts,
+  list_milestones: LISTINGS.milestones,
+  list_requirements: LISTINGS.requirements,
+  get_recent_activity: LISTINGS.activity,
+  list_documents: LISTINGS.documents,
+  list_all_documents: LISTINGS.documents,
+  list_dev_tasks: LISTINGS.dev_tasks,
+  list_deployments: LISTINGS.deployments,
+};
+
+// get_company inlines the first COMPANY_PAGE_SIZE of each sub-collection,
+// read through the list tool that pages the rest.
+const COMPANY_PAGE_SIZE = 10;
+const COMPANY_COLLECTION_TOOLS = {
+  contacts: 'list_contacts',
+  milestones: 'list_milestones',
+  documents: 'list_documents',
+  requirements: 'list_requirements',
+  activity: 'get_recent_activity',
+};
+
+// Tenant arguments are checked against the tenant registry when the tool
+// runs, not with an enum here — tenants are added without a deploy.
+const TENANT_SLUG = { type: "string", pattern: "^[a-z0-9][a-z0-9-]*$" };
 
 // ============ TOOL DEFINITIONS ============
+// Every tool carries an `access` tag: "read" (no side effects), "write"
+// (creates or changes state) or "destructive" (deletes, credential resets,
+// outbound email). Destructive calls need a human approval before they run
+// from /chat, and from MCP tools/call when MCP_CONFIRM_DESTRUCTIVE=true.
 const tools = [
   {
     name: "list_companies",
-    description: "List all portfolio companies with their status and progress",
-    inputSchema: { type: "object", properties: {}, required: [] }
+    access: "read",
+    description: "List portfolio companies with their status (paginated)",
+    inputSchema: { type: "object", properties: { ...LISTINGS.companies.properties }, required: [] }
   },
   {
     name: "get_company",
-    description: "Get full details for a company including milestones, requirements, contacts, and recent activity",
+    access: "read",
+    description: "Get full details for a company including milestones, requirements, contacts, documents and recent activity. Each of those is the first page only; its `more` entry says which tool call fetches the rest.",
     inputSchema: {
       type: "object",
       properties: {
@@ -366,6 +529,7 @@ const tools = [
   },
   {
     name: "update_company_status",
+    access: "write",
     description: "Update a company's overall status",
     inputSchema: {
       type: "object",
@@ -378,6 +542,7 @@ const tools = [
   },
   {
     name: "update_company_description",
+    access: "write",
     description: "Update a company's description / summary text",
     inputSchema: {
       type: "object",
@@ -390,22 +555,25 @@ const tools = [
   },
   {
     name: "list_milestones",
-    description: "List all milestones for a company",
+    access: "read",
+    description: "List milestones for a company (paginated)",
     inputSchema: {
       type: "object",
       properties: {
-        slug: { type: "string", description: "Company slug" }
+        slug: { type: "string", description: "Company slug" },
+        ...LISTINGS.milestones.properties
       },
       required: ["slug"]
     }
   },
   {
     name: "update_milestone",
+    access: "write",
     description: "Update a milestone's status (mark as done, in progress, blocked, etc.)",
     inputSchema: {
       type: "object",
       properties: {
-        milestone_id: { type: "string", description: "Milestone UUID" },
+        milestone_id: { type: "string", format: "uuid", description: "Milestone UUID" },
         status: { type: "string", enum: ["pending", "in_progress", "done", "blocked"], description: "New status" },
         notes: { type: "string", description: "Optional notes about the update" }
       },
@@ -414,44 +582,48 @@ const tools = [
   },
   {
     name: "add_milestone",
+    access: "write",
     description: "Add a new milestone to a company",
     inputSchema: {
       type: "object",
       properties: {
         slug: { type: "string", description: "Company slug" },
         title: { type: "string", description: "Milestone title" },
-        due_date: { type: "string", description: "Optional due date (YYYY-MM-DD)" }
+        due_date: { type: "string", format: "date", description: "Optional due date (YYYY-MM-DD)" }
       },
       required: ["slug", "title"]
     }
   },
   {
     name: "add_note",
+    access: "write",
     description: "Add a note or activity entry for a company (meetings, updates, etc.)",
     inputSchema: {
       type: "object",
       properties: {
         slug: { type: "string", description: "Company slug" },
         content: { type: "string", description: "Note content" },
-        type: { type: "string", enum: ["note", "meeting", "milestone", "document"], description: "Type of activity" }
+        type: { type: "string", enum: ["note", "milestone", "document", "meeting", "call", "email"], description: "Type of activity" }
       },
       required: ["slug", "content"]
     }
   },
   {
     name: "get_recent_activity",
+    access: "read",
     description: "Get recent activity/notes across all companies or for a specific company",
     inputSchema: {
       type: "object",
       properties: {
         slug: { type: "string", description: "Optional company slug to filter by" },
-        limit: { type: "number", description: "Number of entries to return (default 20)" }
+        ...LISTINGS.activity.properties
       },
       required: []
     }
   },
   {
     name: "update_requirement",
+    access: "write",
     description: "Update status of a requirement (what we need from a company)",
     inputSchema: {
       type: "object",
@@ -465,6 +637,7 @@ const tools = [
   },
   {
     name: "add_requirement",
+    access: "write",
     description: "Add a new requirement for a company",
     inputSchema: {
       type: "object",
@@ -476,19 +649,36 @@ const tools = [
       required: ["slug", "item"]
     }
   },
+  {
+    name: "list_requirements",
+    access: "read",
+    description: "List requirements (what we need from a company) with their status (paginated)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        slug: { type: "string", description: "Company slug" },
+        status: { type: "string", enum: ["needed", "requested", "received"], description: "Filter by status" },
+        ...LISTINGS.requirements.properties
+      },
+      required: ["slug"]
+    }
+  },
   {
     name: "list_documents",
-    description: "List all documents for a company",
+    access: "read",
+    description: "List documents for a company (paginated)",
     inputSchema: {
       type: "object",
       properties: {
-        slug: { type: "string", description: "Company slug" }
+        slug: { type: "string", description: "Company slug" },
+        ...LISTINGS.documents.properties
       },
       required: ["slug"]
     }
   },
   {
     name: "add_document",
+    access: "write",
     description: "Register a document for a company (metadata only, no file upload)",
     inputSchema: {
       type: "object",
@@ -504,6 +694,7 @@ const tools = [
   },
   {
     name: "add_contact",
+    access: "write",
     description: "Add a contact person for a company",
     inputSchema: {
       type: "object",
@@ -511,7 +702,7 @@ const tools = [
         slug: { type: "string", description: "Company slug" },
         name: { type: "string", description: "Contact name" },
         role: { type: "string", description: "Role/title" },
-        email: { type: "string", description: "Email address" },
+        email: { type: "string", format: "email", description: "Email address" },
         phone: { type: "string", description: "Phone number" }
       },
       required: ["slug", "name"]
@@ -519,27 +710,31 @@ const tools = [
   },
   {
     name: "list_contacts",
-    description: "List all contacts for a company",
+    access: "read",
+    description: "List contacts for a company (paginated)",
     inputSchema: {
       type: "object",
       properties: {
-        slug: { type: "string", description: "Company slug" }
+        slug: { type: "string", description: "Company slug" },
+        ...LISTINGS.contacts.properties
       },
       required: ["slug"]
     }
   },
   {
     name: "get_portfolio_summary",
+    access: "read",
     description: "Get high-level summary of all companies with progress percentages",
     inputSchema: { type: "object", properties: {}, required: [] }
   },
   {
     name: "send_email",
+    access: "destructive",
     description: "Send an email",
     inputSchema: {
       type: "object",
       properties: {
-        to: { type: "string", description: "Recipient email address" },
+        to: { type: "string", format: "email", description: "Recipient email address" },
         subject: { type: "string", description: "Email subject line" },
         body: { type: "string", description: "Email body (HTML supported)" }
       },
@@ -548,11 +743,12 @@ const tools = [
   },
   {
     name: "send_project_update",
+    access: "destructive",
     description: "Generate and send a portfolio status update email. Automatically pulls current data and formats it nicely.",
     inputSchema: {
       type: "object",
       properties: {
-        to: { type: "string", description: "Recipient email address" },
+        to: { type: "string", format: "email", description: "Recipient email address" },
         subject: { type: "string", description: "Email subject (optional, will generate default)" },
         include_details: { type: "boolean", description: "Include detailed milestones and requirements (default: false)" }
       },
@@ -562,19 +758,22 @@ const tools = [
   // ============ DEV TASKS TOOLS ============
   {
     name: "list_dev_tasks",
-    description: "List dev tasks, optionally filtered by status, assignee, or priority",
+    access: "read",
+    description: "List dev tasks, optionally filtered by status, assignee, or priority (paginated)",
     inputSchema: {
       type: "object",
       properties: {
         status: { type: "string", enum: ["todo", "in_progress", "blocked", "done"], description: "Filter by status" },
         assigned_to: { type: "string", description: "Filter by assignee name" },
-        priority: { type: "string", enum: ["high", "medium", "low"], description: "Filter by priority" }
+        priority: { type: "string", enum: ["high", "medium", "low"], description: "Filter by priority" },
+        ...LISTINGS.dev_tasks.properties
       },
       required: []
     }
   },
   {
     name: "add_dev_task",
+    access: "write",
     description: "Add a new dev task with optional step-by-step instructions",
     inputSchema: {
       type: "object",
@@ -584,18 +783,19 @@ const tools = [
         assigned_to: { type: "string", description: "Who is responsible" },
         priority: { type: "string", enum: ["high", "medium", "low"], description: "Priority level" },
         steps: { type: "array", items: { type: "string" }, description: "Step-by-step instructions" },
-        due_date: { type: "string", description: "Due date (YYYY-MM-DD)" }
+        due_date: { type: "string", format: "date", description: "Due date (YYYY-MM-DD)" }
       },
       required: ["title"]
     }
   },
   {
     name: "update_dev_task",
+    access: "write",
     description: "Update a dev task's status, assignee, or priority",
     inputSchema: {
       type: "object",
       properties: {
-        task_id: { type: "string", description: "Task UUID" },
+        task_id: { type: "string", format: "uuid", description: "Task UUID" },
         status: { type: "string", enum: ["todo", "in_progress", "blocked", "done"], description: "New status" },
         assigned_to: { type: "string", description: "New assignee" },
         priority: { type: "string", enum: ["high", "medium", "low"], description: "New priority" }
@@ -605,11 +805,12 @@ const tools = [
   },
   {
     name: "delete_dev_task",
+    access: "destructive",
     description: "Delete a dev task",
     inputSchema: {
       type: "object",
       properties: {
-        task_id: { type: "string", description: "Task UUID" }
+        task_id: { type: "string", format: "uuid", description: "Task UUID" }
       },
       required: ["task_id"]
     }
@@ -617,6 +818,7 @@ const tools = [
   // ============ DOCUMENT STORAGE TOOLS ============
   {
     name: "upload_document",
+    access: "write",
     description: "Upload a document to storage. Accepts base64 encoded file data.",
     inputSchema: {
       type: "object",
@@ -633,33 +835,37 @@ const tools = [
   },
   {
     name: "get_document_content",
+    access: "read",
     description: "Get the content of a text-based document (md, txt, json, csv, html). For summarizing or reading docs.",
     inputSchema: {
       type: "object",
       properties: {
-        document_id: { type: "string", description: "Document UUID" }
+        document_id: { type: "string", format: "uuid", description: "Document UUID" }
       },
       required: ["document_id"]
     }
   },
   {
     name: "list_all_documents",
-    description: "List all documents across all companies or for a specific company",
+    access: "read",
+    description: "List documents across all companies or for a specific company (paginated)",
     inputSchema: {
       type: "object",
       properties: {
         slug: { type: "string", description: "Optional: filter by company slug, or 'platform' for shared docs" },
-        category: { type: "string", description: "Optional: filter by category" }
+        category: { type: "string", description: "Optional: filter by category" },
+        ...LISTINGS.documents.properties
       }
     }
   },
   {
     name: "delete_document",
+    access: "destructive",
     description: "Delete a document from storage and database",
     inputSchema: {
       type: "object",
       properties: {
-        document_id: { type: "string", description: "Document UUID" }
+        document_id: { type: "string", format: "uuid", description: "Document UUID" }
       },
       required: ["document_id"]
     }
@@ -667,29 +873,33 @@ const tools = [
   // ============ DEPLOYMENT TOOLS ============
   {
     name: "list_deployments",
-    description: "List all deployments with their status",
+    access: "read",
+    description: "List deployments with their status (paginated)",
     inputSchema: {
       type: "object",
       properties: {
-        status: { type: "string", enum: ["active", "deploying", "failed", "stopped"], description: "Optional filter by status" }
+        status: { type: "string", enum: ["active", "deploying", "failed", "stopped"], description: "Optional filter by status" },
+        ...LISTINGS.deployments.properties
       },
       required: []
     }
   },
   {
     name: "get_deployment",
+    access: "read",
     description: "Get a deployment with all its components (github, frontend, mcp_server, database)",
     inputSchema: {
       type: "object",
       properties: {
         slug: { type: "string", description: "Deployment slug" },
-        deployment_id: { type: "string", description: "Or deployment UUID" }
+        deployment_id: { type: "string", format: "uuid", description: "Or deployment UUID" }
       },
       required: []
     }
   },
   {
     name: "add_deployment",
+    access: "write",
     description: "Create a new deployment with optional component URLs",
     inputSchema: {
       type: "object",
@@ -707,11 +917,12 @@ const tools = [
   },
   {
     name: "update_deployment",
+    access: "write",
     description: "Update deployment name, description, or status",
     inputSchema: {
       type: "object",
       properties: {
-        deployment_id: { type: "string", description: "Deployment UUID" },
+        deployment_id: { type: "string", format: "uuid", description: "Deployment UUID" },
         name: { type: "string", description: "New name" },
         description: { type: "string", description: "New description" },
         status: { type: "string", enum: ["active", "deploying", "failed", "stopped"], description: "New status" }
@@ -721,11 +932,12 @@ const tools = [
   },
   {
     name: "update_deployment_component",
+    access: "write",
     description: "Update a specific component (github, frontend, mcp_server, database) of a deployment",
     inputSchema: {
       type: "object",
       properties: {
-        deployment_id: { type: "string", description: "Deployment UUID" },
+        deployment_id: { type: "string", format: "uuid", description: "Deployment UUID" },
         component: { type: "string", enum: ["github", "frontend", "mcp_server", "database"], description: "Component type" },
         status: { type: "string", enum: ["healthy", "degraded", "down", "unknown", "not_configured"], description: "Component status" },
         url: { type: "string", description: "Component URL" },
@@ -736,22 +948,24 @@ const tools = [
   },
   {
     name: "delete_deployment",
+    access: "destructive",
     description: "Delete a deployment and all its components",
     inputSchema: {
       type: "object",
       properties: {
-        deployment_id: { type: "string", description: "Deployment UUID" }
+        deployment_id: { type: "string", format: "uuid", description: "Deployment UUID" }
       },
       required: ["deployment_id"]
     }
   },
   {
     name: "check_deployment_health",
+    access: "read",
     description: "Check health of all components in a deployment by pinging their URLs",
     inputSchema: {
       type: "object",
       properties: {
-        deployment_id: { type: "string", description: "Deployment UUID" }
+        deployment_id: { type: "string", format: "uuid", description: "Deployment UUID" }
       },
       required: ["deployment_id"]
     }
@@ -759,6 +973,7 @@ const tools = [
   // ============ GMAIL TOOLS ============
   {
     name: "list_emails",
+    access: "read",
     description: "List emails from Gmail. Can filter by company (matches against stored contacts).",
     inputSchema: {
       type: "object",
@@ -766,13 +981,14 @@ const tools = [
         folder: { type: "string", enum: ["inbox", "sent", "drafts", "all"], description: "Folder (default: inbox)" },
         company_slug: { type: "string", description: "Filter by company (matches contact emails)" },
         query: { type: "string", description: "Gmail search query" },
-        max_results: { type: "number", description: "Max results (default: 50)" }
+        max_results: { type: "integer", minimum: 1, description: "Max results (default: 50)" }
       },
       required: []
     }
   },
   {
     name: "get_email",
+    access: "read",
     description: "Get full email content including body",
     inputSchema: {
       type: "object",
@@ -785,6 +1001,7 @@ const tools = [
   // ============ CALENDAR TOOLS ============
   {
     name: "list_calendar_events",
+    access: "read",
     description: "List Google Calendar events. Events with [company-slug] prefix in title are auto-categorized (e.g., '[dtiq] Weekly Standup').",
     inputSchema: {
       type: "object",
@@ -792,13 +1009,14 @@ const tools = [
         start_date: { type: "string", description: "Start date ISO format (default: today)" },
         end_date: { type: "string", description: "End date ISO format (default: 2 weeks out)" },
         company_slug: { type: "string", description: "Filter by company (matches [slug] prefix in title)" },
-        max_results: { type: "number", description: "Max events (default: 50)" }
+        max_results: { type: "integer", minimum: 1, description: "Max events (default: 50)" }
       },
       required: []
     }
   },
   {
     name: "create_calendar_event",
+    access: "write",
     description: "Create a Google Calendar event. Use [company-slug] prefix in title to categorize (e.g., '[dtiq] Demo Call').",
     inputSchema: {
       type: "object",
@@ -808,7 +1026,7 @@ const tools = [
         end_time: { type: "string", description: "End time ISO format (e.g., 2026-01-30T11:00:00)" },
         description: { type: "string", description: "Event description" },
         location: { type: "string", description: "Location or video call link" },
-        attendees: { type: "array", items: { type: "string" }, description: "List of attendee email addresses" }
+        attendees: { type: "array", items: { type: "string", format: "email" }, description: "List of attendee email addresses" }
       },
       required: ["title", "start_time", "end_time"]
     }
@@ -816,49 +1034,54 @@ const tools = [
   // ============ CRM INSTANCE MANAGEMENT TOOLS ============
   {
     name: "list_crm_instances",
+    access: "read",
     description: "List all CRM company instances with their configuration status",
     inputSchema: { type: "object", properties: {}, required: [] }
   },
   {
     name: "get_crm_instance_status",
+    access: "read",
     description: "Get detailed status for a company's CRM instance including user count, health, and stats",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" }
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" }
       },
       required: ["company"]
     }
   },
   {
     name: "check_crm_instance_health",
-    description: "Health check all CRM instances at once",
+    access: "read",
+    description: "Health check all CRM instances at once, with each one's circuit breaker state (open = CRM calls are failing fast)",
     inputSchema: { type: "object", properties: {}, required: [] }
   },
   {
     name: "list_crm_users",
+    access: "read",
     description: "List users on a company's CRM instance with optional search, role filter, and pagination",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" },
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" },
         search: { type: "string", description: "Search by email or name" },
         role: { type: "string", enum: ["admin", "manager", "agent", "customer"], description: "Filter by role" },
-        page: { type: "number", description: "Page number (default 1)" },
-        limit: { type: "number", description: "Results per page (default 25)" }
+        page: { type: "integer", minimum: 1, description: "Page number (default 1)" },
+        limit: { type: "integer", minimum: 1, description: "Results per page (default 25)" }
       },
       required: ["company"]
     }
   },
   {
     name: "create_crm_user",
+    access: "write",
     description: "Create a new user account on a company's CRM instance (creates in Firebase Auth + database)",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" },
-        email: { type: "string", description: "User email address" },
-        password: { type: "string", description: "Password (min 8 characters)" },
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" },
+        email: { type: "string", format: "email", description: "User email address" },
+        password: { type: "string", minLength: 8, description: "Password (min 8 characters)" },
         displayName: { type: "string", description: "User's display name" },
         role: { type: "string", enum: ["admin", "manager", "agent", "customer"], description: "User role (default: agent)" }
       },
@@ -867,11 +1090,12 @@ const tools = [
   },
   {
     name: "update_crm_user_role",
+    access: "destructive",
     description: "Update a user's role on a company's CRM instance",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" },
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" },
         user_id: { type: "string", description: "User UID" },
         role: { type: "string", enum: ["admin", "manager", "agent", "customer"], description: "New role" }
       },
@@ -880,11 +1104,12 @@ const tools = [
   },
   {
     name: "delete_crm_user",
+    access: "destructive",
     description: "Delete a user from a company's CRM instance",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" },
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" },
         user_id: { type: "string", description: "User UID to delete" }
       },
       required: ["company", "user_id"]
@@ -892,19 +1117,21 @@ const tools = [
   },
   {
     name: "reset_crm_user_password",
+    access: "destructive",
     description: "Reset a user's password on a company's CRM instance",
     inputSchema: {
       type: "object",
       properties: {
-        company: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Company slug" },
+        company: { ...TENANT_SLUG, description: "Company slug (see list_tenants)" },
         user_id: { type: "string", description: "User UID" },
-        new_password: { type: "string", description: "New password (min 8 characters)" }
+        new_password: { type: "string", minLength: 8, description: "New password (min 8 characters)" }
       },
       required: ["company", "user_id", "new_password"]
     }
   },
   {
     name: "submit_admin_request",
+    access: "write",
     description: "Submit an internal admin request (Google Workspace issue or website edit request)",
     inputSchema: {
       type: "object",
@@ -924,12 +1151,13 @@ const tools = [
   // ============ GITHUB TOOLS ============
   {
     name: "github_list_repos",
+    access: "read",
     description: "List all repositories in the DAAITeam GitHub organization with basic stats",
     inputSchema: {
       type: "object",
       properties: {
         sort: { type: "string", enum: ["pushed", "updated", "created", "full_name"], description: "Sort field (default: pushed)" },
-        per_page: { type: "number", description: "Results per page (default: 30, max: 100)" }
+        per_page: { type: "integer", minimum: 1, maximum: 100, description: "Results per page (default: 30, max: 100)" }
       },
       required: []
     }
@@ -937,22 +1165,24 @@ const tools = [
   // ============ GCP CLOUD RUN MONITORING TOOLS ============
   {
     name: "get_cloudrun_service_info",
+    access: "read",
     description: "Get Cloud Run service configuration for a tenant (revision, image, CPU/memory, scaling, last deploy time)",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" }
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" }
       },
       required: ["tenant"]
     }
   },
   {
     name: "get_cloudrun_metrics",
+    access: "read",
     description: "Get aggregate metrics for a tenant's Cloud Run service (request count, latency, error rate, CPU, memory)",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
         period: { type: "string", enum: ["1h", "6h", "24h", "7d", "30d"], description: "Time period (default: 24h)" }
       },
       required: ["tenant"]
@@ -960,11 +1190,12 @@ const tools = [
   },
   {
     name: "get_cloudrun_metrics_timeseries",
+    access: "read",
     description: "Get time-series data points for charting a specific metric",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
         metric: { type: "string", enum: ["request_count", "request_latencies", "instance_count", "cpu_utilization", "memory_utilization", "error_count"], description: "Metric to fetch" },
         period: { type: "string", enum: ["1h", "6h", "24h", "7d", "30d"], description: "Time period (default: 24h)" }
       },
@@ -973,6 +1204,7 @@ const tools = [
   },
   {
     name: "get_all_deployments_metrics",
+    access: "read",
     description: "Get summary metrics for ALL tenants in one call (for the deployments list page)",
     inputSchema: {
       type: "object",
@@ -984,6 +1216,7 @@ const tools = [
   },
   {
     name: "github_list_commits",
+    access: "read",
     description: "List recent commits for a specific repo, or across all org repos if no repo specified",
     inputSchema: {
       type: "object",
@@ -991,37 +1224,40 @@ const tools = [
         repo: { type: "string", description: "Repository name (e.g., 'CRMBackend'). If omitted, fetches from all repos." },
         author: { type: "string", description: "Filter by commit author GitHub username" },
         since: { type: "string", description: "ISO 8601 date — only commits after this date (default: 7 days ago)" },
-        per_page: { type: "number", description: "Commits per repo (default: 10, max: 100)" }
+        per_page: { type: "integer", minimum: 1, maximum: 100, description: "Commits per repo (default: 10, max: 100)" }
       },
       required: []
     }
   },
   {
     name: "github_list_prs",
+    access: "read",
     description: "List pull requests across the org or for a specific repo",
     inputSchema: {
       type: "object",
       properties: {
         repo: { type: "string", description: "Repository name. If omitted, fetches PRs from all repos." },
         state: { type: "string", enum: ["open", "closed", "all"], description: "PR state filter (default: open)" },
-        per_page: { type: "number", description: "PRs per repo (default: 10, max: 100)" }
+        per_page: { type: "integer", minimum: 1, maximum: 100, description: "PRs per repo (default: 10, max: 100)" }
       },
       required: []
     }
   },
   {
     name: "github_org_activity",
+    access: "read",
     description: "Get a summary of recent GitHub org activity: repo count, recent commits, open PRs, top contributors",
     inputSchema: {
       type: "object",
       properties: {
-        days: { type: "number", description: "Look-back window in days (default: 7, max: 30)" }
+        days: { type: "integer", minimum: 1, maximum: 30, description: "Look-back window in days (default: 7, max: 30)" }
       },
       required: []
     }
   },
   {
     name: "create_github_issue",
+    access: "write",
     description: "Create a GitHub issue in a DAAITeam repo. Used by the chat-feedback → GitHub Issues pipeline.",
     inputSchema: {
       type: "object",
@@ -1045,26 +1281,28 @@ const tools = [
   },
   {
     name: "get_cloudrun_revisions",
+    access: "read",
     description: "Get recent deployment revisions for a tenant's Cloud Run service",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
-        limit: { type: "number", description: "Max revisions to return (default: 10)" }
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
+        limit: { type: "integer", minimum: 1, description: "Max revisions to return (default: 10)" }
       },
       required: ["tenant"]
     }
   },
   {
     name: "get_deployment_logs",
+    access: "read",
     description: "Get real log entries from Cloud Logging for a tenant's Cloud Run service",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
         severity: { type: "string", enum: ["DEFAULT", "DEBUG", "INFO", "NOTICE", "WARNING", "ERROR", "CRITICAL"], description: "Minimum severity filter" },
-        limit: { type: "number", description: "Max entries to return (default: 50)" },
-        hours_back: { type: "number", description: "How many hours back to search (default: 1)" },
+        limit: { type: "integer", minimum: 1, description: "Max entries to return (default: 50)" },
+        hours_back: { type: "number", minimum: 0, description: "How many hours back to search (default: 1)" },
         search: { type: "string", description: "Text search within log messages" }
       },
       required: ["tenant"]
@@ -1072,23 +1310,25 @@ const tools = [
   },
   {
     name: "get_deployment_log_summary",
+    access: "read",
     description: "Get aggregated log counts by severity for a tenant",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
-        hours_back: { type: "number", description: "How many hours to summarize (default: 24)" }
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
+        hours_back: { type: "number", minimum: 0, description: "How many hours to summarize (default: 24)" }
       },
       required: ["tenant"]
     }
   },
   {
     name: "get_firebase_users",
+    access: "read",
     description: "Get Firebase Auth user stats for a tenant",
     inputSchema: {
       type: "object",
       properties: {
-        tenant: { type: "string", enum: ["dtiq", "packetfabric", "element8", "qwilt", "welink", "dev"], description: "Tenant slug" },
+        tenant: { ...TENANT_SLUG, description: "Tenant slug (see list_tenants)" },
         include_list: { type: "boolean", description: "Include list of individual users (default: false)" }
       },
       required: ["tenant"]
@@ -1098,30 +1338,33 @@ const tools = [
   // ============ BUILD AGENTS (Layer 1) ============
   {
     name: "list_build_runs",
+    access: "read",
     description: "List build runs, optionally filter by status or repo",
     inputSchema: {
       type: "object",
       properties: {
         status: { type: "string", enum: ["pending", "running", "success", "failed", "cancelled"], description: "Filter by status" },
         repo: { type: "string", description: "Filter by repo name" },
-        limit: { type: "number", description: "Max results (default 20)" }
+        limit: { type: "integer", minimum: 1, description: "Max results (default 20)" }
       },
       required: []
     }
   },
   {
     name: "get_build_run",
+    access: "read",
     description: "Get full details for a build run including all tasks",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Build run UUID" }
+        id: { type: "string", format: "uuid", description: "Build run UUID" }
       },
       required: ["id"]
     }
   },
   {
     name: "create_build_run",
+    access: "write",
     description: "Submit a new build spec for parallel agent execution",
     inputSchema: {
       type: "object",
@@ -1136,22 +1379,24 @@ const tools = [
   },
   {
     name: "cancel_build_run",
+    access: "write",
     description: "Cancel a running or pending build run",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Build run UUID" }
+        id: { type: "string", format: "uuid", description: "Build run UUID" }
       },
       required: ["id"]
     }
   },
   {
     name: "get_build_task_log",
+    access: "read",
     description: "Get the output log for a specific build task",
     inputSchema: {
       type: "object",
       properties: {
-        task_id: { type: "string", description: "Build task UUID" }
+        task_id: { type: "string", format: "uuid", description: "Build task UUID" }
       },
       required: ["task_id"]
     }
@@ -1160,44 +1405,49 @@ const tools = [
   // ============ MONITORING (Layer 2) ============
   {
     name: "list_error_events",
-    description: "List error events detected from Cloud Logging, optionally filter by service or severity",
+    access: "read",
+    description: "List error events detected from Cloud Logging, optionally filter by tenant, service or severity",
     inputSchema: {
       type: "object",
       properties: {
+        tenant: { ...TENANT_SLUG, description: "Filter to the tenant's backend service (see list_tenants)" },
         service: { type: "string", description: "Filter by service name (e.g. crm-backend-dtiq)" },
         severity: { type: "string", enum: ["WARNING", "ERROR", "CRITICAL"], description: "Filter by severity" },
         acknowledged: { type: "boolean", description: "Filter by acknowledged status" },
-        limit: { type: "number", description: "Max results (default 50)" }
+        limit: { type: "integer", minimum: 1, description: "Max results (default 50)" }
       },
       required: []
     }
   },
   {
     name: "get_error_event",
+    access: "read",
     description: "Get full details for an error event including triage information",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Error event UUID" }
+        id: { type: "string", format: "uuid", description: "Error event UUID" }
       },
       required: ["id"]
     }
   },
   {
     name: "list_error_triage",
+    access: "read",
     description: "List triaged errors, optionally filter by category or auto-fixable status",
     inputSchema: {
       type: "object",
       properties: {
         category: { type: "string", enum: ["bug", "config", "transient", "dependency", "infra", "unknown"], description: "Filter by triage category" },
         auto_fixable: { type: "boolean", description: "Filter by auto-fixable status" },
-        limit: { type: "number", description: "Max results (default 50)" }
+        limit: { type: "integer", minimum: 1, description: "Max results (default 50)" }
       },
       required: []
     }
   },
   {
     name: "get_monitoring_stats",
+    access: "read",
     description: "Get aggregate monitoring stats: errors in last 24h, by service, by severity",
     inputSchema: {
       type: "object",
@@ -1207,11 +1457,12 @@ const tools = [
   },
   {
     name: "acknowledge_error",
+    access: "write",
     description: "Mark an error event as acknowledged",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Error event UUID" }
+        id: { type: "string", format: "uuid", description: "Error event UUID" }
       },
       required: ["id"]
     }
@@ -1220,35 +1471,38 @@ const tools = [
   // ============ AUTO-FIX (Layer 3) ============
   {
     name: "list_autofix_runs",
+    access: "read",
     description: "List auto-fix runs, optionally filter by status or repo",
     inputSchema: {
       type: "object",
       properties: {
         status: { type: "string", enum: ["pending", "running", "testing", "success", "failed", "cancelled"], description: "Filter by status" },
         repo: { type: "string", description: "Filter by repo name" },
-        limit: { type: "number", description: "Max results (default 20)" }
+        limit: { type: "integer", minimum: 1, description: "Max results (default 20)" }
       },
       required: []
     }
   },
   {
     name: "get_autofix_run",
+    access: "read",
     description: "Get full details for an auto-fix run",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Autofix run UUID" }
+        id: { type: "string", format: "uuid", description: "Autofix run UUID" }
       },
       required: ["id"]
     }
   },
   {
     name: "trigger_autofix",
+    access: "write",
     description: "Manually trigger an auto-fix for a triaged error",
     inputSchema: {
       type: "object",
       properties: {
-        error_triage_id: { type: "string", description: "Error triage UUID to fix" },
+        error_triage_id: { type: "string", format: "uuid", description: "Error triage UUID to fix" },
         repo: { type: "string", description: "Target repo for the fix" }
       },
       required: ["error_triage_id", "repo"]
@@ -1256,19 +1510,283 @@ const tools = [
   },
   {
     name: "cancel_autofix",
+    access: "write",
     description: "Cancel a running or pending auto-fix run",
     inputSchema: {
       type: "object",
       properties: {
-        id: { type: "string", description: "Autofix run UUID" }
+        id: { type: "string", format: "uuid", description: "Autofix run UUID" }
+      },
+      required: ["id"]
+    }
+  },
+
+  // ============ AGENT RUNS (self-repair pipeline) ============
+  {
+    name: "list_agent_runs",
+    access: "read",
+    description: "List self-repair agent runs (one per implementation attempt), optionally filter by state, tenant or CRM task",
+    inputSchema: {
+      type: "object",
+      properties: {
+        state: { type: "string", enum: AGENT_RUN_STATES, description: "Filter by run state" },
+        tenant: { type: "string", description: "Filter by tenant slug" },
+        crm_task_id: { type: "string", description: "Filter by CRM feedback task id" },
+        limit: { type: "integer", minimum: 1, description: "Max results (default 50)" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "get_agent_run",
+    access: "read",
+    description: "Get an agent run with its event log and PRs",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", format: "uuid", description: "Agent run UUID" },
+        events_limit: { type: "integer", minimum: 1, description: "Most recent N events to include (default 200)" }
+      },
+      required: ["id"]
+    }
+  },
+
+  // ============ LLM SPEND ============
+  {
+    name: "get_llm_spend",
+    access: "read",
+    description: "Anthropic token usage and USD cost across every server-side model call (chat, triage, classifier, build planner, agent runs), broken down by day, tenant, feature and model, plus each budgeted tenant's month-to-date spend",
+    inputSchema: {
+      type: "object",
+      properties: {
+        from: { type: "string", description: "ISO timestamp, inclusive (default 30 days ago)" },
+        to: { type: "string", description: "ISO timestamp, exclusive (default now)" },
+        tenant: { type: "string", description: "Filter by tenant slug" },
+        feature: { type: "string", description: "Filter by feature: chat, feedback_triage, kanban_classifier, error_triage, build_planner, agent_run" }
+      },
+      required: []
+    }
+  },
+
+  // ============ TOOL APPROVALS ============
+  {
+    name: "list_tool_approvals",
+    access: "read",
+    description: "Audit trail of destructive tool calls that needed human approval (from chat or MCP): who asked, what was requested, who approved or rejected it and what happened",
+    inputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["pending", "approved", "rejected", "expired"], description: "Filter by decision status" },
+        source: { type: "string", enum: ["chat", "mcp"], description: "Filter by where the call came from" },
+        limit: { type: "integer", minimum: 1, description: "Max results (default 50)" }
+      },
+      required: []
+    }
+  },
+
+  // ============ AUDIT LOG ============
+  {
+    name: "list_audit_log",
+    access: "read",
+    description: "Who ran which tool: every tool invocation via MCP, /tools/:name or chat, with caller identity, redacted arguments, status, error and latency. Newest first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        user: { type: "string", description: "Caller email or Firebase uid" },
+        tool: { type: "string", description: "Tool name, e.g. delete_crm_user" },
+        tenant: { type: "string", description: "Tenant / company slug the call targeted" },
+        entrypoint: { type: "string", enum: AUDIT_ENTRYPOINTS, description: "Where the call came from" },
+        status: { type: "string", enum: ["ok", "error"], description: "Filter by outcome" },
+        from: { type: "string", description: "ISO timestamp, inclusive" },
+        to: { type: "string", description: "ISO timestamp, exclusive" },
+        limit: { type: "integer", minimum: 1, maximum: 500, description: "Max results (default 100, max 500)" }
+      },
+      required: []
+    }
+  },
+
+  // ============ API KEYS ============
+  {
+    name: "create_api_key",
+    access: "write",
+    description: "Mint a named API key for a server-to-server caller, scoped by role and optionally to specific tenants and tools — never wider than your own role, tenants and tools. The key is returned once, in this response only — store it immediately.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "What the key is for, e.g. 'n8n nightly sync'" },
+        owner: { type: "string", description: "Person or team responsible for the key (email)" },
+        role: { type: "string", enum: ["agent", "manager", "admin"], description: "Role the key acts as (default agent: read-only tools)" },
+        tenants: { type: "array", items: { type: "string" }, description: "Tenant slugs the key may touch (omit for all)" },
+        tools: { type: "array", items: { type: "string" }, description: "Tool names the key may call (omit for every tool its role allows)" },
+        expires_in_days: { type: "number", minimum: 1, description: "Expire the key after this many days (omit for no expiry)" }
+      },
+      required: ["name", "owner"]
+    }
+  },
+  {
+    name: "list_api_keys",
+    access: "read",
+    description: "List API keys with their scopes, expiry and last use. Never returns the key itself.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        include_revoked: { type: "boolean", description: "Include revoked keys (default false)" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "revoke_api_key",
+    access: "destructive",
+    description: "Revoke an API key immediately. Callers using it get 401 from then on.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", format: "uuid", description: "API key UUID (from list_api_keys)" }
       },
       required: ["id"]
     }
   },
 
+  // ============ Tenant Registry Tools ============
+  {
+    name: "list_tenants",
+    access: "read",
+    description: "List the CRM tenants from the tenant registry: slug, display name, company, CRM URL, Cloud Run service and the env var names holding each tenant's secrets.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        include_archived: { type: "boolean", description: "Include archived tenants (default false)" }
+      },
+      required: []
+    }
+  },
+  {
+    name: "get_tenant",
+    access: "read",
+    description: "Get one tenant from the registry with what it resolves to: CRM URL, Cloud Run service, whether each secret is configured (never the value), its company and its tenant_configs services.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "create_tenant",
+    access: "write",
+    description: "Register a new CRM tenant. Secrets are referenced by env var name — set the values in Secret Manager and mount them on this service. Re-creating an archived tenant restores it with the new settings.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, maxLength: 63, description: "Tenant slug — the X-Tenant-ID its CRM expects" },
+        name: { type: "string", minLength: 1, description: "Display name" },
+        company_id: { type: ["string", "null"], format: "uuid", description: "Portfolio company UUID (companies.id); null to unlink" },
+        crm_url: { type: ["string", "null"], format: "uri", description: "CRMBackend base URL, e.g. https://crm-backend-acme-xyz.a.run.app; null falls back to CRM_URL_<SLUG>" },
+        cloud_run_service: { type: ["string", "null"], description: "Cloud Run service name; null falls back to crm-backend-<slug>" },
+        crm_key_ref: { type: ["string", "null"], pattern: REF_PATTERNS.crm_key_ref.source, description: "Env var holding the CRM API key (default CRM_KEY_<SLUG>)" },
+        task_crm_key_ref: { type: ["string", "null"], pattern: REF_PATTERNS.task_crm_key_ref.source, description: "Env var holding the feedback-task API key (default <SLUG>_TASK_CRM_MCP_API_KEY)" },
+        webhook_secret_ref: { type: ["string", "null"], pattern: REF_PATTERNS.webhook_secret_ref.source, description: "Env var holding the feedback-task webhook secret (default MCP_WEBHOOK_SECRET_<SLUG>)" }
+      },
+      required: ["tenant", "name"]
+    }
+  },
+  {
+    name: "update_tenant",
+    access: "write",
+    description: "Change a tenant's registry entry. Omitted fields are kept; null clears a field back to its default. Takes effect on every instance within a minute.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" },
+        name: { type: "string", minLength: 1, description: "Display name" },
+        company_id: { type: ["string", "null"], format: "uuid", description: "Portfolio company UUID (companies.id); null to unlink" },
+        crm_url: { type: ["string", "null"], format: "uri", description: "CRMBackend base URL, e.g. https://crm-backend-acme-xyz.a.run.app; null falls back to CRM_URL_<SLUG>" },
+        cloud_run_service: { type: ["string", "null"], description: "Cloud Run service name; null falls back to crm-backend-<slug>" },
+        crm_key_ref: { type: ["string", "null"], pattern: REF_PATTERNS.crm_key_ref.source, description: "Env var holding the CRM API key (default CRM_KEY_<SLUG>)" },
+        task_crm_key_ref: { type: ["string", "null"], pattern: REF_PATTERNS.task_crm_key_ref.source, description: "Env var holding the feedback-task API key (default <SLUG>_TASK_CRM_MCP_API_KEY)" },
+        webhook_secret_ref: { type: ["string", "null"], pattern: REF_PATTERNS.webhook_secret_ref.source, description: "Env var holding the feedback-task webhook secret (default MCP_WEBHOOK_SECRET_<SLUG>)" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "archive_tenant",
+    access: "destructive",
+    description: "Archive a tenant: it drops out of every tenant list, CRM call and webhook check. The row is kept and create_tenant can restore it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "onboard_tenant",
+    access: "write",
+    description: `Onboard a new portfolio company, or resume an onboarding that stopped. Runs the checklist ${ONBOARDING_STEPS.join(' → ')}, skipping steps already done and stopping at the first failure; call again (optionally with the missing crm_url / admin_email) to retry. Returns every step's status. A newly created CRM admin's temporary password is in crm_admin_password, in this response only.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, maxLength: 63, description: "New tenant / company slug" },
+        name: { type: "string", minLength: 1, description: "Company display name (required on the first run)" },
+        description: { type: "string", description: "Company description" },
+        template_tenant: { ...TENANT_SLUG, description: "Existing tenant whose tenant_configs are copied with the slug swapped (default welink)" },
+        crm_url: { type: "string", format: "uri", description: "CRMBackend base URL once it is deployed" },
+        admin_email: { type: "string", format: "email", description: "Email for the first CRM admin user" },
+        admin_name: { type: "string", description: "Display name for the first CRM admin user" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "get_tenant_onboarding",
+    access: "read",
+    description: "Get a tenant's onboarding checklist: overall status and each step's status, attempts, result and last error.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "offboard_tenant",
+    access: "destructive",
+    description: `Retire a tenant, or resume an offboarding that stopped. Runs the checklist ${OFFBOARDING_STEPS.join(' → ')}: exports everything about the tenant (rows, CRM users, document blobs) to one JSON archive, revokes or deletes its CRM users, makes its documents private, retires its tenant_configs, stops its deployment and archives it in the registry so health checks and pollers skip it. Nothing is deleted; with retention_days the data can be purged once that many days have passed (purge: true, or the scheduled sweep). dry_run: true lists what would be touched and changes nothing.`,
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" },
+        dry_run: { type: "boolean", description: "Only report what the offboarding and the purge would touch (default false)" },
+        crm_users: { type: "string", enum: CRM_USER_ACTIONS, description: "revoke: reset every CRM user to a password nobody holds (default); delete: remove them; keep: leave them" },
+        retention_days: { type: "integer", minimum: 0, description: "Days to keep the data after offboarding before it may be purged; omit to keep it indefinitely" },
+        reason: { type: "string", description: "Why the tenant is being offboarded (stored with the offboarding)" },
+        purge: { type: "boolean", description: "Delete the offboarded tenant's data and document blobs now. Only once the offboarding is done and its retention window has passed" }
+      },
+      required: ["tenant"]
+    }
+  },
+  {
+    name: "get_tenant_offboarding",
+    access: "read",
+    description: "Get a tenant's offboarding: overall status, archive location, when its data may be purged, and each step's status, attempts, result and last error.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        tenant: { ...TENANT_SLUG, description: "Tenant slug" }
+      },
+      required: ["tenant"]
+    }
+  },
+
   // ============ Infrastructure Registry Tools ============
   {
     name: "get_tenant_config",
+    access: "read",
     description: "Get infrastructure config for a tenant's service. Returns Cloud Run URL, env vars, deploy command, secrets, git branch, feature flags, and known issues. Omit service_type to get all services for the tenant.",
     inputSchema: {
       type: "object",
@@ -1281,6 +1799,7 @@ const tools = [
   },
   {
     name: "list_tenant_configs",
+    access: "read",
     description: "List all tenant configurations. Optionally filter by status. Returns tenant name, services, and their statuses — gives an overview of the entire platform.",
     inputSchema: {
       type: "object",
@@ -1291,6 +1810,7 @@ const tools = [
   },
   {
     name: "get_service_env_vars",
+    access: "read",
     description: "Get required environment variables for a tenant's service. Returns var names, descriptions, and whether they're secrets.",
     inputSchema: {
       type: "object",
@@ -1303,6 +1823,7 @@ const tools = [
   },
   {
     name: "get_deploy_command",
+    access: "read",
     description: "Get the exact deploy command for a tenant's service. Returns the gcloud command with all flags pre-filled.",
     inputSchema: {
       type: "object",
@@ -1315,6 +1836,7 @@ const tools = [
   },
   {
     name: "run_deploy_check",
+    access: "read",
     description: "Validate that a tenant's service config is complete. Checks that Cloud Run service, deploy command, env vars, and secrets are all documented. Returns pass/fail with details.",
     inputSchema: {
       type: "object",
@@ -1329,19 +1851,21 @@ const tools = [
   // ============ Project Context Tools ============
   {
     name: "get_project_context",
+    access: "read",
     description: "Get project context for a repo or area. Returns feature statuses, architecture decisions, blockers, key files — so agents don't need to re-scan codebases. Omit area to get all context for a repo.",
     inputSchema: {
       type: "object",
       properties: {
         repo: { type: "string", description: "Repository: CRMBackend, CRMFrontEnd, AgentBoxDashboard, AgentBoxDev, PhoneAgent, RAGService, devops" },
         area: { type: "string", description: "Feature area: monitoring, auth, ai, phone, crm, deployment, etc. Omit to get all areas." },
-        status: { type: "string", description: "Filter by status: done, in_progress, stub, not_started, blocked" }
+        status: { type: "string", enum: ["done", "in_progress", "stub", "not_started", "blocked", "deprecated", "unknown"], description: "Filter by status" }
       },
       required: ["repo"]
     }
   },
   {
     name: "update_project_context",
+    access: "write",
     description: "Update or create a project context entry. Use this after completing work to keep the shared context current for other devs' agents.",
     inputSchema: {
       type: "object",
@@ -1349,7 +1873,7 @@ const tools = [
         repo: { type: "string", description: "Repository name" },
         area: { type: "string", description: "Feature area" },
         key: { type: "string", description: "Specific feature/component key" },
-        status: { type: "string", description: "Status: done, in_progress, stub, not_started, blocked, deprecated" },
+        status: { type: "string", enum: ["done", "in_progress", "stub", "not_started", "blocked", "deprecated", "unknown"], description: "Status" },
         summary: { type: "string", description: "Brief summary of current state" },
         details: { type: "object", description: "Additional structured details (JSON)" },
         key_files: { type: "array", description: "Key file paths relevant to this feature", items: { type: "string" } },
@@ -1362,36 +1886,79 @@ const tools = [
   },
   {
     name: "list_project_context",
+    access: "read",
     description: "List all project context across all repos. Gives a high-level overview of what's done, in progress, blocked, etc. across the entire platform.",
     inputSchema: {
       type: "object",
       properties: {
-        status: { type: "string", description: "Filter by status" },
+        status: { type: "string", enum: ["done", "in_progress", "stub", "not_started", "blocked", "deprecated", "unknown"], description: "Filter by status" },
         assigned_to: { type: "string", description: "Filter by assignee" }
       }
     }
   }
 ];
 
+const toolAccess = Object.fromEntries(tools.map(t => [t.name, t.access]));
+
+// Whether a call waits for a human approval (/chat, and MCP with
+// MCP_CONFIRM_DESTRUCTIVE). A dry run changes nothing, so it doesn't.
+function needsApproval(name, args) {
+  return toolAccess[name] === 'destructive' && args?.dry_run !== true;
+}
+
+// ============ AUTHORIZATION ============
+// Role / tenant checks for routes and tools (authz.mjs). Registered here,
+// ahead of every route below and after mcpAuthGate. Monitor mode unless
+// MCP_AUTHZ_ENFORCE=true, mirroring MCP_AUTH_ENFORCE.
+const authz = createAuthz({ enforce: process.env.MCP_AUTHZ_ENFORCE === 'true', tools });
+app.use(authz.routeGate);
+
+// Verified by mcpAuthGate above; defined here so mint() can reject unknown
+// tool names.
+const apiKeys = createApiKeys({ pool, knownTools: new Set(Object.keys(toolAccess)) });
+
+// ============ RATE LIMITS ============
+// Per-identity token buckets and concurrency caps by tool class
+// (rate-limits.mjs). Tool calls are charged in invokeTool; /chat is charged
+// per model call on top of its own tool calls.
+const rateLimits = createRateLimiter();
+
+function sendRateLimited(res, err) {
+  res.setHeader('Retry-After', String(err.retryAfter || 1));
+  return res.status(429).json({ error: err.message, retry_after: err.retryAfter || 1 });
+}
+
+// ============ TOOL ARGUMENTS ============
+// Arguments are checked against the tool's inputSchema (tool-schema.mjs) in
+// invokeTool, after authz and before the rate limiter is charged, so a bad
+// call never reaches its handler.
+const toolArgs = createToolArgsValidator(tools);
+
 // ============ TOOL HANDLERS ============
 const handlers = {
-  async list_companies() {
-    return await query('SELECT id, slug, name, description, status, tools, created_at FROM companies');
+  async list_companies(args = {}, { identity } = {}) {
+    const tenants = authz.tenantsOf(identity);
+    return await listPage(query, LISTINGS.companies, {
+      sql: `SELECT id, slug, name, description, status, tools, created_at FROM companies${tenants ? ' WHERE slug = ANY($1)' : ''}`,
+      params: tenants ? [tenants] : [],
+    }, args);
   },
 
+  // Sub-collections are first pages of the matching list tools, so their
+  // cursors continue there.
   async get_company({ slug }) {
     const company = await queryOne('SELECT * FROM companies WHERE slug = $1', [slug]);
     if (!company) throw new Error(`Company not found: ${slug}`);
 
-    const [contacts, milestones, documents, requirements, activity] = await Promise.all([
-      query('SELECT * FROM contacts WHERE company_id = $1', [company.id]),
-      query('SELECT * FROM milestones WHERE company_id = $1 ORDER BY order_index', [company.id]),
-      query('SELECT * FROM documents WHERE company_id = $1', [company.id]),
-      query('SELECT * FROM requirements WHERE company_id = $1', [company.id]),
-      query('SELECT * FROM activity WHERE company_id = $1 ORDER BY created_at DESC', [company.id]),
-    ]);
-
-    return { ...company, contacts, milestones, documents, requirements, activity };
+    const pages = await Promise.all(Object.entries(COMPANY_COLLECTION_TOOLS).map(async ([collection, tool]) => [
+      collection,
+      withMore(await handlers[tool]({ slug, limit: COMPANY_PAGE_SIZE }), {
+        tool,
+        args: { slug },
+        href: `/api/companies/${encodeURIComponent(slug)}/${collection}`,
+      }),
+    ]));
+    return { ...company, ...Object.fromEntries(pages) };
   },
 
   async update_company_status({ slug, status }) {
@@ -1410,9 +1977,12 @@ const handlers = {
     return { success: true, company: rows[0] };
   },
 
-  async list_milestones({ slug }) {
+  async list_milestones({ slug, ...args }) {
     const companyId = await getCompanyId(slug);
-    return await query('SELECT * FROM milestones WHERE company_id = $1 ORDER BY order_index', [companyId]);
+    return await listPage(query, LISTINGS.milestones, {
+      sql: 'SELECT * FROM milestones WHERE company_id = $1',
+      params: [companyId],
+    }, { slug, ...args });
   },
 
   async update_milestone({ milestone_id, status, notes }) {
@@ -1461,22 +2031,14 @@ const handlers = {
     return { success: true, activity: rows[0] };
   },
 
-  async get_recent_activity({ slug, limit = 20 }) {
-    if (slug) {
-      const companyId = await getCompanyId(slug);
-      return await query(
-        `SELECT a.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
-         FROM activity a LEFT JOIN companies c ON a.company_id = c.id
-         WHERE a.company_id = $1 ORDER BY a.created_at DESC LIMIT $2`,
-        [companyId, limit]
-      );
-    }
-    return await query(
-      `SELECT a.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
-       FROM activity a LEFT JOIN companies c ON a.company_id = c.id
-       ORDER BY a.created_at DESC LIMIT $1`,
-      [limit]
-    );
+  async get_recent_activity({ slug, ...args } = {}) {
+    const companyId = slug ? await getCompanyId(slug) : null;
+    return await listPage(query, LISTINGS.activity, {
+      sql: `SELECT a.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
+            FROM activity a LEFT JOIN companies c ON a.company_id = c.id
+            ${companyId ? 'WHERE a.company_id = $1' : ''}`,
+      params: companyId ? [companyId] : [],
+    }, { slug, ...args });
   },
 
   async update_requirement({ slug, item, status }) {
@@ -1498,12 +2060,20 @@ const handlers = {
     return { success: true, requirement: rows[0] };
   },
 
-  async list_documents({ slug }) {
+  async list_requirements({ slug, status, ...args }) {
     const companyId = await getCompanyId(slug);
-    return await query(
-      'SELECT * FROM documents WHERE company_id = $1 ORDER BY uploaded_at DESC',
-      [companyId]
-    );
+    return await listPage(query, LISTINGS.requirements, {
+      sql: `SELECT * FROM requirements WHERE company_id = $1${status ? ' AND status = $2' : ''}`,
+      params: status ? [companyId, status] : [companyId],
+    }, { slug, status, ...args });
+  },
+
+  async list_documents({ slug, ...args }) {
+    const companyId = await getCompanyId(slug);
+    return await listPage(query, LISTINGS.documents, {
+      sql: 'SELECT d.* FROM documents d WHERE d.company_id = $1',
+      params: [companyId],
+    }, { slug, ...args });
   },
 
   async add_document({ slug, name, type, url, notes }) {
@@ -1524,20 +2094,23 @@ const handlers = {
     return { success: true, contact: rows[0] };
   },
 
-  async list_contacts({ slug }) {
+  async list_contacts({ slug, ...args }) {
     const companyId = await getCompanyId(slug);
-    return await query('SELECT * FROM contacts WHERE company_id = $1', [companyId]);
+    return await listPage(query, LISTINGS.contacts, {
+      sql: 'SELECT * FROM contacts WHERE company_id = $1',
+      params: [companyId],
+    }, { slug, ...args });
   },
 
-  async get_portfolio_summary() {
-    const companies = await query(`
+  async get_portfolio_summary(_args, { identity } = {}) {
+    const companies = (await query(`
       SELECT c.slug, c.name, c.status,
         COUNT(m.id) AS total_milestones,
         COUNT(m.id) FILTER (WHERE m.status = 'done') AS done_milestones
       FROM companies c
       LEFT JOIN milestones m ON m.company_id = c.id
       GROUP BY c.id, c.slug, c.name, c.status
-    `);
+    `)).filter(c => inTenantsOf(identity)(c.slug));
     return companies.map(c => ({
       name: c.name,
       slug: c.slug,
@@ -1644,7 +2217,9 @@ const handlers = {
   },
 
   // ============ DEV TASKS HANDLERS ============
-  async list_dev_tasks({ status, assigned_to, priority }) {
+  async list_dev_tasks(args = {}, { identity } = {}) {
+    const { status, assigned_to, priority } = args;
+    const tenants = authz.tenantsOf(identity);
     const conditions = [];
     const params = [];
     let idx = 1;
@@ -1652,14 +2227,15 @@ const handlers = {
     if (status) { conditions.push(`dt.status = $${idx++}`); params.push(status); }
     if (assigned_to) { conditions.push(`dt.assigned_to = $${idx++}`); params.push(assigned_to); }
     if (priority) { conditions.push(`dt.priority = $${idx++}`); params.push(priority); }
+    if (tenants) { conditions.push(`c.slug = ANY($${idx++})`); params.push(tenants); }
 
     const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-    return await query(
-      `SELECT dt.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
-       FROM dev_tasks dt LEFT JOIN companies c ON dt.company_id = c.id
-       ${where} ORDER BY dt.priority, dt.due_date`,
-      params
-    );
+    return await listPage(query, LISTINGS.dev_tasks, {
+      sql: `SELECT dt.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
+            FROM dev_tasks dt LEFT JOIN companies c ON dt.company_id = c.id
+            ${where}`,
+      params,
+    }, args);
   },
 
   async add_dev_task({ title, description, assigned_to, priority, steps, due_date }) {
@@ -1721,15 +2297,20 @@ const handlers = {
     return { success: true, document: rows[0], url: publicUrl };
   },
 
-  async get_document_content({ document_id }) {
+  async get_document_content({ document_id }, { identity } = {}) {
     const doc = await queryOne(
       `SELECT d.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
        FROM documents d LEFT JOIN companies c ON d.company_id = c.id WHERE d.id = $1`,
       [document_id]
     );
     if (!doc) throw new Error('Document not found');
+    // Platform documents (no company) belong to no tenant, so only
+    // unlimited callers see them.
+    if (!inTenantsOf(identity)(doc.companies?.slug)) {
+      throw new Error(`Forbidden: document ${document_id} is outside your tenants`);
+    }
 
-    const textFormats = ['md', 'txt', 'json', 'csv', 'html', 'xml', 'js', 'ts', 'py', 'sql'];
+    const textFormats = Object.keys(DOCUMENT_TEXT_MIME_TYPES);
     const ext = doc.file_type?.toLowerCase();
 
     if (!textFormats.includes(ext)) {
@@ -1748,7 +2329,8 @@ const handlers = {
     }
   },
 
-  async list_all_documents({ slug, category }) {
+  async list_all_documents(args = {}) {
+    const { slug, category } = args;
     const conditions = [];
     const params = [];
     let idx = 1;
@@ -1768,12 +2350,12 @@ const handlers = {
     }
 
     const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
-    return await query(
-      `SELECT d.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
-       FROM documents d LEFT JOIN companies c ON d.company_id = c.id
-       ${where} ORDER BY d.uploaded_at DESC`,
-      params
-    );
+    return await listPage(query, LISTINGS.documents, {
+      sql: `SELECT d.*, json_build_object('name', c.name, 'slug', c.slug) AS companies
+            FROM documents d LEFT JOIN companies c ON d.company_id = c.id
+            ${where}`,
+      params,
+    }, args);
   },
 
   async delete_document({ document_id }) {
@@ -1792,11 +2374,16 @@ const handlers = {
   },
 
   // ============ DEPLOYMENT HANDLERS ============
-  async list_deployments({ status }) {
-    if (status) {
-      return await query('SELECT * FROM deployments WHERE status = $1 ORDER BY created_at DESC', [status]);
-    }
-    return await query('SELECT * FROM deployments ORDER BY created_at DESC');
+  async list_deployments(args = {}, { identity } = {}) {
+    const tenants = authz.tenantsOf(identity);
+    const conditions = [];
+    const params = [];
+    if (args.status) { params.push(args.status); conditions.push(`status = $${params.length}`); }
+    if (tenants) { params.push(tenants); conditions.push(`slug = ANY($${params.length})`); }
+    return await listPage(query, LISTINGS.deployments, {
+      sql: `SELECT * FROM deployments${conditions.length ? ' WHERE ' + conditions.join(' AND ') : ''}`,
+      params,
+    }, args);
   },
 
   async get_deployment({ slug, deployment_id }) {
@@ -1937,12 +2524,14 @@ const handlers = {
           [newStatus, errorMessage, comp.id]
         );
         results[comp.component_type] = { status: newStatus, latency, checked: true };
+        notifyHealthChange(deployment_id, comp, newStatus, errorMessage);
       } catch (err) {
         await query(
           'UPDATE deployment_components SET status = $1, last_checked = NOW(), error_message = $2, updated_at = NOW() WHERE id = $3',
           ['down', err.message, comp.id]
         );
         results[comp.component_type] = { status: 'down', error: err.message, checked: true };
+        notifyHealthChange(deployment_id, comp, 'down', err.message);
       }
     }
 
@@ -2084,15 +2673,15 @@ const handlers = {
   },
 
   // ============ CRM INSTANCE MANAGEMENT HANDLERS ============
-  async list_crm_instances() {
-    return CRM_COMPANIES.map(company => {
-      const config = getCRMConfig(company);
+  async list_crm_instances(_args, { identity } = {}) {
+    return Promise.all((await crmTenants()).filter(inTenantsOf(identity)).map(async (company) => {
+      const config = await getCRMConfig(company);
       return { company, configured: !!(config.url && config.apiKey), url: config.url || 'not configured' };
-    });
+    }));
   },
 
   async get_crm_instance_status({ company }) {
-    const config = getCRMConfig(company);
+    const config = await getCRMConfig(company);
     if (!config.url) return { company, status: 'not_configured', error: 'No CRM URL configured' };
 
     try {
@@ -2111,26 +2700,16 @@ const handlers = {
       try { const result = await callCRM(company, 'GET', '/admin/status'); adminStatus = result.data; } catch (e) { adminStatus = { error: e.message }; }
 
 
-      return { company, status: healthy ? (latency > 5000 ? 'degraded' : 'healthy') : 'unhealthy', latency_ms: latency, users, adminStatus };
+      return { company, status: healthy ? (latency > 5000 ? 'degraded' : 'healthy') : 'unhealthy', latency_ms: latency, users, adminStatus, breaker: crmClient.breaker(company) };
     } catch (err) {
-      return { company, status: 'down', error: err.message };
+      return { company, status: 'down', error: err.message, breaker: crmClient.breaker(company) };
     }
   },
 
-  async check_crm_instance_health() {
+  async check_crm_instance_health(_args, { identity } = {}) {
     const results = {};
-    await Promise.all(CRM_COMPANIES.map(async (company) => {
-      const config = getCRMConfig(company);
-      if (!config.url) { results[company] = { status: 'not_configured' }; return; }
-      try {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 10000);
-        const startTime = Date.now();
-        const resp = await fetch(`${config.url}/api/health`, { signal: controller.signal });
-        clearTimeout(timeout);
-        const latency = Date.now() - startTime;
-        results[company] = { status: resp.ok ? (latency > 5000 ? 'degraded' : 'healthy') : 'unhealthy', latency_ms: latency };
-      } catch (err) { results[company] = { status: 'down', error: err.message }; }
+    await Promise.all((await crmTenants()).filter(inTenantsOf(identity)).map(async (company) => {
+      results[company] = { ...(await crmClient.probe(company)), breaker: crmClient.breaker(company) };
     }));
     return results;
   },
@@ -2417,7 +2996,7 @@ const handlers = {
 
   async get_cloudrun_service_info({ tenant }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const run = google.run({ version: 'v2', auth });
     const name = `projects/${GCP_PROJECT_ID}/locations/${GCP_REGION}/services/${serviceName}`;
 
@@ -2443,7 +3022,7 @@ const handlers = {
 
   async get_cloudrun_metrics({ tenant, period }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const monitoring = google.monitoring({ version: 'v3', auth });
 
     const periodMap = { '1h': 3600, '6h': 21600, '24h': 86400, '7d': 604800, '30d': 2592000 };
@@ -2512,7 +3091,7 @@ const handlers = {
 
   async get_cloudrun_metrics_timeseries({ tenant, metric, period }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const monitoring = google.monitoring({ version: 'v3', auth });
 
     const periodMap = { '1h': 3600, '6h': 21600, '24h': 86400, '7d': 604800, '30d': 2592000 };
@@ -2567,13 +3146,14 @@ const handlers = {
     return { metric, period: period || '24h', data: points };
   },
 
-  async get_all_deployments_metrics({ period }) {
+  async get_all_deployments_metrics({ period }, { identity } = {}) {
     const auth = getGcpAuth();
+    const tenants = (await tenantRegistry.all()).filter(t => inTenantsOf(identity)(t.slug));
     if (!auth) {
       // Graceful fallback — return empty metrics for each tenant
-      return Object.keys(TENANT_SERVICE_MAP).map(tenant => ({
-        tenant,
-        service_name: TENANT_SERVICE_MAP[tenant],
+      return tenants.map(({ slug, service }) => ({
+        tenant: slug,
+        service_name: service,
         request_count: null,
         avg_latency_ms: null,
         active_instances: null,
@@ -2582,22 +3162,22 @@ const handlers = {
     }
 
     const results = await Promise.allSettled(
-      Object.keys(TENANT_SERVICE_MAP).map(async (tenant) => {
-        const metrics = await handlers.get_cloudrun_metrics({ tenant, period: period || '1h' });
-        return { tenant, service_name: TENANT_SERVICE_MAP[tenant], ...metrics };
+      tenants.map(async ({ slug, service }) => {
+        const metrics = await handlers.get_cloudrun_metrics({ tenant: slug, period: period || '1h' });
+        return { tenant: slug, service_name: service, ...metrics };
       })
     );
 
     return results.map((r, i) => {
-      const tenant = Object.keys(TENANT_SERVICE_MAP)[i];
+      const { slug, service } = tenants[i];
       if (r.status === 'fulfilled') return r.value;
-      return { tenant, service_name: TENANT_SERVICE_MAP[tenant], error: r.reason?.message };
+      return { tenant: slug, service_name: service, error: r.reason?.message };
     });
   },
 
   async get_cloudrun_revisions({ tenant, limit }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const run = google.run({ version: 'v2', auth });
     const parent = `projects/${GCP_PROJECT_ID}/locations/${GCP_REGION}/services/${serviceName}`;
 
@@ -2620,7 +3200,7 @@ const handlers = {
 
   async get_deployment_logs({ tenant, severity, limit: maxEntries, hours_back, search }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const logging = google.logging({ version: 'v2', auth });
 
     const hours = hours_back || 1;
@@ -2655,7 +3235,7 @@ const handlers = {
 
   async get_deployment_log_summary({ tenant, hours_back }) {
     const auth = requireGcpAuth();
-    const serviceName = getServiceName(tenant);
+    const serviceName = await getServiceName(tenant);
     const logging = google.logging({ version: 'v2', auth });
 
     const hours = hours_back || 24;
@@ -2754,12 +3334,15 @@ const handlers = {
       [id]
     );
     if (!rows.length) throw new Error(`Build run not found or not cancellable: ${id}`);
-    // Also cancel any pending/running tasks
-    await query(
-      `UPDATE build_tasks SET status = 'cancelled', updated_at = NOW() WHERE build_run_id = $1 AND status IN ('pending', 'running')`,
+    // Also cancel any pending/running tasks, and stop the agents behind them
+    const cancelled = await query(
+      `UPDATE build_tasks SET status = 'cancelled', updated_at = NOW() WHERE build_run_id = $1 AND status IN ('pending', 'running') RETURNING agent_pid, agent_instance`,
       [id]
     );
-    return { success: true, build_run: rows[0] };
+    // Agents on other instances see the cancel on their next poll and stop themselves.
+    const killed = cancelled.filter(t => t.agent_pid && killAgentProcess(t.agent_pid, t.agent_instance)).length;
+    const elsewhere = cancelled.filter(t => t.agent_pid && t.agent_instance !== INSTANCE_ID).length;
+    return { success: true, build_run: rows[0], agents_killed: killed, agents_stopping_elsewhere: elsewhere };
   },
 
   async get_build_task_log({ task_id }) {
@@ -2770,11 +3353,14 @@ const handlers = {
 
   // ============ MONITORING (Layer 2) ============
 
-  async list_error_events({ service, severity, acknowledged, limit }) {
+  async list_error_events({ tenant, service, severity, acknowledged, limit }, { identity } = {}) {
     const max = Math.min(limit || 50, 200);
+    const services = await servicesOf(identity);
     let sql = 'SELECT * FROM error_events WHERE 1=1';
     const params = [];
     let idx = 1;
+    if (services) { sql += ` AND service = ANY($${idx++})`; params.push(services); }
+    if (tenant) { sql += ` AND service = $${idx++}`; params.push(await getServiceName(tenant)); }
     if (service) { sql += ` AND service = $${idx++}`; params.push(service); }
     if (severity) { sql += ` AND severity = $${idx++}`; params.push(severity); }
     if (acknowledged !== undefined) { sql += ` AND acknowledged = $${idx++}`; params.push(acknowledged); }
@@ -2790,12 +3376,14 @@ const handlers = {
     return { ...event, triage };
   },
 
-  async list_error_triage({ category, auto_fixable, limit }) {
+  async list_error_triage({ category, auto_fixable, limit }, { identity } = {}) {
     const max = Math.min(limit || 50, 200);
+    const services = await servicesOf(identity);
     let sql = `SELECT et.*, ee.service, ee.severity, ee.message as error_message, ee.occurrence_count
                FROM error_triage et JOIN error_events ee ON et.error_event_id = ee.id WHERE 1=1`;
     const params = [];
     let idx = 1;
+    if (services) { sql += ` AND ee.service = ANY($${idx++})`; params.push(services); }
     if (category) { sql += ` AND et.category = $${idx++}`; params.push(category); }
     if (auto_fixable !== undefined) { sql += ` AND et.auto_fixable = $${idx++}`; params.push(auto_fixable); }
     sql += ` ORDER BY et.created_at DESC LIMIT $${idx}`;
@@ -2803,13 +3391,17 @@ const handlers = {
     return await query(sql, params);
   },
 
-  async get_monitoring_stats() {
+  async get_monitoring_stats(args = {}, { identity } = {}) {
+    const services = await servicesOf(identity);
+    const scope = services ? ' AND ee.service = ANY($1)' : '';
+    const params = services ? [services] : [];
     const [totalErrors, byService, bySeverity, unacked, autoFixable] = await Promise.all([
-      queryOne(`SELECT COUNT(*) as total FROM error_events WHERE last_seen_at > NOW() - INTERVAL '24 hours'`),
-      query(`SELECT service, COUNT(*) as count FROM error_events WHERE last_seen_at > NOW() - INTERVAL '24 hours' GROUP BY service ORDER BY count DESC`),
-      query(`SELECT severity, COUNT(*) as count FROM error_events WHERE last_seen_at > NOW() - INTERVAL '24 hours' GROUP BY severity`),
-      queryOne(`SELECT COUNT(*) as total FROM error_events WHERE acknowledged = FALSE`),
-      queryOne(`SELECT COUNT(*) as total FROM error_triage WHERE auto_fixable = TRUE AND autofix_run_id IS NULL`)
+      queryOne(`SELECT COUNT(*) as total FROM error_events ee WHERE last_seen_at > NOW() - INTERVAL '24 hours'${scope}`, params),
+      query(`SELECT service, COUNT(*) as count FROM error_events ee WHERE last_seen_at > NOW() - INTERVAL '24 hours'${scope} GROUP BY service ORDER BY count DESC`, params),
+      query(`SELECT severity, COUNT(*) as count FROM error_events ee WHERE last_seen_at > NOW() - INTERVAL '24 hours'${scope} GROUP BY severity`, params),
+      queryOne(`SELECT COUNT(*) as total FROM error_events ee WHERE acknowledged = FALSE${scope}`, params),
+      queryOne(`SELECT COUNT(*) as total FROM error_triage et JOIN error_events ee ON et.error_event_id = ee.id
+                WHERE et.auto_fixable = TRUE AND et.autofix_run_id IS NULL${scope}`, params)
     ]);
     return {
       last_24h: {
@@ -2859,7 +3451,11 @@ const handlers = {
       [id]
     );
     if (!run) throw new Error(`Autofix run not found: ${id}`);
-    return run;
+    const events = await query(
+      'SELECT from_status, to_status, message, detail, created_at FROM autofix_run_events WHERE autofix_run_id = $1 ORDER BY created_at, id',
+      [id]
+    );
+    return { ...run, events };
   },
 
   async trigger_autofix({ error_triage_id, repo }) {
@@ -2871,25 +3467,152 @@ const handlers = {
     );
     // Link autofix run back to triage
     await query('UPDATE error_triage SET autofix_run_id = $1 WHERE id = $2', [rows[0].id, error_triage_id]);
+    await query(
+      `INSERT INTO autofix_run_events (autofix_run_id, from_status, to_status, message) VALUES ($1, NULL, 'pending', $2)`,
+      [rows[0].id, `Triggered for ${triage.category} triage ${error_triage_id}`]
+    );
     return { success: true, autofix_run: rows[0] };
   },
 
   async cancel_autofix({ id }) {
+    // Capture the pre-cancel status + pid in the same statement so the
+    // event row and the kill target are exactly what we flipped. A pid from
+    // another instance is stopped by that instance's runner once it sees
+    // the cancel.
     const rows = await query(
-      `UPDATE autofix_runs SET status = 'cancelled', updated_at = NOW() WHERE id = $1 AND status IN ('pending', 'running', 'testing') RETURNING *`,
+      `UPDATE autofix_runs ar SET status = 'cancelled', agent_pid = NULL, updated_at = NOW()
+       FROM (SELECT id, status, agent_pid, agent_instance FROM autofix_runs WHERE id = $1 FOR UPDATE) prev
+       WHERE ar.id = prev.id AND prev.status IN ('pending', 'running', 'testing')
+       RETURNING ar.*, prev.status AS previous_status, prev.agent_pid AS previous_agent_pid,
+                 prev.agent_instance AS previous_agent_instance`,
       [id]
     );
     if (!rows.length) throw new Error(`Autofix run not found or not cancellable: ${id}`);
-    return { success: true, autofix_run: rows[0] };
+    const { previous_status, previous_agent_pid, previous_agent_instance, ...autofix_run } = rows[0];
+    const killed = killAgentProcess(previous_agent_pid, previous_agent_instance);
+    const message = killed
+      ? `Cancelled; stopped process ${previous_agent_pid}`
+      : previous_agent_pid ? `Cancelled; process ${previous_agent_pid} is stopped by the instance running it` : 'Cancelled';
+    await query(
+      `INSERT INTO autofix_run_events (autofix_run_id, from_status, to_status, message) VALUES ($1, $2, 'cancelled', $3)`,
+      [id, previous_status, message]
+    );
+    return { success: true, autofix_run, agent_killed: killed };
   },
 
-  // ============ Infrastructure Registry Handlers ============
+  // ============ AGENT RUNS (self-repair pipeline) ============
 
-  async get_tenant_config({ tenant, service_type }) {
-    let q = 'SELECT * FROM tenant_configs WHERE tenant = $1';
-    let params = [tenant];
-    if (service_type) {
-      q += ' AND service_type = $2';
+  async list_agent_runs(args) {
+    return await agentRuns.listRuns(args);
+  },
+
+  async get_agent_run(args) {
+    return await agentRuns.getRun(args);
+  },
+
+  // ============ LLM SPEND ============
+
+  async get_llm_spend({ from, to, tenant, feature }) {
+    return await getLlmSpend(pool, { from, to, tenant, feature });
+  },
+
+  // ============ TOOL APPROVALS ============
+
+  async list_tool_approvals(args) {
+    return await toolApprovals.listApprovals(args);
+  },
+
+  // ============ AUDIT LOG ============
+
+  async list_audit_log(args) {
+    return await listAuditLog(pool, args);
+  },
+
+  // ============ API KEYS ============
+
+  async create_api_key(args, { identity } = {}) {
+    return await apiKeys.mint(args, actorLabel(identity), identity);
+  },
+
+  async list_api_keys({ include_revoked } = {}) {
+    return await apiKeys.list({ include_revoked });
+  },
+
+  async revoke_api_key({ id }, { identity } = {}) {
+    return await apiKeys.revoke(id, actorLabel(identity));
+  },
+
+  // ============ Tenant Registry Handlers ============
+
+  async list_tenants({ include_archived } = {}, { identity } = {}) {
+    return (await tenantRegistry.list({ include_archived })).filter(t => inTenantsOf(identity)(t.slug));
+  },
+
+  async get_tenant({ tenant }) {
+    return await tenantRegistry.describe(tenant);
+  },
+
+  async create_tenant({ tenant, ...fields }, { identity } = {}) {
+    const row = await tenantRegistry.create({ ...fields, slug: tenant }, actorLabel(identity));
+    return { success: true, message: `Tenant ${row.slug} created`, tenant: row };
+  },
+
+  async update_tenant({ tenant, ...patch }, { identity } = {}) {
+    const row = await tenantRegistry.update(tenant, patch, actorLabel(identity));
+    return { success: true, message: `Tenant ${row.slug} updated`, tenant: row };
+  },
+
+  async archive_tenant({ tenant }, { identity } = {}) {
+    const row = await tenantRegistry.archive(tenant, actorLabel(identity));
+    return { success: true, message: `Tenant ${row.slug} archived`, tenant: row };
+  },
+
+  async onboard_tenant({ tenant, ...params }, { identity } = {}) {
+    const onboarding = await tenantOnboarding.run(tenant, params, actorLabel(identity));
+    const failed = onboarding.steps.find(s => s.status === 'failed');
+    return {
+      success: onboarding.status !== 'failed',
+      message: failed
+        ? `Onboarding ${tenant} stopped at ${failed.step}: ${failed.error}`
+        : `Onboarding ${tenant}: ${onboarding.status}`,
+      ...onboarding,
+    };
+  },
+
+  async get_tenant_onboarding({ tenant }) {
+    return await tenantOnboarding.get(tenant);
+  },
+
+  async offboard_tenant({ tenant, dry_run, purge, ...params }, { identity } = {}) {
+    if (dry_run) {
+      return { success: true, message: `Dry run for offboarding ${tenant}: nothing was changed`, ...(await tenantOffboarding.plan(tenant, params)) };
+    }
+    if (purge) {
+      const offboarding = await tenantOffboarding.purge(tenant, actorLabel(identity));
+      return { success: true, message: `Tenant ${tenant} purged`, ...offboarding };
+    }
+    const offboarding = await tenantOffboarding.run(tenant, params, actorLabel(identity));
+    const failed = offboarding.steps.find(s => s.status === 'failed');
+    return {
+      success: offboarding.status !== 'failed',
+      message: failed
+        ? `Offboarding ${tenant} stopped at ${failed.step}: ${failed.error}`
+        : `Offboarding ${tenant}: ${offboarding.status}${offboarding.purge_after ? `, data kept until ${new Date(offboarding.purge_after).toISOString()}` : ''}`,
+      ...offboarding,
+    };
+  },
+
+  async get_tenant_offboarding({ tenant }) {
+    return await tenantOffboarding.get(tenant);
+  },
+
+  // ============ Infrastructure Registry Handlers ============
+
+  async get_tenant_config({ tenant, service_type }) {
+    let q = 'SELECT * FROM tenant_configs WHERE tenant = $1';
+    let params = [tenant];
+    if (service_type) {
+      q += ' AND service_type = $2';
       params.push(service_type);
     }
     const rows = await query(q, params);
@@ -2899,7 +3622,7 @@ const handlers = {
     return service_type ? rows[0] : { tenant, services: rows };
   },
 
-  async list_tenant_configs({ status } = {}) {
+  async list_tenant_configs({ status } = {}, { identity } = {}) {
     let q = 'SELECT tenant, service_type, cloud_run_service, cloud_run_url, status, github_repo, git_branch, feature_flags, notes FROM tenant_configs';
     let params = [];
     if (status) {
@@ -2907,7 +3630,7 @@ const handlers = {
       params.push(status);
     }
     q += ' ORDER BY tenant, service_type';
-    const rows = await query(q, params);
+    const rows = (await query(q, params)).filter(row => inTenantsOf(identity)(row.tenant));
     const grouped = {};
     for (const row of rows) {
       if (!grouped[row.tenant]) grouped[row.tenant] = [];
@@ -3014,6 +3737,107 @@ const handlers = {
   }
 };
 
+// ============ TOOL INVOCATION (audited) ============
+// Single entry for running a tool on behalf of a caller — /mcp tools/call,
+// POST /tools/:name and the /chat tool loop all go through here so every
+// call lands in audit_log (see audit-log.mjs). Internal callers (kanban
+// sync, REST wrappers) still call handlers directly. Handlers that record
+// who acted (API key mint/revoke) read the caller from the second argument.
+async function invokeTool(name, args, { identity, entrypoint }) {
+  const started = Date.now();
+  try {
+    authz.assertTool(identity, name, args);
+    toolArgs.assert(name, args);
+    const result = await rateLimits.runTool(identity, name, args, () => handlers[name](args, { identity }));
+    await recordToolInvocation(pool, { identity, entrypoint, tool: name, args, status: 'ok', latency_ms: Date.now() - started });
+    if (toolAccess[name] !== 'read') notifyResourceChanges(name, args);
+    return result;
+  } catch (err) {
+    await recordToolInvocation(pool, { identity, entrypoint, tool: name, args, status: 'error', error: err.message, latency_ms: Date.now() - started });
+    throw err;
+  }
+}
+
+// ============ MCP NOTIFICATIONS ============
+// Server-initiated notifications pushed down each MCP session's GET /mcp
+// stream (mcp-notifications.mjs).
+// An event tagged tenant: null (an error on a service no tenant owns) is
+// for callers that see every tenant.
+const mcpNotifier = createMcpNotifier({
+  canSeeTenant: (identity, tenant) => (tenant ? authz.canAccessTenant(identity, tenant) : !authz.tenantsOf(identity)),
+});
+
+function notifyResourceChanges(name, args) {
+  const { updated, listChanged } = resourceChangesForTool(name, args);
+  for (const uri of updated) mcpNotifier.resourceUpdated(uri);
+  if (listChanged) mcpNotifier.listChanged('resources');
+}
+
+// Only transitions — a component that stays healthy (or down) is not news.
+function notifyHealthChange(deploymentId, component, status, error) {
+  if (component.status === status) return;
+  mcpNotifier.publish('health_changed', {
+    deployment_id: deploymentId,
+    component: component.component_type,
+    url: component.url,
+    from: component.status || null,
+    to: status,
+    error: error || null,
+  });
+}
+
+// Feedback and error triage results, from the webhook/ingest fast paths and
+// the safety pollers alike. Rows another worker already claimed, and rows
+// put back to pending until the tenant's LLM budget resets, are skipped.
+async function notifyTriageFinished(kind, id, result) {
+  if (result?.reason === 'not_pending' || result?.reason === 'llm_budget_exhausted') return;
+  try {
+    const tenant = kind === 'feedback'
+      ? (await queryOne('SELECT tenant FROM mcp_feedback_tasks WHERE id = $1', [id]))?.tenant
+      : (await tenantRegistry.forService((await queryOne('SELECT service FROM error_events WHERE id = $1', [id]))?.service))?.slug;
+    mcpNotifier.publish('triage_finished', { kind, id, tenant: tenant || null, result });
+  } catch (err) {
+    console.error(`[mcp-notify] triage_finished ${kind} ${id}:`, err.message);
+  }
+}
+
+// Who to credit in created_by / revoked_by style columns.
+function actorLabel(identity) {
+  return identity?.email || ownerKey(identity);
+}
+
+// For results that would cover every tenant: a tenant-limited caller
+// (authz.tenantsOf) only sees their own.
+function inTenantsOf(identity) {
+  const tenants = authz.tenantsOf(identity);
+  return (tenant) => !tenants || tenants.includes(tenant);
+}
+
+// The same for error_events, which name a Cloud Run service rather than a
+// tenant: the services of the caller's tenants, or null if unlimited.
+async function servicesOf(identity) {
+  const tenants = authz.tenantsOf(identity);
+  if (!tenants) return null;
+  return (await tenantRegistry.all()).filter(t => tenants.includes(t.slug)).map(t => t.service);
+}
+
+// Who owns a caller's conversations and tool approvals (privateOwnerKey in
+// chat-store.mjs). Users and API keys own theirs outright; callers on the
+// shared service key and anonymous monitor-mode callers are told apart by
+// session — the MCP session over /mcp, the X-Session-Id header elsewhere.
+// With `res`, a caller that sent no session is issued one (X-Session-Id
+// response header) so it can pick the thread up again.
+function callerOwner(req, res) {
+  const identity = req.mcpIdentity;
+  if (identity?.kind === 'user' || identity?.kind === 'api_key') return identity;
+  let session = req.get('mcp-session-id') || req.get('x-session-id');
+  if (!session && res) {
+    session = randomUUID();
+    res.setHeader('X-Session-Id', session);
+  }
+  return { ...(identity || { kind: 'anonymous' }), session };
+}
+
 // ============ KANBAN → GITHUB ISSUES SYNC ============
 // Fired from /api/feedback-tasks/webhook below. Auto-classifies each kanban
 // task into CRMBackend or CRMFrontEnd via Haiku 4.5, then creates a GitHub
@@ -3029,41 +3853,20 @@ const kanbanGithubSync = createKanbanGithubSync({
 // ============ CRM INSTANCE REST API ============
 
 // List all configured CRM instances
-app.get('/api/instances', (req, res) => {
-  const instances = CRM_COMPANIES.map(company => {
-    const config = getCRMConfig(company);
+app.get('/api/instances', async (req, res) => {
+  const instances = await Promise.all((await crmTenants()).filter(inTenantsOf(req.mcpIdentity)).map(async (company) => {
+    const config = await getCRMConfig(company);
     return { company, configured: !!config.url, url: config.url || null };
-  });
+  }));
   res.json(instances);
 });
 
-// Health check all CRM instances
+// Health check all CRM instances, with each tenant's circuit breaker
+// (crm-client.mjs) — an open breaker means CRM calls are failing fast.
 app.get('/api/instances/health', async (req, res) => {
   const results = {};
-  await Promise.all(CRM_COMPANIES.map(async (company) => {
-    const config = getCRMConfig(company);
-    if (!config.url) {
-      results[company] = { status: 'not_configured' };
-      return;
-    }
-    const start = Date.now();
-    try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 10000);
-      const resp = await fetch(`${config.url}/api/health`, {
-        headers: { 'X-Tenant-ID': config.tenantId, 'X-API-Key': config.apiKey },
-        signal: controller.signal,
-      });
-      clearTimeout(timeout);
-      const latency = Date.now() - start;
-      if (resp.ok) {
-        results[company] = { status: latency > 5000 ? 'degraded' : 'healthy', latency_ms: latency };
-      } else {
-        results[company] = { status: 'unhealthy', latency_ms: latency, http_status: resp.status };
-      }
-    } catch (err) {
-      results[company] = { status: 'down', error: err.message, latency_ms: Date.now() - start };
-    }
+  await Promise.all((await crmTenants()).filter(inTenantsOf(req.mcpIdentity)).map(async (company) => {
+    results[company] = { ...(await crmClient.probe(company)), breaker: crmClient.breaker(company) };
   }));
   res.json(results);
 });
@@ -3140,50 +3943,66 @@ app.post('/api/instances/:company/users/:uid/reset-password', async (req, res) =
 
 // ============ FEEDBACK AGGREGATION REST API ============
 
+async function configuredCrmTenants() {
+  return (await tenantRegistry.all()).filter(t => t.crmUrl).map(t => t.slug);
+}
+
 // Aggregate feedback from all (or filtered) companies
 app.get('/api/feedback/all', async (req, res) => {
-  const { status, type, company: filterCompany } = req.query;
-  const companies = filterCompany
-    ? [filterCompany]
-    : CRM_COMPANIES.filter(c => getCRMConfig(c).url);
+  try {
+    const { status, type, company: filterCompany } = req.query;
+    const companies = filterCompany
+      ? [filterCompany]
+      : (await configuredCrmTenants()).filter(inTenantsOf(req.mcpIdentity));
 
-  const results = [];
-  const errors = {};
+    const results = [];
+    const errors = {};
 
-  await Promise.all(companies.map(async (company) => {
-    try {
-      const params = new URLSearchParams();
-      if (status) params.set('status', status);
-      if (type) params.set('type', type);
-      const qs = params.toString();
-      const data = await callCRM(company, 'GET', `/tester-feedback${qs ? '?' + qs : ''}`, null);
-      const items = Array.isArray(data) ? data : [];
-      results.push(...items.map(item => ({ ...item, _company: company })));
-    } catch (err) {
-      errors[company] = err.message;
-    }
-  }));
+    await Promise.all(companies.map(async (company) => {
+      try {
+        const params = new URLSearchParams();
+        if (status) params.set('status', status);
+        if (type) params.set('type', type);
+        const qs = params.toString();
+        const data = await callCRM(company, 'GET', `/tester-feedback${qs ? '?' + qs : ''}`, null);
+        const items = Array.isArray(data) ? data : [];
+        results.push(...items.map(item => ({ ...item, _company: company })));
+      } catch (err) {
+        errors[company] = err.message;
+      }
+    }));
 
-  // Sort: CRITICAL > HIGH > MEDIUM > LOW, then newest first
-  const priorityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
-  results.sort((a, b) => {
-    const pDiff = (priorityOrder[a.priority] ?? 9) - (priorityOrder[b.priority] ?? 9);
-    if (pDiff !== 0) return pDiff;
-    return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
-  });
+    // Sort: CRITICAL > HIGH > MEDIUM > LOW, then newest first
+    const priorityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+    results.sort((a, b) => {
+      const pDiff = (priorityOrder[a.priority] ?? 9) - (priorityOrder[b.priority] ?? 9);
+      if (pDiff !== 0) return pDiff;
+      return new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime();
+    });
 
-  res.json({ feedback: results, errors, totalCompanies: companies.length });
+    res.json({ feedback: results, errors, totalCompanies: companies.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-// Aggregate feedback stats from all companies
+// Aggregate feedback stats from all companies. Per-company stats come from
+// crmCache; `freshness` says how old each one is.
 app.get('/api/feedback/stats', async (req, res) => {
-  const companies = CRM_COMPANIES.filter(c => getCRMConfig(c).url);
-  const perCompany = {};
-  const aggregated = { total: 0, byStatus: {}, byType: {}, recentCount: 0, byCompany: {} };
-
-  await Promise.all(companies.map(async (company) => {
-    try {
-      const stats = await callCRM(company, 'GET', '/tester-feedback/stats', null);
+  try {
+    const companies = (await configuredCrmTenants()).filter(inTenantsOf(req.mcpIdentity));
+    const perCompany = {};
+    const freshness = {};
+    const aggregated = { total: 0, byStatus: {}, byType: {}, recentCount: 0, byCompany: {} };
+
+    await Promise.all(companies.map(async (company) => {
+      const cached = await crmCache.get(company, '/tester-feedback/stats');
+      const { data: stats, ...meta } = cached;
+      freshness[company] = meta;
+      if (!stats) {
+        perCompany[company] = { error: cached.error || 'CRM still loading' };
+        return;
+      }
       perCompany[company] = stats;
       aggregated.total += stats.total || 0;
       aggregated.recentCount += stats.recentCount || 0;
@@ -3194,12 +4013,12 @@ app.get('/api/feedback/stats', async (req, res) => {
       for (const [t, count] of Object.entries(stats.byType || {})) {
         aggregated.byType[t] = (aggregated.byType[t] || 0) + count;
       }
-    } catch (err) {
-      perCompany[company] = { error: err.message };
-    }
-  }));
+    }));
 
-  res.json({ aggregated, perCompany });
+    res.json({ aggregated, perCompany, ...combineFreshness(Object.values(freshness)), freshness });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Get single feedback item
@@ -3223,6 +4042,7 @@ app.patch('/api/feedback/:company/:id', async (req, res) => {
     if (priority) body.priority = priority;
     if (resolutionNotes !== undefined) body.resolutionNotes = resolutionNotes;
     const result = await callCRM(company, 'PATCH', `/tester-feedback/${id}`, body);
+    crmCache.invalidate(company, '/tester-feedback/stats');
     res.json({ ...result, _company: company, success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -3251,11 +4071,8 @@ app.get('/api/github/repos', async (req, res) => {
 //
 // See: chat-feedback-mcp-sync-plan.md
 
-const VALID_TENANTS = new Set(['dtiq', 'qwilt', 'packetfabric', 'welink', 'element8', 'dev']);
-
-function getWebhookSecret(tenant) {
-  return process.env[`MCP_WEBHOOK_SECRET_${tenant.toUpperCase()}`];
-}
+// Tenants and their webhook secrets / task API keys resolve through the
+// tenant registry (tenantRegistry, tenants.mjs).
 
 function constantTimeEquals(a, b) {
   if (typeof a !== 'string' || typeof b !== 'string') return false;
@@ -3265,10 +4082,10 @@ function constantTimeEquals(a, b) {
   return timingSafeEqual(bufA, bufB);
 }
 
-function tenantFromQuery(req) {
+async function tenantFromQuery(req) {
   const tenant = (req.query.tenant || '').toString().toLowerCase();
-  if (!VALID_TENANTS.has(tenant)) {
-    const err = new Error(`Invalid or missing 'tenant' query param. Valid: ${[...VALID_TENANTS].join(', ')}`);
+  if (!(await tenantRegistry.find(tenant))) {
+    const err = new Error(`Invalid or missing 'tenant' query param. Valid: ${(await tenantRegistry.slugs()).join(', ')}`);
     err.statusCode = 400;
     throw err;
   }
@@ -3276,43 +4093,11 @@ function tenantFromQuery(req) {
 }
 
 // Outbound call to a tenant CRMBackend authenticated with the feature-scoped
-// {TENANT}_TASK_CRM_MCP_API_KEY (separate from the legacy CRM_KEY_{TENANT}
-// used by callCRM elsewhere). Used by the feedback-tasks write proxies and
-// the backfill script. Handles 204 No Content as null.
+// task API key (the tenant's task_crm_key_ref, by default
+// {TENANT}_TASK_CRM_MCP_API_KEY — separate from the CRM key callCRM uses).
+// Used by the feedback-tasks write proxies and the backfill script.
 async function taskMcpCallCrm(tenant, method, path, body, extraHeaders = {}) {
-  const url = process.env[`CRM_URL_${tenant.toUpperCase()}`];
-  const apiKey = process.env[`${tenant.toUpperCase()}_TASK_CRM_MCP_API_KEY`];
-  if (!url) throw new Error(`No CRM_URL_${tenant.toUpperCase()} configured`);
-  if (!apiKey) throw new Error(`No ${tenant.toUpperCase()}_TASK_CRM_MCP_API_KEY configured`);
-
-  const headers = {
-    'X-Tenant-ID': tenant,
-    'X-Api-Key': apiKey,
-    ...extraHeaders,
-  };
-  if (body !== undefined && body !== null) headers['Content-Type'] = 'application/json';
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
-  try {
-    const resp = await fetch(`${url.replace(/\/$/, '')}/api${path}`, {
-      method,
-      headers,
-      body: body !== undefined && body !== null ? JSON.stringify(body) : undefined,
-      signal: controller.signal,
-    });
-    if (!resp.ok) {
-      const errBody = await resp.json().catch(() => ({}));
-      throw new Error(errBody.message || `CRM ${tenant} returned HTTP ${resp.status}`);
-    }
-    if (resp.status === 204) return null;
-    return resp.json();
-  } catch (err) {
-    if (err.name === 'AbortError') throw new Error(`CRM ${tenant} request timed out`);
-    throw err;
-  } finally {
-    clearTimeout(timeout);
-  }
+  return crmClient.request(tenant, method, path, body, { credential: 'task', headers: extraHeaders });
 }
 
 // Map a flat DB row → the shape the dashboard kanban components expect.
@@ -3492,10 +4277,10 @@ async function upsertFeedbackComment(client, tenant, taskCrmId, comment) {
 // against the dashboard's host (localhost:3003 / agentbox-dashboard...) and
 // 404s. Absolute-ize it against this tenant's CRM URL at upsert time so the
 // stored value always points back at the right CRMBackend.
-function absoluteizeAttachmentUrl(tenant, url) {
+async function absoluteizeAttachmentUrl(tenant, url) {
   if (!url) return null;
   if (url.startsWith('http://') || url.startsWith('https://')) return url;
-  const base = process.env[`CRM_URL_${tenant.toUpperCase()}`];
+  const base = (await tenantRegistry.find(tenant))?.crmUrl;
   if (!base) return url; // best-effort: leave relative if base unset (will surface 404 on click)
   return `${base.replace(/\/$/, '')}${url.startsWith('/') ? '' : '/'}${url}`;
 }
@@ -3530,7 +4315,7 @@ async function upsertFeedbackAttachment(client, tenant, taskCrmId, attachment) {
       attachment.fileName,
       attachment.fileSize ?? 0,
       attachment.mimeType || null,
-      absoluteizeAttachmentUrl(tenant, attachment.url),
+      await absoluteizeAttachmentUrl(tenant, attachment.url),
       expiresAt,
       attachment.uploadedById || null,
       attachment.createdAt || new Date().toISOString(),
@@ -3650,7 +4435,7 @@ async function syncTenantFeedbackTasks(tenant) {
 // path, applied in one batch.
 app.post('/api/feedback-tasks/sync', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const summary = await syncTenantFeedbackTasks(tenant);
     res.json({ tenant, ...summary });
   } catch (err) {
@@ -3667,7 +4452,7 @@ app.post('/api/feedback-tasks/sync', async (req, res) => {
 //   limit          (optional)  — max rows to process (default 200)
 app.post('/api/feedback-tasks/push-to-github', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const retryFailed = ['1', 'true', 'yes'].includes(String(req.query.retry_failed || '').toLowerCase());
     const dryRun = ['1', 'true', 'yes'].includes(String(req.query.dry_run || '').toLowerCase());
     const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
@@ -3685,14 +4470,15 @@ app.post('/api/feedback-tasks/push-to-github', async (req, res) => {
 app.post('/api/feedback-tasks/webhook', async (req, res) => {
   try {
     const tenant = (req.headers['x-tenant-id'] || '').toString().toLowerCase();
-    if (!VALID_TENANTS.has(tenant)) {
+    const registered = await tenantRegistry.find(tenant);
+    if (!registered) {
       return res.status(400).json({ error: `Invalid tenant: ${tenant}` });
     }
 
     const provided = (req.headers['x-webhook-secret'] || '').toString();
-    const expected = getWebhookSecret(tenant);
+    const expected = tenantRegistry.secret(registered.webhookSecretRef);
     if (!expected) {
-      console.error(`[feedback-tasks/webhook] no MCP_WEBHOOK_SECRET_${tenant.toUpperCase()} configured`);
+      console.error(`[feedback-tasks/webhook] no ${registered.webhookSecretRef} configured`);
       return res.status(500).json({ error: 'Webhook secret not configured for tenant' });
     }
     if (!constantTimeEquals(provided, expected)) {
@@ -3774,6 +4560,14 @@ app.post('/api/feedback-tasks/webhook', async (req, res) => {
       client.release();
     }
 
+    mcpNotifier.publish('feedback_task', {
+      tenant,
+      event_type: eventType,
+      crm_task_id: data.task?.id || data.taskId || null,
+      title: data.task?.title,
+      status: data.task?.status,
+    });
+
     // Fire-and-forget GitHub Issues sync after the mirror is committed. The
     // tenant CRMBackend webhook caller already treats this fire-and-forget,
     // so we never block the user-facing CRM write on classifier or GH latency.
@@ -3799,7 +4593,8 @@ app.post('/api/feedback-tasks/webhook', async (req, res) => {
                 );
                 const rowId = r.rows[0]?.id;
                 if (rowId) {
-                  await triageFeedbackTask(rowId, pool);
+                  const result = await triageFeedbackTask(rowId, pool);
+                  await notifyTriageFinished('feedback', rowId, result);
                 }
               } catch (err) {
                 console.error('[triage-worker] error:', err);
@@ -3843,7 +4638,7 @@ app.post('/api/feedback-tasks/webhook', async (req, res) => {
 // endpoint to keep the list response lean.
 app.get('/api/feedback-tasks', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const rows = await query(
       `SELECT t.*,
               (SELECT COUNT(*)::int FROM mcp_feedback_comments c WHERE c.mirror_task_id = t.id) AS comments_count,
@@ -3873,7 +4668,7 @@ app.get('/api/feedback-tasks', async (req, res) => {
 });
 
 // Per-tenant counts for the tab badges. Single query, group by tenant + status.
-app.get('/api/feedback-tasks/tenants/summary', async (_req, res) => {
+app.get('/api/feedback-tasks/tenants/summary', async (req, res) => {
   try {
     const rows = await query(
       `SELECT tenant, status, COUNT(*)::int AS n
@@ -3881,8 +4676,9 @@ app.get('/api/feedback-tasks/tenants/summary', async (_req, res) => {
         GROUP BY tenant, status`,
     );
     const summary = {};
-    for (const t of VALID_TENANTS) summary[t] = { todo: 0, in_progress: 0, done: 0, open: 0 };
-    for (const row of rows) {
+    const visible = inTenantsOf(req.mcpIdentity);
+    for (const t of (await tenantRegistry.slugs()).filter(visible)) summary[t] = { todo: 0, in_progress: 0, done: 0, open: 0 };
+    for (const row of rows.filter(r => visible(r.tenant))) {
       if (!summary[row.tenant]) summary[row.tenant] = { todo: 0, in_progress: 0, done: 0, open: 0 };
       summary[row.tenant][row.status] = row.n;
     }
@@ -3947,7 +4743,7 @@ app.post('/api/github/issues', async (req, res) => {
 // Read: single task detail with comments + attachments.
 app.get('/api/feedback-tasks/:crmTaskId', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const { crmTaskId } = req.params;
     const taskRow = await queryOne(
       `SELECT * FROM mcp_feedback_tasks WHERE tenant = $1 AND crm_task_id = $2`,
@@ -3982,7 +4778,7 @@ app.get('/api/feedback-tasks/:crmTaskId', async (req, res) => {
 // idempotent confirmation (ON CONFLICT DO UPDATE).
 app.patch('/api/feedback-tasks/:crmTaskId', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const { crmTaskId } = req.params;
     const result = await taskMcpCallCrm(tenant, 'PATCH', `/tasks/${crmTaskId}`, req.body);
     if (result?.id) {
@@ -4008,7 +4804,7 @@ app.patch('/api/feedback-tasks/:crmTaskId', async (req, res) => {
 // `_count.comments` reflects it on the very next list read.
 app.post('/api/feedback-tasks/:crmTaskId/comments', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const { crmTaskId } = req.params;
     const extraHeaders = {};
     const actingEmail = req.headers['x-acting-user-email'];
@@ -4034,7 +4830,7 @@ app.post('/api/feedback-tasks/:crmTaskId/comments', async (req, res) => {
 // On success, optimistically delete from the mirror.
 app.delete('/api/feedback-tasks/:crmTaskId', async (req, res) => {
   try {
-    const tenant = tenantFromQuery(req);
+    const tenant = await tenantFromQuery(req);
     const { crmTaskId } = req.params;
     await taskMcpCallCrm(tenant, 'DELETE', `/tasks/${crmTaskId}`, null);
     try {
@@ -4082,6 +4878,7 @@ app.get('/api/dashboard-users', async (req, res) => {
       email: u.email,
       displayName: u.displayName || u.email?.split('@')[0] || 'User',
       role: u.customClaims?.role || 'agent',
+      tenants: u.customClaims?.tenants || null,
       createdAt: u.metadata.creationTime,
       lastLogin: u.metadata.lastSignInTime,
       disabled: u.disabled,
@@ -4102,6 +4899,7 @@ app.get('/api/dashboard-users/by-email/:email', async (req, res) => {
       email: user.email,
       displayName: user.displayName || user.email?.split('@')[0] || 'User',
       role: user.customClaims?.role || 'agent',
+      tenants: user.customClaims?.tenants || null,
       createdAt: user.metadata.creationTime,
       lastLogin: user.metadata.lastSignInTime,
     });
@@ -4140,16 +4938,25 @@ app.post('/api/dashboard-users', async (req, res) => {
   }
 });
 
-// Update user role (via custom claims)
+// Update user role (via custom claims). Optional `tenants` (array of slugs,
+// or null to clear) limits a non-admin to those tenants — see authz.mjs.
 app.patch('/api/dashboard-users/:uid/role', async (req, res) => {
   if (!requireFirebase(res)) return;
   try {
-    const { role } = req.body;
+    const { role, tenants } = req.body;
     if (!['admin', 'manager', 'agent'].includes(role)) {
       return res.status(400).json({ error: 'Invalid role. Must be admin, manager, or agent' });
     }
-    await admin.auth().setCustomUserClaims(req.params.uid, { role });
-    res.json({ uid: req.params.uid, role, success: true });
+    if (tenants !== undefined && tenants !== null && !(Array.isArray(tenants) && tenants.every(t => typeof t === 'string'))) {
+      return res.status(400).json({ error: 'Invalid tenants. Must be an array of tenant slugs or null' });
+    }
+    const user = await admin.auth().getUser(req.params.uid);
+    const claims = { ...(user.customClaims || {}), role };
+    if (tenants !== undefined) claims.tenants = tenants;
+    await admin.auth().setCustomUserClaims(req.params.uid, claims);
+    // Their visible tools change once the new claims reach their ID token.
+    mcpNotifier.toolsChangedFor((identity) => identity.uid === req.params.uid);
+    res.json({ uid: req.params.uid, role, tenants: claims.tenants || null, success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -4166,6 +4973,81 @@ app.delete('/api/dashboard-users/:uid', async (req, res) => {
   }
 });
 
+// ============ PORTFOLIO REST API ============
+// Read-only mirrors of the paginated list tools; limit, cursor, sort and
+// fields (comma-separated) come from the query string. They run through
+// invokeTool like POST /tools/:name, so authz (a tenant-limited caller must
+// name one of its tenants), argument checks, rate limits and the audit log
+// apply to them too.
+
+function listErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.startsWith('Invalid')) return 400;
+  if (err.message.startsWith('Forbidden')) return 403;
+  return 500;
+}
+
+// Query-string filters arrive as undefined when absent; tools take them as
+// omitted.
+function restTool(req, name, args) {
+  const defined = Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined));
+  return invokeTool(name, defined, { identity: req.mcpIdentity, entrypoint: 'rest' });
+}
+
+function sendToolError(res, err) {
+  if (isRateLimited(err)) return sendRateLimited(res, err);
+  if (isInvalidArguments(err)) return res.status(400).json({ error: err.message, fields: err.fields });
+  return res.status(listErrorStatus(err)).json({ error: err.message });
+}
+
+app.get('/api/companies', async (req, res) => {
+  try {
+    const result = await restTool(req, 'list_companies', pageArgsFromQuery(req.query));
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
+app.get('/api/companies/:slug', async (req, res) => {
+  try {
+    const result = await restTool(req, 'get_company', { slug: req.params.slug });
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
+app.get('/api/companies/:slug/:collection', async (req, res) => {
+  const tool = COMPANY_COLLECTION_TOOLS[req.params.collection];
+  if (!tool) return res.status(404).json({ error: `Unknown company collection: ${req.params.collection}` });
+  try {
+    const filters = tool === 'list_requirements' ? { status: req.query.status } : {};
+    const result = await restTool(req, tool, { slug: req.params.slug, ...filters, ...pageArgsFromQuery(req.query) });
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
+app.get('/api/documents', async (req, res) => {
+  try {
+    const result = await restTool(req, 'list_all_documents', { slug: req.query.slug, category: req.query.category, ...pageArgsFromQuery(req.query) });
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
+app.get('/api/deployments', async (req, res) => {
+  try {
+    const result = await restTool(req, 'list_deployments', { status: req.query.status, ...pageArgsFromQuery(req.query) });
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
+app.get('/api/dev-tasks', async (req, res) => {
+  try {
+    const result = await restTool(req, 'list_dev_tasks', {
+      status: req.query.status, assigned_to: req.query.assigned_to, priority: req.query.priority,
+      ...pageArgsFromQuery(req.query),
+    });
+    res.json(result);
+  } catch (err) { sendToolError(res, err); }
+});
+
 // ============ BUILD AGENTS REST API ============
 
 app.get('/api/build-runs', async (req, res) => {
@@ -4207,13 +5089,13 @@ app.get('/api/build-tasks/:id/log', async (req, res) => {
 
 app.get('/api/error-events', async (req, res) => {
   try {
-    const result = await handlers.list_error_events({
-      service: req.query.service, severity: req.query.severity,
+    const result = await restTool(req, 'list_error_events', {
+      tenant: req.query.tenant, service: req.query.service, severity: req.query.severity,
       acknowledged: req.query.acknowledged !== undefined ? req.query.acknowledged === 'true' : undefined,
       limit: parseInt(req.query.limit) || 50
     });
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { sendToolError(res, err); }
 });
 
 app.get('/api/error-events/:id', async (req, res) => {
@@ -4232,20 +5114,20 @@ app.post('/api/error-events/:id/acknowledge', async (req, res) => {
 
 app.get('/api/error-triage', async (req, res) => {
   try {
-    const result = await handlers.list_error_triage({
+    const result = await restTool(req, 'list_error_triage', {
       category: req.query.category,
       auto_fixable: req.query.auto_fixable !== undefined ? req.query.auto_fixable === 'true' : undefined,
       limit: parseInt(req.query.limit) || 50
     });
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { sendToolError(res, err); }
 });
 
 app.get('/api/monitoring/stats', async (req, res) => {
   try {
-    const result = await handlers.get_monitoring_stats();
+    const result = await restTool(req, 'get_monitoring_stats', {});
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { sendToolError(res, err); }
 });
 
 // ============ AUTO-FIX REST API ============
@@ -4278,155 +5160,778 @@ app.post('/api/autofix-runs/:id/cancel', async (req, res) => {
   } catch (err) { res.status(err.message.includes('not found') ? 404 : 500).json({ error: err.message }); }
 });
 
-// ============ INFRASTRUCTURE REGISTRY REST API ============
+// ============ AGENT RUNS REST API ============
+// Reads are behind the normal bearer gate. The callback routes are what the
+// agent-implement / agent-review workflows POST to (agent-runner.mjs) and
+// authenticate with the shared AGENT_CALLBACK_SECRET instead.
 
-app.get('/api/infra/tenants', async (req, res) => {
+const agentRuns = createAgentRuns({ pool });
+
+function agentRunErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.startsWith('Illegal transition')) return 409;
+  if (err.message.includes('required') || err.message.startsWith('Invalid')) return 400;
+  return 500;
+}
+
+function requireAgentCallbackSecret(req, res, next) {
+  const expected = process.env.AGENT_CALLBACK_SECRET;
+  if (!expected) {
+    console.error('[agent-runs/callback] AGENT_CALLBACK_SECRET not configured');
+    return res.status(500).json({ error: 'Agent callback secret not configured' });
+  }
+  const provided = (req.headers['x-agent-callback-secret'] || '').toString();
+  if (!constantTimeEquals(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid agent callback secret' });
+  }
+  next();
+}
+
+app.get('/api/agent-runs', async (req, res) => {
   try {
-    const result = await handlers.list_tenant_configs({ status: req.query.status });
+    const result = await restTool(req, 'list_agent_runs', { state: req.query.state, tenant: req.query.tenant, crm_task_id: req.query.crm_task_id, limit: parseInt(req.query.limit) || 50 });
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { sendToolError(res, err); }
 });
 
-app.get('/api/infra/tenants/:tenant', async (req, res) => {
+app.get('/api/agent-runs/:id', async (req, res) => {
   try {
-    const result = await handlers.get_tenant_config({ tenant: req.params.tenant });
+    const result = await handlers.get_agent_run({ id: req.params.id, events_limit: parseInt(req.query.events_limit) || undefined });
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { res.status(agentRunErrorStatus(err)).json({ error: err.message }); }
 });
 
-app.get('/api/infra/tenants/:tenant/:serviceType', async (req, res) => {
+// Body: { tenant, crm_task_id, attempt, to_state, scope?, implementer_verdict?,
+//         reviewer_verdict?, github_run_id?, github_workflow?, artifact_root?,
+//         terminal_reason?, failure_summary?, message?, token_* / cost deltas }
+app.post('/api/agent-runs/callback/transition', requireAgentCallbackSecret, async (req, res) => {
   try {
-    const result = await handlers.get_tenant_config({ tenant: req.params.tenant, service_type: req.params.serviceType });
-    res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+    const result = await agentRuns.transition(req.body || {});
+    res.status(result.created ? 201 : 200).json(result);
+  } catch (err) { res.status(agentRunErrorStatus(err)).json({ error: err.message }); }
 });
 
-app.get('/api/infra/tenants/:tenant/:serviceType/env', async (req, res) => {
+// Body: { tenant, crm_task_id, attempt, event_type, message, level?, payload? }
+app.post('/api/agent-runs/callback/events', requireAgentCallbackSecret, async (req, res) => {
   try {
-    const result = await handlers.get_service_env_vars({ tenant: req.params.tenant, service_type: req.params.serviceType });
+    const result = await agentRuns.appendEvent(req.body || {});
+    res.status(201).json(result);
+  } catch (err) { res.status(agentRunErrorStatus(err)).json({ error: err.message }); }
+});
+
+// Body: { tenant, crm_task_id, attempt, repo, branch, pr_number?, pr_url?, pr_state? }
+app.post('/api/agent-runs/callback/prs', requireAgentCallbackSecret, async (req, res) => {
+  try {
+    const result = await agentRuns.upsertPr(req.body || {});
     res.json(result);
-  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+  } catch (err) { res.status(agentRunErrorStatus(err)).json({ error: err.message }); }
 });
 
-app.get('/api/infra/tenants/:tenant/:serviceType/deploy-command', async (req, res) => {
+// ============ TOOL APPROVALS REST API ============
+const toolApprovals = createToolApprovals({ pool });
+
+app.get('/api/tool-approvals', async (req, res) => {
   try {
-    const result = await handlers.get_deploy_command({ tenant: req.params.tenant, service_type: req.params.serviceType });
+    const result = await handlers.list_tool_approvals({ status: req.query.status, source: req.query.source, limit: parseInt(req.query.limit) || 50 });
     res.json(result);
-  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
 });
 
-app.post('/api/infra/deploy-check', async (req, res) => {
+// ============ AUDIT LOG REST API ============
+
+app.get('/api/audit', async (req, res) => {
   try {
-    const result = await handlers.run_deploy_check(req.body);
+    const { user, tool, tenant, entrypoint, status, from, to } = req.query;
+    const result = await handlers.list_audit_log({ user, tool, tenant, entrypoint, status, from, to, limit: parseInt(req.query.limit) || 100 });
     res.json(result);
-  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+  } catch (err) { res.status(err.message.includes('Invalid') ? 400 : 500).json({ error: err.message }); }
 });
 
-// ============ PROJECT CONTEXT REST API ============
+// ============ API KEYS REST API ============
 
-app.get('/api/context', async (req, res) => {
+app.post('/api/api-keys', async (req, res) => {
   try {
-    const result = await handlers.list_project_context({ status: req.query.status, assigned_to: req.query.assigned_to });
+    const result = await handlers.create_api_key(req.body || {}, { identity: req.mcpIdentity });
+    res.status(201).json(result);
+  } catch (err) {
+    const status = err.message.startsWith('Forbidden') ? 403 : err.message.includes('Invalid') || err.message.includes('required') ? 400 : 500;
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.get('/api/api-keys', async (req, res) => {
+  try {
+    const result = await handlers.list_api_keys({ include_revoked: req.query.include_revoked === 'true' });
     res.json(result);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-app.get('/api/context/:repo', async (req, res) => {
+app.delete('/api/api-keys/:id', async (req, res) => {
   try {
-    const result = await handlers.get_project_context({ repo: req.params.repo, area: req.query.area, status: req.query.status });
+    const result = await handlers.revoke_api_key({ id: req.params.id }, { identity: req.mcpIdentity });
     res.json(result);
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) { res.status(err.message.includes('not found') ? 404 : 500).json({ error: err.message }); }
 });
 
-app.post('/api/context', async (req, res) => {
+// ============ PROMPTS REST API ============
+// Editing the MCP prompt registry (mcp-prompts.mjs) without a deploy.
+
+function promptErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('already exists')) return 409;
+  if (err.message.includes('Invalid') || err.message.includes('required')) return 400;
+  return 500;
+}
+
+app.get('/api/prompts', async (req, res) => {
   try {
-    const result = await handlers.update_project_context(req.body);
-    res.status(201).json(result);
+    const result = await mcpPrompts.list({ include_archived: req.query.include_archived === 'true' });
+    res.json(result);
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ============ CHAT ENDPOINT - THE BRAIN ============
-app.post('/chat', async (req, res) => {
+app.get('/api/prompts/:name', async (req, res) => {
   try {
-    const { message, conversation_history = [] } = req.body;
-    if (!message) return res.status(400).json({ error: 'Message required' });
-
-    const messages = [...conversation_history, { role: 'user', content: message }];
-    const claudeTools = tools.map(t => ({ name: t.name, description: t.description, input_schema: t.inputSchema }));
-
-    let response = await anthropic.messages.create({ model: 'claude-sonnet-4-20250514', max_tokens: 4096, system: SYSTEM_PROMPT, tools: claudeTools, messages });
-
-    while (response.stop_reason === 'tool_use') {
-      messages.push({ role: 'assistant', content: response.content });
-      const toolResults = [];
-      for (const block of response.content) {
-        if (block.type === 'tool_use') {
-          console.log(`Tool: ${block.name}`, block.input);
-          try {
-            const result = await handlers[block.name](block.input);
-            toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: JSON.stringify(result) });
-          } catch (err) {
-            console.error(`Tool error (${block.name}):`, err);
-            toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: JSON.stringify({ error: err.message }), is_error: true });
-          }
-        }
-      }
-      messages.push({ role: 'user', content: toolResults });
-      response = await anthropic.messages.create({ model: 'claude-sonnet-4-20250514', max_tokens: 4096, system: SYSTEM_PROMPT, tools: claudeTools, messages });
-    }
+    const result = await mcpPrompts.get(req.params.name);
+    res.json(result);
+  } catch (err) { res.status(promptErrorStatus(err)).json({ error: err.message }); }
+});
 
-    const textContent = response.content.find(b => b.type === 'text');
-    res.json({ response: textContent?.text || 'No response', conversation_history: messages.concat([{ role: 'assistant', content: response.content }]) });
-  } catch (error) {
-    console.error('Chat error:', error);
-    res.status(500).json({ error: error.message });
-  }
+app.post('/api/prompts', async (req, res) => {
+  try {
+    const result = await mcpPrompts.create(req.body, actorLabel(req.mcpIdentity));
+    mcpNotifier.listChanged('prompts');
+    res.status(201).json(result);
+  } catch (err) { res.status(promptErrorStatus(err)).json({ error: err.message }); }
 });
 
-// ============ FILE UPLOAD ENDPOINT ============
-app.post('/upload', async (req, res) => {
+app.patch('/api/prompts/:name', async (req, res) => {
   try {
-    const { slug, filename, content_base64, content_type, category, description } = req.body;
-    if (!slug || !filename || !content_base64 || !content_type) {
-      return res.status(400).json({ error: 'Missing required fields: slug, filename, content_base64, content_type' });
-    }
-    const result = await handlers.upload_document({ slug, filename, content_base64, content_type, category, description });
+    const result = await mcpPrompts.update(req.params.name, req.body, actorLabel(req.mcpIdentity));
+    mcpNotifier.listChanged('prompts');
     res.json(result);
-  } catch (error) {
+  } catch (err) { res.status(promptErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.delete('/api/prompts/:name', async (req, res) => {
+  try {
+    const result = await mcpPrompts.archive(req.params.name, actorLabel(req.mcpIdentity));
+    mcpNotifier.listChanged('prompts');
+    res.json(result);
+  } catch (err) { res.status(promptErrorStatus(err)).json({ error: err.message }); }
+});
+
+// Preview: render with the caller's identity, exactly as prompts/get would.
+app.post('/api/prompts/:name/render', async (req, res) => {
+  try {
+    const result = await mcpPrompts.render(req.mcpIdentity, req.params.name, req.body?.arguments || {});
+    res.json(result);
+  } catch (err) { res.status(promptErrorStatus(err)).json({ error: err.message }); }
+});
+
+// ============ RATE LIMITS REST API ============
+
+app.get('/api/rate-limits', (req, res) => {
+  res.json(rateLimits.snapshot());
+});
+
+// ============ LLM SPEND REST API ============
+
+app.get('/api/llm-spend', async (req, res) => {
+  try {
+    const result = await handlers.get_llm_spend({ from: req.query.from, to: req.query.to, tenant: req.query.tenant, feature: req.query.feature });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============ TENANT REGISTRY REST API ============
+// Managing the tenant registry (tenants.mjs) without a deploy.
+
+function tenantErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('already exists')) return 409;
+  if (err.message.includes('Invalid') || err.message.includes('required')) return 400;
+  return 500;
+}
+
+app.get('/api/tenants', async (req, res) => {
+  try {
+    const result = await handlers.list_tenants({ include_archived: req.query.include_archived === 'true' }, { identity: req.mcpIdentity });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/tenants/:tenant', async (req, res) => {
+  try {
+    const result = await handlers.get_tenant({ tenant: req.params.tenant });
+    res.json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.post('/api/tenants', async (req, res) => {
+  try {
+    const result = await handlers.create_tenant(req.body || {}, { identity: req.mcpIdentity });
+    res.status(201).json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.patch('/api/tenants/:tenant', async (req, res) => {
+  try {
+    const result = await handlers.update_tenant({ ...req.body, tenant: req.params.tenant }, { identity: req.mcpIdentity });
+    res.json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.delete('/api/tenants/:tenant', async (req, res) => {
+  try {
+    const result = await handlers.archive_tenant({ tenant: req.params.tenant }, { identity: req.mcpIdentity });
+    res.json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.get('/api/tenants/:tenant/onboarding', async (req, res) => {
+  try {
+    const result = await handlers.get_tenant_onboarding({ tenant: req.params.tenant });
+    res.json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+// Start or resume; body carries onboard_tenant's other arguments. A step
+// failing is a normal outcome (status 'failed' in the body), not an error.
+app.post('/api/tenants/:tenant/onboarding', async (req, res) => {
+  try {
+    const result = await handlers.onboard_tenant({ ...req.body, tenant: req.params.tenant }, { identity: req.mcpIdentity });
+    res.json(result);
+  } catch (err) {
+    const status = err.message.includes('already running') ? 409 : tenantErrorStatus(err);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+app.get('/api/tenants/:tenant/offboarding', async (req, res) => {
+  try {
+    const result = await handlers.get_tenant_offboarding({ tenant: req.params.tenant });
+    res.json(result);
+  } catch (err) { res.status(tenantErrorStatus(err)).json({ error: err.message }); }
+});
+
+// Start, resume, dry-run ({ dry_run: true }) or purge ({ purge: true });
+// body carries offboard_tenant's other arguments.
+app.post('/api/tenants/:tenant/offboarding', async (req, res) => {
+  try {
+    const result = await handlers.offboard_tenant({ ...req.body, tenant: req.params.tenant }, { identity: req.mcpIdentity });
+    res.json(result);
+  } catch (err) {
+    const status = err.message.includes('already') ? 409 : tenantErrorStatus(err);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+// ============ INFRASTRUCTURE REGISTRY REST API ============
+
+app.get('/api/infra/tenants', async (req, res) => {
+  try {
+    const result = await handlers.list_tenant_configs({ status: req.query.status });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/infra/tenants/:tenant', async (req, res) => {
+  try {
+    const result = await handlers.get_tenant_config({ tenant: req.params.tenant });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/infra/tenants/:tenant/:serviceType', async (req, res) => {
+  try {
+    const result = await handlers.get_tenant_config({ tenant: req.params.tenant, service_type: req.params.serviceType });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/infra/tenants/:tenant/:serviceType/env', async (req, res) => {
+  try {
+    const result = await handlers.get_service_env_vars({ tenant: req.params.tenant, service_type: req.params.serviceType });
+    res.json(result);
+  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+});
+
+app.get('/api/infra/tenants/:tenant/:serviceType/deploy-command', async (req, res) => {
+  try {
+    const result = await handlers.get_deploy_command({ tenant: req.params.tenant, service_type: req.params.serviceType });
+    res.json(result);
+  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+});
+
+app.post('/api/infra/deploy-check', async (req, res) => {
+  try {
+    const result = await handlers.run_deploy_check(req.body);
+    res.json(result);
+  } catch (err) { res.status(err.message.includes('No config') ? 404 : 500).json({ error: err.message }); }
+});
+
+// ============ PROJECT CONTEXT REST API ============
+
+app.get('/api/context', async (req, res) => {
+  try {
+    const result = await handlers.list_project_context({ status: req.query.status, assigned_to: req.query.assigned_to });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.get('/api/context/:repo', async (req, res) => {
+  try {
+    const result = await handlers.get_project_context({ repo: req.params.repo, area: req.query.area, status: req.query.status });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.post('/api/context', async (req, res) => {
+  try {
+    const result = await handlers.update_project_context(req.body);
+    res.status(201).json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ============ CHAT ENDPOINT - THE BRAIN ============
+const CHAT_MODEL = 'claude-sonnet-4-20250514';
+// Tools whose results must not end up in chat_messages: create_api_key
+// returns the plaintext key.
+const CHAT_EXCLUDED_TOOLS = new Set(['create_api_key']);
+
+function chatUsageRecorder(identity) {
+  return (resp) => recordLlmUsage(pool, {
+    response: resp,
+    feature: 'chat',
+    entity_type: identity?.kind === 'user' ? 'user' : null,
+    entity_id: identity?.kind === 'user' ? identity.email : null,
+  });
+}
+
+const chatStore = createChatStore({ pool, anthropic });
+
+// Resolve the thread a chat turn runs against. With a conversation_id (or
+// with neither an id nor a history) the thread lives in chat_conversations;
+// a bare conversation_history keeps the original stateless behaviour.
+//
+// A turn is either a new user `message` or a `confirm: { id, decision,
+// reason? }` answering a pending destructive-tool approval, in which case
+// the thread resumes from the assistant's tool_use (see tool-approvals.mjs).
+// `owner` is callerOwner(): conversations and approvals are scoped to it.
+async function openChatTurn(owner, { message, confirm, conversation_id, conversation_history }) {
+  let approval = null;
+  if (confirm) {
+    try {
+      approval = await toolApprovals.decide({ ...confirm, identity: owner, source: 'chat' });
+    } catch (err) {
+      if (err.conversationId) {
+        const messages = (await chatStore.getMessages(err.conversationId)).map(({ role, content }) => ({ role, content }));
+        await closePausedTurn(owner, err.conversationId, messages);
+      }
+      throw err;
+    }
+    conversation_id = approval.conversation_id || conversation_id;
+    if (!conversation_id && !conversation_history) {
+      throw new Error('conversation_history is required to resume a chat that is not stored server-side');
+    }
+  }
+
+  let conversation = null;
+  let system = SYSTEM_PROMPT;
+  let history = conversation_history;
+  if (!conversation_history || conversation_id) {
+    conversation = conversation_id
+      ? await chatStore.getConversation(owner, conversation_id)
+      : await chatStore.createConversation(owner);
+    const context = await chatStore.buildContext(conversation);
+    system += context.systemSuffix;
+    history = context.messages;
+  }
+  if (!approval) {
+    const closing = await closePausedTurn(owner, conversation?.id, history);
+    if (closing) history = [...history, closing];
+  }
+
+  const messages = approval ? [...history] : [...history, { role: 'user', content: message }];
+  return { owner, conversation, system, messages, firstNew: history.length, approval };
+}
+
+// Answer the tool_use a paused turn left open when the caller moves on
+// instead of confirming (tool-approvals.mjs closePausedTurn); stored threads
+// get the answer appended.
+async function closePausedTurn(owner, conversationId, messages) {
+  const closing = await toolApprovals.closePausedTurn({ identity: owner, conversation_id: conversationId, messages });
+  if (closing && conversationId) await chatStore.appendMessages(conversationId, [closing]);
+  return closing;
+}
+
+// Tool loop shared by /chat and /chat/stream. `emit` receives progress
+// events (text deltas only when streaming). Destructive tool calls are not
+// run: the loop stops and returns `pending` — a tool_approvals row — after
+// running the turn's other tool calls.
+async function runChatLoop(turn, { identity, streaming = false, signal, emit = () => {} }) {
+  const { messages, system } = turn;
+  const claudeTools = authz.visibleTools(identity, tools)
+    .filter(t => !CHAT_EXCLUDED_TOOLS.has(t.name))
+    .map(t => ({ name: t.name, description: t.description, input_schema: t.inputSchema }));
+  const recordChatUsage = chatUsageRecorder(identity);
+
+  const callModel = async () => {
+    rateLimits.take(identity, 'llm', 1, 'chat');
+    let resp;
+    if (streaming) {
+      const stream = anthropic.messages.stream(
+        { model: CHAT_MODEL, max_tokens: 4096, system, tools: claudeTools, messages },
+        { signal },
+      );
+      stream.on('text', (delta) => emit('text', { delta }));
+      resp = await stream.finalMessage();
+    } else {
+      resp = await anthropic.messages.create({ model: CHAT_MODEL, max_tokens: 4096, system, tools: claudeTools, messages });
+    }
+    await recordChatUsage(resp);
+    return resp;
+  };
+
+  const runTools = async (blocks) => {
+    const toolResults = [];
+    for (const block of blocks) {
+      if (signal?.aborted) break;
+      console.log(`Tool: ${block.name}`, block.input);
+      emit('tool_use', { id: block.id, name: block.name, input: block.input });
+      const started = Date.now();
+      try {
+        const result = await invokeTool(block.name, block.input, { identity, entrypoint: 'chat' });
+        toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: JSON.stringify(result) });
+        emit('tool_result', { id: block.id, name: block.name, ok: true, duration_ms: Date.now() - started });
+      } catch (err) {
+        console.error(`Tool error (${block.name}):`, err);
+        toolResults.push({ type: 'tool_result', tool_use_id: block.id, content: JSON.stringify({ error: err.message }), is_error: true });
+        emit('tool_result', { id: block.id, name: block.name, ok: false, duration_ms: Date.now() - started, error: err.message });
+      }
+    }
+    return toolResults;
+  };
+
+  if (turn.approval) {
+    const { id, status, calls, partial_results, decision_reason } = turn.approval;
+    let decided;
+    if (status === 'approved') {
+      decided = await runTools(calls);
+      await toolApprovals.recordOutcome(id, decided.map(r => ({ tool_use_id: r.tool_use_id, ok: !r.is_error })));
+    } else {
+      decided = calls.map(c => ({
+        type: 'tool_result',
+        tool_use_id: c.id,
+        content: JSON.stringify({ error: `The user rejected this action${decision_reason ? `: ${decision_reason}` : ''}. Do not retry it.` }),
+        is_error: true,
+      }));
+    }
+    messages.push({ role: 'user', content: [...partial_results, ...decided] });
+  }
+
+  let response = await callModel();
+  while (response.stop_reason === 'tool_use' && !signal?.aborted) {
+    messages.push({ role: 'assistant', content: response.content });
+    const uses = response.content.filter(b => b.type === 'tool_use');
+    // Only park calls the caller could actually make with valid arguments;
+    // forbidden or malformed ones fail in invokeTool like any other tool
+    // error, so the model sees why and can retry.
+    const gated = uses.filter(b => needsApproval(b.name, b.input) && authz.canUseTool(identity, b.name, b.input) && toolArgs.validate(b.name, b.input).length === 0);
+    const toolResults = await runTools(uses.filter(b => !gated.includes(b)));
+    if (signal?.aborted) break;
+
+    if (gated.length > 0) {
+      const pending = await toolApprovals.requestApproval({
+        source: 'chat',
+        identity: turn.owner,
+        conversation_id: turn.conversation?.id,
+        calls: gated.map(b => ({ id: b.id, name: b.name, input: b.input })),
+        partial_results: toolResults,
+      });
+      emit('confirmation_required', pendingConfirmationPayload(pending));
+      return { response, pending };
+    }
+
+    messages.push({ role: 'user', content: toolResults });
+    response = await callModel();
+  }
+  return { response };
+}
+
+// Persist this turn: user message (or approval results), tool round-trips
+// and the final reply. A turn paused for approval ends at the tool_use.
+async function saveChatTurn(turn, { response, pending }) {
+  if (!turn.conversation) return;
+  const tail = pending ? [] : [{ role: 'assistant', content: response.content }];
+  await chatStore.appendMessages(turn.conversation.id, [...turn.messages.slice(turn.firstNew), ...tail]);
+}
+
+function chatReply(turn, { response, pending }) {
+  const textContent = response.content.find(b => b.type === 'text');
+  const reply = { response: textContent?.text || (pending ? 'Waiting for your confirmation.' : 'No response') };
+  if (pending) reply.pending_confirmation = pendingConfirmationPayload(pending);
+  if (turn.owner.session) reply.session_id = turn.owner.session;
+  if (turn.conversation) reply.conversation_id = turn.conversation.id;
+  else reply.conversation_history = pending ? turn.messages : turn.messages.concat([{ role: 'assistant', content: response.content }]);
+  return reply;
+}
+
+app.post('/chat', async (req, res) => {
+  try {
+    const { message, confirm, conversation_id, conversation_history } = req.body;
+    if (!message && !confirm) return res.status(400).json({ error: 'Message required' });
+
+    const release = rateLimits.acquire(req.mcpIdentity, 'llm', 'chat');
+    try {
+      const turn = await openChatTurn(callerOwner(req, res), { message, confirm, conversation_id, conversation_history });
+      const result = await runChatLoop(turn, { identity: req.mcpIdentity });
+      await saveChatTurn(turn, result);
+      res.json(chatReply(turn, result));
+    } finally {
+      release();
+    }
+  } catch (error) {
+    console.error('Chat error:', error);
+    if (isRateLimited(error)) return sendRateLimited(res, error);
+    res.status(approvalErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Streaming variant of /chat. Same request body and tool loop, but the reply
+// is a text/event-stream:
+//   event: text                   { delta }                  — assistant text as it's generated
+//   event: tool_use               { id, name, input }        — about to run a tool
+//   event: tool_result            { id, name, ok, duration_ms, error? }
+//   event: confirmation_required  { id, actions, expires_at } — destructive call parked
+//   event: done                   { response, conversation_id | conversation_history, pending_confirmation?, stop_reason }
+//   event: error                  { error }
+// Closing the connection aborts the in-flight model stream and stops the
+// loop before the next tool call; a cancelled turn is not saved.
+app.post('/chat/stream', async (req, res) => {
+  const { message, confirm, conversation_id, conversation_history } = req.body || {};
+  if (!message && !confirm) return res.status(400).json({ error: 'Message required' });
+
+  let turn, release;
+  try {
+    release = rateLimits.acquire(req.mcpIdentity, 'llm', 'chat');
+    turn = await openChatTurn(callerOwner(req, res), { message, confirm, conversation_id, conversation_history });
+  } catch (err) {
+    release?.();
+    if (isRateLimited(err)) return sendRateLimited(res, err);
+    return res.status(approvalErrorStatus(err)).json({ error: err.message });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const abort = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) abort.abort(); });
+  const send = (event, data) => {
+    if (!abort.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await runChatLoop(turn, { identity: req.mcpIdentity, streaming: true, signal: abort.signal, emit: send });
+    if (abort.signal.aborted) return;
+    await saveChatTurn(turn, result);
+    send('done', { ...chatReply(turn, result), stop_reason: result.response.stop_reason });
+    res.end();
+  } catch (error) {
+    if (abort.signal.aborted) return;
+    console.error('Chat stream error:', error);
+    send('error', { error: error.message, ...(isRateLimited(error) && { retry_after: error.retryAfter }) });
+    res.end();
+  } finally {
+    release();
+  }
+});
+
+// ============ CHAT CONVERSATIONS REST API ============
+// Scoped to the caller (callerOwner) — see chat-store.mjs. Service-key and
+// anonymous callers send the X-Session-Id their /chat replies carried.
+
+app.get('/api/chat/conversations', async (req, res) => {
+  try {
+    const result = await chatStore.listConversations(callerOwner(req), { limit: parseInt(req.query.limit) || 50 });
+    res.json(result);
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.get('/api/chat/conversations/:id', async (req, res) => {
+  try {
+    const result = await chatStore.exportConversation(callerOwner(req), req.params.id, 'json');
+    res.json(result);
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.patch('/api/chat/conversations/:id', async (req, res) => {
+  try {
+    const result = await chatStore.renameConversation(callerOwner(req), req.params.id, req.body?.title);
+    res.json(result);
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.delete('/api/chat/conversations/:id', async (req, res) => {
+  try {
+    const result = await chatStore.deleteConversation(callerOwner(req), req.params.id);
+    res.json(result);
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
+});
+
+app.get('/api/chat/conversations/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'markdown' ? 'markdown' : 'json';
+    const result = await chatStore.exportConversation(callerOwner(req), req.params.id, format);
+    const filename = `conversation-${req.params.id}.${format === 'markdown' ? 'md' : 'json'}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'markdown') return res.type('text/markdown').send(result.markdown);
+    res.json(result);
+  } catch (err) { res.status(approvalErrorStatus(err)).json({ error: err.message }); }
+});
+
+// ============ FILE UPLOAD ENDPOINT ============
+app.post('/upload', async (req, res) => {
+  try {
+    const { slug, filename, content_base64, content_type, category, description } = req.body;
+    if (!slug || !filename || !content_base64 || !content_type) {
+      return res.status(400).json({ error: 'Missing required fields: slug, filename, content_base64, content_type' });
+    }
+    const result = await handlers.upload_document({ slug, filename, content_base64, content_type, category, description });
+    res.json(result);
+  } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============ MCP ENDPOINTS (Streamable HTTP) ============
-// Session tracking for MCP Streamable HTTP
-const mcpSessions = new Map(); // sessionId -> { created, lastUsed }
-function generateMcpSessionId() {
-  return 'mcp_' + crypto.randomUUID();
+// Sessions live in Postgres (mcp-sessions.mjs) so any instance can serve
+// any session; MCP_SESSION_STORE=memory keeps them in-process for local dev.
+const mcpSessions = createMcpSessions({
+  store: process.env.MCP_SESSION_STORE === 'memory' ? createMemorySessionStore() : createPgSessionStore(pool),
+});
+
+async function endMcpSession(sessionId, endedBy) {
+  mcpNotifier.dropSession(sessionId);
+  return await mcpSessions.revoke(sessionId, endedBy);
 }
 
-// GET /mcp — SSE stream endpoint (required by spec, used for server-initiated messages)
-app.get('/mcp', (req, res) => {
+// GET /mcp — SSE stream endpoint (required by spec, used for server-initiated
+// messages). With Mcp-Session-Id the stream carries that session's
+// notifications, replaying from Last-Event-ID on reconnect; without one it
+// only pings.
+app.get('/mcp', async (req, res) => {
   const sessionId = req.headers['mcp-session-id'];
-  if (sessionId && !mcpSessions.has(sessionId)) {
-    return res.status(404).json({ error: 'Invalid session' });
+  try {
+    if (sessionId && !(await mcpSessions.resume(sessionId, req.mcpIdentity))) {
+      return res.status(404).json({ error: 'Invalid session' });
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
   }
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
   if (sessionId) res.setHeader('Mcp-Session-Id', sessionId);
+  res.flushHeaders();
   res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'ping' })}\n\n`);
-  const keepAlive = setInterval(() => { res.write(': keepalive\n\n'); }, 30000);
-  req.on('close', () => { clearInterval(keepAlive); });
+  const detach = sessionId
+    ? mcpNotifier.attach(sessionId, req.mcpIdentity, res, req.headers['last-event-id'])
+    : () => {};
+  // The keepalive tick also re-checks the session (an open stream counts as
+  // use, so it slides the expiry too): one revoked through another instance
+  // stops getting events here within a tick. A failed check keeps the stream.
+  const keepAlive = setInterval(async () => {
+    if (sessionId && !(await mcpSessions.resume(sessionId, req.mcpIdentity).catch(() => true))) {
+      clearInterval(keepAlive);
+      mcpNotifier.dropSession(sessionId);
+      return;
+    }
+    res.write(': keepalive\n\n');
+  }, 30000);
+  req.on('close', () => { clearInterval(keepAlive); detach(); });
+});
+
+// resources/* — companies, documents and project context as attachable
+// context (mcp-resources.mjs), read through the audited tool path.
+const mcpResources = createMcpResources({
+  callTool: (identity, name, args) => invokeTool(name, args, { identity, entrypoint: 'mcp' }),
+  authz,
+});
+
+// prompts/* — curated workflow prompts rendered with live data
+// (mcp-prompts.mjs); editable through /api/prompts.
+const mcpPrompts = createMcpPrompts({
+  pool,
+  callTool: (identity, name, args) => invokeTool(name, args, { identity, entrypoint: 'mcp' }),
+  toolAccess,
 });
 
+// outputSchema per tool and the structuredContent / summary / isError shape
+// of tools/call results (tool-output.mjs).
+const toolOutputs = createToolOutputs({ tools, pagedTools: PAGED_TOOLS, companyCollections: COMPANY_COLLECTION_TOOLS });
+
+// Tool listing as MCP clients see it: the `access` tag becomes the spec's
+// readOnlyHint / destructiveHint annotations, and clients new enough for
+// structured output get the outputSchema.
+function mcpToolListing({ access, ...tool }, protocolVersion) {
+  return {
+    ...tool,
+    ...(hasStructuredOutput(protocolVersion) && { outputSchema: toolOutputs.outputSchema(tool.name) }),
+    annotations: { readOnlyHint: access === 'read', destructiveHint: access === 'destructive' },
+  };
+}
+
+// Refusals before a handler runs stay JSON-RPC errors (see the /mcp catch);
+// whatever the handler itself throws is an isError tool result.
+function isPreflightError(err) {
+  return isRateLimited(err) || isInvalidArguments(err) || isInvalidCursor(err) || err.message.startsWith('Forbidden');
+}
+
+// Destructive tools over MCP when MCP_CONFIRM_DESTRUCTIVE=true. The first
+// call only parks the request and returns a confirmation id; the client
+// calls the same tool again with `confirm: { id, decision }` — as
+// params.confirm, or as arguments._confirm for clients that can only set
+// arguments — and the *stored* arguments run if approved.
+const MCP_CONFIRM_DESTRUCTIVE = process.env.MCP_CONFIRM_DESTRUCTIVE === 'true';
+
+async function mcpConfirmedCall(identity, name, params, owner) {
+  const { _confirm, ...args } = params.arguments || {};
+  const confirm = params.confirm || _confirm;
+  if (!confirm) {
+    toolArgs.assert(name, args);
+    const pending = await toolApprovals.requestApproval({ source: 'mcp', identity: owner, calls: [{ name, input: args }] });
+    return {
+      confirmation_required: true,
+      ...pendingConfirmationPayload(pending),
+      message: `${name} is destructive and was not run. Ask the user to approve, then call ${name} again with _confirm: { id: "${pending.id}", decision: "approve" } (or "reject").`,
+    };
+  }
+  const approval = await toolApprovals.decide({ ...confirm, identity: owner, source: 'mcp', tool: name });
+  if (approval.status === 'rejected') return { rejected: true, id: approval.id, tool: name };
+  try {
+    const result = await invokeTool(name, approval.calls[0].input, { identity, entrypoint: 'mcp' });
+    await toolApprovals.recordOutcome(approval.id, [{ tool: name, ok: true }]);
+    return result;
+  } catch (err) {
+    await toolApprovals.recordOutcome(approval.id, [{ tool: name, ok: false, error: err.message }]);
+    throw err;
+  }
+}
+
 // POST /mcp — Main MCP JSON-RPC endpoint (Streamable HTTP)
 app.post('/mcp', async (req, res) => {
   const { jsonrpc, id, method, params } = req.body;
 
   // Helper to wrap results in JSON-RPC 2.0 envelope
   const rpcWrap = (result) => ({ jsonrpc: '2.0', id, result });
-  const rpcError = (code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+  const rpcError = (code, message, data) => ({ jsonrpc: '2.0', id, error: { code, message, ...(data && { data }) } });
 
   try {
     // Handle notifications (no id) — return 202 Accepted
@@ -4437,42 +5942,98 @@ app.post('/mcp', async (req, res) => {
       return res.status(202).end();
     }
 
+    // Every request after initialize must carry a live session of the same
+    // caller; per the spec an unknown one gets 404 and the client starts over.
+    const sid = req.headers['mcp-session-id'];
+    const session = sid && method !== 'initialize' ? await mcpSessions.resume(sid, req.mcpIdentity) : null;
+    if (sid && method !== 'initialize') {
+      if (!session) return res.status(404).json(rpcError(-32001, 'Session not found — initialize a new session'));
+      mcpNotifier.touch(sid);
+      res.setHeader('Mcp-Session-Id', sid);
+    }
+    res.setHeader('Content-Type', 'application/json');
+    // What initialize negotiated; sessionless clients state it per request.
+    const protocolVersion = session?.protocol_version || req.headers['mcp-protocol-version'] || DEFAULT_PROTOCOL_VERSION;
+
     switch (method) {
       case 'initialize': {
-        const sessionId = generateMcpSessionId();
-        mcpSessions.set(sessionId, { created: Date.now(), lastUsed: Date.now() });
-        // Cleanup old sessions (keep last 100)
-        if (mcpSessions.size > 100) {
-          const oldest = [...mcpSessions.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
-          for (let i = 0; i < oldest.length - 100; i++) mcpSessions.delete(oldest[i][0]);
-        }
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Mcp-Session-Id', sessionId);
+        const protocolVersion = negotiateProtocolVersion(params?.protocolVersion);
+        const session = await mcpSessions.create({
+          identity: req.mcpIdentity,
+          clientInfo: params?.clientInfo,
+          capabilities: params?.capabilities,
+          protocolVersion,
+        });
+        mcpNotifier.open(session.id, req.mcpIdentity);
+        res.setHeader('Mcp-Session-Id', session.id);
         res.json(rpcWrap({
-          protocolVersion: '2025-11-25',
+          protocolVersion,
           serverInfo: { name: 'agentboxdev', version: '1.0.0' },
-          capabilities: { tools: {} }
+          capabilities: {
+            tools: { listChanged: true },
+            resources: { subscribe: true, listChanged: true },
+            prompts: { listChanged: true },
+          }
         }));
         break;
       }
       case 'tools/list': {
-        // Update session last-used
-        const sid = req.headers['mcp-session-id'];
-        if (sid && mcpSessions.has(sid)) mcpSessions.get(sid).lastUsed = Date.now();
-        res.setHeader('Content-Type', 'application/json');
-        if (sid) res.setHeader('Mcp-Session-Id', sid);
-        res.json(rpcWrap({ tools }));
+        res.json(rpcWrap({ tools: authz.visibleTools(req.mcpIdentity, tools).map(t => mcpToolListing(t, protocolVersion)) }));
         break;
       }
       case 'tools/call': {
-        const sid = req.headers['mcp-session-id'];
-        if (sid && mcpSessions.has(sid)) mcpSessions.get(sid).lastUsed = Date.now();
         const { name, arguments: args } = params;
         if (!handlers[name]) { res.json(rpcError(-32602, `Tool not found: ${name}`)); return; }
-        const result = await handlers[name](args || {});
-        res.setHeader('Content-Type', 'application/json');
-        if (sid) res.setHeader('Mcp-Session-Id', sid);
-        res.json(rpcWrap({ content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] }));
+        authz.assertTool(req.mcpIdentity, name, args);
+        let result;
+        try {
+          result = MCP_CONFIRM_DESTRUCTIVE && needsApproval(name, args)
+            ? await mcpConfirmedCall(req.mcpIdentity, name, params, callerOwner(req))
+            : await invokeTool(name, args || {}, { identity: req.mcpIdentity, entrypoint: 'mcp' });
+        } catch (err) {
+          if (isPreflightError(err)) throw err;
+          console.error(`MCP tool error (${name}):`, err.message);
+          res.json(rpcWrap(toolOutputs.errorResult(name, err)));
+          break;
+        }
+        res.json(rpcWrap(toolOutputs.toolResult(name, result, protocolVersion)));
+        break;
+      }
+      case 'resources/list':
+      case 'resources/templates/list':
+      case 'resources/read': {
+        if (method === 'resources/templates/list') {
+          res.json(rpcWrap({ resourceTemplates: mcpResources.templates() }));
+        } else if (method === 'resources/list') {
+          res.json(rpcWrap(await mcpResources.list(req.mcpIdentity)));
+        } else {
+          if (!params?.uri) { res.json(rpcError(-32602, 'uri is required')); return; }
+          res.json(rpcWrap(await mcpResources.read(req.mcpIdentity, params.uri)));
+        }
+        break;
+      }
+      case 'resources/subscribe':
+      case 'resources/unsubscribe': {
+        if (!sid) { res.json(rpcError(-32600, 'Subscriptions need an initialized session (Mcp-Session-Id)')); return; }
+        if (!params?.uri) { res.json(rpcError(-32602, 'uri is required')); return; }
+        if (method === 'resources/subscribe') mcpNotifier.subscribe(sid, req.mcpIdentity, params.uri);
+        else mcpNotifier.unsubscribe(sid, params.uri);
+        res.json(rpcWrap({}));
+        break;
+      }
+      case 'prompts/list':
+      case 'prompts/get': {
+        if (method === 'prompts/list') {
+          res.json(rpcWrap({ prompts: await mcpPrompts.mcpListing() }));
+          break;
+        }
+        try {
+          res.json(rpcWrap(await mcpPrompts.render(req.mcpIdentity, params?.name, params?.arguments)));
+        } catch (err) {
+          // Unknown prompt or bad arguments are invalid params per the spec.
+          if (!/not found|Invalid/.test(err.message)) throw err;
+          res.json(rpcError(-32602, err.message));
+        }
         break;
       }
       default:
@@ -4480,29 +6041,64 @@ app.post('/mcp', async (req, res) => {
     }
   } catch (error) {
     console.error('MCP error:', error);
-    res.json(rpcError(-32603, error.message));
+    // Server-defined codes: -32003 forbidden (authz.mjs denial), -32029 rate
+    // limited (rate-limits.mjs; data.retry_after in seconds), -32002 unknown
+    // resource (per the MCP spec). Arguments that fail the tool's inputSchema
+    // are -32602 invalid params, with data.fields listing each problem; so is
+    // a cursor listPage can't use (pagination.mjs).
+    if (isRateLimited(error)) {
+      res.setHeader('Retry-After', String(error.retryAfter || 1));
+      return res.json(rpcError(-32029, error.message, { retry_after: error.retryAfter || 1 }));
+    }
+    if (isInvalidArguments(error)) return res.json(rpcError(-32602, error.message, { tool: params?.name, fields: error.fields }));
+    if (isInvalidCursor(error)) return res.json(rpcError(-32602, error.message, { tool: params?.name, fields: [{ field: 'cursor', message: error.message }] }));
+    if (error.message.startsWith('Resource not found')) return res.json(rpcError(-32002, error.message, { uri: params?.uri }));
+    res.json(rpcError(error.message.startsWith('Forbidden') ? -32003 : -32603, error.message));
   }
 });
 
 // DELETE /mcp — Session termination (optional, per spec)
-app.delete('/mcp', (req, res) => {
+app.delete('/mcp', async (req, res) => {
   const sessionId = req.headers['mcp-session-id'];
-  if (sessionId) mcpSessions.delete(sessionId);
-  res.status(204).end();
+  try {
+    if (sessionId && await mcpSessions.resume(sessionId, req.mcpIdentity)) await endMcpSession(sessionId, 'client');
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ============ MCP SESSIONS REST API ============
+
+app.get('/api/mcp-sessions', async (req, res) => {
+  try {
+    const result = await mcpSessions.list({ include_inactive: req.query.include_inactive === 'true' });
+    res.json(result);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+app.delete('/api/mcp-sessions/:id', async (req, res) => {
+  try {
+    const result = await endMcpSession(req.params.id, actorLabel(req.mcpIdentity));
+    res.json(result);
+  } catch (err) { res.status(err.message.includes('not found') ? 404 : 500).json({ error: err.message }); }
 });
 
 // ============ DASHBOARD REST ENDPOINTS (unchanged) ============
-app.get('/tools', (req, res) => { res.json({ tools }); });
+app.get('/tools', (req, res) => { res.json({ tools: authz.visibleTools(req.mcpIdentity, tools) }); });
 
 app.post('/tools/:name', async (req, res) => {
   const { name } = req.params;
   if (!handlers[name]) return res.status(404).json({ error: `Tool not found: ${name}` });
   try {
-    const result = await handlers[name](req.body);
+    const result = await invokeTool(name, req.body, { identity: req.mcpIdentity, entrypoint: 'rest' });
     res.json({ result });
   } catch (error) {
     console.error(`Error executing ${name}:`, error);
-    res.status(500).json({ error: error.message });
+    if (isRateLimited(error)) return sendRateLimited(res, error);
+    if (isInvalidArguments(error)) return res.status(400).json({ error: error.message, fields: error.fields });
+    if (isInvalidCursor(error)) return res.status(400).json({ error: error.message });
+    res.status(error.message.startsWith('Forbidden') ? 403 : 500).json({ error: error.message });
   }
 });
 
@@ -4524,10 +6120,24 @@ app.get('/', (req, res) => {
       '/tools': 'List available tools',
       '/tools/:name': 'Execute a tool (POST)',
       '/mcp': 'MCP protocol endpoint',
-      '/chat': 'Natural language chat endpoint (POST)',
+      '/chat': 'Natural language chat endpoint; { message } or { confirm: { id, decision } } (POST)',
+      '/chat/stream': 'Streaming chat — SSE text deltas, tool_use / tool_result progress, done (POST)',
+      '/api/chat/conversations': 'List your stored chat conversations (GET)',
+      '/api/chat/conversations/:id': 'Conversation + messages (GET), rename {title} (PATCH), delete (DELETE)',
+      '/api/chat/conversations/:id/export': 'Download a conversation, ?format=json|markdown (GET)',
       '/upload': 'File upload endpoint (POST)',
+      '/api/companies': 'Companies, paginated: ?limit&cursor&sort&fields (GET)',
+      '/api/companies/:slug': 'Company with the first page of each sub-collection (GET)',
+      '/api/companies/:slug/:collection': 'contacts | milestones | documents | requirements | activity, paginated (GET)',
+      '/api/documents': 'All documents, ?slug&category plus paging (GET)',
+      '/api/deployments': 'Deployments, ?status plus paging (GET)',
+      '/api/dev-tasks': 'Dev tasks, ?status&assigned_to&priority plus paging (GET)',
+      '/api/tenants': 'Tenant registry, ?include_archived=true (GET), register a tenant (POST)',
+      '/api/tenants/:tenant': 'Tenant with resolved config (GET), edit (PATCH), archive (DELETE)',
+      '/api/tenants/:tenant/onboarding': 'Onboarding checklist (GET), start or resume onboarding (POST)',
+      '/api/tenants/:tenant/offboarding': 'Offboarding status (GET), start, resume, dry-run or purge an offboarding (POST)',
       '/api/instances': 'List CRM instances (GET)',
-      '/api/instances/health': 'Health check all CRM instances (GET)',
+      '/api/instances/health': 'Health check all CRM instances, with circuit breaker state (GET)',
       '/api/instances/:company/users': 'List/Create CRM users (GET/POST)',
       '/api/instances/:company/users/:uid/role': 'Update user role (PATCH)',
       '/api/instances/:company/users/:uid': 'Delete user (DELETE)',
@@ -4537,19 +6147,35 @@ app.get('/', (req, res) => {
       '/api/feedback/:company/:id': 'Get/Update feedback item (GET/PATCH)',
       '/api/dashboard-users': 'List/Create dashboard users (GET/POST)',
       '/api/dashboard-users/by-email/:email': 'Get user by email (GET)',
-      '/api/dashboard-users/:uid/role': 'Update user role (PATCH)',
+      '/api/dashboard-users/:uid/role': 'Update user role + optional tenants claim (PATCH)',
       '/api/dashboard-users/:uid': 'Delete user (DELETE)',
       '/api/github/repos': 'List org repos (GET)',
       '/api/github/commits': 'List commits, ?repo=X&author=Y&since=Z (GET)',
       '/api/github/prs': 'List PRs, ?repo=X&state=open|closed|all (GET)',
       '/api/github/activity': 'Org activity summary, ?days=7 (GET)',
       '/api/company-snapshot/:slug': 'Company snapshot BFF - aggregated data (GET)',
-      '/api/portfolio-summary': 'Portfolio summary with CRM/RAG stats per company (GET)'
+      '/api/portfolio-summary': 'Portfolio summary with CRM/RAG stats per company (GET)',
+      '/api/agent-runs': 'List self-repair agent runs, ?state=X&tenant=Y (GET)',
+      '/api/agent-runs/:id': 'Agent run with events + PRs (GET)',
+      '/api/agent-runs/callback/{transition,events,prs}': 'GitHub Actions callbacks, x-agent-callback-secret (POST)',
+      '/api/llm-spend': 'Anthropic token + cost ledger by day/tenant/feature/model, ?from=&to=&tenant=&feature= (GET)',
+      '/api/tool-approvals': 'Destructive tool approval audit, ?status=pending|approved|rejected|expired&source=chat|mcp (GET)',
+      '/api/audit': 'Tool invocation audit log, ?user=&tool=&tenant=&entrypoint=mcp|rest|chat&status=&from=&to= (GET)',
+      '/api/api-keys': 'Scoped API keys: list ?include_revoked=true (GET), mint — key shown once (POST)',
+      '/api/api-keys/:id': 'Revoke an API key (DELETE)',
+      '/api/rate-limits': 'Per-caller rate limit buckets and in-flight calls by tool class (GET)',
+      '/api/prompts': 'MCP prompt registry, ?include_archived=true (GET), create (POST)',
+      '/api/prompts/:name': 'Get (GET), edit (PATCH), archive (DELETE) a prompt',
+      '/api/prompts/:name/render': 'Preview a prompt rendered with live data, body { arguments } (POST)',
+      '/api/mcp-sessions': 'Active MCP sessions with client info and protocol version, ?include_inactive=true (GET)',
+      '/api/mcp-sessions/:id': 'Revoke an MCP session (DELETE)'
     }
   });
 });
 
 // ============ COMPANY SNAPSHOT BFF ============
+const SNAPSHOT_CRM_PATHS = ['/metrics/data-summary', '/metrics?timeRange=7d', '/satisfaction/stats?days=30', '/insights/summary', '/rag/stats'];
+
 app.get('/api/company-snapshot/:slug', async (req, res) => {
   const { slug } = req.params;
   try {
@@ -4576,38 +6202,30 @@ app.get('/api/company-snapshot/:slug', async (req, res) => {
       }
     } catch (e) { /* deployment may not exist */ }
 
-    // Fetch CRM data in parallel (data-summary, metrics, satisfaction, insights, RAG stats)
+    // CRM data (data-summary, metrics, satisfaction, insights, RAG stats) and
+    // health from crmCache; crm.fetched_at is the oldest of the five.
     let crmData = null;
-    const config = getCRMConfig(slug);
-    if (config.url && config.apiKey) {
-      const results = await Promise.allSettled([
-        callCRM(slug, 'GET', '/metrics/data-summary'),
-        callCRM(slug, 'GET', '/metrics?timeRange=7d'),
-        callCRM(slug, 'GET', '/satisfaction/stats?days=30'),
-        callCRM(slug, 'GET', '/insights/summary'),
-        callCRM(slug, 'GET', '/rag/stats'),
-      ]);
-
+    const config = await getCRMConfig(slug);
+    const [results, cachedHealth] = await Promise.all([
+      config.url && config.apiKey
+        ? Promise.all(SNAPSHOT_CRM_PATHS.map((path) => crmCache.get(slug, path)))
+        : null,
+      config.url ? cachedCrmHealth(slug, 5000) : null,
+    ]);
+    if (results) {
       crmData = {
-        dataSummary: results[0].status === 'fulfilled' ? results[0].value?.data : null,
-        metrics: results[1].status === 'fulfilled' ? results[1].value?.data : null,
-        satisfaction: results[2].status === 'fulfilled' ? results[2].value?.data : null,
-        insights: results[3].status === 'fulfilled' ? results[3].value?.data : null,
-        ragStats: results[4].status === 'fulfilled' ? results[4].value?.data : null,
+        dataSummary: results[0].data?.data ?? null,
+        metrics: results[1].data?.data ?? null,
+        satisfaction: results[2].data?.data ?? null,
+        insights: results[3].data?.data ?? null,
+        ragStats: results[4].data?.data ?? null,
+        ...combineFreshness(results),
       };
     }
 
-    // Health check CRM
-    let health = { status: 'not_configured' };
-    if (config.url) {
-      try {
-        const startTime = Date.now();
-        const healthResp = await fetch(`${config.url}/api/health`, { signal: AbortSignal.timeout(5000) });
-        health = { status: healthResp.ok ? 'healthy' : 'unhealthy', latency_ms: Date.now() - startTime };
-      } catch (e) {
-        health = { status: 'down', error: e.message };
-      }
-    }
+    const health = cachedHealth
+      ? { ...(cachedHealth.data || { status: 'unknown' }), fetched_at: cachedHealth.fetched_at, stale: cachedHealth.stale }
+      : { status: 'not_configured' };
 
     res.json({
       success: true,
@@ -4622,6 +6240,7 @@ app.get('/api/company-snapshot/:slug', async (req, res) => {
         crm: crmData,
         health,
       },
+      ...combineFreshness([...(results || []), ...(cachedHealth ? [cachedHealth] : [])]),
     });
   } catch (err) {
     console.error(`Error fetching snapshot for ${slug}:`, err);
@@ -4632,7 +6251,8 @@ app.get('/api/company-snapshot/:slug', async (req, res) => {
 // ============ PORTFOLIO SUMMARY BFF ============
 app.get('/api/portfolio-summary', async (req, res) => {
   try {
-    const companies = await query('SELECT * FROM companies ORDER BY name');
+    const companies = (await query('SELECT * FROM companies ORDER BY name')).filter(c => inTenantsOf(req.mcpIdentity)(c.slug));
+    const freshness = [];
 
     const summaries = await Promise.all(companies.map(async (company) => {
       const [milestones, devTaskCount] = await Promise.all([
@@ -4644,37 +6264,26 @@ app.get('/api/portfolio-summary', async (req, res) => {
       const doneMilestones = milestones.filter(m => m.status === 'done').length;
       const progress = totalMilestones > 0 ? Math.round((doneMilestones / totalMilestones) * 100) : 0;
 
-      // Try to get quick CRM stats
+      // Quick CRM stats, health and RAG chunk count from crmCache.
       let crmQuick = null;
-      const config = getCRMConfig(company.slug);
-      if (config.url && config.apiKey) {
-        try {
-          const [summaryResult, healthResp] = await Promise.allSettled([
-            callCRM(company.slug, 'GET', '/metrics/data-summary'),
-            fetch(`${config.url}/api/health`, { signal: AbortSignal.timeout(3000) }),
-          ]);
-
-          const dataSummary = summaryResult.status === 'fulfilled' ? summaryResult.value?.data : null;
-          const healthOk = healthResp.status === 'fulfilled' ? healthResp.value?.ok : false;
-          const latency = healthResp.status === 'fulfilled' ? Date.now() : null;
-
-          crmQuick = {
-            healthy: healthOk,
-            openTickets: dataSummary?.tickets?.open ?? null,
-            users: dataSummary?.users ?? null,
-          };
-        } catch (e) {
-          crmQuick = { healthy: false, error: e.message };
-        }
-      }
-
-      // Try to get RAG stats via CRM proxy
       let ragChunks = null;
+      const config = await getCRMConfig(company.slug);
       if (config.url && config.apiKey) {
-        try {
-          const ragResult = await callCRM(company.slug, 'GET', '/rag/stats');
-          ragChunks = ragResult?.data?.total_chunks ?? null;
-        } catch (e) { /* ignore */ }
+        const cached = await Promise.all([
+          crmCache.get(company.slug, '/metrics/data-summary'),
+          cachedCrmHealth(company.slug, 3000),
+          crmCache.get(company.slug, '/rag/stats'),
+        ]);
+        const [summary, health, rag] = cached;
+        freshness.push(...cached);
+        const dataSummary = summary.data?.data ?? null;
+        crmQuick = {
+          healthy: ['healthy', 'degraded'].includes(health.data?.status),
+          openTickets: dataSummary?.tickets?.open ?? null,
+          users: dataSummary?.users ?? null,
+          ...combineFreshness(cached),
+        };
+        ragChunks = rag.data?.data?.total_chunks ?? null;
       }
 
       return {
@@ -4687,7 +6296,7 @@ app.get('/api/portfolio-summary', async (req, res) => {
       };
     }));
 
-    res.json({ success: true, data: summaries });
+    res.json({ success: true, data: summaries, ...combineFreshness(freshness) });
   } catch (err) {
     console.error('Error fetching portfolio summary:', err);
     res.status(500).json({ error: err.message });
@@ -4713,9 +6322,143 @@ if (isMainModule) {
     const POLL_INTERVAL_MS = parseInt(process.env.TRIAGE_POLL_MS || '60000', 10);
     console.log(`[triage-poller] starting; tick every ${POLL_INTERVAL_MS}ms`);
     setInterval(() => {
-      safetyPollTriage(pool).catch((err) =>
+      safetyPollTriage(pool, { onFinished: (id, result) => notifyTriageFinished('feedback', id, result) }).catch((err) =>
         console.error('[triage-poller] error:', err),
       );
     }, POLL_INTERVAL_MS);
   }
+
+  // Layer 2 error ingestion. Pulls ERROR+ entries for every tenant's
+  // crm-backend service into error_events. ERROR_INGEST_FIXTURE points the
+  // worker at a JSON file of LogEntry objects instead of Cloud Logging
+  // (local dev / no GCP creds).
+  if (process.env.ENABLE_ERROR_INGEST === 'true') {
+    const INGEST_INTERVAL_MS = parseInt(process.env.ERROR_INGEST_POLL_MS || '60000', 10);
+    const LOOKBACK_HOURS = parseFloat(process.env.ERROR_INGEST_LOOKBACK_HOURS || '1');
+    const gcpAuthForIngest = getGcpAuth();
+    const logSource = process.env.ERROR_INGEST_FIXTURE
+      ? createFixtureLogSource(process.env.ERROR_INGEST_FIXTURE)
+      : gcpAuthForIngest && createCloudLoggingSource({ auth: gcpAuthForIngest, projectId: GCP_PROJECT_ID });
+    if (!logSource) {
+      console.warn('[error-ingest] disabled: GCP_SERVICE_ACCOUNT_JSON not set and no ERROR_INGEST_FIXTURE');
+    } else {
+      const errorIngest = createErrorIngestWorker({
+        pool,
+        logSource,
+        services: async () => (await tenantRegistry.all()).map(t => t.service),
+        extractMessage: extractLogMessage,
+        projectId: GCP_PROJECT_ID,
+        lookbackMs: LOOKBACK_HOURS * 60 * 60 * 1000,
+        // New fingerprints go straight to triage; the poller below is the
+        // backstop for anything this misses.
+        onNewEvent: process.env.ENABLE_ERROR_TRIAGE === 'true'
+          ? (eventId) => setImmediate(() => {
+              triageErrorEvent(eventId, pool, { tenants: tenantRegistry })
+                .then((result) => notifyTriageFinished('error', eventId, result))
+                .catch((err) => console.error(`[error-triage] ${eventId} failed:`, err.message));
+            })
+          : undefined,
+      });
+      console.log(`[error-ingest] starting (${logSource.name}); tick every ${INGEST_INTERVAL_MS}ms`);
+      setInterval(() => {
+        errorIngest.ingestAll().catch((err) =>
+          console.error('[error-ingest] error:', err),
+        );
+      }, INGEST_INTERVAL_MS);
+    }
+  }
+
+  // Build-run executor. Claims one pending build_runs row at a time,
+  // decomposes the spec and runs the tasks through a bounded agent pool.
+  // Needs git + the Claude Code CLI in the image.
+  if (process.env.ENABLE_BUILD_RUNNER === 'true') {
+    const BUILD_POLL_MS = parseInt(process.env.BUILD_RUNNER_POLL_MS || '30000', 10);
+    const buildRunner = createBuildRunner({
+      pool,
+      anthropic,
+      callGitHub,
+      getGitHubToken,
+      githubOrg: GITHUB_ORG,
+      workRoot: process.env.BUILD_WORK_DIR || path.join(os.tmpdir(), 'agentbox-builds'),
+      concurrency: parseInt(process.env.BUILD_CONCURRENCY || '3', 10),
+    });
+    buildRunner.recoverOrphanedRuns().catch((err) =>
+      console.error('[build-runner] recovery error:', err),
+    );
+    console.log(`[build-runner] starting; tick every ${BUILD_POLL_MS}ms`);
+    // Every instance recovers runs whose executor died (stale heartbeat).
+    setInterval(() => {
+      buildRunner.recoverOrphanedRuns()
+        .catch((err) => console.error('[build-runner] recovery error:', err))
+        .then(() => buildRunner.runNext())
+        .catch((err) => console.error('[build-runner] error:', err));
+    }, BUILD_POLL_MS);
+  }
+
+  // Autofix runner. Picks up pending autofix_runs one at a time: agent fix
+  // → repo tests → PR only on green. AUTOFIX_TEST_CMD / AUTOFIX_BASE_BRANCH
+  // are defaults; a run's metadata.test_command / base_branch override them,
+  // but the test command must be AUTOFIX_TEST_CMD or one of the
+  // AUTOFIX_TEST_COMMANDS (a JSON array of command strings).
+  if (process.env.ENABLE_AUTOFIX_RUNNER === 'true') {
+    const AUTOFIX_POLL_MS = parseInt(process.env.AUTOFIX_POLL_MS || '30000', 10);
+    const autofixRunner = createAutofixRunner({
+      pool,
+      callGitHub,
+      getGitHubToken,
+      githubOrg: GITHUB_ORG,
+      workRoot: process.env.AUTOFIX_WORK_DIR || path.join(os.tmpdir(), 'agentbox-autofix'),
+      ...(process.env.AUTOFIX_BASE_BRANCH && { baseBranch: process.env.AUTOFIX_BASE_BRANCH }),
+      ...(process.env.AUTOFIX_TEST_CMD && { testCommand: process.env.AUTOFIX_TEST_CMD }),
+      ...(process.env.AUTOFIX_TEST_COMMANDS && { testCommands: JSON.parse(process.env.AUTOFIX_TEST_COMMANDS) }),
+      ...(process.env.AUTOFIX_TEST_TIMEOUT_MS && { testTimeoutMs: parseInt(process.env.AUTOFIX_TEST_TIMEOUT_MS, 10) }),
+    });
+    autofixRunner.recoverOrphanedRuns().catch((err) =>
+      console.error('[autofix-runner] recovery error:', err),
+    );
+    console.log(`[autofix-runner] starting; tick every ${AUTOFIX_POLL_MS}ms`);
+    // Every instance recovers runs whose runner died (stale heartbeat).
+    setInterval(() => {
+      autofixRunner.recoverOrphanedRuns()
+        .catch((err) => console.error('[autofix-runner] recovery error:', err))
+        .then(() => autofixRunner.runNext())
+        .catch((err) => console.error('[autofix-runner] error:', err));
+    }, AUTOFIX_POLL_MS);
+  }
+
+  // Error triage safety poller. Resets error_events stuck in
+  // triage_status='running' and triages pending rows the ingest
+  // worker's setImmediate missed.
+  if (process.env.ENABLE_ERROR_TRIAGE === 'true') {
+    const ERROR_TRIAGE_INTERVAL_MS = parseInt(process.env.ERROR_TRIAGE_POLL_MS || '60000', 10);
+    console.log(`[error-triage-poller] starting; tick every ${ERROR_TRIAGE_INTERVAL_MS}ms`);
+    setInterval(() => {
+      safetyPollErrorTriage(pool, {
+        tenants: tenantRegistry,
+        onFinished: (id, result) => notifyTriageFinished('error', id, result),
+      }).catch((err) =>
+        console.error('[error-triage-poller] error:', err),
+      );
+    }, ERROR_TRIAGE_INTERVAL_MS);
+  }
+
+  // CRM cache refresher. Keeps the BFF reads dashboards asked for recently
+  // from going stale; CRM_CACHE_REFRESH_MS=0 turns it off.
+  const CRM_CACHE_REFRESH_MS = parseInt(process.env.CRM_CACHE_REFRESH_MS || '30000', 10);
+  if (CRM_CACHE_REFRESH_MS > 0) {
+    setInterval(() => crmCache.refreshHot(), CRM_CACHE_REFRESH_MS);
+  }
+
+  // Tenant purge sweep. Deletes the data of offboarded tenants whose
+  // retention window has passed; off by default so purges stay explicit
+  // unless someone opts in.
+  if (process.env.ENABLE_TENANT_PURGE === 'true') {
+    const TENANT_PURGE_INTERVAL_MS = parseInt(process.env.TENANT_PURGE_POLL_MS || '3600000', 10);
+    console.log(`[tenant-purge] starting; tick every ${TENANT_PURGE_INTERVAL_MS}ms`);
+    setInterval(() => {
+      tenantOffboarding.purgeDue().catch((err) =>
+        console.error('[tenant-purge] error:', err),
+      );
+    }, TENANT_PURGE_INTERVAL_MS);
+  }
 }
@@ -0,0 +1,544 @@
+// tenant-offboarding.mjs
+//
+// Retiring a tenant as one resumable checklist, behind the offboard_tenant
+// tool and POST /api/tenants/:tenant/offboarding.
+//
+// Steps, in order:
+//   export_archive   one JSON file in TENANT_ARCHIVE_BUCKET with every row
+//                    kept about the tenant (TENANT_DATA), its CRM users and
+//                    its documents' blobs (base64)
+//   crm_users        revoke (reset to a password nobody holds), delete, or
+//                    keep every user on the tenant's CRM
+//   documents        make the company's document blobs private again
+//   retire_configs   tenant_configs.status = 'retired'
+//   stop_deployment  deployments.status = 'stopped'
+//   archive_tenant   archive the registry row — that drops the tenant from
+//                    CRM calls, health checks, metrics, error ingest and the
+//                    feedback summaries, so it runs last
+//
+// Steps are idempotent and recorded in tenant_offboarding_steps like
+// onboarding's: a run stops at the first failure and the next one resumes
+// there. A skipped step (no CRM, no company) counts as finished.
+//
+// Nothing is deleted until the retention window has passed: with
+// retention_days set, purge_after is that long after the offboarding
+// finished, and purge() — called explicitly or by the ENABLE_TENANT_PURGE
+// sweep — deletes the blobs and the rows. The tenants row, audit_log and
+// llm_usage are kept as the record of what happened and what it cost.
+//
+// plan() is the dry run: what each step and the purge would touch, without
+// writing anything.
+
+import { once } from 'events';
+import { randomBytes } from 'crypto';
+
+export const OFFBOARDING_STEPS = [
+  'export_archive',
+  'crm_users',
+  'documents',
+  'retire_configs',
+  'stop_deployment',
+  'archive_tenant',
+];
+
+export const CRM_USER_ACTIONS = ['revoke', 'delete', 'keep'];
+
+// Everything stored about a tenant. `by` picks $1: the company id, the
+// tenant slug or its Cloud Run service names. Parents come before their
+// children — the export's order; the purge deletes in reverse. `keep` rows
+// are exported but never purged.
+const TENANT_DATA = [
+  { table: 'tenants', by: 'tenant', where: 'slug = $1', keep: true },
+  { table: 'companies', by: 'company', where: 'id = $1' },
+  { table: 'contacts', by: 'company', where: 'company_id = $1' },
+  { table: 'milestones', by: 'company', where: 'company_id = $1' },
+  { table: 'documents', by: 'company', where: 'company_id = $1' },
+  { table: 'activity', by: 'company', where: 'company_id = $1' },
+  { table: 'requirements', by: 'company', where: 'company_id = $1' },
+  { table: 'dev_tasks', by: 'company', where: 'company_id = $1' },
+  { table: 'deployments', by: 'tenant', where: 'slug = $1' },
+  { table: 'deployment_components', by: 'tenant', where: 'deployment_id IN (SELECT id FROM deployments WHERE slug = $1)' },
+  { table: 'tenant_configs', by: 'tenant', where: 'tenant = $1' },
+  { table: 'tenant_onboardings', by: 'tenant', where: 'tenant = $1' },
+  { table: 'tenant_onboarding_steps', by: 'tenant', where: 'tenant = $1' },
+  { table: 'mcp_feedback_tasks', by: 'tenant', where: 'tenant = $1' },
+  { table: 'mcp_feedback_comments', by: 'tenant', where: 'tenant = $1' },
+  { table: 'mcp_feedback_attachments', by: 'tenant', where: 'tenant = $1' },
+  { table: 'mcp_feedback_task_issues', by: 'tenant', where: 'feedback_task_id IN (SELECT id FROM mcp_feedback_tasks WHERE tenant = $1)' },
+  { table: 'agent_runs', by: 'tenant', where: 'tenant = $1' },
+  { table: 'error_events', by: 'services', where: 'service = ANY($1)' },
+  { table: 'error_triage', by: 'services', where: 'error_event_id IN (SELECT id FROM error_events WHERE service = ANY($1))' },
+  { table: 'audit_log', by: 'tenant', where: 'tenant = $1', keep: true },
+  { table: 'llm_usage', by: 'tenant', where: 'tenant = $1', keep: true },
+];
+
+const ARCHIVE_FORMAT = 'agentbox-tenant-archive/1';
+const ARCHIVE_PREFIX = 'tenant-archives';
+const STALE_RUN = '15 minutes';
+const PARAM_KEYS = ['crm_users', 'retention_days', 'reason'];
+const CRM_PAGE_SIZE = 100;
+const MAX_CRM_PAGES = 100;
+
+function validateParams(params) {
+  if (params.crm_users !== undefined && !CRM_USER_ACTIONS.includes(params.crm_users)) {
+    throw new Error(`Invalid crm_users: ${params.crm_users}. Valid: ${CRM_USER_ACTIONS.join(', ')}`);
+  }
+  if (params.retention_days !== undefined && !(Number.isInteger(params.retention_days) && params.retention_days >= 0)) {
+    throw new Error(`Invalid retention_days: ${params.retention_days}. Use a whole number of days, 0 or more`);
+  }
+}
+
+/** Text writes to a stream, waiting out backpressure; end() resolves once it's stored. */
+function streamWriter(stream) {
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  finished.catch(() => {}); // surfaced by write() or end()
+  return {
+    async write(text) {
+      if (!stream.write(text)) await Promise.race([once(stream, 'drain'), finished]);
+    },
+    async end() {
+      stream.end();
+      await finished;
+    },
+    abort(err) {
+      stream.destroy(err);
+    },
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {import('pg').Pool} opts.pool
+ * @param {ReturnType<import('./tenants.mjs').createTenantRegistry>} opts.tenantRegistry
+ * @param {(name: string, args: object) => Promise<any>} opts.runHandler - server.js tool handlers
+ *   (list_crm_users, delete_crm_user, reset_crm_user_password)
+ * @param {import('@google-cloud/storage').Storage} opts.storage
+ * @param {string} opts.documentsBucket - where upload_document put the blobs
+ * @param {string} opts.archiveBucket - where archives are written (not public)
+ */
+export function createTenantOffboarding({ pool, tenantRegistry, runHandler, storage, documentsBucket, archiveBucket, logger = console }) {
+
+  /** The tenant's company, Cloud Run services and CRM, archived or not. */
+  async function scopeOf(tenant) {
+    const described = await tenantRegistry.describe(tenant);
+    const companyId = described.company_id
+      || (await pool.query('SELECT id FROM companies WHERE slug = $1', [tenant])).rows[0]?.id
+      || null;
+    const services = [described.resolved.cloud_run_service, ...described.services.map((s) => s.cloud_run_service)];
+    return {
+      tenant,
+      companyId,
+      services: [...new Set(services.filter(Boolean))],
+      crmUrl: described.resolved.crm_url,
+      archived: !!described.archived_at,
+    };
+  }
+
+  /** TENANT_DATA entries that apply to this scope, with their $1. */
+  function dataFor(scope) {
+    const param = { company: scope.companyId, tenant: scope.tenant, services: scope.services };
+    return TENANT_DATA
+      .filter((d) => (d.by === 'services' ? scope.services.length : param[d.by]))
+      .map((d) => ({ ...d, param: param[d.by] }));
+  }
+
+  async function companyDocuments(scope) {
+    if (!scope.companyId) return [];
+    const { rows } = await pool.query(
+      'SELECT id, name, file_type, bucket_path FROM documents WHERE company_id = $1 AND bucket_path IS NOT NULL ORDER BY uploaded_at',
+      [scope.companyId],
+    );
+    return rows;
+  }
+
+  async function crmUsers(tenant) {
+    const users = [];
+    for (let page = 1; page <= MAX_CRM_PAGES; page++) {
+      const { users: batch = [] } = await runHandler('list_crm_users', { company: tenant, page, limit: CRM_PAGE_SIZE });
+      users.push(...batch);
+      if (batch.length < CRM_PAGE_SIZE) break;
+    }
+    return users;
+  }
+
+  // ---- Steps ----
+  // Each gets (ctx) = { tenant, params, scope, updatedBy } and returns its
+  // result, or { skipped: reason }.
+
+  const steps = {
+    async export_archive({ tenant, scope, updatedBy }) {
+      const path = `${ARCHIVE_PREFIX}/${tenant}/${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      const out = streamWriter(storage.bucket(archiveBucket).file(path).createWriteStream({
+        gzip: true,
+        contentType: 'application/json',
+        metadata: { metadata: { tenant, format: ARCHIVE_FORMAT } },
+      }));
+
+      let crm = null;
+      if (scope.crmUrl) {
+        try {
+          crm = await crmUsers(tenant);
+        } catch (err) {
+          crm = { error: err.message };
+        }
+      }
+
+      const tables = {};
+      const missing = [];
+      try {
+        await out.write(`{"format":${JSON.stringify(ARCHIVE_FORMAT)},"tenant":${JSON.stringify(tenant)},`
+          + `"exported_at":${JSON.stringify(new Date().toISOString())},"exported_by":${JSON.stringify(updatedBy || null)},`
+          + `"crm_users":${JSON.stringify(crm)},"tables":{`);
+        let first = true;
+        for (const { table, where, param } of dataFor(scope)) {
+          const { rows } = await pool.query(`SELECT * FROM ${table} WHERE ${where}`, [param]);
+          await out.write(`${first ? '' : ','}${JSON.stringify(table)}:${JSON.stringify(rows)}`);
+          tables[table] = rows.length;
+          first = false;
+        }
+        await out.write('},"documents":[');
+        // One blob in memory at a time.
+        const documents = await companyDocuments(scope);
+        for (const [i, doc] of documents.entries()) {
+          let entry;
+          try {
+            const [content] = await storage.bucket(documentsBucket).file(doc.bucket_path).download();
+            entry = { ...doc, size: content.length, content_base64: content.toString('base64') };
+          } catch (err) {
+            if (err.code !== 404) throw err;
+            missing.push(doc.bucket_path);
+            entry = { ...doc, error: 'blob not found' };
+          }
+          await out.write(`${i ? ',' : ''}${JSON.stringify(entry)}`);
+        }
+        await out.write(']}');
+        await out.end();
+        const uri = `gs://${archiveBucket}/${path}`;
+        await pool.query('UPDATE tenant_offboardings SET archive_uri = $2, updated_at = NOW() WHERE tenant = $1', [tenant, uri]);
+        return {
+          uri,
+          tables,
+          documents: documents.length - missing.length,
+          missing_documents: missing,
+          crm_users: Array.isArray(crm) ? crm.length : crm,
+        };
+      } catch (err) {
+        out.abort(err);
+        throw err;
+      }
+    },
+
+    async crm_users({ tenant, params, scope }) {
+      const action = params.crm_users || 'revoke';
+      if (action === 'keep') return { skipped: 'crm_users is keep' };
+      if (!scope.crmUrl) return { skipped: 'no crm_url for the tenant' };
+      const users = await crmUsers(tenant);
+      const failed = [];
+      for (const user of users) {
+        const userId = user.id ?? user.uid;
+        try {
+          if (action === 'delete') {
+            await runHandler('delete_crm_user', { company: tenant, user_id: userId });
+          } else {
+            await runHandler('reset_crm_user_password', { company: tenant, user_id: userId, new_password: randomBytes(24).toString('base64url') });
+          }
+        } catch (err) {
+          failed.push(`${user.email || userId}: ${err.message}`);
+        }
+      }
+      if (failed.length) {
+        throw new Error(`crm_users ${action} failed for ${failed.length} of ${users.length} users: ${failed.slice(0, 5).join('; ')}`);
+      }
+      return { action, users: users.length };
+    },
+
+    async documents({ scope }) {
+      if (!scope.companyId) return { skipped: 'no company for the tenant' };
+      const documents = await companyDocuments(scope);
+      let missing = 0;
+      for (const doc of documents) {
+        try {
+          await storage.bucket(documentsBucket).file(doc.bucket_path).makePrivate();
+        } catch (err) {
+          if (err.code !== 404) throw err;
+          missing++;
+        }
+      }
+      return { made_private: documents.length - missing, missing };
+    },
+
+    async retire_configs({ tenant }) {
+      const { rows } = await pool.query(
+        `UPDATE tenant_configs SET status = 'retired', updated_at = NOW()
+          WHERE tenant = $1 AND status IS DISTINCT FROM 'retired'
+          RETURNING service_type`,
+        [tenant],
+      );
+      return { retired: rows.map((r) => r.service_type) };
+    },
+
+    async stop_deployment({ tenant }) {
+      const { rows } = await pool.query(
+        "UPDATE deployments SET status = 'stopped', updated_at = NOW() WHERE slug = $1 RETURNING id",
+        [tenant],
+      );
+      if (!rows[0]) return { skipped: 'no deployment for the tenant' };
+      return { deployment_id: rows[0].id };
+    },
+
+    async archive_tenant({ tenant, scope, updatedBy }) {
+      if (scope.archived) return { archived: false, already_archived: true };
+      await tenantRegistry.archive(tenant, updatedBy);
+      return { archived: true };
+    },
+  };
+
+  // ---- Runs ----
+
+  async function load(tenant) {
+    const { rows: [offboarding] } = await pool.query('SELECT * FROM tenant_offboardings WHERE tenant = $1', [tenant]);
+    if (!offboarding) return null;
+    const { rows } = await pool.query(
+      `SELECT step, status, attempts, result, error, started_at, finished_at
+         FROM tenant_offboarding_steps WHERE tenant = $1 ORDER BY position`,
+      [tenant],
+    );
+    return { ...offboarding, steps: rows };
+  }
+
+  async function get(tenant) {
+    const offboarding = await load(tenant);
+    if (!offboarding) throw new Error(`Offboarding not found: ${tenant}`);
+    return offboarding;
+  }
+
+  async function setStep(tenant, step, fields) {
+    const cols = Object.keys(fields);
+    await pool.query(
+      `UPDATE tenant_offboarding_steps SET ${cols.map((c, i) => `${c} = $${i + 3}`).join(', ')}
+        WHERE tenant = $1 AND step = $2`,
+      [tenant, step, ...cols.map((c) => fields[c])],
+    );
+  }
+
+  function givenParams(args) {
+    const given = Object.fromEntries(PARAM_KEYS.filter((k) => args[k] !== undefined && args[k] !== null).map((k) => [k, args[k]]));
+    validateParams(given);
+    return given;
+  }
+
+  /** Start or resume offboarding `tenant`. Returns the offboarding with its steps. */
+  async function run(tenant, args = {}, updatedBy) {
+    const given = givenParams(args);
+    const scope = await scopeOf(tenant);
+
+    await pool.query(
+      `INSERT INTO tenant_offboardings (tenant, params, started_by) VALUES ($1, $2, $3)
+       ON CONFLICT (tenant) DO UPDATE SET params = tenant_offboardings.params || EXCLUDED.params, updated_at = NOW()`,
+      [tenant, JSON.stringify(given), updatedBy || null],
+    );
+    const { rows: [claimed] } = await pool.query(
+      `UPDATE tenant_offboardings SET status = 'running', run_started_at = NOW(), updated_at = NOW()
+        WHERE tenant = $1 AND status <> 'purged'
+          AND (status <> 'running' OR run_started_at < NOW() - INTERVAL '${STALE_RUN}')
+        RETURNING params`,
+      [tenant],
+    );
+    if (!claimed) {
+      const { status } = await get(tenant);
+      throw new Error(status === 'purged' ? `Tenant ${tenant} was already purged` : `Offboarding for ${tenant} is already running`);
+    }
+    const params = claimed.params;
+
+    let status = 'done';
+    try {
+      await pool.query(
+        `INSERT INTO tenant_offboarding_steps (tenant, step, position)
+         SELECT $1, s.step, s.idx FROM unnest($2::text[]) WITH ORDINALITY AS s(step, idx)
+         ON CONFLICT (tenant, step) DO NOTHING`,
+        [tenant, OFFBOARDING_STEPS],
+      );
+      const { rows: stored } = await pool.query('SELECT step, status FROM tenant_offboarding_steps WHERE tenant = $1', [tenant]);
+      const finished = new Set(stored.filter((s) => s.status === 'done' || s.status === 'skipped').map((s) => s.step));
+      const ctx = { tenant, params, scope, updatedBy };
+
+      for (const step of OFFBOARDING_STEPS) {
+        if (finished.has(step)) continue;
+        await pool.query(
+          `UPDATE tenant_offboarding_steps SET status = 'running', attempts = attempts + 1, error = NULL, started_at = NOW(), finished_at = NULL
+            WHERE tenant = $1 AND step = $2`,
+          [tenant, step],
+        );
+        try {
+          const result = await steps[step](ctx);
+          await setStep(tenant, step, { status: result?.skipped ? 'skipped' : 'done', result: JSON.stringify(result), finished_at: new Date() });
+        } catch (err) {
+          logger.error(`[tenant-offboarding] ${tenant} ${step} failed: ${err.message}`);
+          await setStep(tenant, step, { status: 'failed', error: err.message, finished_at: new Date() });
+          status = 'failed';
+          break;
+        }
+      }
+    } catch (err) {
+      status = 'failed';
+      throw err;
+    } finally {
+      // completed_at is when the tenant was first fully offboarded; the
+      // retention window counts from there even if retention_days changes.
+      await pool.query(
+        `UPDATE tenant_offboardings
+            SET status = $2, finished_at = NOW(), updated_at = NOW(),
+                completed_at = CASE WHEN $2 = 'done' THEN COALESCE(completed_at, NOW()) ELSE completed_at END,
+                purge_after = CASE WHEN $2 = 'done' AND $3::int IS NOT NULL
+                                   THEN COALESCE(completed_at, NOW()) + make_interval(days => $3::int)
+                                   ELSE purge_after END
+          WHERE tenant = $1`,
+        [tenant, status, params.retention_days ?? null],
+      );
+    }
+    logger.log(`[tenant-offboarding] ${tenant} run by ${updatedBy || 'unknown'}: ${status}`);
+    return load(tenant);
+  }
+
+  // ---- Purge ----
+
+  /**
+   * Delete the tenant's document blobs and every non-`keep` row of
+   * TENANT_DATA, once the offboarding is done and purge_after has passed.
+   */
+  async function purge(tenant, updatedBy) {
+    const { rows: [claimed] } = await pool.query(
+      `UPDATE tenant_offboardings SET status = 'running', run_started_at = NOW(), updated_at = NOW()
+        WHERE tenant = $1 AND status = 'done' AND purge_after <= NOW()
+        RETURNING tenant`,
+      [tenant],
+    );
+    if (!claimed) {
+      const current = await get(tenant);
+      if (current.status === 'purged') throw new Error(`Tenant ${tenant} was already purged`);
+      if (current.status !== 'done') throw new Error(`Invalid purge: offboarding for ${tenant} is ${current.status}, not done`);
+      if (!current.purge_after) throw new Error(`Invalid purge: no retention window for ${tenant}; run offboard_tenant with retention_days first`);
+      throw new Error(`Invalid purge: ${tenant} is retained until ${new Date(current.purge_after).toISOString()}`);
+    }
+
+    let result = null;
+    try {
+      const scope = await scopeOf(tenant);
+      // Blobs first: if this fails the rows pointing at them are still there.
+      let blobs = 0;
+      for (const doc of await companyDocuments(scope)) {
+        try {
+          await storage.bucket(documentsBucket).file(doc.bucket_path).delete();
+          blobs++;
+        } catch (err) {
+          if (err.code !== 404) throw err;
+        }
+      }
+      const deleted = {};
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const { table, where, param } of dataFor(scope).filter((d) => !d.keep).reverse()) {
+          deleted[table] = (await client.query(`DELETE FROM ${table} WHERE ${where}`, [param])).rowCount;
+        }
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+      result = { deleted, blobs_deleted: blobs };
+    } catch (err) {
+      logger.error(`[tenant-offboarding] ${tenant} purge failed: ${err.message}`);
+      throw err;
+    } finally {
+      await pool.query(
+        `UPDATE tenant_offboardings
+            SET status = $2, purged_at = CASE WHEN $2 = 'purged' THEN NOW() END, purge_result = $3, updated_at = NOW()
+          WHERE tenant = $1`,
+        [tenant, result ? 'purged' : 'done', result && JSON.stringify(result)],
+      );
+    }
+    logger.log(`[tenant-offboarding] ${tenant} purged by ${updatedBy || 'unknown'}`);
+    return load(tenant);
+  }
+
+  /** Purge every offboarded tenant whose retention window has passed. */
+  async function purgeDue(updatedBy = 'system') {
+    const { rows } = await pool.query(
+      "SELECT tenant FROM tenant_offboardings WHERE status = 'done' AND purge_after <= NOW() ORDER BY purge_after",
+    );
+    let purged = 0;
+    for (const { tenant } of rows) {
+      try {
+        await purge(tenant, updatedBy);
+        purged++;
+      } catch {
+        // logged by purge(); the next sweep retries
+      }
+    }
+    return purged;
+  }
+
+  // ---- Dry run ----
+
+  /** What run() — and later the purge — would touch, without changing anything. */
+  async function plan(tenant, args = {}) {
+    const given = givenParams(args);
+    const scope = await scopeOf(tenant);
+    const existing = await load(tenant);
+    const params = { ...existing?.params, ...given };
+    const finished = new Set((existing?.steps || []).filter((s) => s.status === 'done' || s.status === 'skipped').map((s) => s.step));
+
+    const rows = {};
+    for (const { table, where, param } of dataFor(scope)) {
+      const { rows: [{ count }] } = await pool.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE ${where}`, [param]);
+      rows[table] = count;
+    }
+    const documents = await companyDocuments(scope);
+    const action = params.crm_users || 'revoke';
+    let crm = { action, users: null };
+    if (!scope.crmUrl) crm = { action, skipped: 'no crm_url for the tenant' };
+    else {
+      try {
+        crm.users = (await crmUsers(tenant)).length;
+      } catch (err) {
+        crm.error = err.message;
+      }
+    }
+    const { rows: configs } = await pool.query('SELECT service_type, status FROM tenant_configs WHERE tenant = $1 ORDER BY service_type', [tenant]);
+    const { rows: [deployment] } = await pool.query('SELECT id, status FROM deployments WHERE slug = $1', [tenant]);
+
+    return {
+      dry_run: true,
+      tenant,
+      status: existing?.status || null,
+      steps: OFFBOARDING_STEPS.map((step) => ({ step, will_run: !finished.has(step) })),
+      archive: { bucket: archiveBucket, tables: rows, documents: documents.length },
+      crm_users: crm,
+      documents: documents.map((d) => d.bucket_path),
+      tenant_configs: configs,
+      deployment: deployment || null,
+      registry: { archived: scope.archived },
+      purge: {
+        retention_days: params.retention_days ?? null,
+        purge_after: existing?.purge_after || null,
+        rows: Object.fromEntries(dataFor(scope).filter((d) => !d.keep).map((d) => [d.table, rows[d.table]])),
+        blobs: documents.length,
+        kept: TENANT_DATA.filter((d) => d.keep).map((d) => d.table),
+      },
+    };
+  }
+
+  return {
+    run,
+    get,
+    plan,
+    purge,
+    purgeDue,
+  };
+}
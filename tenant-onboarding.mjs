@@ -0,0 +1,339 @@
+// tenant-onboarding.mjs
+//
+// Standing up a new portfolio company as one resumable checklist, behind
+// the onboard_tenant tool and POST /api/tenants/:tenant/onboarding.
+//
+// Steps, in order:
+//   create_company     companies row (slug = tenant)
+//   register_tenant    tenants row linked to the company (tenants.mjs)
+//   tenant_configs     the template tenant's tenant_configs rows, retargeted
+//                      to the new slug (crm-backend-welink → crm-backend-acme,
+//                      WELINK_ → ACME_)
+//   create_deployment  deployments row + the standard components
+//   seed_milestones    STANDARD_MILESTONES the company doesn't have yet
+//   deploy_check       run_deploy_check on the backend config
+//   webhook_secret     a fresh feedback-task webhook secret in Secret Manager
+//   crm_admin          the first CRM admin via create_crm_user — needs the
+//                      CRM deployed and reachable, so it goes last
+//
+// Every step is idempotent (it finds what an earlier attempt made), and its
+// status lands in tenant_onboarding_steps. A run stops at the first failing
+// step; the next run skips the finished ones and retries from there.
+// Arguments given to a later run are merged into the stored ones, so a
+// missing crm_url or admin_email can be supplied on retry. A step whose
+// input is still missing is marked skipped and runs again next time; the
+// onboarding is then 'incomplete' rather than 'done'.
+//
+// Nothing secret is stored: the webhook secret only goes to Secret Manager
+// and the CRM admin's temporary password is returned by the run that set it.
+
+import { randomBytes } from 'crypto';
+
+export const ONBOARDING_STEPS = [
+  'create_company',
+  'register_tenant',
+  'tenant_configs',
+  'create_deployment',
+  'seed_milestones',
+  'deploy_check',
+  'webhook_secret',
+  'crm_admin',
+];
+
+// The milestones every company in seed.js works through.
+export const STANDARD_MILESTONES = [
+  'Discovery call',
+  'Get support documentation',
+  'Get 3rd party tools list and API access',
+  'Docs uploaded to RAG engine',
+  'MCP server integration',
+  'L1 support prototype',
+  'Benchmark testing',
+  'Pilot deployment',
+];
+
+const DEFAULT_TEMPLATE = 'welink';
+// A run that hasn't finished in this long is assumed dead and can be taken over.
+const STALE_RUN = '15 minutes';
+const PARAM_KEYS = ['name', 'description', 'template_tenant', 'crm_url', 'admin_email', 'admin_name'];
+
+function envKey(slug) {
+  return slug.toUpperCase().replace(/-/g, '_');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Swap whole-word occurrences of one tenant's slug (and SLUG_ env prefix) for another's. */
+export function retarget(value, from, to) {
+  if (typeof value === 'string') {
+    return value
+      .replace(new RegExp(`(?<![a-z0-9])${escapeRegExp(from)}(?![a-z0-9])`, 'g'), to)
+      .replace(new RegExp(`(?<![A-Z0-9])${escapeRegExp(envKey(from))}(?![A-Z0-9])`, 'g'), envKey(to));
+  }
+  if (Array.isArray(value)) return value.map((v) => retarget(v, from, to));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, retarget(v, from, to)]));
+  }
+  return value;
+}
+
+/**
+ * @param {object} opts
+ * @param {import('pg').Pool} opts.pool
+ * @param {ReturnType<import('./tenants.mjs').createTenantRegistry>} opts.tenantRegistry
+ * @param {(name: string, args: object) => Promise<any>} opts.runHandler - server.js tool handlers
+ *   (list_crm_users, create_crm_user, run_deploy_check)
+ * @param {(secretId: string, value: string) => Promise<{ created: boolean }>} opts.storeSecret -
+ *   creates the Secret Manager secret with `value` unless it already has a version
+ */
+export function createTenantOnboarding({ pool, tenantRegistry, runHandler, storeSecret, logger = console }) {
+
+  // ---- Steps ----
+  // Each gets (ctx) = { tenant, params, results, updatedBy, oneTime } and
+  // returns its result, or { skipped: reason }. `results` holds earlier
+  // steps' results, from this run or the stored ones.
+
+  const steps = {
+    async create_company({ tenant, params }) {
+      const inserted = await pool.query(
+        `INSERT INTO companies (slug, name, description, status) VALUES ($1, $2, $3, 'discovery')
+         ON CONFLICT (slug) DO NOTHING
+         RETURNING id`,
+        [tenant, params.name, params.description || null],
+      );
+      if (inserted.rows[0]) return { company_id: inserted.rows[0].id, created: true };
+      const { rows } = await pool.query('SELECT id FROM companies WHERE slug = $1', [tenant]);
+      return { company_id: rows[0].id, created: false };
+    },
+
+    async register_tenant({ tenant, params, results, updatedBy }) {
+      const companyId = results.create_company.company_id;
+      const { rows } = await pool.query('SELECT * FROM tenants WHERE slug = $1', [tenant]);
+      const existing = rows[0];
+      if (!existing || existing.archived_at) {
+        await tenantRegistry.create({ slug: tenant, name: params.name, company_id: companyId, crm_url: params.crm_url }, updatedBy);
+        return { created: true };
+      }
+      // Already registered: fill in what it's missing, never overwrite.
+      const patch = {};
+      if (!existing.company_id) patch.company_id = companyId;
+      if (!existing.crm_url && params.crm_url) patch.crm_url = params.crm_url;
+      if (Object.keys(patch).length) await tenantRegistry.update(tenant, patch, updatedBy);
+      return { created: false, updated: Object.keys(patch) };
+    },
+
+    async tenant_configs({ tenant, params }) {
+      const template = params.template_tenant || DEFAULT_TEMPLATE;
+      const { rows } = await pool.query('SELECT * FROM tenant_configs WHERE tenant = $1 ORDER BY service_type', [template]);
+      if (!rows.length) throw new Error(`Invalid template_tenant: ${template} has no tenant_configs rows`);
+      const created = [];
+      for (const row of rows) {
+        const r = retarget(row, template, tenant);
+        const inserted = await pool.query(
+          `INSERT INTO tenant_configs (tenant, service_type, cloud_run_service, gcp_project, gcp_region, github_repo,
+             git_branch, env_vars_required, secrets, deploy_command, feature_flags, notes, status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'deploying')
+           ON CONFLICT (tenant, service_type) DO NOTHING
+           RETURNING service_type`,
+          [tenant, row.service_type, r.cloud_run_service, row.gcp_project, row.gcp_region, row.github_repo,
+            row.git_branch, JSON.stringify(r.env_vars_required || []), JSON.stringify(r.secrets || []),
+            r.deploy_command, JSON.stringify(row.feature_flags || {}), `Onboarded from the ${template} template.`],
+        );
+        if (inserted.rows[0]) created.push(row.service_type);
+      }
+      return { template, services: rows.map((r) => r.service_type), created };
+    },
+
+    async create_deployment({ tenant, params }) {
+      await pool.query(
+        `INSERT INTO deployments (name, slug, description, status) VALUES ($1, $2, $3, 'deploying')
+         ON CONFLICT (slug) DO NOTHING`,
+        [params.name, tenant, params.description || null],
+      );
+      const { rows: [deployment] } = await pool.query('SELECT id FROM deployments WHERE slug = $1', [tenant]);
+      const { rows: [backend] } = await pool.query(
+        "SELECT github_repo, git_branch FROM tenant_configs WHERE tenant = $1 AND service_type = 'backend'",
+        [tenant],
+      );
+      const githubUrl = backend?.github_repo ? `https://github.com/${backend.github_repo}` : null;
+      const components = [
+        ['github', githubUrl, githubUrl ? { repo_url: githubUrl, branch: backend.git_branch || 'main' } : {}],
+        ['frontend', null, {}],
+        ['mcp_server', null, {}],
+        ['database', null, { type: 'postgres', provider: 'cloud-sql' }],
+      ];
+      const created = [];
+      for (const [type, url, config] of components) {
+        const inserted = await pool.query(
+          `INSERT INTO deployment_components (deployment_id, component_type, status, url, config)
+           SELECT $1, $2, $3, $4, $5
+            WHERE NOT EXISTS (SELECT 1 FROM deployment_components WHERE deployment_id = $1 AND component_type = $2)
+           RETURNING component_type`,
+          [deployment.id, type, url ? 'unknown' : 'not_configured', url, JSON.stringify(config)],
+        );
+        if (inserted.rows[0]) created.push(type);
+      }
+      return { deployment_id: deployment.id, components_created: created };
+    },
+
+    async seed_milestones({ results }) {
+      const companyId = results.create_company.company_id;
+      const { rows } = await pool.query(
+        `INSERT INTO milestones (company_id, title, status, order_index)
+         SELECT $1, m.title, 'pending', m.idx - 1
+           FROM unnest($2::text[]) WITH ORDINALITY AS m(title, idx)
+          WHERE NOT EXISTS (SELECT 1 FROM milestones WHERE company_id = $1 AND title = m.title)
+         RETURNING title`,
+        [companyId, STANDARD_MILESTONES],
+      );
+      return { added: rows.length };
+    },
+
+    async deploy_check({ tenant }) {
+      const check = await runHandler('run_deploy_check', { tenant, service_type: 'backend' });
+      const missing = check.checks.filter((c) => c.status === 'missing').map((c) => c.check);
+      if (missing.length) throw new Error(`Deploy check failed for ${tenant}/backend: missing ${missing.join(', ')}`);
+      return { status: check.status, warnings: check.warnings };
+    },
+
+    async webhook_secret({ tenant, updatedBy }) {
+      const secretId = `${tenant}-mcp-webhook-secret`;
+      const envVar = `MCP_WEBHOOK_SECRET_${envKey(tenant)}`;
+      const { created } = await storeSecret(secretId, randomBytes(32).toString('base64url'));
+      await tenantRegistry.update(tenant, { webhook_secret_ref: envVar }, updatedBy);
+      return {
+        gcp_secret: secretId,
+        env_var: envVar,
+        created,
+        next: `Mount ${secretId} as ${envVar} on this server and as the webhook secret on crm-backend-${tenant}`,
+      };
+    },
+
+    async crm_admin({ tenant, params, oneTime }) {
+      if (!params.admin_email) return { skipped: 'no admin_email given' };
+      if (!(await tenantRegistry.find(tenant))?.crmUrl) return { skipped: 'no crm_url for the tenant yet' };
+      const existing = await runHandler('list_crm_users', { company: tenant, search: params.admin_email, limit: 10 });
+      const match = (existing.users || []).find((u) => u.email?.toLowerCase() === params.admin_email.toLowerCase());
+      if (match) return { email: params.admin_email, user_id: match.id ?? match.uid ?? null, created: false };
+
+      const password = randomBytes(12).toString('base64url');
+      const { user } = await runHandler('create_crm_user', {
+        company: tenant,
+        email: params.admin_email,
+        password,
+        displayName: params.admin_name || params.admin_email,
+        role: 'admin',
+      });
+      oneTime.crm_admin_password = password;
+      return { email: params.admin_email, user_id: user?.id ?? user?.uid ?? null, created: true };
+    },
+  };
+
+  // ---- Runs ----
+
+  async function load(tenant) {
+    const { rows: [onboarding] } = await pool.query('SELECT * FROM tenant_onboardings WHERE tenant = $1', [tenant]);
+    if (!onboarding) return null;
+    const { rows } = await pool.query(
+      `SELECT step, status, attempts, result, error, started_at, finished_at
+         FROM tenant_onboarding_steps WHERE tenant = $1 ORDER BY position`,
+      [tenant],
+    );
+    return { ...onboarding, steps: rows };
+  }
+
+  async function get(tenant) {
+    const onboarding = await load(tenant);
+    if (!onboarding) throw new Error(`Onboarding not found: ${tenant}`);
+    return onboarding;
+  }
+
+  async function setStep(tenant, step, fields) {
+    const cols = Object.keys(fields);
+    await pool.query(
+      `UPDATE tenant_onboarding_steps SET ${cols.map((c, i) => `${c} = $${i + 3}`).join(', ')}
+        WHERE tenant = $1 AND step = $2`,
+      [tenant, step, ...cols.map((c) => fields[c])],
+    );
+  }
+
+  /**
+   * Start or resume onboarding for `tenant`. Returns the onboarding with
+   * its steps, plus anything shown only once (crm_admin_password).
+   */
+  async function run(tenant, args = {}, updatedBy) {
+    tenant = String(tenant || '').toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{0,62}$/.test(tenant)) throw new Error(`Invalid tenant: ${tenant}. Use lowercase letters, digits and -`);
+    const given = Object.fromEntries(PARAM_KEYS.filter((k) => args[k] !== undefined && args[k] !== null).map((k) => [k, args[k]]));
+
+    await pool.query(
+      `INSERT INTO tenant_onboardings (tenant, params, started_by) VALUES ($1, $2, $3)
+       ON CONFLICT (tenant) DO UPDATE SET params = tenant_onboardings.params || EXCLUDED.params, updated_at = NOW()`,
+      [tenant, JSON.stringify(given), updatedBy || null],
+    );
+    const { rows: [claimed] } = await pool.query(
+      `UPDATE tenant_onboardings SET status = 'running', run_started_at = NOW(), updated_at = NOW()
+        WHERE tenant = $1 AND (status <> 'running' OR run_started_at < NOW() - INTERVAL '${STALE_RUN}')
+        RETURNING params`,
+      [tenant],
+    );
+    if (!claimed) throw new Error(`Onboarding for ${tenant} is already running`);
+    const params = claimed.params;
+
+    const oneTime = {};
+    let status = 'done';
+    try {
+      if (!params.name) throw new Error('name is required');
+      await pool.query(
+        `INSERT INTO tenant_onboarding_steps (tenant, step, position)
+         SELECT $1, s.step, s.idx FROM unnest($2::text[]) WITH ORDINALITY AS s(step, idx)
+         ON CONFLICT (tenant, step) DO NOTHING`,
+        [tenant, ONBOARDING_STEPS],
+      );
+      const { rows: stored } = await pool.query('SELECT step, status, result FROM tenant_onboarding_steps WHERE tenant = $1', [tenant]);
+      const results = Object.fromEntries(stored.filter((s) => s.status === 'done').map((s) => [s.step, s.result]));
+      const ctx = { tenant, params, results, updatedBy, oneTime };
+
+      for (const step of ONBOARDING_STEPS) {
+        if (results[step]) continue;
+        await pool.query(
+          `UPDATE tenant_onboarding_steps SET status = 'running', attempts = attempts + 1, error = NULL, started_at = NOW(), finished_at = NULL
+            WHERE tenant = $1 AND step = $2`,
+          [tenant, step],
+        );
+        try {
+          const result = await steps[step](ctx);
+          if (result?.skipped) {
+            await setStep(tenant, step, { status: 'skipped', result: JSON.stringify(result), finished_at: new Date() });
+            status = 'incomplete';
+            continue;
+          }
+          results[step] = result;
+          await setStep(tenant, step, { status: 'done', result: JSON.stringify(result), finished_at: new Date() });
+        } catch (err) {
+          logger.error(`[tenant-onboarding] ${tenant} ${step} failed: ${err.message}`);
+          await setStep(tenant, step, { status: 'failed', error: err.message, finished_at: new Date() });
+          status = 'failed';
+          break;
+        }
+      }
+    } catch (err) {
+      status = 'failed';
+      throw err;
+    } finally {
+      await pool.query(
+        `UPDATE tenant_onboardings SET status = $2, finished_at = NOW(), updated_at = NOW() WHERE tenant = $1`,
+        [tenant, status],
+      );
+    }
+    logger.log(`[tenant-onboarding] ${tenant} run by ${updatedBy || 'unknown'}: ${status}`);
+    return { ...(await load(tenant)), ...oneTime };
+  }
+
+  return {
+    run,
+    get,
+  };
+}
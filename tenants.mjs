@@ -0,0 +1,296 @@
+// tenants.mjs
+//
+// The tenant registry: one row per CRM tenant in `tenants`, replacing the
+// lists that used to be hard-coded or parsed from env in server.js
+// (CRM_INSTANCES, TENANT_SERVICE_MAP, VALID_TENANTS).
+//
+// A tenant row holds
+//   slug, name          — slug is the X-Tenant-ID every CRM call carries
+//   company_id          — the portfolio company (companies.id), if any
+//   crm_url             — CRMBackend base URL
+//   cloud_run_service   — for the Cloud Run / logging tools
+//   *_ref               — names of the env vars holding its secrets (Cloud
+//                         Run mounts them from Secret Manager); the values
+//                         never touch the database
+// and is linked to its infrastructure rows by tenant_configs.tenant = slug.
+// NULL columns fall back to the names the env-var setup used
+// (CRM_URL_<SLUG>, CRM_KEY_<SLUG>, <SLUG>_TASK_CRM_MCP_API_KEY,
+// MCP_WEBHOOK_SECRET_<SLUG>, crm-backend-<slug>), so the seeded rows
+// resolve exactly as before.
+//
+// Lookups read an in-memory snapshot refreshed every TENANT_CACHE_TTL_MS.
+// Writes here drop it at once; other instances pick changes up within the
+// TTL. If the table can't be read the last snapshot stays in use, and
+// before the first successful load the tenants come from CRM_INSTANCES.
+// Archived tenants drop out of every lookup but keep their row.
+
+const DEFAULT_TTL_MS = parseInt(process.env.TENANT_CACHE_TTL_MS || '60000', 10);
+const DEFAULT_ENV_TENANTS = 'dtiq,packetfabric,element8,qwilt,welink,dev';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+// Each *_ref may only name an env var in its own tenant-secret namespace —
+// the same names the fallbacks use. Anything wider would let a tenant's
+// admin point crm_key_ref at DATABASE_URL or GITHUB_TOKEN and have it sent,
+// as X-API-Key, to a crm_url they control. server.js's tool schemas use
+// these patterns too.
+export const REF_PATTERNS = {
+  crm_key_ref: /^CRM_KEY_[A-Z0-9_]+$/,
+  task_crm_key_ref: /^[A-Z0-9_]+_TASK_CRM_MCP_API_KEY$/,
+  webhook_secret_ref: /^MCP_WEBHOOK_SECRET_[A-Z0-9_]+$/,
+};
+const REF_EXAMPLES = {
+  crm_key_ref: 'CRM_KEY_ACME',
+  task_crm_key_ref: 'ACME_TASK_CRM_MCP_API_KEY',
+  webhook_secret_ref: 'MCP_WEBHOOK_SECRET_ACME',
+};
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EDITABLE = ['name', 'company_id', 'crm_url', 'cloud_run_service', 'crm_key_ref', 'task_crm_key_ref', 'webhook_secret_ref'];
+// describe() name → resolve() property holding the env var name.
+const SECRET_REFS = { crm_key: 'crmKeyRef', task_crm_key: 'taskCrmKeyRef', webhook_secret: 'webhookSecretRef' };
+
+function envKey(slug) {
+  return slug.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * @param {object} opts
+ * @param {import('pg').Pool} opts.pool
+ * @param {Record<string, string|undefined>} [opts.env] - where secret refs resolve
+ */
+export function createTenantRegistry({ pool, env = process.env, ttlMs = DEFAULT_TTL_MS, logger = console }) {
+  let snapshot = null; // { at, bySlug: Map<slug, tenant> }
+  let loading = null;
+
+  // A ref stored before REF_PATTERNS existed may name any env var; it falls
+  // back to the default name rather than resolve.
+  function storedRef(row, col) {
+    const ref = row[col];
+    if (!ref || REF_PATTERNS[col].test(ref)) return ref || null;
+    logger.error(`[tenants] ignoring ${row.slug}.${col}=${ref}: outside ${REF_PATTERNS[col].source}`);
+    return null;
+  }
+
+  /** A row with its fallbacks applied — what the resolvers hand out. */
+  function resolve(row) {
+    const key = envKey(row.slug);
+    return {
+      slug: row.slug,
+      name: row.name || row.slug,
+      companyId: row.company_id || null,
+      crmUrl: row.crm_url || env[`CRM_URL_${key}`] || null,
+      service: row.cloud_run_service || `crm-backend-${row.slug}`,
+      crmKeyRef: storedRef(row, 'crm_key_ref') || `CRM_KEY_${key}`,
+      taskCrmKeyRef: storedRef(row, 'task_crm_key_ref') || `${key}_TASK_CRM_MCP_API_KEY`,
+      webhookSecretRef: storedRef(row, 'webhook_secret_ref') || `MCP_WEBHOOK_SECRET_${key}`,
+    };
+  }
+
+  function fromEnv() {
+    const slugs = (env.CRM_INSTANCES || DEFAULT_ENV_TENANTS).split(',').map((s) => s.trim()).filter(Boolean);
+    return new Map(slugs.map((slug) => [slug, resolve({ slug })]));
+  }
+
+  // ---- Cache ----
+
+  async function load() {
+    try {
+      const { rows } = await pool.query('SELECT * FROM tenants WHERE archived_at IS NULL ORDER BY slug');
+      snapshot = { at: Date.now(), bySlug: new Map(rows.map((r) => [r.slug, resolve(r)])) };
+    } catch (err) {
+      logger.error(`[tenants] registry load failed, using ${snapshot ? 'the last snapshot' : 'CRM_INSTANCES'}: ${err.message}`);
+      // Retry on the next TTL rather than on every lookup.
+      snapshot = { at: Date.now(), bySlug: snapshot?.bySlug || fromEnv() };
+    }
+  }
+
+  async function current() {
+    if (!snapshot || Date.now() - snapshot.at > ttlMs) {
+      loading ||= load().finally(() => { loading = null; });
+      await loading;
+    }
+    return snapshot.bySlug;
+  }
+
+  /** pool.query for writes, with a missing company reported as bad input. */
+  async function write(sql, params) {
+    try {
+      return await pool.query(sql, params);
+    } catch (err) {
+      if (err.code === '23503') throw new Error('Invalid company_id: no such company');
+      throw err;
+    }
+  }
+
+  function invalidate() {
+    if (snapshot) snapshot.at = 0;
+  }
+
+  // ---- Lookups ----
+
+  /** Active tenants, by slug. */
+  async function all() {
+    return [...(await current()).values()];
+  }
+
+  async function slugs() {
+    return [...(await current()).keys()];
+  }
+
+  /** The tenant, or null if unknown or archived. */
+  async function find(slug) {
+    return (await current()).get(String(slug || '').toLowerCase()) || null;
+  }
+
+  /** Like find(), but throws "Unknown tenant: …" listing the valid ones. */
+  async function get(slug) {
+    const tenant = await find(slug);
+    if (!tenant) throw new Error(`Unknown tenant: ${slug}. Valid: ${(await slugs()).join(', ')}`);
+    return tenant;
+  }
+
+  /** The tenant whose Cloud Run service this is, or null (shared infra, unknown). */
+  async function forService(service) {
+    return (await all()).find((t) => t.service === service) || null;
+  }
+
+  function secret(ref) {
+    return (ref && env[ref]) || undefined;
+  }
+
+  /** What callCRM needs; url/apiKey are undefined when not configured. */
+  async function crmConfig(slug) {
+    const tenant = await find(slug);
+    return {
+      url: tenant?.crmUrl || undefined,
+      apiKey: tenant ? secret(tenant.crmKeyRef) : undefined,
+      tenantId: tenant?.slug || slug,
+    };
+  }
+
+  // ---- Registry CRUD ----
+
+  async function list({ include_archived = false } = {}) {
+    const { rows } = await pool.query(
+      `SELECT * FROM tenants ${include_archived ? '' : 'WHERE archived_at IS NULL'} ORDER BY slug`,
+    );
+    return rows;
+  }
+
+  /**
+   * One tenant with what it resolves to: whether each secret is set (never
+   * the value), its company and its tenant_configs services.
+   */
+  async function describe(slug) {
+    const { rows } = await pool.query('SELECT * FROM tenants WHERE slug = $1', [slug]);
+    if (!rows[0]) throw new Error(`Tenant not found: ${slug}`);
+    const resolved = resolve(rows[0]);
+    const [company, services] = await Promise.all([
+      resolved.companyId
+        ? pool.query('SELECT id, slug, name, status FROM companies WHERE id = $1', [resolved.companyId]).then((r) => r.rows[0] || null)
+        : null,
+      pool.query(
+        'SELECT service_type, cloud_run_service, cloud_run_url, status FROM tenant_configs WHERE tenant = $1 ORDER BY service_type',
+        [slug],
+      ).then((r) => r.rows),
+    ]);
+    return {
+      ...rows[0],
+      resolved: {
+        crm_url: resolved.crmUrl,
+        cloud_run_service: resolved.service,
+        secrets: Object.fromEntries(Object.entries(SECRET_REFS).map(([name, prop]) => (
+          [name, { ref: resolved[prop], configured: !!secret(resolved[prop]) }]
+        ))),
+      },
+      company,
+      services,
+    };
+  }
+
+  async function create(fields, updatedBy) {
+    const slug = String(fields.slug || '').toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) throw new Error(`Invalid slug: ${fields.slug}. Use lowercase letters, digits and -`);
+    if (!fields.name || !String(fields.name).trim()) throw new Error('name is required');
+    const values = validateFields(fields);
+    // Re-creating an archived slug replaces the old row's settings wholesale.
+    const { rows } = await write(
+      `INSERT INTO tenants (slug, ${EDITABLE.join(', ')}, updated_by)
+       VALUES ($1, ${EDITABLE.map((_, i) => `$${i + 2}`).join(', ')}, $${EDITABLE.length + 2})
+       ON CONFLICT (slug) DO UPDATE SET
+         ${EDITABLE.map((c) => `${c} = EXCLUDED.${c}`).join(', ')},
+         updated_by = EXCLUDED.updated_by, archived_at = NULL, updated_at = NOW()
+       WHERE tenants.archived_at IS NOT NULL
+       RETURNING *`,
+      [slug, ...EDITABLE.map((c) => values[c] ?? null), updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Tenant already exists: ${slug}`);
+    invalidate();
+    logger.log(`[tenants] ${slug} created by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  /** Partial update: omitted fields are kept, null clears back to the fallback. */
+  async function update(slug, patch, updatedBy) {
+    const values = validateFields(patch);
+    const cols = Object.keys(values);
+    if (!cols.length) throw new Error(`Invalid update: nothing to change. Fields: ${EDITABLE.join(', ')}`);
+    if ('name' in values && !values.name) throw new Error('name is required');
+    const { rows } = await write(
+      `UPDATE tenants
+          SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_by = $${cols.length + 2}, updated_at = NOW()
+        WHERE slug = $1 AND archived_at IS NULL
+        RETURNING *`,
+      [slug, ...cols.map((c) => values[c]), updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Tenant not found: ${slug}`);
+    invalidate();
+    logger.log(`[tenants] ${slug} updated (${cols.join(', ')}) by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  async function archive(slug, updatedBy) {
+    const { rows } = await pool.query(
+      `UPDATE tenants SET archived_at = NOW(), updated_by = $2, updated_at = NOW()
+        WHERE slug = $1 AND archived_at IS NULL
+        RETURNING *`,
+      [slug, updatedBy || null],
+    );
+    if (!rows[0]) throw new Error(`Tenant not found: ${slug}`);
+    invalidate();
+    logger.log(`[tenants] ${slug} archived by ${updatedBy || 'unknown'}`);
+    return rows[0];
+  }
+
+  return {
+    all,
+    slugs,
+    find,
+    get,
+    forService,
+    secret,
+    crmConfig,
+    invalidate,
+    list,
+    describe,
+    create,
+    update,
+    archive,
+  };
+}
+
+/** The editable fields present in `fields`, checked; '' counts as null. */
+function validateFields(fields = {}) {
+  const values = {};
+  for (const col of EDITABLE) {
+    if (fields[col] === undefined) continue;
+    const v = fields[col] === '' || fields[col] === null ? null : String(fields[col]).trim();
+    if (v && col === 'company_id' && !UUID_PATTERN.test(v)) throw new Error(`Invalid company_id: ${v}`);
+    if (v && col === 'crm_url' && !/^https?:\/\/[^\s]+$/.test(v)) throw new Error(`Invalid crm_url: ${v}`);
+    if (v && REF_PATTERNS[col] && !REF_PATTERNS[col].test(v)) {
+      throw new Error(`Invalid ${col}: ${v}. Give the env var name holding the secret, matching ${REF_PATTERNS[col].source} (e.g. ${REF_EXAMPLES[col]})`);
+    }
+    values[col] = col === 'crm_url' && v ? v.replace(/\/+$/, '') : v;
+  }
+  return values;
+}
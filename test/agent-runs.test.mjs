@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgentRuns } from '../agent-runs.mjs';
+
+/** A client for one transition() of an existing run; statements are logged by their first words. */
+function fakePool({ failLedger = false } = {}) {
+  const log = [];
+  const run = { id: 'run-1', state: 'running', feedback_task_id: 't1', attempt: 1 };
+  async function query(sql) {
+    const words = sql.trim().split(/\s+/).slice(0, 3).join(' ');
+    log.push(words);
+    if (/FROM mcp_feedback_tasks/.test(sql)) return { rows: [{ id: 't1', scope: 'be' }] };
+    if (/^SELECT \* FROM agent_runs/.test(sql)) return { rows: [run] };
+    if (/^UPDATE agent_runs/.test(sql)) return { rows: [{ ...run, state: 'in_review' }] };
+    if (/INSERT INTO llm_usage/.test(sql) && failLedger) throw new Error('llm_usage is locked');
+    return { rows: [] };
+  }
+  return { log, async connect() { return { query, release() {} }; } };
+}
+
+const quiet = { log() {} };
+const input = { tenant: 'acme', crm_task_id: 'T-1', attempt: 1, to_state: 'in_review', token_input: 1200, token_output: 300, cost_estimate_usd: 0.02 };
+
+test('reported tokens reach the ledger in the same transaction as the run', async () => {
+  const pool = fakePool();
+  await createAgentRuns({ pool, logger: quiet }).transition(input);
+  const ledger = pool.log.indexOf('INSERT INTO llm_usage');
+  assert.ok(ledger > pool.log.indexOf('UPDATE agent_runs SET'));
+  assert.ok(ledger < pool.log.indexOf('COMMIT'));
+});
+
+test('a failed ledger write rolls the transition back', async () => {
+  const pool = fakePool({ failLedger: true });
+  await assert.rejects(createAgentRuns({ pool, logger: quiet }).transition(input), /llm_usage is locked/);
+  assert.ok(pool.log.includes('ROLLBACK'));
+  assert.ok(!pool.log.includes('COMMIT'));
+});
+
+test('no ledger row without reported usage', async () => {
+  const pool = fakePool();
+  await createAgentRuns({ pool, logger: quiet }).transition({ tenant: 'acme', crm_task_id: 'T-1', attempt: 1, to_state: 'in_review' });
+  assert.ok(!pool.log.includes('INSERT INTO llm_usage'));
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiKeys } from '../api-keys.mjs';
+
+/** Records each INSERT and echoes the key's scope back like RETURNING. */
+function fakePool() {
+  const inserted = [];
+  return {
+    inserted,
+    async query(sql, params) {
+      if (!/^\s*INSERT INTO api_keys/.test(sql)) throw new Error(`unexpected query: ${sql}`);
+      inserted.push(params);
+      return { rows: [{ id: `k${inserted.length}`, name: params[0], role: params[4], allowed_tenants: params[5], allowed_tools: params[6] }] };
+    },
+  };
+}
+
+function apiKeys() {
+  const pool = fakePool();
+  const keys = createApiKeys({ pool, knownTools: new Set(['list_companies', 'get_metrics', 'delete_crm_user']), logger: { log() {} } });
+  return { pool, mint: (fields, creator) => keys.mint({ name: 'sync', owner: 'ops@example.com', ...fields }, 'creator', creator) };
+}
+
+const service = { kind: 'service' };
+const admin = { kind: 'user', uid: 'u1', role: 'admin', tenants: ['acme'] };
+const manager = { kind: 'user', uid: 'u2', role: 'manager', tenants: ['acme', 'globex'] };
+const scopedKey = { kind: 'api_key', keyId: 'k0', role: 'admin', tenants: ['acme'], tools: ['list_companies', 'get_metrics'] };
+
+test('the service key and admin users may mint any scope', async () => {
+  const { mint } = apiKeys();
+  assert.equal((await mint({ role: 'admin' }, service)).role, 'admin');
+  // Admin users are never tenant-limited, whatever their claim says.
+  assert.equal((await mint({ role: 'admin', tenants: ['globex'] }, admin)).role, 'admin');
+});
+
+test('a key may not outrank its creator', async () => {
+  const { mint, pool } = apiKeys();
+  await assert.rejects(mint({ role: 'admin', tenants: ['acme'] }, manager), /^Error: Forbidden: cannot mint a key with role admin \(you are manager\)$/);
+  assert.equal((await mint({ role: 'manager', tenants: ['acme'] }, manager)).role, 'manager');
+  assert.equal(pool.inserted.length, 1);
+});
+
+test('a tenant-limited creator can only mint keys inside their tenants', async () => {
+  const { mint } = apiKeys();
+  await assert.rejects(mint({}, manager), /Forbidden: the key needs a tenants list within yours \(acme, globex\)/);
+  await assert.rejects(mint({ tenants: ['acme', 'initech'] }, manager), /Forbidden: tenants outside your scope: initech/);
+  assert.deepEqual((await mint({ tenants: ['globex'] }, manager)).allowed_tenants, ['globex']);
+});
+
+test('a tool-limited key can only mint keys inside its tools', async () => {
+  const { mint } = apiKeys();
+  await assert.rejects(mint({ tenants: ['acme'] }, scopedKey), /Forbidden: the key needs a tools list/);
+  await assert.rejects(mint({ tenants: ['acme'], tools: ['delete_crm_user'] }, scopedKey), /Forbidden: tools outside your scope: delete_crm_user/);
+  const key = await mint({ tenants: ['acme'], tools: ['get_metrics'] }, scopedKey);
+  assert.deepEqual(key.allowed_tools, ['get_metrics']);
+});
+
+test('anonymous callers cannot mint keys', async () => {
+  await assert.rejects(apiKeys().mint({}, undefined), /Forbidden: minting an API key needs an authenticated caller/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthz } from '../authz.mjs';
+
+const tools = [
+  { name: 'list_companies', access: 'read', inputSchema: { properties: { limit: {} } } },
+  { name: 'list_agent_runs', access: 'read', inputSchema: { properties: { tenant: {}, limit: {} } } },
+  { name: 'list_crm_users', access: 'read', inputSchema: { properties: { company: {} } } },
+];
+
+const authz = createAuthz({ enforce: true, tools, logger: { warn() {} } });
+const agent = { kind: 'user', uid: 'u1', role: 'agent', tenants: ['acme'] };
+const admin = { kind: 'user', uid: 'u2', role: 'admin', tenants: ['acme'] };
+const service = { kind: 'service' };
+
+/** Runs routeGate and returns the 403 body, or null when it let the request through. */
+function gate(identity, path, query = {}) {
+  let denied = null;
+  const res = { status: () => ({ json: (body) => { denied = body.error; } }) };
+  authz.routeGate({ mcpIdentity: identity, method: 'GET', path, query }, res, () => {});
+  return denied;
+}
+
+test('a tenant-limited caller must name one of its tenants when a tool takes one', () => {
+  assert.throws(() => authz.assertTool(agent, 'list_agent_runs', {}), /Forbidden: list_agent_runs without a tenant covers every tenant; pass one of yours \(acme\)/);
+  assert.throws(() => authz.assertTool(agent, 'list_crm_users', { company: 'globex' }), /outside your tenants/);
+  authz.assertTool(agent, 'list_agent_runs', { tenant: 'acme' });
+  authz.assertTool(agent, 'list_companies', {});
+  authz.assertTool(admin, 'list_agent_runs', {});
+  authz.assertTool(service, 'list_agent_runs', {});
+  // Listing tools is not calling them.
+  assert.deepEqual(authz.visibleTools(agent, tools).map((t) => t.name), ['list_companies', 'list_agent_runs', 'list_crm_users']);
+});
+
+test('tenantsOf narrows only tenant-limited callers', () => {
+  assert.deepEqual(authz.tenantsOf(agent), ['acme']);
+  assert.deepEqual(authz.tenantsOf({ kind: 'api_key', keyId: 'k1', role: 'admin', tenants: ['acme'] }), ['acme']);
+  assert.equal(authz.tenantsOf(admin), null);
+  assert.equal(authz.tenantsOf(service), null);
+  assert.equal(authz.tenantsOf({ kind: 'user', uid: 'u3', role: 'manager' }), null);
+  assert.equal(createAuthz({ enforce: false, tools }).tenantsOf(agent), null);
+});
+
+test('routes check tenants in the query string', () => {
+  assert.match(gate(agent, '/api/feedback/all', { company: 'globex' }), /tenant globex is outside your tenants/);
+  assert.match(gate(agent, '/api/feedback-tasks', { tenant: ['acme', 'globex'] }), /tenant globex is outside your tenants/);
+  assert.match(gate(agent, '/api/feedback/stats', { slug: 'globex' }), /outside your tenants/);
+  assert.equal(gate(agent, '/api/feedback-tasks', { tenant: 'acme' }), null);
+  assert.equal(gate(agent, '/api/portfolio-summary'), null);
+  assert.equal(gate(admin, '/api/feedback/all', { company: 'globex' }), null);
+});
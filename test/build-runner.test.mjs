@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBuildRunner } from '../build-runner.mjs';
+
+test('recovery only fails runs whose heartbeat is older than the lease', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return { rows: /^\s*UPDATE build_runs/.test(sql) ? [{ id: 'r1' }] : [] };
+    },
+  };
+  const runner = createBuildRunner({ pool, workRoot: '/tmp/x', leaseMs: 120_000, logger: { log() {} } });
+  assert.equal(await runner.recoverOrphanedRuns(), 1);
+  const [runs, tasks] = queries;
+  assert.match(runs.sql, /WHERE status = 'running'\s+AND COALESCE\(heartbeat_at, updated_at\) < NOW\(\) - \$1/);
+  assert.deepEqual(runs.params, [120_000]);
+  assert.deepEqual(tasks.params, [['r1']]);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChatStore, redactContent } from '../chat-store.mjs';
+
+/** Just enough of chat_conversations / chat_messages for appendMessages. */
+function fakePool() {
+  const messages = [];
+  async function query(sql, params = []) {
+    if (/FROM chat_conversations WHERE id = \$1 FOR UPDATE/.test(sql)) return { rows: [{ message_count: messages.length, title: null }] };
+    if (/INSERT INTO chat_messages/.test(sql)) messages.push({ seq: params[1], role: params[2], content: JSON.parse(params[3]) });
+    return { rows: [] };
+  }
+  return { messages, query, async connect() { return { query, release() {} }; } };
+}
+
+test('stored tool inputs and results are redacted like audit arguments', async () => {
+  const pool = fakePool();
+  const store = createChatStore({ pool, anthropic: null, logger: { log() {} } });
+  await store.appendMessages('conv-1', [
+    { role: 'user', content: 'reset the password for ana' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Resetting it.' },
+        { type: 'tool_use', id: 'tu1', name: 'reset_crm_user_password', input: { company: 'acme', user_id: 'u1', new_password: 'hunter22' } },
+      ],
+    },
+    {
+      role: 'user',
+      content: [{ type: 'tool_result', tool_use_id: 'tu1', content: JSON.stringify({ success: true, api_key: 'abx_live_123', content_base64: 'A'.repeat(5000) }) }],
+    },
+  ]);
+
+  assert.equal(pool.messages[0].content, 'reset the password for ana');
+  assert.deepEqual(pool.messages[1].content[0], { type: 'text', text: 'Resetting it.' });
+  assert.deepEqual(pool.messages[1].content[1].input, { company: 'acme', user_id: 'u1', new_password: '[REDACTED]' });
+  assert.deepEqual(JSON.parse(pool.messages[2].content[0].content), { success: true, api_key: '[REDACTED]', content_base64: '[base64 5000 chars]' });
+  assert.equal(pool.messages[2].content[0].tool_use_id, 'tu1');
+});
+
+test('non-JSON tool results and block-array results are redacted too', () => {
+  const [plain, blocks] = redactContent([
+    { type: 'tool_result', tool_use_id: 'a', content: 'x'.repeat(3000), is_error: true },
+    { type: 'tool_result', tool_use_id: 'b', content: [{ type: 'text', text: 'ok', token: 't' }] },
+  ]);
+  assert.match(plain.content, /…\[3000 chars\]$/);
+  assert.equal(plain.is_error, true);
+  assert.deepEqual(blocks.content, [{ type: 'text', text: 'ok', token: '[REDACTED]' }]);
+});
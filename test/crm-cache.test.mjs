@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCrmCache, parseTtls, combineFreshness } from '../crm-cache.mjs';
+
+const quiet = { warn() {} };
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** A loader returning 1, 2, 3… after `delayMs`, or throwing while `failing`. */
+function counter(delayMs = 0) {
+  const load = async () => {
+    load.calls++;
+    await sleep(delayMs);
+    if (load.failing) throw new Error('CRM down');
+    return load.calls;
+  };
+  load.calls = 0;
+  load.failing = false;
+  return load;
+}
+
+// TTLs are in seconds: 0.05 = 50ms.
+function cache(fetch, overrides = {}) {
+  return createCrmCache({ fetch, ttls: { default: 0.05 }, logger: quiet, maxStaleMs: 200, maxWaitMs: 50, hotMs: 1000, ...overrides });
+}
+
+test('a fresh entry is served from the cache', async () => {
+  const load = counter();
+  const c = cache(load);
+  const first = await c.get('acme', '/widgets');
+  const second = await c.get('acme', '/widgets');
+  assert.equal(first.data, 1);
+  assert.equal(first.stale, false);
+  assert.deepEqual(second, first);
+  assert.equal(load.calls, 1);
+});
+
+test('a stale entry is served at once and revalidated in the background', async () => {
+  const load = counter();
+  const c = cache(load);
+  await c.get('acme', '/widgets');
+  await sleep(60);
+
+  const stale = await c.get('acme', '/widgets');
+  assert.equal(stale.data, 1);
+  assert.equal(stale.stale, true);
+  await sleep(5);
+  const fresh = await c.get('acme', '/widgets');
+  assert.equal(fresh.data, 2);
+  assert.equal(fresh.stale, false);
+});
+
+test('a cold get waits for the fetch, at most maxWaitMs', async () => {
+  const slow = counter(100);
+  const c = cache(slow);
+  const cold = await c.get('acme', '/widgets');
+  assert.deepEqual(cold, { data: null, fetched_at: null, stale: true });
+
+  await sleep(60);
+  const later = await c.get('acme', '/widgets');
+  assert.equal(later.data, 1);
+  assert.equal(slow.calls, 1);
+});
+
+test('a failed cold fetch returns the error and no data', async () => {
+  const load = counter();
+  load.failing = true;
+  const result = await cache(load).get('acme', '/widgets');
+  assert.deepEqual(result, { data: null, fetched_at: null, stale: true, error: 'CRM down' });
+});
+
+test('a failed revalidation keeps serving the last value', async () => {
+  const load = counter();
+  const c = cache(load);
+  await c.get('acme', '/widgets');
+  await sleep(60);
+  load.failing = true;
+  await c.get('acme', '/widgets');
+  await sleep(5);
+  const result = await c.get('acme', '/widgets');
+  assert.equal(result.data, 1);
+  assert.equal(result.stale, true);
+  assert.equal(result.error, 'CRM down');
+});
+
+test('concurrent cold gets share one fetch', async () => {
+  const load = counter(10);
+  const c = cache(load);
+  const results = await Promise.all([c.get('acme', '/widgets'), c.get('acme', '/widgets'), c.get('acme', '/widgets')]);
+  assert.equal(load.calls, 1);
+  assert.deepEqual(results.map((r) => r.data), [1, 1, 1]);
+});
+
+test('invalidate makes the next get wait for a fresh fetch', async () => {
+  const load = counter();
+  const c = cache(load, { ttls: { default: 60 } });
+  await c.get('acme', '/tester-feedback/stats');
+  c.invalidate('acme', '/tester-feedback/stats');
+  const result = await c.get('acme', '/tester-feedback/stats');
+  assert.equal(result.data, 2);
+  assert.equal(result.stale, false);
+});
+
+test('refreshHot re-fetches entries near expiry', async () => {
+  const load = counter();
+  const c = cache(load);
+  await c.get('acme', '/widgets');
+  assert.equal(c.refreshHot(), 0);
+  await sleep(45);
+  assert.equal(c.refreshHot(), 1);
+  await sleep(5);
+  assert.equal((await c.get('acme', '/widgets')).data, 2);
+});
+
+test('parseTtls and combineFreshness', () => {
+  assert.deepEqual(parseTtls('/rag/stats=900, default=30,bogus,/x=-1'), { '/rag/stats': 900, default: 30 });
+  assert.deepEqual(
+    combineFreshness([
+      { fetched_at: '2026-01-01T00:00:02.000Z', stale: false },
+      { fetched_at: '2026-01-01T00:00:01.000Z', stale: true },
+    ]),
+    { fetched_at: '2026-01-01T00:00:01.000Z', stale: true },
+  );
+  assert.equal(combineFreshness([{ fetched_at: null, stale: true }, { fetched_at: 'x', stale: false }]).fetched_at, null);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCrmClient } from '../crm-client.mjs';
+
+const tenantRegistry = {
+  async find(slug) {
+    return { slug, crmUrl: 'https://crm.example.test/', crmKeyRef: 'CRM_KEY', taskCrmKeyRef: 'TASK_KEY' };
+  },
+  secret(ref) {
+    return `secret-${ref}`;
+  },
+};
+
+const quiet = { log() {}, warn() {} };
+
+function json(status, body = {}) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+/** A fetch answering from `responses` in turn (the last one repeats), recording each call. */
+function scriptedFetch(...responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+function client(fetch, overrides = {}) {
+  return createCrmClient({
+    tenantRegistry,
+    fetch,
+    logger: quiet,
+    retries: 2,
+    retryBaseMs: 1,
+    retryMaxMs: 1,
+    breakerThreshold: 3,
+    breakerCooldownMs: 50,
+    ...overrides,
+  });
+}
+
+test('request sends the tenant and credential headers to /api<path>', async () => {
+  const fetch = scriptedFetch(json(200, { ok: true }));
+  const crm = client(fetch);
+  assert.deepEqual(await crm.request('acme', 'GET', '/health'), { ok: true });
+  await crm.request('acme', 'POST', '/tasks', { title: 'x' }, { credential: 'task' });
+
+  assert.equal(fetch.calls[0].url, 'https://crm.example.test/api/health');
+  assert.equal(fetch.calls[0].init.headers['X-Tenant-ID'], 'acme');
+  assert.equal(fetch.calls[0].init.headers['X-API-Key'], 'secret-CRM_KEY');
+  assert.equal(fetch.calls[1].init.headers['X-API-Key'], 'secret-TASK_KEY');
+  assert.equal(fetch.calls[1].init.body, '{"title":"x"}');
+});
+
+test('idempotent methods are retried on 5xx and transport errors', async () => {
+  const fetch = scriptedFetch(json(503), new TypeError('fetch failed'), json(200, { n: 1 }));
+  assert.deepEqual(await client(fetch).request('acme', 'GET', '/metrics'), { n: 1 });
+  assert.equal(fetch.calls.length, 3);
+});
+
+test('retries stop after CRM_RETRIES and surface the last error', async () => {
+  const fetch = scriptedFetch(json(502, { message: 'bad gateway' }));
+  const err = await client(fetch).request('acme', 'GET', '/metrics').catch((e) => e);
+  assert.equal(err.message, 'bad gateway');
+  assert.equal(err.crmStatus, 502);
+  assert.equal(fetch.calls.length, 3);
+});
+
+test('POST is never retried and 4xx is not retried', async () => {
+  const post = scriptedFetch(json(503));
+  await assert.rejects(client(post).request('acme', 'POST', '/tasks', {}));
+  assert.equal(post.calls.length, 1);
+
+  const notFound = scriptedFetch(json(404, { message: 'no such user' }));
+  await assert.rejects(client(notFound).request('acme', 'GET', '/admin/users/9'), /no such user/);
+  assert.equal(notFound.calls.length, 1);
+});
+
+test('the breaker opens after the threshold and fails fast with 503', async () => {
+  const fetch = scriptedFetch(json(500));
+  const crm = client(fetch, { retries: 0 });
+  for (let i = 0; i < 3; i++) await assert.rejects(crm.request('acme', 'GET', '/metrics'));
+  assert.equal(crm.breaker('acme').state, 'open');
+
+  const err = await crm.request('acme', 'GET', '/metrics').catch((e) => e);
+  assert.equal(err.statusCode, 503);
+  assert.match(err.message, /CRM acme is unavailable: 3 failed calls in a row/);
+  assert.equal(fetch.calls.length, 3);
+
+  // Other tenants have their own breaker.
+  assert.equal(crm.breaker('globex').state, 'closed');
+});
+
+test('after the cooldown one probe call closes the breaker on success', async () => {
+  const fetch = scriptedFetch(json(500), json(500), json(500), json(200, { ok: true }));
+  const crm = client(fetch, { retries: 0 });
+  for (let i = 0; i < 3; i++) await assert.rejects(crm.request('acme', 'GET', '/metrics'));
+  await new Promise((resolve) => setTimeout(resolve, 60));
+
+  assert.deepEqual(await crm.request('acme', 'GET', '/metrics'), { ok: true });
+  assert.deepEqual(crm.breaker('acme'), { state: 'closed', failures: 0 });
+});
+
+test('a failed probe reopens the breaker straight away', async () => {
+  const fetch = scriptedFetch(json(500));
+  const crm = client(fetch, { retries: 0 });
+  for (let i = 0; i < 3; i++) await assert.rejects(crm.request('acme', 'GET', '/metrics'));
+  await new Promise((resolve) => setTimeout(resolve, 60));
+
+  await assert.rejects(crm.request('acme', 'GET', '/metrics'), (err) => err.crmStatus === 500);
+  assert.equal(crm.breaker('acme').state, 'open');
+  await assert.rejects(crm.request('acme', 'GET', '/metrics'), (err) => err.statusCode === 503);
+});
+
+test('4xx responses do not count against the CRM', async () => {
+  const fetch = scriptedFetch(json(500), json(500), json(400), json(500), json(500));
+  const crm = client(fetch, { retries: 0 });
+  for (let i = 0; i < 5; i++) await assert.rejects(crm.request('acme', 'GET', '/metrics'));
+  assert.equal(crm.breaker('acme').state, 'closed');
+  assert.equal(crm.breaker('acme').failures, 2);
+});
+
+test('probe bypasses an open breaker', async () => {
+  const fetch = scriptedFetch(json(500), json(500), json(500), json(200));
+  const crm = client(fetch, { retries: 0 });
+  for (let i = 0; i < 3; i++) await assert.rejects(crm.request('acme', 'GET', '/metrics'));
+  const health = await crm.probe('acme');
+  assert.equal(health.status, 'healthy');
+  assert.equal(crm.breaker('acme').state, 'open');
+});
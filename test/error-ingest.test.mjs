@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createErrorIngestWorker, _internals } from '../error-ingest.mjs';
+
+// Just enough of error_ingest_cursors / error_events for ingestService.
+function fakePool() {
+  const cursors = new Map();
+  const events = new Map();
+  let nextId = 1;
+  let tx = null;
+
+  async function query(sql, params = []) {
+    if (sql === 'BEGIN') { tx = { cursors: new Map(cursors), events: new Map([...events].map(([k, v]) => [k, { ...v }])) }; return { rows: [] }; }
+    if (sql === 'COMMIT') { tx = null; return { rows: [] }; }
+    if (sql === 'ROLLBACK') {
+      cursors.clear(); tx.cursors.forEach((v, k) => cursors.set(k, v));
+      events.clear(); tx.events.forEach((v, k) => events.set(k, v));
+      tx = null;
+      return { rows: [] };
+    }
+    if (/FROM error_ingest_cursors/.test(sql)) {
+      const c = cursors.get(params[0]);
+      return { rows: c ? [c] : [] };
+    }
+    if (/INSERT INTO error_events/.test(sql)) {
+      const [service, severity, message, , , fingerprint, count, firstSeen, lastSeen] = params;
+      const existing = events.get(fingerprint);
+      if (existing) {
+        existing.occurrence_count += count;
+        if (lastSeen > existing.last_seen_at) existing.last_seen_at = lastSeen;
+        return { rows: [{ id: existing.id, inserted: false }] };
+      }
+      const row = { id: `e${nextId++}`, service, severity, message, fingerprint, occurrence_count: count, first_seen_at: firstSeen, last_seen_at: lastSeen };
+      events.set(fingerprint, row);
+      return { rows: [{ id: row.id, inserted: true }] };
+    }
+    if (/INSERT INTO error_ingest_cursors/.test(sql)) {
+      if (pool.failCursorWrite) throw new Error('connection reset');
+      cursors.set(params[0], { last_timestamp: params[1], last_insert_ids: params[2] });
+      return { rows: [] };
+    }
+    throw new Error(`unexpected query: ${sql}`);
+  }
+
+  const pool = {
+    cursors,
+    events,
+    failCursorWrite: false,
+    query,
+    async connect() { return { query, release() {} }; },
+  };
+  return pool;
+}
+
+function entry(insertId, timestamp, message, extra = {}) {
+  return {
+    insertId,
+    timestamp,
+    severity: 'ERROR',
+    resource: { labels: { service_name: 'crm-acme' } },
+    textPayload: message,
+    ...extra,
+  };
+}
+
+// listEntries like Cloud Logging's: timestamp >= since, ascending.
+function logSourceOf(entries) {
+  return {
+    name: 'test',
+    async listEntries({ since, limit }) {
+      return entries
+        .filter((e) => new Date(e.timestamp) >= since)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .slice(0, limit);
+    },
+  };
+}
+
+const quiet = { log() {}, error() {} };
+
+test('ingest groups entries by fingerprint and advances the cursor to the newest timestamp', async () => {
+  const pool = fakePool();
+  const entries = [
+    entry('a', '2026-01-01T00:00:01Z', 'Order 1234 not found'),
+    entry('b', '2026-01-01T00:00:02Z', 'Order 5678 not found'),
+    entry('c', '2026-01-01T00:00:03Z', 'Disk full'),
+  ];
+  const worker = createErrorIngestWorker({ pool, logSource: logSourceOf(entries), services: ['crm-acme'], lookbackMs: 1e12, logger: quiet });
+
+  const result = await worker.ingestService('crm-acme');
+  assert.deepEqual(result, { service: 'crm-acme', entries: 3, fingerprints: 2, new_events: 2 });
+  const counts = [...pool.events.values()].map((e) => e.occurrence_count).sort();
+  assert.deepEqual(counts, [1, 2]);
+  const cursor = pool.cursors.get('crm-acme');
+  assert.equal(cursor.last_timestamp.toISOString(), '2026-01-01T00:00:03.000Z');
+  assert.deepEqual(cursor.last_insert_ids, ['c']);
+});
+
+test('entries at the cursor timestamp are not counted twice', async () => {
+  const pool = fakePool();
+  const entries = [
+    entry('a', '2026-01-01T00:00:01Z', 'Disk full'),
+    entry('b', '2026-01-01T00:00:02Z', 'Disk full'),
+  ];
+  const worker = createErrorIngestWorker({ pool, logSource: logSourceOf(entries), services: ['crm-acme'], lookbackMs: 1e12, logger: quiet });
+  await worker.ingestService('crm-acme');
+
+  // A late entry lands on the boundary timestamp; the two seen ones come back too.
+  entries.push(entry('c', '2026-01-01T00:00:02Z', 'Disk full'));
+  const second = await worker.ingestService('crm-acme');
+  assert.equal(second.entries, 1);
+  assert.equal([...pool.events.values()][0].occurrence_count, 3);
+  assert.deepEqual([...pool.cursors.get('crm-acme').last_insert_ids].sort(), ['b', 'c']);
+
+  const third = await worker.ingestService('crm-acme');
+  assert.deepEqual(third, { service: 'crm-acme', entries: 0, fingerprints: 0 });
+  assert.equal([...pool.events.values()][0].occurrence_count, 3);
+});
+
+test('a failed cursor write rolls back the counts so the batch is replayed once', async () => {
+  const pool = fakePool();
+  const entries = [entry('a', '2026-01-01T00:00:01Z', 'Disk full')];
+  const worker = createErrorIngestWorker({ pool, logSource: logSourceOf(entries), services: ['crm-acme'], lookbackMs: 1e12, logger: quiet });
+
+  pool.failCursorWrite = true;
+  await assert.rejects(worker.ingestService('crm-acme'), /connection reset/);
+  assert.equal(pool.events.size, 0);
+
+  pool.failCursorWrite = false;
+  await worker.ingestService('crm-acme');
+  assert.equal([...pool.events.values()][0].occurrence_count, 1);
+});
+
+test('fingerprints ignore volatile ids and line numbers', () => {
+  const { computeFingerprint, normalizeMessage } = _internals;
+  assert.equal(normalizeMessage('user 42 at 2026-01-01T00:00:00Z'), normalizeMessage('user 7 at 2026-02-03T04:05:06Z'));
+  const trace = (line) => `TypeError: x is undefined\n    at load (/app/server.js:${line}:10)\n    at main (/app/index.js:3:1)`;
+  assert.equal(computeFingerprint('svc', trace(10), 'a'), computeFingerprint('svc', trace(99), 'b'));
+  assert.notEqual(computeFingerprint('svc', trace(10), 'a'), computeFingerprint('other', trace(10), 'a'));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ANTHROPIC_API_KEY ||= 'test-key';
+const { triageErrorEvent, safetyPollErrorTriage } = await import('../error-triage.mjs');
+
+test('the budget check uses the tenant that registered the service', async () => {
+  process.env['LLM_MONTHLY_BUDGET_USD_ACME-EU'] = '10';
+  const released = [];
+  const pool = {
+    async query(sql, params) {
+      if (/SET triage_status = 'running'/.test(sql)) return { rowCount: 1, rows: [{ id: params[0], service: 'crm-acme-eu-prod', severity: 'ERROR' }] };
+      if (/FROM llm_usage/.test(sql)) return { rows: [{ spent: params[0] === 'acme-eu' ? 12 : 0 }] };
+      if (/SET triage_status = 'pending'/.test(sql)) released.push(params[0]);
+      return { rowCount: 1, rows: [] };
+    },
+  };
+  const tenants = { async forService(service) { return service === 'crm-acme-eu-prod' ? { slug: 'acme-eu' } : null; } };
+  try {
+    const result = await triageErrorEvent('e1', pool, { tenants });
+    assert.deepEqual(result, { skipped: true, reason: 'llm_budget_exhausted', tenant: 'acme-eu' });
+    assert.deepEqual(released, ['e1']);
+  } finally {
+    delete process.env['LLM_MONTHLY_BUDGET_USD_ACME-EU'];
+  }
+});
+
+test('the safety poll leaves over-budget tenants\' services out of the batch', async () => {
+  process.env['LLM_MONTHLY_BUDGET_USD_ACME-EU'] = '10';
+  let polled;
+  const pool = {
+    async query(sql, params) {
+      if (/FROM llm_usage/.test(sql)) return { rows: [{ tenant: 'acme-eu', spent: 12 }] };
+      if (/SELECT id FROM error_events/.test(sql)) { polled = params; return { rows: [] }; }
+      return { rowCount: 0, rows: [] };
+    },
+  };
+  const tenants = { async all() { return [{ slug: 'acme-eu', service: 'crm-acme-eu-prod' }, { slug: 'globex', service: 'crm-backend-globex' }]; } };
+  try {
+    await safetyPollErrorTriage(pool, { tenants });
+    assert.deepEqual(polled, [['crm-acme-eu-prod']]);
+  } finally {
+    delete process.env['LLM_MONTHLY_BUDGET_USD_ACME-EU'];
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceFor, computeCost, getExhaustedTenants } from '../llm-usage.mjs';
+
+test('prices match the exact model id, aliases and snapshots alike', () => {
+  assert.equal(priceFor('claude-sonnet-4-20250514').input, 3);
+  assert.equal(priceFor('claude-haiku-4-5').output, 5);
+  assert.equal(priceFor('claude-haiku-4-5-20251001').output, 5);
+});
+
+test('an unknown model has no price, even when it looks like a known one', () => {
+  for (const model of ['claude-sonnet-4-9', 'claude-opus-4-5-preview', 'claude-opus-4', 'claude-code', 'constructor', undefined]) {
+    assert.equal(priceFor(model), null, String(model));
+    assert.equal(computeCost(model, { input_tokens: 1000 }), null, String(model));
+  }
+});
+
+test('cost is per million tokens across all four token kinds', () => {
+  const cost = computeCost('claude-sonnet-4-5', {
+    input_tokens: 1_000_000,
+    output_tokens: 100_000,
+    cache_read_input_tokens: 1_000_000,
+    cache_creation_input_tokens: 100_000,
+  });
+  assert.equal(cost, 3 + 1.5 + 0.3 + 0.375);
+});
+
+test('getExhaustedTenants lists budgeted tenants at or over budget, and fails open', async () => {
+  process.env.LLM_MONTHLY_BUDGET_USD_ACME = '10';
+  process.env.LLM_MONTHLY_BUDGET_USD_GLOBEX = '10';
+  try {
+    const pool = {
+      async query() {
+        return { rows: [{ tenant: 'acme', spent: 10 }, { tenant: 'globex', spent: 9.99 }, { tenant: 'initech', spent: 500 }] };
+      },
+    };
+    assert.deepEqual(await getExhaustedTenants(pool), ['acme']);
+    const down = { async query() { throw new Error('connection refused'); } };
+    const error = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await getExhaustedTenants(down), []);
+    } finally {
+      console.error = error;
+    }
+  } finally {
+    delete process.env.LLM_MONTHLY_BUDGET_USD_ACME;
+    delete process.env.LLM_MONTHLY_BUDGET_USD_GLOBEX;
+  }
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMcpNotifier } from '../mcp-notifications.mjs';
+
+const quiet = { log() {} };
+
+/** An SSE response that records what was written to it. */
+function stream() {
+  return { written: [], ended: false, write(chunk) { this.written.push(chunk); }, end() { this.ended = true; } };
+}
+
+test('idle sessions without an open stream are evicted with their buffer', () => {
+  const notifier = createMcpNotifier({ canSeeTenant: () => true, idleMs: 1000, logger: quiet });
+  const idle = stream();
+  const live = stream();
+  notifier.open('s-idle');
+  notifier.open('s-live');
+  notifier.attach('s-live', null, live);
+  notifier.listChanged('prompts');
+
+  const later = Date.now() + 2000;
+  assert.equal(notifier.sweep(later), 1);
+
+  // s-idle is gone: a reconnect starts from an empty buffer.
+  notifier.attach('s-idle', null, idle, '0');
+  assert.equal(idle.written.length, 0);
+  assert.equal(live.written.length, 1);
+});
+
+test('a used session is kept', () => {
+  const notifier = createMcpNotifier({ canSeeTenant: () => true, idleMs: 1000, logger: quiet });
+  notifier.open('s1');
+  assert.equal(notifier.sweep(Date.now() + 500), 0);
+  const detach = notifier.attach('s1', null, stream());
+  detach();
+  notifier.touch('s1');
+  assert.equal(notifier.sweep(Date.now() + 500), 0);
+  assert.equal(notifier.sweep(Date.now() + 2000), 1);
+});
+
+test('a tenant: null event only reaches sessions canSeeTenant allows', () => {
+  const canSeeTenant = (identity, tenant) => (tenant ? identity.tenants.includes(tenant) : identity.tenants.length === 0);
+  const notifier = createMcpNotifier({ canSeeTenant, logger: quiet });
+  const limited = stream();
+  const unlimited = stream();
+  notifier.attach('s-limited', { tenants: ['acme'] }, limited);
+  notifier.attach('s-unlimited', { tenants: [] }, unlimited);
+  notifier.publish('triage_finished', { kind: 'error', id: 'e1', tenant: null });
+  notifier.publish('triage_finished', { kind: 'error', id: 'e2', tenant: 'acme' });
+  notifier.publish('health_changed', { deployment_id: 'd1' });
+  assert.equal(limited.written.length, 2);
+  assert.equal(unlimited.written.length, 2);
+  assert.match(limited.written[0], /"id":"e2"/);
+  assert.match(unlimited.written[0], /"id":"e1"/);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_PROMPTS, createMcpPrompts } from '../mcp-prompts.mjs';
+
+test('tenant_incident_review asks for the tenant\'s errors, not a guessed service name', async () => {
+  const builtin = BUILTIN_PROMPTS.find((p) => p.name === 'tenant_incident_review');
+  const pool = {
+    async query(sql) {
+      return { rows: /^SELECT/.test(sql) ? [builtin] : [] };
+    },
+  };
+  const calls = [];
+  const callTool = async (identity, name, args) => {
+    calls.push({ name, args });
+    return [];
+  };
+  const toolAccess = { get_deployment_log_summary: 'read', list_error_events: 'read', get_tenant_config: 'read' };
+  const prompts = createMcpPrompts({ pool, callTool, toolAccess, logger: { log() {} } });
+
+  const { messages } = await prompts.render({ kind: 'service' }, 'tenant_incident_review', { tenant: 'acme-eu' });
+  assert.deepEqual(calls.find((c) => c.name === 'list_error_events').args, { tenant: 'acme-eu', limit: 25 });
+  assert.match(messages[0].content.text, /Recent error events on acme-eu's backend service:/);
+  assert.doesNotMatch(messages[0].content.text, /crm-backend-/);
+});
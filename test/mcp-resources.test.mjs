@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthz } from '../authz.mjs';
+import { createMcpResources } from '../mcp-resources.mjs';
+
+const tools = [
+  { name: 'list_companies', access: 'read', inputSchema: { properties: { limit: {} } } },
+  { name: 'list_all_documents', access: 'read', inputSchema: { properties: { slug: {}, limit: {} } } },
+  { name: 'list_project_context', access: 'read', inputSchema: { properties: {} } },
+  { name: 'get_company', access: 'read', inputSchema: { properties: { slug: {} } } },
+];
+
+const COMPANIES = [{ slug: 'acme', name: 'Acme' }, { slug: 'globex', name: 'Globex' }];
+const DOCUMENTS = [
+  { id: 'd1', name: 'plan.md', file_type: 'md', companies: { slug: 'acme', name: 'Acme' } },
+  { id: 'd2', name: 'deal.pdf', file_type: 'pdf', companies: { slug: 'globex', name: 'Globex' } },
+];
+
+/** Enforcing authz in front of one-page list tools, like invokeTool. */
+function resources() {
+  const authz = createAuthz({ enforce: true, tools, logger: { warn() {} } });
+  const calls = [];
+  async function callTool(identity, name, args) {
+    calls.push({ name, args });
+    authz.assertTool(identity, name, args);
+    if (name === 'list_companies') return { items: COMPANIES, next_cursor: null };
+    if (name === 'list_project_context') return { repos: [] };
+    if (name === 'list_all_documents') {
+      if (args.slug === 'initech') throw new Error('Company not found: initech');
+      return { items: DOCUMENTS.filter((d) => !args.slug || d.companies.slug === args.slug), next_cursor: null };
+    }
+    throw new Error(`unexpected tool ${name}`);
+  }
+  return { calls, mcp: createMcpResources({ callTool, authz }) };
+}
+
+const uris = ({ resources: list }) => list.map((r) => r.uri);
+
+test('a tenant-limited caller lists its own tenants\' documents', async () => {
+  const { calls, mcp } = resources();
+  const agent = { kind: 'user', uid: 'u1', role: 'agent', tenants: ['acme', 'initech'] };
+  assert.deepEqual(uris(await mcp.list(agent)), ['agentbox://company/acme', 'agentbox://document/d1']);
+  assert.deepEqual(calls.filter((c) => c.name === 'list_all_documents').map((c) => c.args.slug), ['acme', 'initech']);
+});
+
+test('unlimited callers list every document in one walk', async () => {
+  const { calls, mcp } = resources();
+  const list = await mcp.list({ kind: 'service' });
+  assert.equal(uris(list).length, 4);
+  assert.deepEqual(calls.filter((c) => c.name === 'list_all_documents').map((c) => c.args.slug), [undefined]);
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defineListing, listPage, isInvalidCursor } from '../pagination.mjs';
+
+const listing = defineListing({
+  fields: ['id', 'name', 'score'],
+  sort: { name: 'name', score: 'score' },
+  defaultSort: 'name',
+  key: 'id',
+  defaultLimit: 2,
+});
+
+const ROWS = [
+  { id: 1, name: 'delta', score: 3 },
+  { id: 2, name: 'alpha', score: 1 },
+  { id: 3, name: 'charlie', score: 3 },
+  { id: 4, name: 'bravo', score: 2 },
+  { id: 5, name: 'echo', score: 3 },
+  { id: 6, name: 'foxtrot', score: null },
+];
+
+// Postgres order: NULL above every value.
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : 1;
+}
+
+// The keyset WHERE as JS: columns become row fields, $n the params (text,
+// as listPage sends them).
+function keysetFilter(where) {
+  if (!where) return () => true;
+  const js = where
+    .replace(/\((id|name|score)\)( IS NOT NULL| IS NULL| = | < | > )(\$\d+)?/g, (_, col, op, param) => {
+      const value = `row.${col}`;
+      if (op === ' IS NOT NULL') return `${value} !== null`;
+      if (op === ' IS NULL') return `${value} === null`;
+      const p = `params[${param.slice(1) - 1}]`;
+      if (op === ' = ') return `(${value} !== null && String(${value}) === ${p})`;
+      return `(${value} !== null && compare(${value}, typeof ${value} === 'number' ? Number(${p}) : ${p}) ${op.trim()} 0)`;
+    })
+    .replace(/ AND /g, ' && ')
+    .replace(/ OR /g, ' || ')
+    .replace(/FALSE/g, 'false');
+  return new Function('row', 'params', 'compare', `return ${js};`);
+}
+
+// Runs listPage's query against ROWS: keyset WHERE, ORDER BY, LIMIT, and
+// the (expr)::text AS _sortN cursor columns.
+async function runQuery(sql, params) {
+  const [, where] = sql.match(/ AS page WHERE (.*) ORDER BY/) || [];
+  const [, orderBy] = sql.match(/ORDER BY (.*) LIMIT/);
+  const keys = orderBy.split(', ').map((part) => part.split(' '));
+  const sortColumns = [...sql.matchAll(/\((\w+)\)::text AS (_sort\d+)/g)];
+  const matches = keysetFilter(where);
+  return ROWS
+    .filter((row) => matches(row, params, compare))
+    .sort((a, b) => {
+      for (const [col, dir] of keys) {
+        const c = compare(a[col], b[col]);
+        if (c !== 0) return dir === 'DESC' ? -c : c;
+      }
+      return 0;
+    })
+    .slice(0, params.at(-1))
+    .map((row) => ({ ...row, ...Object.fromEntries(sortColumns.map(([, col, as]) => [as, row[col] === null ? null : String(row[col])])) }));
+}
+
+async function allPages(args) {
+  const seen = [];
+  let cursor;
+  do {
+    const page = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { ...args, cursor });
+    seen.push(...page.items.map((r) => r.id));
+    cursor = page.next_cursor;
+  } while (cursor);
+  return seen;
+}
+
+test('following next_cursor visits every row once, in sort order', async () => {
+  assert.deepEqual(await allPages({}), [2, 4, 3, 1, 5, 6]);
+  assert.deepEqual(await allPages({ sort: 'score' }), [2, 4, 1, 3, 5, 6]);
+  assert.deepEqual(await allPages({ sort: '-score' }), [6, 5, 3, 1, 4, 2]);
+  assert.deepEqual(await allPages({ sort: '-score', limit: 1 }), [6, 5, 3, 1, 4, 2]);
+});
+
+test('the next page starts after the last row, not at an offset', async () => {
+  const first = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, {});
+  assert.deepEqual(first.items.map((r) => r.id), [2, 4]);
+  // A row sorting before the cursor appears after the first page was read.
+  ROWS.push({ id: 7, name: 'aardvark', score: 0 });
+  try {
+    const second = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { cursor: first.next_cursor });
+    assert.deepEqual(second.items.map((r) => r.id), [3, 1]);
+  } finally {
+    ROWS.pop();
+  }
+});
+
+test('the last page has no next_cursor and items carry no cursor columns', async () => {
+  const page = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { limit: 6 });
+  assert.equal(page.items.length, 6);
+  assert.equal(page.next_cursor, null);
+  assert.deepEqual(Object.keys(page.items[0]), ['id', 'name', 'score']);
+});
+
+test('fields projects each item', async () => {
+  const page = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { fields: ['name'] });
+  assert.deepEqual(page.items, [{ name: 'alpha' }, { name: 'bravo' }]);
+});
+
+test('a cursor is rejected for a different sort or filter', async () => {
+  const { next_cursor } = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { status: 'open' });
+  await assert.rejects(
+    listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { status: 'closed', cursor: next_cursor }),
+    /Invalid cursor: it belongs to a different query/,
+  );
+  await assert.rejects(
+    listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { status: 'open', sort: '-name', cursor: next_cursor }),
+    /Invalid cursor/,
+  );
+});
+
+test('a malformed cursor is rejected', async () => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  for (const cursor of ['not-a-cursor', encode({ o: 2 }), encode({ k: [1, 2] }), encode({ k: [{}] })]) {
+    await assert.rejects(listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { cursor }), /^Error: Invalid cursor$/);
+  }
+});
+
+test('a cursor value the database rejects is an invalid cursor', async () => {
+  const { next_cursor } = await listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, { sort: 'score' });
+  const failing = async () => {
+    throw Object.assign(new Error('invalid input syntax for type integer: "x"'), { code: '22P02' });
+  };
+  const err = await listPage(failing, listing, { sql: 'SELECT * FROM t' }, { sort: 'score', cursor: next_cursor }).catch((e) => e);
+  assert.equal(err.message, 'Invalid cursor');
+  assert.ok(isInvalidCursor(err));
+
+  const down = async () => { throw Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' }); };
+  await assert.rejects(listPage(down, listing, { sql: 'SELECT * FROM t' }, { sort: 'score', cursor: next_cursor }), /connection refused/);
+});
+
+test('bad limit, sort and fields are rejected', async () => {
+  const run = (args) => listPage(runQuery, listing, { sql: 'SELECT * FROM t' }, args);
+  await assert.rejects(run({ limit: 0 }), /Invalid limit/);
+  await assert.rejects(run({ sort: 'created_at' }), /Invalid sort/);
+  await assert.rejects(run({ fields: ['secret'] }), /Invalid fields/);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTenantOffboarding } from '../tenant-offboarding.mjs';
+
+const quiet = { log() {}, error() {} };
+
+/**
+ * A pool for purge(): `offboarding` is the tenant_offboardings row, and
+ * every statement is appended to `log` (DELETEs as "DELETE <table>").
+ */
+function fakePool(offboarding, { failOn } = {}) {
+  const log = [];
+  async function query(sql, params = []) {
+    const del = sql.match(/^DELETE FROM (\w+)/);
+    if (del) {
+      if (del[1] === failOn) throw new Error(`cannot delete ${failOn}`);
+      log.push(`DELETE ${del[1]}`);
+      return { rowCount: 1, rows: [] };
+    }
+    log.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    if (/UPDATE tenant_offboardings SET status = 'running'/.test(sql)) {
+      const due = offboarding.status === 'done' && offboarding.purge_after && offboarding.purge_after <= new Date();
+      if (due) offboarding.status = 'running';
+      return { rows: due ? [{ tenant: params[0] }] : [] };
+    }
+    if (/UPDATE tenant_offboardings/.test(sql)) {
+      offboarding.status = params[1];
+      offboarding.purge_result = params[2];
+      return { rows: [] };
+    }
+    if (/FROM tenant_offboardings WHERE tenant/.test(sql)) return { rows: [offboarding] };
+    if (/FROM tenant_offboarding_steps/.test(sql)) return { rows: [] };
+    if (/FROM documents/.test(sql)) return { rows: [{ id: 'd1', bucket_path: 'docs/acme/a.pdf' }, { id: 'd2', bucket_path: 'docs/acme/b.pdf' }] };
+    if (/^BEGIN|^COMMIT|^ROLLBACK/.test(sql)) return { rows: [] };
+    throw new Error(`unexpected query: ${sql}`);
+  }
+  return { log, query, async connect() { return { query, release() {} }; } };
+}
+
+const tenantRegistry = {
+  async describe(tenant) {
+    return {
+      slug: tenant,
+      company_id: 'c1',
+      archived_at: '2026-01-01T00:00:00Z',
+      resolved: { cloud_run_service: `crm-${tenant}`, crm_url: null },
+      services: [],
+    };
+  },
+};
+
+function fakeStorage(log) {
+  return {
+    bucket: () => ({
+      file: (path) => ({
+        async delete() { log.push(`BLOB ${path}`); },
+      }),
+    }),
+  };
+}
+
+function offboarding(pool) {
+  return createTenantOffboarding({
+    pool,
+    tenantRegistry,
+    runHandler: async () => { throw new Error('no CRM calls in a purge'); },
+    storage: fakeStorage(pool.log),
+    documentsBucket: 'docs',
+    archiveBucket: 'archives',
+    logger: quiet,
+  });
+}
+
+const due = () => ({ tenant: 'acme', status: 'done', purge_after: new Date(Date.now() - 1000) });
+
+test('purge deletes blobs first, then children before their parents, in one transaction', async () => {
+  const pool = fakePool(due());
+  await offboarding(pool).purge('acme', 'admin@example.com');
+
+  const deletes = pool.log.filter((l) => l.startsWith('DELETE ')).map((l) => l.slice(7));
+  const before = (child, parent) => assert.ok(deletes.indexOf(child) < deletes.indexOf(parent), `${child} before ${parent}`);
+  before('error_triage', 'error_events');
+  before('mcp_feedback_task_issues', 'mcp_feedback_tasks');
+  before('deployment_components', 'deployments');
+  before('tenant_onboarding_steps', 'tenant_onboardings');
+  for (const child of ['contacts', 'milestones', 'documents', 'activity', 'requirements', 'dev_tasks']) before(child, 'companies');
+
+  for (const kept of ['tenants', 'audit_log', 'llm_usage']) assert.ok(!deletes.includes(kept), `${kept} is kept`);
+
+  const firstDelete = pool.log.findIndex((l) => l.startsWith('DELETE '));
+  assert.deepEqual(pool.log.filter((l) => l.startsWith('BLOB ')), ['BLOB docs/acme/a.pdf', 'BLOB docs/acme/b.pdf']);
+  assert.ok(pool.log.findLastIndex((l) => l.startsWith('BLOB ')) < firstDelete);
+  assert.equal(pool.log[firstDelete - 1], 'BEGIN');
+  assert.equal(pool.log[firstDelete + deletes.length], 'COMMIT');
+});
+
+test('purge records the result and refuses to run twice', async () => {
+  const row = due();
+  const pool = fakePool(row);
+  const o = offboarding(pool);
+  await o.purge('acme');
+  assert.equal(row.status, 'purged');
+  assert.equal(JSON.parse(row.purge_result).blobs_deleted, 2);
+  await assert.rejects(o.purge('acme'), /already purged/);
+});
+
+test('purge waits for the retention window', async () => {
+  const pool = fakePool({ tenant: 'acme', status: 'done', purge_after: new Date(Date.now() + 86400000) });
+  await assert.rejects(offboarding(pool).purge('acme'), /Invalid purge: acme is retained until/);
+  assert.ok(!pool.log.some((l) => l.startsWith('DELETE ') || l.startsWith('BLOB ')));
+});
+
+test('a failed delete rolls back and leaves the offboarding done for the next sweep', async () => {
+  const row = due();
+  const pool = fakePool(row, { failOn: 'companies' });
+  await assert.rejects(offboarding(pool).purge('acme'), /cannot delete companies/);
+  assert.ok(pool.log.includes('ROLLBACK'));
+  assert.ok(!pool.log.includes('COMMIT'));
+  assert.equal(row.status, 'done');
+});
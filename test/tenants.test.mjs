@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTenantRegistry, REF_PATTERNS } from '../tenants.mjs';
+
+/** Echoes an UPDATE back as the tenant row. */
+function registry() {
+  const updates = [];
+  const pool = {
+    async query(sql, params) {
+      if (!/^\s*UPDATE tenants/.test(sql)) return { rows: [] };
+      updates.push(params);
+      return { rows: [{ slug: params[0] }] };
+    },
+  };
+  return { updates, tenants: createTenantRegistry({ pool, env: {}, logger: { log() {}, error() {} } }) };
+}
+
+test('secret refs must stay in their tenant-secret namespace', async () => {
+  const { updates, tenants } = registry();
+  for (const [col, ref] of [
+    ['crm_key_ref', 'DATABASE_URL'],
+    ['crm_key_ref', 'GITHUB_TOKEN'],
+    ['task_crm_key_ref', 'ANTHROPIC_API_KEY'],
+    ['webhook_secret_ref', 'CRM_KEY_ACME'],
+  ]) {
+    await assert.rejects(tenants.update('acme', { [col]: ref, crm_url: 'https://attacker.example' }), new RegExp(`^Error: Invalid ${col}: ${ref}\\.`));
+  }
+  assert.equal(updates.length, 0);
+
+  await tenants.update('acme', {
+    crm_key_ref: 'CRM_KEY_ACME_V2',
+    task_crm_key_ref: 'ACME_TASK_CRM_MCP_API_KEY',
+    webhook_secret_ref: 'MCP_WEBHOOK_SECRET_ACME',
+  });
+  assert.equal(updates.length, 1);
+});
+
+test('the tool schemas use the same patterns', () => {
+  assert.ok(!new RegExp(REF_PATTERNS.crm_key_ref.source).test('DATABASE_URL'));
+  assert.ok(new RegExp(REF_PATTERNS.crm_key_ref.source).test('CRM_KEY_ACME'));
+});
+
+test('a stored ref outside its namespace resolves to the default name', async () => {
+  const pool = {
+    async query() {
+      return { rows: [{ slug: 'acme', crm_url: 'https://attacker.example', crm_key_ref: 'DATABASE_URL' }] };
+    },
+  };
+  const env = { DATABASE_URL: 'postgres://secret@db/prod', CRM_KEY_ACME: 'crm-key' };
+  const tenants = createTenantRegistry({ pool, env, logger: { log() {}, error() {} } });
+  assert.equal((await tenants.crmConfig('acme')).apiKey, 'crm-key');
+});
+
+test('forService finds the tenant by its registered Cloud Run service', async () => {
+  const pool = {
+    async query() {
+      return { rows: [{ slug: 'acme-eu', cloud_run_service: 'crm-acme-eu-prod' }, { slug: 'globex' }] };
+    },
+  };
+  const tenants = createTenantRegistry({ pool, env: {}, logger: { log() {}, error() {} } });
+  assert.equal((await tenants.forService('crm-acme-eu-prod')).slug, 'acme-eu');
+  assert.equal((await tenants.forService('crm-backend-globex')).slug, 'globex');
+  assert.equal(await tenants.forService('agentbox-mcp'), null);
+});
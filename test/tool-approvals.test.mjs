@@ -0,0 +1,223 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createToolApprovals, pendingConfirmationPayload } from '../tool-approvals.mjs';
+import { createChatStore, ownerKey } from '../chat-store.mjs';
+
+const quiet = { log() {} };
+const ana = { kind: 'user', uid: 'u1', email: 'ana@example.com' };
+
+/** Just enough of chat_conversations, chat_messages and tool_approvals. */
+function fakePool() {
+  const db = {
+    conversations: [{ id: 'c1', owner: 'user:u1', message_count: 0, title: null, summary: null, summarised_through_seq: null }],
+    messages: [],
+    approvals: [],
+  };
+  const live = (a) => a.expires_at > new Date();
+  async function query(text, params = []) {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    const conversation = db.conversations.find((c) => c.id === params[0]);
+    const approval = db.approvals.find((a) => a.id === params[0]);
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    if (sql.startsWith('SELECT * FROM chat_conversations WHERE id = $1 AND owner = $2')) {
+      return { rows: conversation?.owner === params[1] ? [conversation] : [] };
+    }
+    if (sql.startsWith('SELECT message_count, title')) return { rows: [conversation] };
+    if (sql.startsWith('UPDATE chat_conversations')) {
+      conversation.message_count = params[1];
+      return { rows: [] };
+    }
+    if (sql.startsWith('INSERT INTO chat_messages')) {
+      db.messages.push({ conversation_id: params[0], seq: params[1], role: params[2], content: JSON.parse(params[3]) });
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT seq, role, content')) {
+      return { rows: db.messages.filter((m) => m.conversation_id === params[0]).sort((a, b) => a.seq - b.seq) };
+    }
+    if (sql.startsWith('INSERT INTO tool_approvals')) {
+      const row = {
+        id: `ap${db.approvals.length + 1}`,
+        source: params[0],
+        requested_by: params[1],
+        requested_by_email: params[2],
+        conversation_id: params[3],
+        calls: JSON.parse(params[4]),
+        call_inputs: JSON.parse(params[5]),
+        partial_results: JSON.parse(params[6]),
+        status: 'pending',
+        expires_at: params[7],
+        created_at: new Date(Date.now() + db.approvals.length),
+      };
+      db.approvals.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (sql.startsWith("UPDATE tool_approvals SET status = 'expired', call_inputs = NULL WHERE status = 'pending'")) {
+      for (const a of db.approvals) if (a.status === 'pending' && !live(a)) Object.assign(a, { status: 'expired', call_inputs: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE tool_approvals ta')) {
+      const [, owner, status, decidedBy, reason] = params;
+      if (!approval || approval.requested_by !== owner || approval.status !== 'pending' || !live(approval)) return { rows: [] };
+      const raw = approval.call_inputs;
+      Object.assign(approval, { status, decided_by: decidedBy, decision_reason: reason, call_inputs: null });
+      return { rows: [{ ...approval, raw_inputs: raw }] };
+    }
+    if (sql.startsWith('SELECT status, expires_at')) {
+      return { rows: approval?.requested_by === params[1] ? [approval] : [] };
+    }
+    if (sql.startsWith("UPDATE tool_approvals SET status = 'expired', call_inputs = NULL WHERE id = $1")) {
+      Object.assign(approval, { status: 'expired', call_inputs: null });
+      return { rows: [] };
+    }
+    if (sql.startsWith('UPDATE tool_approvals SET status = CASE')) {
+      for (const a of db.approvals) {
+        if (a.conversation_id === params[0] && a.requested_by === params[1] && a.status === 'pending') {
+          Object.assign(a, { status: live(a) ? 'rejected' : 'expired', call_inputs: null });
+        }
+      }
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT * FROM tool_approvals WHERE conversation_id')) {
+      const rows = db.approvals.filter((a) => a.conversation_id === params[0] && a.requested_by === params[1]);
+      return { rows: rows.slice(-1).map((a) => ({ ...a })) };
+    }
+    if (sql.startsWith('SELECT * FROM tool_approvals WHERE 1=1')) return { rows: db.approvals.map((a) => ({ ...a })) };
+    throw new Error(`unexpected query: ${sql}`);
+  }
+  return { db, query, async connect() { return { query, release() {} }; } };
+}
+
+function setup() {
+  const pool = fakePool();
+  return {
+    pool,
+    approvals: createToolApprovals({ pool, logger: quiet }),
+    chats: createChatStore({ pool, anthropic: null, logger: quiet }),
+  };
+}
+
+// A stored conversation paused on delete_crm_user, after get_metrics ran.
+async function pausedConversation({ approvals, chats }) {
+  await chats.appendMessages('c1', [
+    { role: 'user', content: 'check acme, then delete user 9' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'tool_use', id: 'tu0', name: 'get_metrics', input: { company: 'acme' } },
+        { type: 'tool_use', id: 'tu1', name: 'delete_crm_user', input: { company: 'acme', user_id: 9 } },
+      ],
+    },
+  ]);
+  return approvals.requestApproval({
+    source: 'chat',
+    identity: ana,
+    conversation_id: 'c1',
+    calls: [{ id: 'tu1', name: 'delete_crm_user', input: { company: 'acme', user_id: 9 } }],
+    partial_results: [{ type: 'tool_result', tool_use_id: 'tu0', content: '{"users":12}' }],
+  });
+}
+
+// Every tool_use in the thread is answered by the message that follows it.
+function assertToolUsesAnswered(messages) {
+  messages.forEach((m, i) => {
+    if (m.role !== 'assistant' || !Array.isArray(m.content)) return;
+    const next = messages[i + 1];
+    for (const use of m.content.filter((b) => b.type === 'tool_use')) {
+      assert.ok(next?.content.some?.((b) => b.type === 'tool_result' && b.tool_use_id === use.id), `${use.id} has a tool_result`);
+    }
+  });
+}
+
+test('approvals store and show redacted calls; only an approved decide gets the raw input back', async () => {
+  const { pool, approvals } = setup();
+  const pending = await approvals.requestApproval({
+    source: 'mcp',
+    identity: ana,
+    calls: [{ name: 'reset_crm_user_password', input: { company: 'acme', user_id: 'u9', new_password: 'hunter22' } }],
+    partial_results: [{ type: 'tool_result', tool_use_id: 'tu0', content: JSON.stringify({ api_key: 'abx_live_1' }) }],
+  });
+
+  assert.equal('call_inputs' in pending, false);
+  assert.deepEqual(pendingConfirmationPayload(pending).actions, [
+    { tool: 'reset_crm_user_password', input: { company: 'acme', user_id: 'u9', new_password: '[REDACTED]' } },
+  ]);
+  assert.deepEqual(JSON.parse(pending.partial_results[0].content), { api_key: '[REDACTED]' });
+  const [listed] = await approvals.listApprovals();
+  assert.equal('call_inputs' in listed, false);
+  assert.equal(listed.calls[0].input.new_password, '[REDACTED]');
+
+  const approved = await approvals.decide({ id: pending.id, identity: ana, decision: 'approve', source: 'mcp', tool: 'reset_crm_user_password' });
+  assert.equal(approved.calls[0].input.new_password, 'hunter22');
+  assert.equal('call_inputs' in approved, false);
+  assert.equal(pool.db.approvals[0].call_inputs, null);
+  await assert.rejects(approvals.decide({ id: pending.id, identity: ana, decision: 'approve' }), /already approved/);
+});
+
+test('service-key and anonymous callers own approvals per session', async () => {
+  const { approvals } = setup();
+  assert.equal(ownerKey({ kind: 'service', session: 's1' }), 'service:s1');
+  assert.equal(ownerKey(undefined), 'anonymous');
+  await assert.rejects(
+    approvals.requestApproval({ source: 'mcp', identity: { kind: 'service' }, calls: [{ name: 'delete_crm_user', input: {} }] }),
+    /Invalid caller: service callers need a session id/,
+  );
+
+  const pending = await approvals.requestApproval({ source: 'mcp', identity: { kind: 'service', session: 's1' }, calls: [{ name: 'delete_crm_user', input: {} }] });
+  assert.equal(pending.requested_by, 'service:s1');
+  await assert.rejects(approvals.decide({ id: pending.id, identity: { kind: 'service', session: 's2' }, decision: 'approve' }), /Approval not found/);
+  await assert.rejects(approvals.decide({ id: pending.id, identity: { kind: 'anonymous', session: 's1' }, decision: 'approve' }), /Approval not found/);
+});
+
+test('a new message on a reloaded paused conversation closes its open tool calls', async () => {
+  const ctx = setup();
+  const pending = await pausedConversation(ctx);
+
+  const conversation = await ctx.chats.getConversation(ana, 'c1');
+  const { messages } = await ctx.chats.buildContext(conversation);
+  const closing = await ctx.approvals.closePausedTurn({ identity: ana, conversation_id: 'c1', messages });
+  await ctx.chats.appendMessages('c1', [closing, { role: 'user', content: 'never mind, list the users instead' }]);
+
+  const [ran, parked] = closing.content;
+  assert.deepEqual(ran, { type: 'tool_result', tool_use_id: 'tu0', content: '{"users":12}' });
+  assert.equal(parked.tool_use_id, 'tu1');
+  assert.equal(parked.is_error, true);
+  assert.match(JSON.parse(parked.content).error, /did not approve it and sent a new message instead/);
+
+  const reloaded = (await ctx.chats.buildContext(conversation)).messages;
+  assertToolUsesAnswered(reloaded);
+  assert.equal(reloaded.at(-1).content, 'never mind, list the users instead');
+  assert.equal(await ctx.approvals.closePausedTurn({ identity: ana, conversation_id: 'c1', messages: reloaded }), null);
+
+  const row = ctx.pool.db.approvals.find((a) => a.id === pending.id);
+  assert.equal(row.status, 'rejected');
+  assert.equal(row.call_inputs, null);
+});
+
+test('confirming an expired approval reports the conversation so its turn can be closed as expired', async () => {
+  const ctx = setup();
+  const pending = await pausedConversation(ctx);
+  ctx.pool.db.approvals[0].expires_at = new Date(Date.now() - 1000);
+
+  const err = await ctx.approvals.decide({ id: pending.id, identity: ana, decision: 'approve', source: 'chat' }).catch((e) => e);
+  assert.match(err.message, /expired at/);
+  assert.equal(err.conversationId, 'c1');
+
+  const messages = (await ctx.chats.getMessages('c1')).map(({ role, content }) => ({ role, content }));
+  const closing = await ctx.approvals.closePausedTurn({ identity: ana, conversation_id: 'c1', messages });
+  assert.match(JSON.parse(closing.content[1].content).error, /approval expired before the user gave it/);
+  assertToolUsesAnswered([...messages, closing]);
+});
+
+test('a stateless thread gets an error result for every open call', async () => {
+  const { approvals } = setup();
+  const closing = await approvals.closePausedTurn({
+    identity: { kind: 'anonymous', session: 's1' },
+    messages: [
+      { role: 'user', content: 'delete user 9' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tu1', name: 'delete_crm_user', input: {} }] },
+    ],
+  });
+  assert.equal(closing.content.length, 1);
+  assert.equal(closing.content[0].is_error, true);
+  assert.equal(await approvals.closePausedTurn({ identity: ana, messages: [{ role: 'user', content: 'hi' }] }), null);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { spawnCommand, killAgentProcess, killOnCancel, runGit, startHeartbeat, INSTANCE_ID } from '../tools/workspace.mjs';
+
+test('commands run without a shell', async () => {
+  let output = '';
+  const exit = await spawnCommand(['echo', '$HOME', '&&', 'id'], { onOutput: (chunk) => { output += chunk; } }).done;
+  assert.equal(exit.code, 0);
+  assert.equal(output.trim(), '$HOME && id');
+});
+
+test('spawned commands do not inherit the server environment', async () => {
+  process.env.DATABASE_URL = 'postgres://secret@db/prod';
+  let output = '';
+  const script = 'console.log(Object.keys(process.env).sort().join(" "))';
+  const proc = spawnCommand([process.execPath, '-e', script], { onOutput: (chunk) => { output += chunk; } });
+  const exit = await proc.done;
+  delete process.env.DATABASE_URL;
+  assert.equal(exit.code, 0);
+  const names = output.trim().split(' ');
+  assert.ok(!names.includes('DATABASE_URL'));
+  assert.ok(names.includes('PATH'));
+  assert.ok(names.includes('CI'));
+});
+
+test('killAgentProcess only signals pids recorded by this instance', async () => {
+  const proc = spawnCommand(['sleep', '5']);
+  assert.equal(killAgentProcess(proc.pid, 'another-instance'), false);
+  assert.equal(killAgentProcess(proc.pid, null), false);
+  assert.equal(killAgentProcess(proc.pid, INSTANCE_ID), true);
+  const exit = await proc.done;
+  assert.equal(exit.signal, 'SIGTERM');
+});
+
+test('killOnCancel stops the process once the cancel is seen', async () => {
+  const proc = spawnCommand(['sleep', '5']);
+  let polls = 0;
+  killOnCancel(proc, async () => ++polls >= 2, 10);
+  const exit = await proc.done;
+  assert.equal(exit.signal, 'SIGTERM');
+  assert.equal(polls, 2);
+});
+
+test('a token passed to runGit does not end up in the clone\'s config', async () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'workspace-test-'));
+  try {
+    await runGit(['init', '--bare', path.join(dir, 'origin.git')]);
+    await runGit(['clone', path.join(dir, 'origin.git'), path.join(dir, 'checkout')], { token: 'ghs_secret123' });
+    const config = readFileSync(path.join(dir, 'checkout', '.git', 'config'), 'utf-8');
+    assert.doesNotMatch(config, /ghs_secret123|extraHeader/i);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('startHeartbeat beats until stopped', async () => {
+  let beats = 0;
+  const stop = startHeartbeat(async () => { beats++; }, 10);
+  await new Promise((resolve) => setTimeout(resolve, 55));
+  stop();
+  const seen = beats;
+  assert.ok(seen >= 2);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(beats, seen);
+});
@@ -0,0 +1,247 @@
+// tool-approvals.mjs
+//
+// Human-in-the-loop gate for tools tagged `access: "destructive"` in
+// server.js (deletes, password resets, outbound email).
+//
+// Flow:
+//   1. /chat (or MCP tools/call) hits a destructive tool_use and, instead of
+//      running it, calls requestApproval() → a 'pending' tool_approvals row
+//      holding the exact calls (name + input) the model asked for
+//   2. The caller gets the row back as a pending-confirmation payload
+//   3. The same caller (privateOwnerKey) answers with { id, decision:
+//      'approve' | 'reject' }; decide() moves the row to approved / rejected
+//      atomically (one decision wins), or to 'expired' once
+//      APPROVAL_TTL_MS has passed
+//   4. Approved calls run with the *stored* input — never whatever the
+//      second request carries — and recordOutcome() stores the results
+//
+// `calls` and `partial_results` are stored redacted, the way audit_log
+// stores arguments (redactArgs), and are what listings and payloads show.
+// The raw inputs the approved calls need live only in call_inputs while
+// the row is pending; any decision or expiry clears them.
+//
+// A paused chat turn ends at the assistant's tool_use, and the model won't
+// take the thread again until every call has a tool_result. When the
+// approval is never given — the user sends a new message instead, or it
+// expires — closePausedTurn() closes the approval and builds that answer.
+//
+// Rows are never deleted: the table is the approval audit trail.
+
+import { privateOwnerKey, redactContent, openToolUses } from './chat-store.mjs';
+import { redactArgs } from './audit-log.mjs';
+
+export const APPROVAL_TTL_MS = parseInt(process.env.TOOL_APPROVAL_TTL_MS || String(15 * 60 * 1000), 10);
+const DECISIONS = { approve: 'approved', reject: 'rejected' };
+const STATUSES = ['pending', 'approved', 'rejected', 'expired'];
+
+export function createToolApprovals({ pool, logger = console }) {
+
+  /**
+   * Park destructive calls until a human decides.
+   *
+   * @param {object} input
+   * @param {'chat'|'mcp'} input.source
+   * @param {object} input.identity - req.mcpIdentity, plus `session` for
+   *   service-key and anonymous callers
+   * @param {Array<{ id?: string, name: string, input: object }>} input.calls
+   * @param {Array} [input.partial_results] - chat only: tool_result blocks for
+   *   the non-destructive calls in the same assistant turn, already executed
+   * @param {string} [input.conversation_id]
+   */
+  async function requestApproval({ source, identity, calls, partial_results = [], conversation_id = null }) {
+    const owner = privateOwnerKey(identity);
+    await expireStale();
+    const { rows } = await pool.query(
+      `INSERT INTO tool_approvals
+         (source, requested_by, requested_by_email, conversation_id, calls, call_inputs, partial_results, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        source,
+        owner,
+        identity?.email || null,
+        conversation_id,
+        JSON.stringify(calls.map((c) => ({ ...c, input: redactArgs(c.input ?? {}) }))),
+        JSON.stringify(calls.map((c) => c.input ?? {})),
+        JSON.stringify(redactContent(partial_results)),
+        new Date(Date.now() + APPROVAL_TTL_MS),
+      ],
+    );
+    logger.log(`[tool-approvals] ${rows[0].id} pending: ${calls.map((c) => c.name).join(', ')} (${source})`);
+    return withoutInputs(rows[0]);
+  }
+
+  /**
+   * Record a human decision. Only the identity that triggered the request
+   * can answer it, only once, and only before it expires. `tool` (MCP)
+   * additionally pins the approval to the tool being re-called.
+   *
+   * @returns {Promise<object>} the updated tool_approvals row; when
+   *   approved, its calls carry the raw inputs to run
+   */
+  async function decide({ id, identity, decision, reason, source, tool }) {
+    const status = DECISIONS[decision];
+    if (!status) throw new Error(`Invalid decision: ${decision}. Valid: approve, reject`);
+    if (!id) throw new Error('Approval id is required');
+
+    const owner = privateOwnerKey(identity);
+    // prev reads call_inputs before the SET clears them.
+    const { rows } = await pool.query(
+      `UPDATE tool_approvals ta
+          SET status = $3,
+              decided_by = $4,
+              decided_at = NOW(),
+              decision_reason = $5,
+              call_inputs = NULL
+         FROM (SELECT id, call_inputs FROM tool_approvals WHERE id = $1 FOR UPDATE) prev
+        WHERE ta.id = prev.id
+          AND ta.requested_by = $2
+          AND ta.status = 'pending'
+          AND ta.expires_at > NOW()
+          AND ($6::text IS NULL OR ta.source = $6)
+          AND ($7::text IS NULL OR ta.calls @> jsonb_build_array(jsonb_build_object('name', $7::text)))
+        RETURNING ta.*, prev.call_inputs AS raw_inputs`,
+      [id, owner, status, identity?.email || owner, reason || null, source || null, tool || null],
+    );
+    if (rows[0]) {
+      logger.log(`[tool-approvals] ${id} ${status} by ${identity?.email || owner}`);
+      const { raw_inputs, ...row } = rows[0];
+      if (status !== 'approved' || !raw_inputs) return withoutInputs(row);
+      return { ...withoutInputs(row), calls: row.calls.map((c, i) => ({ ...c, input: raw_inputs[i] })) };
+    }
+
+    // Explain why the claim missed.
+    const existing = await pool.query(
+      'SELECT status, expires_at, source, calls, conversation_id FROM tool_approvals WHERE id = $1 AND requested_by = $2',
+      [id, owner],
+    );
+    const row = existing.rows[0];
+    if (!row || (source && row.source !== source)) throw new Error(`Approval not found: ${id}`);
+    if (tool && !row.calls.some((c) => c.name === tool)) throw new Error(`Invalid confirm: approval ${id} is for a different tool, not ${tool}`);
+    if (row.status === 'pending') {
+      await pool.query(`UPDATE tool_approvals SET status = 'expired', call_inputs = NULL WHERE id = $1 AND status = 'pending'`, [id]);
+      const err = new Error(`Approval ${id} expired at ${new Date(row.expires_at).toISOString()}`);
+      err.conversationId = row.conversation_id;
+      throw err;
+    }
+    throw new Error(`Approval ${id} is already ${row.status}`);
+  }
+
+  /**
+   * The user message answering the tool_use blocks `messages` ends on, or
+   * null when it doesn't end on any. The conversation's pending approval,
+   * if any, is closed (rejected, or expired past its TTL); calls that ran
+   * keep their partial_results, the parked ones get an is_error result
+   * saying why they didn't run. Without a conversation_id (stateless chat)
+   * there is no approval to look up, so every call gets the error.
+   */
+  async function closePausedTurn({ identity, conversation_id = null, messages }) {
+    const uses = openToolUses(messages);
+    if (uses.length === 0) return null;
+    const approval = conversation_id ? await abandon({ conversation_id, identity }) : null;
+    const ran = new Map((approval?.partial_results || []).map((r) => [r.tool_use_id, r]));
+    const why = approval?.status === 'expired'
+      ? 'Its approval expired before the user gave it'
+      : 'The user did not approve it and sent a new message instead';
+    return {
+      role: 'user',
+      content: uses.map((b) => ran.get(b.id) || {
+        type: 'tool_result',
+        tool_use_id: b.id,
+        content: JSON.stringify({ error: `${why}, so it was not run. Do not retry it unless the user asks again.` }),
+        is_error: true,
+      }),
+    };
+  }
+
+  // Still pending → rejected (or expired, past its TTL). Returns the
+  // conversation's latest approval whatever its status, or null.
+  async function abandon({ conversation_id, identity }) {
+    const owner = privateOwnerKey(identity);
+    await pool.query(
+      `UPDATE tool_approvals
+          SET status = CASE WHEN expires_at > NOW() THEN 'rejected' ELSE 'expired' END,
+              decided_by = CASE WHEN expires_at > NOW() THEN $3 END,
+              decided_at = CASE WHEN expires_at > NOW() THEN NOW() END,
+              decision_reason = CASE WHEN expires_at > NOW() THEN 'Superseded by a new message' END,
+              call_inputs = NULL
+        WHERE conversation_id = $1 AND requested_by = $2 AND status = 'pending'`,
+      [conversation_id, owner, identity?.email || owner],
+    );
+    const { rows } = await pool.query(
+      `SELECT * FROM tool_approvals
+        WHERE conversation_id = $1 AND requested_by = $2
+        ORDER BY created_at DESC LIMIT 1`,
+      [conversation_id, owner],
+    );
+    return rows[0] ? withoutInputs(rows[0]) : null;
+  }
+
+  // Past-TTL rows nobody came back for: mark them expired so their raw
+  // inputs don't outlive the approval window.
+  async function expireStale() {
+    await pool.query(
+      `UPDATE tool_approvals SET status = 'expired', call_inputs = NULL
+        WHERE status = 'pending' AND expires_at <= NOW()`,
+    );
+  }
+
+  async function recordOutcome(id, outcome) {
+    await pool.query(
+      'UPDATE tool_approvals SET outcome = $2 WHERE id = $1',
+      [id, JSON.stringify(outcome)],
+    );
+  }
+
+  async function listApprovals({ status, source, limit } = {}) {
+    if (status && !STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Valid: ${STATUSES.join(', ')}`);
+    }
+    let sql = 'SELECT * FROM tool_approvals WHERE 1=1';
+    const params = [];
+    let idx = 1;
+    if (status) { sql += ` AND status = $${idx++}`; params.push(status); }
+    if (source) { sql += ` AND source = $${idx++}`; params.push(source); }
+    sql += ` ORDER BY created_at DESC LIMIT $${idx}`;
+    params.push(Math.min(limit || 50, 200));
+    await expireStale();
+    const { rows } = await pool.query(sql, params);
+    return rows.map(withoutInputs);
+  }
+
+  return {
+    requestApproval,
+    decide,
+    closePausedTurn,
+    recordOutcome,
+    listApprovals,
+  };
+}
+
+function withoutInputs({ call_inputs, ...row }) {
+  return row;
+}
+
+/**
+ * Client-facing shape of a pending approval — what /chat and MCP return
+ * instead of running the tool.
+ */
+export function pendingConfirmationPayload(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    expires_at: row.expires_at,
+    actions: row.calls.map((c) => ({ tool: c.name, input: c.input })),
+    message: 'These actions are destructive and need your approval. Reply with confirm: { id, decision: "approve" | "reject" }.',
+  };
+}
+
+// Status code for decide()/listApprovals() errors, keyed off the messages above.
+export function approvalErrorStatus(err) {
+  const msg = err.message || '';
+  if (msg.includes('not found')) return 404;
+  if (msg.includes('expired')) return 410;
+  if (msg.includes('already')) return 409;
+  if (msg.includes('Invalid') || msg.includes('required')) return 400;
+  return 500;
+}
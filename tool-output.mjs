@@ -0,0 +1,155 @@
+// tool-output.mjs
+//
+// What tools/call hands back: `structuredContent` matching the tool's
+// declared `outputSchema`, plus a one-line text summary for people and
+// models. Both arrived in MCP 2025-06-18; sessions on an older protocol
+// version get the whole result as JSON text, as before.
+//
+// Output schemas are derived rather than written out per tool:
+//   paged lists   { items, next_cursor } with the listing's fields
+//   get_company   the company row with a page per sub-collection
+//   array results wrapped as { items } — structuredContent must be an object
+//   write tools   objects, usually { success, <row> }
+//   the rest      any object
+// A result that drifts from its schema is logged, not rejected.
+//
+// Handler failures become { isError: true } results — the model or client
+// sees the message and can react. Failures before the handler runs
+// (forbidden, rate limited, invalid arguments) stay JSON-RPC errors; see
+// the /mcp catch block in server.js.
+
+import { validateValue } from './tool-schema.mjs';
+
+export const STRUCTURED_OUTPUT_SINCE = '2025-06-18';
+
+// Handlers that return a bare array.
+const ARRAY_RESULT_TOOLS = new Set([
+  'get_portfolio_summary',
+  'list_emails',
+  'list_calendar_events',
+  'list_crm_instances',
+  'check_crm_instance_health',
+  'github_list_repos',
+  'github_list_commits',
+  'github_list_prs',
+  'get_all_deployments_metrics',
+  'get_cloudrun_revisions',
+  'get_deployment_logs',
+  'list_build_runs',
+  'list_error_events',
+  'list_error_triage',
+  'list_autofix_runs',
+  'list_agent_runs',
+  'list_tool_approvals',
+  'list_audit_log',
+  'list_api_keys',
+  'list_tenants',
+]);
+
+/** Protocol versions are dates, so they compare as strings. */
+export function hasStructuredOutput(protocolVersion) {
+  return typeof protocolVersion === 'string' && protocolVersion >= STRUCTURED_OUTPUT_SINCE;
+}
+
+function pageSchema(listing) {
+  return {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: { type: 'object', properties: Object.fromEntries(listing.fields.map((f) => [f, {}])) },
+      },
+      next_cursor: { type: ['string', 'null'], description: 'Pass back as cursor for the next page; null on the last page' },
+      more: { type: 'object', description: 'Tool call and REST URL for the next page, when embedded in another result' },
+    },
+    required: ['items', 'next_cursor'],
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {Array<{ name: string, access: string }>} opts.tools
+ * @param {Record<string, object>} opts.pagedTools - tool name → its pagination.mjs listing
+ * @param {Record<string, string>} opts.companyCollections - get_company key → the list tool it pages
+ */
+export function createToolOutputs({ tools, pagedTools, companyCollections, logger = console }) {
+  const schemas = new Map(tools.map((t) => [t.name, deriveSchema(t)]));
+
+  function deriveSchema({ name, access }) {
+    if (pagedTools[name]) return pageSchema(pagedTools[name]);
+    if (name === 'get_company') {
+      return {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          slug: { type: 'string' },
+          name: { type: 'string' },
+          status: { type: 'string' },
+          ...Object.fromEntries(Object.entries(companyCollections).map(([key, tool]) => [key, pageSchema(pagedTools[tool])])),
+        },
+        required: ['id', 'slug', 'name', ...Object.keys(companyCollections)],
+      };
+    }
+    if (ARRAY_RESULT_TOOLS.has(name)) {
+      return { type: 'object', properties: { items: { type: 'array', items: { type: 'object' } } } };
+    }
+    if (access !== 'read') {
+      return { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } };
+    }
+    return { type: 'object' };
+  }
+
+  function outputSchema(name) {
+    return schemas.get(name);
+  }
+
+  /** The handler's result as an object (arrays → { items }). */
+  function structured(result) {
+    if (Array.isArray(result)) return { items: result };
+    if (result !== null && typeof result === 'object') return result;
+    return { value: result ?? null };
+  }
+
+  /** One line for the text block. */
+  function summary(name, result) {
+    if (typeof result?.message === 'string') return result.message;
+    const items = Array.isArray(result) ? result : Array.isArray(result?.items) ? result.items : null;
+    if (items) {
+      const count = `${name}: ${items.length} item${items.length === 1 ? '' : 's'}`;
+      return result?.next_cursor ? `${count}, more available (next_cursor: ${result.next_cursor})` : count;
+    }
+    if (result && typeof result === 'object') {
+      const label = result.name || result.title || result.slug || result.id;
+      const verb = result.success === true ? 'succeeded' : 'returned';
+      return `${name} ${verb}${label ? `: ${label}` : ''} — see structuredContent`;
+    }
+    return `${name} returned ${JSON.stringify(result)}`;
+  }
+
+  /**
+   * The tools/call result for a successful call. `protocolVersion` is the
+   * session's negotiated version.
+   */
+  function toolResult(name, result, protocolVersion) {
+    if (!hasStructuredOutput(protocolVersion)) {
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+    const structuredContent = structured(result);
+    const drift = validateValue(schemas.get(name), structuredContent);
+    if (drift.length) {
+      logger.warn(`[tool-output] ${name} result doesn't match its outputSchema: ${drift.map((d) => `${d.field} ${d.message}`).join('; ')}`);
+    }
+    return { content: [{ type: 'text', text: summary(name, result) }], structuredContent };
+  }
+
+  /** The tools/call result for a handler that threw. */
+  function errorResult(name, err) {
+    return { content: [{ type: 'text', text: `${name} failed: ${err.message}` }], isError: true };
+  }
+
+  return {
+    outputSchema,
+    toolResult,
+    errorResult,
+  };
+}
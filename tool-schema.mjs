@@ -0,0 +1,140 @@
+// tool-schema.mjs
+//
+// Checks tool arguments against the tool's own inputSchema before the
+// handler runs, for every entrypoint (/mcp tools/call, POST /tools/:name,
+// the /chat tool loop — all via invokeTool in server.js).
+//
+// No JSON Schema library: the tool schemas use a small subset and this
+// covers exactly that subset —
+//   type (object, array, string, number, integer, boolean; or a list),
+//   properties, required, additionalProperties: false, items, enum,
+//   format (date, date-time, uuid, email, uri), minimum / maximum,
+//   minLength / maxLength, pattern.
+// Anything else in a schema (description, default, …) is ignored.
+// Properties a schema doesn't list are allowed unless it sets
+// additionalProperties: false, and an optional property sent as null counts
+// as omitted — clients and models send both for "not set".
+//
+// A failed check throws "Invalid arguments for <tool>: …" with
+// err.fields = [{ field, message }]: -32602 over MCP, 400 over REST.
+
+const FORMATS = {
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v),
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i.test(v) && !Number.isNaN(Date.parse(v)),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+};
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function matchesType(type, v) {
+  switch (type) {
+    case 'object': return isObject(v);
+    case 'array': return Array.isArray(v);
+    case 'integer': return Number.isInteger(v);
+    case 'number': return typeof v === 'number' && Number.isFinite(v);
+    case 'string':
+    case 'boolean': return typeof v === type;
+    case 'null': return v === null;
+    default: return true;
+  }
+}
+
+function childPath(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Validate `value` against `schema`, appending { field, message } for each
+ * problem to `errors`. `field` is the dotted path ("" for the root).
+ */
+export function validateValue(schema, value, field = '', errors = []) {
+  if (!schema) return errors;
+  const label = field || 'arguments';
+  const fail = (message) => errors.push({ field: label, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(t, value))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(schema.items, item, `${label}[${i}]`, errors));
+  }
+
+  if (isObject(value)) {
+    const required = new Set(schema.required || []);
+    for (const key of required) {
+      if (value[key] === undefined || value[key] === null) errors.push({ field: childPath(field, key), message: 'is required' });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || (value[key] === null && !required.has(key))) continue;
+      validateValue(sub, value[key], childPath(field, key), errors);
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) errors.push({ field: childPath(field, key), message: 'is not allowed' });
+      }
+    }
+  }
+  return errors;
+}
+
+export function isInvalidArguments(err) {
+  return typeof err?.message === 'string' && err.message.startsWith('Invalid arguments for ');
+}
+
+/**
+ * @param {Array<{ name: string, inputSchema: object }>} tools - the server's tool list
+ */
+export function createToolArgsValidator(tools) {
+  const schemas = new Map(tools.map((t) => [t.name, t.inputSchema]));
+
+  /** Offending fields for a call, [] when the arguments are fine. */
+  function validate(name, args) {
+    return validateValue(schemas.get(name), args ?? {});
+  }
+
+  /** Throw "Invalid arguments for <name>: …" (with err.fields) on any problem. */
+  function assert(name, args) {
+    const fields = validate(name, args);
+    if (fields.length === 0) return;
+    const err = new Error(`Invalid arguments for ${name}: ${fields.map((f) => `${f.field} ${f.message}`).join('; ')}`);
+    err.fields = fields;
+    throw err;
+  }
+
+  return {
+    validate,
+    assert,
+  };
+}
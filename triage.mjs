@@ -5,7 +5,9 @@
 // Flow:
 //   1. Atomic claim — UPDATE mcp_feedback_tasks WHERE planner_status='pending'
 //   2. BUG-only short-circuit (mark canceled if type != 'BUG')
-//   3. Agentic loop: Sonnet 4.6 with TRIAGE_TOOLS (gh_search_code, gh_get_file)
+//   3. Agentic loop: Sonnet 4.6 with TRIAGE_TOOLS (gh_search_code, gh_get_file).
+//      Skipped (row released back to 'pending') while the tenant's monthly
+//      LLM budget is exhausted — see llm-usage.mjs.
 //   4. Parse JSON output (scope, acceptance_md, proposed_fix_md, etc.)
 //   5. If scope='skip': mark canceled with skip_reason
 //   6. Otherwise: persist plan to mcp_feedback_tasks; open 1 or 2 GitHub
@@ -24,6 +26,7 @@ import {
   runTool,
   createGitHubIssue,
 } from './tools/github.mjs';
+import { recordLlmUsage, isBudgetExhausted, getExhaustedTenants } from './llm-usage.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -74,7 +77,18 @@ export async function triageFeedbackTask(taskId, pool) {
       return { skipped: true, reason: 'non-bug-v1-out-of-scope', type: task.type };
     }
 
-    // 3. Agentic loop with Claude.
+    // 3. Agentic loop with Claude — unless the tenant is over budget, in
+    // which case release the claim so the safety poller retries next month.
+    if (await isBudgetExhausted(pool, task.tenant)) {
+      await pool.query(
+        `UPDATE mcp_feedback_tasks
+            SET planner_status = 'pending', planner_started_at = NULL
+          WHERE id = $1`,
+        [taskId],
+      );
+      return { skipped: true, reason: 'llm_budget_exhausted', tenant: task.tenant };
+    }
+
     const userPrompt = renderTaskPrompt(task);
     let messages = [{ role: 'user', content: userPrompt }];
     let response;
@@ -87,6 +101,13 @@ export async function triageFeedbackTask(taskId, pool) {
         tools: TRIAGE_TOOLS,
         messages,
       });
+      await recordLlmUsage(pool, {
+        response,
+        feature: 'feedback_triage',
+        tenant: task.tenant,
+        entity_type: 'mcp_feedback_task',
+        entity_id: taskId,
+      });
       messages.push({ role: 'assistant', content: response.content });
 
       if (response.stop_reason !== 'tool_use') break;
@@ -414,12 +435,16 @@ export const _internals = {
  *
  *   2. Backfill rows: rows that are planner_status='pending' but older
  *      than 1 minute — the webhook's setImmediate either crashed or
- *      never fired. Re-trigger triage on each.
+ *      never fired. Re-trigger triage on each. Rows of tenants over their
+ *      LLM budget stay pending without taking a slot in the batch.
  *
  * Idempotent: if multiple poller ticks overlap, the atomic claim in
  * triageFeedbackTask handles the race.
+ *
+ * `onFinished(taskId, result)` is called after each backfilled row that
+ * didn't throw (server.js pushes MCP notifications from it).
  */
-export async function safetyPollTriage(pool) {
+export async function safetyPollTriage(pool, { onFinished } = {}) {
   if (!pool) throw new Error('pool is required');
 
   await pool.query(
@@ -433,13 +458,16 @@ export async function safetyPollTriage(pool) {
     `SELECT id FROM mcp_feedback_tasks
       WHERE planner_status = 'pending'
         AND created_at < NOW() - INTERVAL '1 minute'
+        AND (tenant IS NULL OR tenant <> ALL($1::text[]))
       ORDER BY created_at ASC
       LIMIT 10`,
+    [await getExhaustedTenants(pool)],
   );
 
   for (const row of stuck.rows) {
     try {
-      await triageFeedbackTask(row.id, pool);
+      const result = await triageFeedbackTask(row.id, pool);
+      await onFinished?.(row.id, result);
     } catch (_err) {
       // Per-row failures already write to planner_error in the DB.
       // Don't let one bad row stop the rest of the batch.